@@ -30,6 +30,26 @@ const options = {
           description: "Enter your JWT token",
         },
       },
+      parameters: {
+        IfMatch: {
+          in: "header",
+          name: "If-Match",
+          required: false,
+          schema: {
+            type: "string",
+          },
+          description: "ETag from a previous read; the request fails with 412 if the book has changed since",
+        },
+      },
+      headers: {
+        ETag: {
+          description: "Current version of the book, for use in If-Match",
+          schema: {
+            type: "string",
+            example: '"3-9f2c4e1ab07d5c38"',
+          },
+        },
+      },
       schemas: {
         Book: {
           type: "object",
@@ -39,21 +59,33 @@ const options = {
               format: "uuid",
               description: "Unique identifier",
             },
+            workId: {
+              type: "string",
+              format: "uuid",
+              description: "Work this book is an edition of",
+            },
             isbn: {
               type: "string",
-              description: "ISBN-10",
-              example: "0-7432-7356-7",
+              nullable: true,
+              description: "ISBN-10, digits only; none for 979-prefixed ISBN-13s",
+              example: "0743273567",
             },
             isbn13: {
               type: "string",
-              description: "ISBN-13",
-              example: "978-0-7432-7356-5",
+              nullable: true,
+              description: "ISBN-13, digits only",
+              example: "9780743273565",
             },
             title: {
               type: "string",
               description: "Book title",
               example: "The Great Gatsby",
             },
+            slug: {
+              type: "string",
+              description: "URL slug built from the title and first author",
+              example: "the-great-gatsby-f-scott-fitzgerald",
+            },
             subtitle: {
               type: "string",
               description: "Book subtitle",
@@ -89,19 +121,48 @@ const options = {
             price: {
               type: "number",
               format: "decimal",
+              nullable: true,
               example: 19.99,
             },
             discountPrice: {
               type: "number",
               format: "decimal",
             },
+            effectivePrice: {
+              type: "number",
+              format: "decimal",
+              nullable: true,
+              description:
+                "Price the customer pays: the lowest of price, discountPrice and any active promotion",
+            },
+            promotion: {
+              type: "object",
+              nullable: true,
+              description: "Promotion that sets effectivePrice, if one does",
+              properties: {
+                id: { type: "string", format: "uuid" },
+                name: { type: "string" },
+                endsAt: { type: "string", format: "date-time" },
+              },
+            },
             stockQuantity: {
               type: "integer",
               default: 0,
+              description: "Units on hand",
+            },
+            availableQuantity: {
+              type: "integer",
+              description: "Units on hand that aren't reserved for a cart or order",
+            },
+            reorderThreshold: {
+              type: "integer",
+              nullable: true,
+              description: "Low-stock alerts fire when units on hand fall to this level",
             },
             coverImageUrl: {
               type: "string",
               format: "uri",
+              nullable: true,
             },
             previewUrl: {
               type: "string",
@@ -118,9 +179,20 @@ const options = {
               type: "boolean",
               default: false,
             },
+            status: {
+              type: "string",
+              enum: ["DRAFT", "SCHEDULED", "PUBLISHED", "ARCHIVED"],
+              description: "Lifecycle status; only PUBLISHED books are in the public catalog",
+            },
+            publishAt: {
+              type: "string",
+              format: "date-time",
+              nullable: true,
+              description: "When a SCHEDULED book goes live, or when a PUBLISHED one went live",
+            },
             isActive: {
               type: "boolean",
-              default: true,
+              description: "Whether the book is in the public catalog; true exactly when status is PUBLISHED",
             },
             createdAt: {
               type: "string",
@@ -130,6 +202,21 @@ const options = {
               type: "string",
               format: "date-time",
             },
+            deletedAt: {
+              type: "string",
+              format: "date-time",
+              nullable: true,
+              description: "When the book was moved to the trash",
+            },
+            lastModifiedAt: {
+              type: "string",
+              format: "date-time",
+              description: "When anything about the book last changed, including stock and price",
+            },
+            version: {
+              type: "integer",
+              description: "Incremented on every edit; the ETag is derived from it",
+            },
             authors: {
               type: "array",
               items: {
@@ -146,10 +233,17 @@ const options = {
         },
         BookCreate: {
           type: "object",
-          required: ["title", "description", "format", "price", "coverImageUrl"],
+          description: "New books are drafts unless another status is given; drafts may leave out price and coverImageUrl",
+          required: ["title", "description", "format"],
           properties: {
-            isbn: { type: "string" },
-            isbn13: { type: "string" },
+            isbn: {
+              type: "string",
+              description: "ISBN-10 (or ISBN-13); check digit verified, hyphens stripped, derived from isbn13 when omitted",
+            },
+            isbn13: {
+              type: "string",
+              description: "ISBN-13; check digit verified, hyphens stripped, derived from isbn when omitted",
+            },
             title: { type: "string", maxLength: 500 },
             subtitle: { type: "string" },
             description: { type: "string" },
@@ -165,10 +259,37 @@ const options = {
             price: { type: "number", minimum: 0.01 },
             discountPrice: { type: "number", minimum: 0 },
             stockQuantity: { type: "integer", minimum: 0, default: 0 },
+            reorderThreshold: {
+              type: "integer",
+              minimum: 0,
+              nullable: true,
+              description: "Units on hand at which to raise a low-stock alert; null for none",
+            },
             coverImageUrl: { type: "string", format: "uri" },
             previewUrl: { type: "string", format: "uri" },
             isFeatured: { type: "boolean" },
-            isActive: { type: "boolean" },
+            status: {
+              type: "string",
+              enum: ["DRAFT", "SCHEDULED", "PUBLISHED", "ARCHIVED"],
+              description:
+                "SCHEDULED and PUBLISHED books need a cover image, a price, an author and a category",
+            },
+            publishAt: {
+              type: "string",
+              format: "date-time",
+              nullable: true,
+              description: "When to publish the book; required with, and only accepted with, status SCHEDULED",
+            },
+            isActive: {
+              type: "boolean",
+              description:
+                "Older alternative to status: true publishes the book, false takes it out of the public catalog; must agree with status when both are sent",
+            },
+            workId: {
+              type: "string",
+              format: "uuid",
+              description: "Work to add this edition to; a new work is created when omitted",
+            },
             authorIds: {
               type: "array",
               items: { type: "string", format: "uuid" },
@@ -196,6 +317,271 @@ const options = {
             isPrimary: { type: "boolean" },
           },
         },
+        ImportReport: {
+          type: "object",
+          properties: {
+            format: { type: "string", enum: ["csv", "jsonl"] },
+            dryRun: { type: "boolean" },
+            summary: {
+              type: "object",
+              properties: {
+                total: { type: "integer" },
+                created: { type: "integer" },
+                updated: { type: "integer" },
+                failed: { type: "integer" },
+              },
+            },
+            rows: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  row: { type: "integer", description: "1-based row number, excluding the CSV header" },
+                  line: { type: "integer", description: "Line in the file where the row starts" },
+                  status: { type: "string", enum: ["created", "updated", "failed"] },
+                  id: { type: "string", format: "uuid" },
+                  title: { type: "string" },
+                  isbn: { type: "string" },
+                  createdAuthors: { type: "array", items: { type: "string" } },
+                  createdCategories: { type: "array", items: { type: "string" } },
+                  errors: {
+                    type: "array",
+                    items: {
+                      type: "object",
+                      properties: {
+                        field: { type: "string" },
+                        message: { type: "string" },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+        BookRevision: {
+          type: "object",
+          properties: {
+            id: { type: "string", format: "uuid" },
+            action: {
+              type: "string",
+              enum: ["CREATE", "UPDATE", "DELETE", "RESTORE", "REVERT"],
+            },
+            actor: {
+              type: "object",
+              nullable: true,
+              properties: {
+                id: { type: "string", format: "uuid" },
+                email: { type: "string", format: "email" },
+              },
+            },
+            requestId: { type: "string" },
+            changes: { type: "object", description: "Changed fields as { field: { from, to } }" },
+            before: { type: "object", nullable: true },
+            after: { type: "object", nullable: true },
+            createdAt: { type: "string", format: "date-time" },
+          },
+        },
+        InventoryLevels: {
+          type: "object",
+          properties: {
+            bookId: { type: "string", format: "uuid" },
+            stockQuantity: { type: "integer", description: "Units on hand" },
+            reservedQuantity: { type: "integer", description: "Units held by active reservations" },
+            availableQuantity: { type: "integer", description: "Units that can still be reserved" },
+          },
+        },
+        Inventory: {
+          allOf: [
+            { $ref: "#/components/schemas/InventoryLevels" },
+            {
+              type: "object",
+              properties: {
+                reorderThreshold: { type: "integer", nullable: true },
+                stockStatus: { $ref: "#/components/schemas/StockStatus" },
+                activeReservations: {
+                  type: "array",
+                  items: {
+                    type: "object",
+                    properties: {
+                      id: { type: "string", format: "uuid" },
+                      referenceId: { type: "string", description: "Cart or order id" },
+                      quantity: { type: "integer" },
+                      status: { type: "string", enum: ["ACTIVE"] },
+                      expiresAt: { type: "string", format: "date-time" },
+                      createdAt: { type: "string", format: "date-time" },
+                    },
+                  },
+                },
+              },
+            },
+          ],
+        },
+        StockStatus: {
+          type: "string",
+          enum: ["in_stock", "low_stock", "out_of_stock"],
+          description:
+            "out_of_stock with no units on hand, low_stock at or below reorderThreshold, otherwise in_stock",
+        },
+        LowStockBook: {
+          type: "object",
+          properties: {
+            id: { type: "string", format: "uuid" },
+            title: { type: "string" },
+            isbn13: { type: "string", nullable: true },
+            format: {
+              type: "string",
+              enum: ["HARDCOVER", "PAPERBACK", "EBOOK", "AUDIOBOOK"],
+            },
+            isActive: { type: "boolean" },
+            stockQuantity: { type: "integer" },
+            reservedQuantity: { type: "integer" },
+            availableQuantity: { type: "integer" },
+            reorderThreshold: { type: "integer", nullable: true },
+            stockStatus: { $ref: "#/components/schemas/StockStatus" },
+          },
+        },
+        InventoryAdjustment: {
+          type: "object",
+          required: ["quantity", "reason"],
+          properties: {
+            quantity: {
+              type: "integer",
+              description: "Units to add (positive) or remove (negative); not 0",
+            },
+            reason: {
+              type: "string",
+              enum: ["RESTOCK", "RETURN", "DAMAGED", "LOST", "CORRECTION"],
+            },
+            note: { type: "string", maxLength: 1000 },
+          },
+        },
+        InventoryMovement: {
+          type: "object",
+          properties: {
+            id: { type: "string", format: "uuid" },
+            type: {
+              type: "string",
+              enum: ["ADJUST", "RESERVE", "RELEASE", "EXPIRE", "COMMIT"],
+            },
+            reason: {
+              type: "string",
+              enum: ["INITIAL", "RESTOCK", "RETURN", "DAMAGED", "LOST", "CORRECTION"],
+              nullable: true,
+            },
+            quantityChange: { type: "integer", description: "Change to units on hand" },
+            reservedChange: { type: "integer", description: "Change to reserved units" },
+            stockAfter: { type: "integer" },
+            reservedAfter: { type: "integer" },
+            reservationId: { type: "string", format: "uuid", nullable: true },
+            referenceId: { type: "string", nullable: true },
+            note: { type: "string", nullable: true },
+            actor: {
+              type: "object",
+              nullable: true,
+              properties: {
+                id: { type: "string", format: "uuid" },
+                email: { type: "string", format: "email" },
+              },
+            },
+            requestId: { type: "string", nullable: true },
+            createdAt: { type: "string", format: "date-time" },
+          },
+        },
+        Work: {
+          type: "object",
+          properties: {
+            id: { type: "string", format: "uuid" },
+            title: { type: "string" },
+            formats: {
+              type: "array",
+              items: {
+                type: "string",
+                enum: ["HARDCOVER", "PAPERBACK", "EBOOK", "AUDIOBOOK"],
+              },
+            },
+            priceRange: {
+              type: "object",
+              nullable: true,
+              description: "Lowest and highest current price across the editions",
+              properties: {
+                min: { type: "number" },
+                max: { type: "number" },
+              },
+            },
+            editionCount: { type: "integer" },
+            editions: {
+              type: "array",
+              items: { $ref: "#/components/schemas/Book" },
+            },
+            createdAt: { type: "string", format: "date-time" },
+            updatedAt: { type: "string", format: "date-time" },
+          },
+        },
+        WorkUpdate: {
+          type: "object",
+          required: ["title"],
+          properties: {
+            title: { type: "string", maxLength: 500 },
+          },
+        },
+        Promotion: {
+          type: "object",
+          properties: {
+            id: { type: "string", format: "uuid" },
+            name: { type: "string", example: "Summer sci-fi sale" },
+            status: { type: "string", enum: ["upcoming", "active", "expired"] },
+            book: {
+              type: "object",
+              nullable: true,
+              properties: {
+                id: { type: "string", format: "uuid" },
+                title: { type: "string" },
+                price: { type: "number", format: "decimal" },
+              },
+            },
+            category: {
+              type: "object",
+              nullable: true,
+              properties: {
+                id: { type: "string", format: "uuid" },
+                name: { type: "string" },
+                slug: { type: "string" },
+              },
+            },
+            discountPrice: { type: "number", format: "decimal", nullable: true },
+            discountPercent: { type: "number", format: "decimal", nullable: true },
+            startsAt: { type: "string", format: "date-time" },
+            endsAt: { type: "string", format: "date-time" },
+            createdAt: { type: "string", format: "date-time" },
+            updatedAt: { type: "string", format: "date-time" },
+          },
+        },
+        PromotionCreate: {
+          type: "object",
+          required: ["name", "startsAt", "endsAt"],
+          description:
+            "Give exactly one of bookId or categoryId, and exactly one of discountPrice or discountPercent. Category promotions take a percentage.",
+          properties: {
+            name: { type: "string", maxLength: 255 },
+            bookId: { type: "string", format: "uuid", nullable: true },
+            categoryId: {
+              type: "string",
+              format: "uuid",
+              nullable: true,
+              description: "Applies to the category and all of its subcategories",
+            },
+            discountPrice: { type: "number", minimum: 0, nullable: true },
+            discountPercent: {
+              type: "number",
+              exclusiveMinimum: 0,
+              exclusiveMaximum: 100,
+              nullable: true,
+            },
+            startsAt: { type: "string", format: "date-time" },
+            endsAt: { type: "string", format: "date-time" },
+          },
+        },
         Pagination: {
           type: "object",
           properties: {
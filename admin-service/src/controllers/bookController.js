@@ -1,5 +1,6 @@
 import { ResponseHandler } from "@bookzilla/shared";
 import catalogService from "../services/catalogService.js";
+import bookImportService from "../services/bookImportService.js";
 
 /**
  * Book Controller
@@ -22,6 +23,55 @@ class BookController {
     );
   }
 
+  /**
+   * Import books from a CSV or JSON Lines file
+   * POST /api/catalog/books/import
+   */
+  async import(req, res) {
+    const authHeader = req.headers.authorization;
+    const { format, dryRun, createMissing } = req.body;
+
+    const report = await bookImportService.importFile(
+      req.file,
+      {
+        format,
+        dryRun: dryRun === "true",
+        createMissing: createMissing === "true",
+      },
+      req.requestId,
+      authHeader
+    );
+
+    return ResponseHandler.success(
+      res,
+      report,
+      report.dryRun ? "Import dry run completed" : "Import completed"
+    );
+  }
+
+  /**
+   * Stream a catalog export from catalog-service
+   * GET /api/catalog/books/export/:exportFormat
+   */
+  async export(req, res) {
+    const { exportFormat } = req.params;
+    const authHeader = req.headers.authorization;
+    const upstream = await catalogService.exportBooks(
+      exportFormat,
+      req.query,
+      req.requestId,
+      authHeader
+    );
+
+    res.setHeader("Content-Type", upstream.headers["content-type"]);
+    res.setHeader("Content-Disposition", upstream.headers["content-disposition"]);
+
+    // Abort the upstream download if the admin disconnects
+    res.on("close", () => upstream.data.destroy());
+    upstream.data.on("error", (error) => res.destroy(error));
+    upstream.data.pipe(res);
+  }
+
   /**
    * Get all books with pagination and filtering
    * GET /api/catalog/books
@@ -46,6 +96,10 @@ class BookController {
     const authHeader = req.headers.authorization;
     const result = await catalogService.getBookById(id, req.requestId, authHeader);
 
+    if (result.etag) {
+      res.set("ETag", result.etag);
+    }
+
     return ResponseHandler.success(
       res,
       result.data,
@@ -60,7 +114,43 @@ class BookController {
   async update(req, res) {
     const { id } = req.params;
     const authHeader = req.headers.authorization;
-    const result = await catalogService.updateBook(id, req.body, req.requestId, authHeader);
+    const result = await catalogService.updateBook(
+      id,
+      req.body,
+      req.requestId,
+      authHeader,
+      req.get("If-Match")
+    );
+
+    if (result.etag) {
+      res.set("ETag", result.etag);
+    }
+
+    return ResponseHandler.success(
+      res,
+      result.data,
+      result.message || "Book updated successfully"
+    );
+  }
+
+  /**
+   * Partially update a book with a JSON merge patch
+   * PATCH /api/catalog/books/:id
+   */
+  async patch(req, res) {
+    const { id } = req.params;
+    const authHeader = req.headers.authorization;
+    const result = await catalogService.patchBook(
+      id,
+      req.body,
+      req.requestId,
+      authHeader,
+      req.get("If-Match")
+    );
+
+    if (result.etag) {
+      res.set("ETag", result.etag);
+    }
 
     return ResponseHandler.success(
       res,
@@ -76,10 +166,146 @@ class BookController {
   async delete(req, res) {
     const { id } = req.params;
     const authHeader = req.headers.authorization;
-    await catalogService.deleteBook(id, req.requestId, authHeader);
+    await catalogService.deleteBook(id, req.requestId, authHeader, req.get("If-Match"));
 
     return ResponseHandler.success(res, null, "Book deleted successfully");
   }
+
+  /**
+   * Get books in the trash
+   * GET /api/catalog/books/trash
+   */
+  async trash(req, res) {
+    const authHeader = req.headers.authorization;
+    const result = await catalogService.getTrashedBooks(req.query, req.requestId, authHeader);
+
+    return ResponseHandler.success(
+      res,
+      result.data,
+      result.message || "Trashed books retrieved successfully"
+    );
+  }
+
+  /**
+   * Restore a book from the trash
+   * POST /api/catalog/books/:id/restore
+   */
+  async restore(req, res) {
+    const { id } = req.params;
+    const authHeader = req.headers.authorization;
+    const result = await catalogService.restoreBook(id, req.requestId, authHeader);
+
+    return ResponseHandler.success(
+      res,
+      result.data,
+      result.message || "Book restored successfully"
+    );
+  }
+
+  /**
+   * Get the revision history of a book
+   * GET /api/catalog/books/:id/history
+   */
+  async history(req, res) {
+    const { id } = req.params;
+    const authHeader = req.headers.authorization;
+    const result = await catalogService.getBookHistory(
+      id,
+      req.query,
+      req.requestId,
+      authHeader
+    );
+
+    return ResponseHandler.success(
+      res,
+      result.data,
+      result.message || "Book history retrieved successfully"
+    );
+  }
+
+  /**
+   * Revert a book to a previous revision
+   * POST /api/catalog/books/:id/history/:revisionId/revert
+   */
+  async revert(req, res) {
+    const { id, revisionId } = req.params;
+    const authHeader = req.headers.authorization;
+    const result = await catalogService.revertBook(id, revisionId, req.requestId, authHeader);
+
+    return ResponseHandler.success(
+      res,
+      result.data,
+      result.message || "Book reverted successfully"
+    );
+  }
+
+  /**
+   * Get books that are low on or out of stock
+   * GET /api/catalog/books/low-stock
+   */
+  async lowStock(req, res) {
+    const authHeader = req.headers.authorization;
+    const result = await catalogService.getLowStockBooks(req.query, req.requestId, authHeader);
+
+    return ResponseHandler.success(
+      res,
+      result.data,
+      result.message || "Low-stock books retrieved successfully"
+    );
+  }
+
+  /**
+   * Get a book's stock levels
+   * GET /api/catalog/books/:id/inventory
+   */
+  async inventory(req, res) {
+    const { id } = req.params;
+    const authHeader = req.headers.authorization;
+    const result = await catalogService.getInventory(id, req.requestId, authHeader);
+
+    return ResponseHandler.success(
+      res,
+      result.data,
+      result.message || "Inventory retrieved successfully"
+    );
+  }
+
+  /**
+   * Get a book's inventory ledger
+   * GET /api/catalog/books/:id/inventory/movements
+   */
+  async inventoryMovements(req, res) {
+    const { id } = req.params;
+    const authHeader = req.headers.authorization;
+    const result = await catalogService.getInventoryMovements(
+      id,
+      req.query,
+      req.requestId,
+      authHeader
+    );
+
+    return ResponseHandler.success(
+      res,
+      result.data,
+      result.message || "Inventory movements retrieved successfully"
+    );
+  }
+
+  /**
+   * Add or remove units on hand
+   * POST /api/catalog/books/:id/inventory/adjustments
+   */
+  async adjustInventory(req, res) {
+    const { id } = req.params;
+    const authHeader = req.headers.authorization;
+    const result = await catalogService.adjustInventory(id, req.body, req.requestId, authHeader);
+
+    return ResponseHandler.success(
+      res,
+      result.data,
+      result.message || "Stock adjusted successfully"
+    );
+  }
 }
 
 export default new BookController();
@@ -0,0 +1,85 @@
+import { ResponseHandler } from "@bookzilla/shared";
+import catalogService from "../services/catalogService.js";
+
+/**
+ * Promotion Controller
+ * Handles admin promotion scheduling by proxying to catalog-service
+ */
+class PromotionController {
+  /**
+   * Schedule a promotion
+   * POST /api/catalog/promotions
+   */
+  async create(req, res) {
+    const authHeader = req.headers.authorization;
+    const result = await catalogService.createPromotion(req.body, req.requestId, authHeader);
+
+    return ResponseHandler.success(
+      res,
+      result.data,
+      result.message || "Promotion created successfully",
+      201
+    );
+  }
+
+  /**
+   * Get promotions
+   * GET /api/catalog/promotions
+   */
+  async list(req, res) {
+    const authHeader = req.headers.authorization;
+    const result = await catalogService.getPromotions(req.query, req.requestId, authHeader);
+
+    return ResponseHandler.success(
+      res,
+      result.data,
+      result.message || "Promotions retrieved successfully"
+    );
+  }
+
+  /**
+   * Get a single promotion by ID
+   * GET /api/catalog/promotions/:id
+   */
+  async getById(req, res) {
+    const { id } = req.params;
+    const authHeader = req.headers.authorization;
+    const result = await catalogService.getPromotionById(id, req.requestId, authHeader);
+
+    return ResponseHandler.success(
+      res,
+      result.data,
+      result.message || "Promotion retrieved successfully"
+    );
+  }
+
+  /**
+   * Update a promotion
+   * PUT /api/catalog/promotions/:id
+   */
+  async update(req, res) {
+    const { id } = req.params;
+    const authHeader = req.headers.authorization;
+    const result = await catalogService.updatePromotion(id, req.body, req.requestId, authHeader);
+
+    return ResponseHandler.success(
+      res,
+      result.data,
+      result.message || "Promotion updated successfully"
+    );
+  }
+
+  /**
+   * Delete a promotion
+   * DELETE /api/catalog/promotions/:id
+   */
+  async delete(req, res) {
+    const { id } = req.params;
+    const authHeader = req.headers.authorization;
+    await catalogService.deletePromotion(id, req.requestId, authHeader);
+
+    return ResponseHandler.success(res, null, "Promotion deleted successfully");
+  }
+}
+
+export default new PromotionController();
@@ -0,0 +1,42 @@
+import { ResponseHandler } from "@bookzilla/shared";
+import catalogService from "../services/catalogService.js";
+
+/**
+ * Work Controller
+ * Handles admin work management by proxying to catalog-service
+ */
+class WorkController {
+  /**
+   * Get a work with its editions
+   * GET /api/catalog/works/:id
+   */
+  async getById(req, res) {
+    const { id } = req.params;
+    const authHeader = req.headers.authorization;
+    const result = await catalogService.getWorkById(id, req.requestId, authHeader);
+
+    return ResponseHandler.success(
+      res,
+      result.data,
+      result.message || "Work retrieved successfully"
+    );
+  }
+
+  /**
+   * Update a work
+   * PUT /api/catalog/works/:id
+   */
+  async update(req, res) {
+    const { id } = req.params;
+    const authHeader = req.headers.authorization;
+    const result = await catalogService.updateWork(id, req.body, req.requestId, authHeader);
+
+    return ResponseHandler.success(
+      res,
+      result.data,
+      result.message || "Work updated successfully"
+    );
+  }
+}
+
+export default new WorkController();
@@ -14,6 +14,8 @@ import {
 
 // Import routes
 import bookRoutes from "./routes/bookRoutes.js";
+import promotionRoutes from "./routes/promotionRoutes.js";
+import workRoutes from "./routes/workRoutes.js";
 import authRoutes from "./routes/authRoutes.js";
 import mediaRoutes from "./routes/mediaRoutes.js";
 
@@ -30,7 +32,8 @@ const SERVICE_NAME = process.env.SERVICE_NAME || "admin-service";
 const logger = createLogger({ service: SERVICE_NAME });
 
 // Middleware
-app.use(cors());
+// The admin UI reads ETag to send If-Match on book edits
+app.use(cors({ exposedHeaders: ["ETag"] }));
 app.use(
   helmet({
     contentSecurityPolicy: false,
@@ -45,7 +48,9 @@ app.use(
     },
   })
 );
-app.use(express.json({ limit: "10mb" }));
+app.use(
+  express.json({ limit: "10mb", type: ["application/json", "application/merge-patch+json"] })
+);
 app.use(express.urlencoded({ extended: true }));
 
 // Health check (no auth required)
@@ -76,6 +81,8 @@ app.get("/api-docs.json", (req, res) => {
 
 // API Routes
 app.use("/catalog/books", bookRoutes);
+app.use("/catalog/promotions", promotionRoutes);
+app.use("/catalog/works", workRoutes);
 app.use("/auth", authRoutes);
 app.use("/media", mediaRoutes);
 
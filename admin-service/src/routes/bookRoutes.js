@@ -1,9 +1,18 @@
 import { Router } from "express";
+import multer from "multer";
 import { asyncHandler } from "@bookzilla/shared";
 import bookController from "../controllers/bookController.js";
 
 const router = Router();
 
+// Configure multer for catalog import files
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 20 * 1024 * 1024, // 20MB limit
+  },
+});
+
 /**
  * @swagger
  * /api/catalog/books:
@@ -46,6 +55,12 @@ const router = Router();
  *           type: boolean
  *         description: Filter by active status
  *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [DRAFT, SCHEDULED, PUBLISHED, ARCHIVED]
+ *         description: Filter by lifecycle status
+ *       - in: query
  *         name: isFeatured
  *         schema:
  *           type: boolean
@@ -92,7 +107,7 @@ router.get("/", asyncHandler(bookController.list.bind(bookController)));
  * /api/catalog/books:
  *   post:
  *     summary: Create a new book (Admin)
- *     description: Add a new book to the catalog. Requires admin authentication.
+ *     description: Add a new book to the catalog. Books start as drafts unless status (or isActive set to true) says otherwise, and can only be scheduled or published once they have a cover image, a price, an author and a category. Requires admin authentication.
  *     tags: [Catalog Management]
  *     security:
  *       - bearerAuth: []
@@ -156,12 +171,317 @@ router.get("/", asyncHandler(bookController.list.bind(bookController)));
  */
 router.post("/", asyncHandler(bookController.create.bind(bookController)));
 
+/**
+ * @swagger
+ * /api/catalog/books/import:
+ *   post:
+ *     summary: Import books from a file (Admin)
+ *     description: |
+ *       Create or update books from a CSV or JSON Lines file. Every row is checked against the same rules as creating a single book and processed independently, so bad rows are reported without stopping the import. Rows whose ISBN or ISBN-13 matches an existing book update it.
+ *
+ *       CSV files need a header row using the book field names. Authors and categories are given by name in `authors` and `categories` columns, with multiple names separated by "|". JSON Lines files hold one book object per line with `authors` and `categories` as arrays of names.
+ *
+ *       Requires admin authentication.
+ *     tags: [Catalog Management]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: CSV or JSON Lines file (max 20MB)
+ *               format:
+ *                 type: string
+ *                 enum: [csv, jsonl]
+ *                 description: File format; inferred from the file extension when omitted
+ *               dryRun:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Validate and resolve every row without writing anything
+ *               createMissing:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Create authors and categories that don't exist yet instead of failing the row
+ *     responses:
+ *       200:
+ *         description: File processed; see the per-row report for outcomes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Import completed"
+ *                 data:
+ *                   $ref: '#/components/schemas/ImportReport'
+ *       400:
+ *         description: No file, unknown format or empty file
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized - No token provided
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - Not an admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       413:
+ *         description: File too large (max 20MB)
+ */
+router.post(
+  "/import",
+  upload.single("file"),
+  asyncHandler(bookController.import.bind(bookController))
+);
+
+/**
+ * @swagger
+ * /api/catalog/books/export/{exportFormat}:
+ *   get:
+ *     summary: Export the catalog (Admin)
+ *     description: Download every book matching the filters, with authors and categories. csv and jsonl use the same columns as the import, so exports can be re-imported; onix produces an ONIX for Books 3.0 message. Accepts the same filters as listing books. Requires admin authentication.
+ *     tags: [Catalog Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: exportFormat
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [csv, jsonl, onix]
+ *         description: File format
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search term for book title
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [HARDCOVER, PAPERBACK, EBOOK, AUDIOBOOK]
+ *         description: Filter by book format
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *         description: Filter by active status
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [DRAFT, SCHEDULED, PUBLISHED, ARCHIVED]
+ *         description: Filter by lifecycle status
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Category UUID or slug (includes subcategories)
+ *     responses:
+ *       200:
+ *         description: Catalog file
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *           application/xml:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized - No token provided
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - Not an admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get(
+  "/export/:exportFormat",
+  asyncHandler(bookController.export.bind(bookController))
+);
+
+/**
+ * @swagger
+ * /api/catalog/books/trash:
+ *   get:
+ *     summary: Get trashed books (Admin)
+ *     description: Retrieve a paginated list of deleted books, most recently deleted first. Requires admin authentication.
+ *     tags: [Catalog Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Number of items per page
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search term for book title
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved trashed books
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     books:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Book'
+ *                     pagination:
+ *                       $ref: '#/components/schemas/Pagination'
+ *       401:
+ *         description: Unauthorized - No token provided
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - Not an admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get("/trash", asyncHandler(bookController.trash.bind(bookController)));
+
+/**
+ * @swagger
+ * /api/catalog/books/low-stock:
+ *   get:
+ *     summary: Get books low on or out of stock (Admin)
+ *     description: Books whose units on hand are at or below their reorderThreshold, and books with none on hand, emptiest first. Requires admin authentication.
+ *     tags: [Catalog Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [low_stock, out_of_stock]
+ *         description: Only one of the two; both when omitted
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Number of items per page
+ *     responses:
+ *       200:
+ *         description: Low-stock books retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Low-stock books retrieved successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     books:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/LowStockBook'
+ *                     pagination:
+ *                       $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized - No token provided
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - Not an admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get("/low-stock", asyncHandler(bookController.lowStock.bind(bookController)));
+
 /**
  * @swagger
  * /api/catalog/books/{id}:
  *   get:
  *     summary: Get a book by ID (Admin)
- *     description: Retrieve a single book by its unique identifier. Requires admin authentication.
+ *     description: Retrieve a single book by its unique identifier. The ETag header identifies the version being edited; send it back in If-Match on update or delete. Requires admin authentication.
  *     tags: [Catalog Management]
  *     security:
  *       - bearerAuth: []
@@ -176,6 +496,9 @@ router.post("/", asyncHandler(bookController.create.bind(bookController)));
  *     responses:
  *       200:
  *         description: Successfully retrieved book
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
  *         content:
  *           application/json:
  *             schema:
@@ -214,7 +537,7 @@ router.get("/:id", asyncHandler(bookController.getById.bind(bookController)));
  * /api/catalog/books/{id}:
  *   put:
  *     summary: Update a book (Admin)
- *     description: Update an existing book's information. Requires admin authentication.
+ *     description: Update an existing book's information. Send If-Match with the ETag from the last read so a concurrent edit by another admin is not silently overwritten. Requires admin authentication.
  *     tags: [Catalog Management]
  *     security:
  *       - bearerAuth: []
@@ -226,6 +549,7 @@ router.get("/:id", asyncHandler(bookController.getById.bind(bookController)));
  *           type: string
  *           format: uuid
  *         description: Book UUID
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
@@ -235,6 +559,9 @@ router.get("/:id", asyncHandler(bookController.getById.bind(bookController)));
  *     responses:
  *       200:
  *         description: Book updated successfully
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
  *         content:
  *           application/json:
  *             schema:
@@ -272,15 +599,21 @@ router.get("/:id", asyncHandler(bookController.getById.bind(bookController)));
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       412:
+ *         description: Book was modified since the If-Match ETag was retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  */
 router.put("/:id", asyncHandler(bookController.update.bind(bookController)));
 
 /**
  * @swagger
  * /api/catalog/books/{id}:
- *   delete:
- *     summary: Delete a book (Admin)
- *     description: Remove a book from the catalog. Requires admin authentication.
+ *   patch:
+ *     summary: Partially update a book (Admin)
+ *     description: Apply a JSON merge patch (RFC 7396). Only the fields present are changed, null clears an optional field and additionalInfo is merged key by key. Send If-Match with the ETag from the last read. Requires admin authentication.
  *     tags: [Catalog Management]
  *     security:
  *       - bearerAuth: []
@@ -292,9 +625,23 @@ router.put("/:id", asyncHandler(bookController.update.bind(bookController)));
  *           type: string
  *           format: uuid
  *         description: Book UUID
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/merge-patch+json:
+ *           schema:
+ *             type: object
+ *           example:
+ *             subtitle: null
+ *             additionalInfo:
+ *               series: "Discworld"
  *     responses:
  *       200:
- *         description: Book deleted successfully
+ *         description: Book updated successfully
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
  *         content:
  *           application/json:
  *             schema:
@@ -305,9 +652,15 @@ router.put("/:id", asyncHandler(bookController.update.bind(bookController)));
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: "Book deleted successfully"
+ *                   example: "Book updated successfully"
  *                 data:
- *                   type: null
+ *                   $ref: '#/components/schemas/Book'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       401:
  *         description: Unauthorized - No token provided
  *         content:
@@ -326,7 +679,477 @@ router.put("/:id", asyncHandler(bookController.update.bind(bookController)));
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
- */
+ *       412:
+ *         description: Book was modified since the If-Match ETag was retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.patch("/:id", asyncHandler(bookController.patch.bind(bookController)));
+
+/**
+ * @swagger
+ * /api/catalog/books/{id}:
+ *   delete:
+ *     summary: Delete a book (Admin)
+ *     description: Move a book to the trash. It disappears from the catalog but can be restored. Requires admin authentication.
+ *     tags: [Catalog Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Book UUID
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     responses:
+ *       200:
+ *         description: Book deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Book deleted successfully"
+ *                 data:
+ *                   type: null
+ *       401:
+ *         description: Unauthorized - No token provided
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - Not an admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Book not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       412:
+ *         description: Book was modified since the If-Match ETag was retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
 router.delete("/:id", asyncHandler(bookController.delete.bind(bookController)));
 
+/**
+ * @swagger
+ * /api/catalog/books/{id}/restore:
+ *   post:
+ *     summary: Restore a book (Admin)
+ *     description: Bring a book back from the trash into the catalog. Requires admin authentication.
+ *     tags: [Catalog Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Book UUID
+ *     responses:
+ *       200:
+ *         description: Book restored successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Book restored successfully"
+ *                 data:
+ *                   $ref: '#/components/schemas/Book'
+ *       401:
+ *         description: Unauthorized - No token provided
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - Not an admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Book not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Book is not in the trash
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post("/:id/restore", asyncHandler(bookController.restore.bind(bookController)));
+
+/**
+ * @swagger
+ * /api/catalog/books/{id}/history:
+ *   get:
+ *     summary: Get book history (Admin)
+ *     description: List the recorded revisions of a book, newest first, with who made each change and a per-field diff. Requires admin authentication.
+ *     tags: [Catalog Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Book UUID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved book history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Book history retrieved successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     revisions:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/BookRevision'
+ *                     pagination:
+ *                       $ref: '#/components/schemas/Pagination'
+ *       401:
+ *         description: Unauthorized - No token provided
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - Not an admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get("/:id/history", asyncHandler(bookController.history.bind(bookController)));
+
+/**
+ * @swagger
+ * /api/catalog/books/{id}/history/{revisionId}/revert:
+ *   post:
+ *     summary: Revert a book to a revision (Admin)
+ *     description: Set the book back to the state recorded after the given revision. The revert is recorded as a new revision. Requires admin authentication.
+ *     tags: [Catalog Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Book UUID
+ *       - in: path
+ *         name: revisionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Revision to revert to
+ *     responses:
+ *       200:
+ *         description: Book reverted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Book reverted successfully"
+ *                 data:
+ *                   $ref: '#/components/schemas/Book'
+ *       400:
+ *         description: The revision can't be reverted to
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized - No token provided
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - Not an admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Book or revision not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post(
+  "/:id/history/:revisionId/revert",
+  asyncHandler(bookController.revert.bind(bookController))
+);
+
+/**
+ * @swagger
+ * /api/catalog/books/{id}/inventory:
+ *   get:
+ *     summary: Get a book's stock levels (Admin)
+ *     description: Units on hand, reserved for carts and orders, and available to sell, plus the reservations currently holding units. Requires admin authentication.
+ *     tags: [Catalog Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Book UUID
+ *     responses:
+ *       200:
+ *         description: Inventory retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Inventory retrieved successfully"
+ *                 data:
+ *                   $ref: '#/components/schemas/Inventory'
+ *       401:
+ *         description: Unauthorized - No token provided
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - Not an admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Book not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get("/:id/inventory", asyncHandler(bookController.inventory.bind(bookController)));
+
+/**
+ * @swagger
+ * /api/catalog/books/{id}/inventory/movements:
+ *   get:
+ *     summary: Get a book's inventory ledger (Admin)
+ *     description: Every change to the book's units on hand or reserved, newest first. Requires admin authentication.
+ *     tags: [Catalog Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Book UUID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Number of items per page
+ *     responses:
+ *       200:
+ *         description: Inventory movements retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Inventory movements retrieved successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     movements:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/InventoryMovement'
+ *                     pagination:
+ *                       $ref: '#/components/schemas/Pagination'
+ *       401:
+ *         description: Unauthorized - No token provided
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - Not an admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Book not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get(
+  "/:id/inventory/movements",
+  asyncHandler(bookController.inventoryMovements.bind(bookController))
+);
+
+/**
+ * @swagger
+ * /api/catalog/books/{id}/inventory/adjustments:
+ *   post:
+ *     summary: Adjust a book's units on hand (Admin)
+ *     description: Add units (deliveries, returns) or remove them (damage, loss, stocktake corrections) with a reason code. Removing more units than are free of reservations is refused. Requires admin authentication.
+ *     tags: [Catalog Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Book UUID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/InventoryAdjustment'
+ *     responses:
+ *       200:
+ *         description: Stock adjusted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Stock adjusted successfully"
+ *                 data:
+ *                   $ref: '#/components/schemas/InventoryLevels'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized - No token provided
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - Not an admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Book not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Would leave fewer units on hand than are reserved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post(
+  "/:id/inventory/adjustments",
+  asyncHandler(bookController.adjustInventory.bind(bookController))
+);
+
 export default router;
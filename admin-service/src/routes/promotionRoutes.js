@@ -0,0 +1,326 @@
+import { Router } from "express";
+import { asyncHandler } from "@bookzilla/shared";
+import promotionController from "../controllers/promotionController.js";
+
+const router = Router();
+
+/**
+ * @swagger
+ * /api/catalog/promotions:
+ *   get:
+ *     summary: Get promotions (Admin)
+ *     description: Retrieve a paginated list of scheduled sales, optionally only upcoming, active or expired ones. Requires admin authentication.
+ *     tags: [Catalog Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [upcoming, active, expired]
+ *         description: Filter by where the promotion's window is relative to now
+ *       - in: query
+ *         name: bookId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Only promotions on this book
+ *       - in: query
+ *         name: categoryId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Only promotions on this category
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Number of items per page
+ *     responses:
+ *       200:
+ *         description: Promotions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Promotions retrieved successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     promotions:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Promotion'
+ *                     pagination:
+ *                       $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized - No token provided
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - Not an admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get("/", asyncHandler(promotionController.list.bind(promotionController)));
+
+/**
+ * @swagger
+ * /api/catalog/promotions:
+ *   post:
+ *     summary: Schedule a promotion (Admin)
+ *     description: Schedule a sale on one book (sale price or percentage off) or on a category and its subcategories (percentage off). While it runs, customers pay the lowest of the list price, the book's discountPrice and any active promotion; promotions don't stack. Requires admin authentication.
+ *     tags: [Catalog Management]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PromotionCreate'
+ *     responses:
+ *       201:
+ *         description: Promotion created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Promotion created successfully"
+ *                 data:
+ *                   $ref: '#/components/schemas/Promotion'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized - No token provided
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - Not an admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Book or category not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post("/", asyncHandler(promotionController.create.bind(promotionController)));
+
+/**
+ * @swagger
+ * /api/catalog/promotions/{id}:
+ *   get:
+ *     summary: Get a promotion (Admin)
+ *     description: Retrieve a single promotion. Requires admin authentication.
+ *     tags: [Catalog Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Promotion UUID
+ *     responses:
+ *       200:
+ *         description: Promotion retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Promotion retrieved successfully"
+ *                 data:
+ *                   $ref: '#/components/schemas/Promotion'
+ *       401:
+ *         description: Unauthorized - No token provided
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - Not an admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Promotion not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get("/:id", asyncHandler(promotionController.getById.bind(promotionController)));
+
+/**
+ * @swagger
+ * /api/catalog/promotions/{id}:
+ *   put:
+ *     summary: Update a promotion (Admin)
+ *     description: Change a promotion's name, window, target or discount. A new target or discount replaces the old one. Requires admin authentication.
+ *     tags: [Catalog Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Promotion UUID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PromotionCreate'
+ *     responses:
+ *       200:
+ *         description: Promotion updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Promotion updated successfully"
+ *                 data:
+ *                   $ref: '#/components/schemas/Promotion'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized - No token provided
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - Not an admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Promotion, book or category not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.put("/:id", asyncHandler(promotionController.update.bind(promotionController)));
+
+/**
+ * @swagger
+ * /api/catalog/promotions/{id}:
+ *   delete:
+ *     summary: Delete a promotion (Admin)
+ *     description: Remove a promotion entirely. To end a running sale early and keep it on record, set endsAt instead. Requires admin authentication.
+ *     tags: [Catalog Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Promotion UUID
+ *     responses:
+ *       200:
+ *         description: Promotion deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Promotion deleted successfully"
+ *                 data:
+ *                   type: null
+ *       401:
+ *         description: Unauthorized - No token provided
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - Not an admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Promotion not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.delete("/:id", asyncHandler(promotionController.delete.bind(promotionController)));
+
+export default router;
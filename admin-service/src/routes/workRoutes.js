@@ -0,0 +1,121 @@
+import { Router } from "express";
+import { asyncHandler } from "@bookzilla/shared";
+import workController from "../controllers/workController.js";
+
+const router = Router();
+
+/**
+ * @swagger
+ * /api/catalog/works/{id}:
+ *   get:
+ *     summary: Get a work with its editions (Admin)
+ *     description: Retrieve a work with every edition and format of it, the formats on offer and their price range. Requires admin authentication.
+ *     tags: [Catalog Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Work UUID
+ *     responses:
+ *       200:
+ *         description: Work retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Work retrieved successfully"
+ *                 data:
+ *                   $ref: '#/components/schemas/Work'
+ *       401:
+ *         description: Unauthorized - No token provided
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Work not found, or all of its editions are in the trash
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get("/:id", asyncHandler(workController.getById.bind(workController)));
+
+/**
+ * @swagger
+ * /api/catalog/works/{id}:
+ *   put:
+ *     summary: Update a work (Admin)
+ *     description: Rename a work. Editions are grouped by setting workId on the books. Requires admin authentication.
+ *     tags: [Catalog Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Work UUID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WorkUpdate'
+ *     responses:
+ *       200:
+ *         description: Work updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Work updated successfully"
+ *                 data:
+ *                   $ref: '#/components/schemas/Work'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized - No token provided
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - Not an admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Work not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.put("/:id", asyncHandler(workController.update.bind(workController)));
+
+export default router;
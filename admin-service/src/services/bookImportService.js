@@ -0,0 +1,107 @@
+import { ValidationError } from "@bookzilla/shared";
+import catalogService from "./catalogService.js";
+import {
+  parseCsv,
+  parseJsonLines,
+  detectFormat,
+  IMPORT_FORMATS,
+} from "../utils/importParser.js";
+
+// Rows sent to catalog-service per request (its limit is 500)
+const BATCH_SIZE = 200;
+
+/**
+ * Book Import Service
+ * Parses an uploaded catalog file and feeds it to catalog-service in
+ * batches, merging the batch reports into one report for the whole file.
+ */
+class BookImportService {
+  /**
+   * Import books from an uploaded CSV or JSON Lines file
+   * @param {Object} file - Multer file object
+   * @param {Object} options - Import options
+   * @param {string} [options.format] - "csv" or "jsonl"; inferred from the file name when omitted
+   * @param {boolean} options.dryRun - Validate and resolve without writing anything
+   * @param {boolean} options.createMissing - Create authors/categories that don't exist yet
+   * @param {string} requestId - Request ID for tracing
+   * @param {string} authHeader - Authorization header to forward
+   * @returns {Promise<Object>} Summary and per-row report
+   */
+  async importFile(file, options, requestId, authHeader) {
+    const { dryRun = false, createMissing = false } = options;
+
+    if (!file) {
+      throw new ValidationError("No file provided");
+    }
+
+    const format = detectFormat(file, options.format);
+    if (!format) {
+      throw new ValidationError("Validation failed", [
+        {
+          field: "format",
+          message: `format must be one of: ${IMPORT_FORMATS.join(", ")}`,
+          value: options.format,
+        },
+      ]);
+    }
+
+    const text = file.buffer.toString("utf8");
+    const entries = format === "csv" ? parseCsv(text) : parseJsonLines(text);
+
+    if (entries.length === 0) {
+      throw new ValidationError("The file contains no rows");
+    }
+
+    const results = entries
+      .filter((entry) => entry.error)
+      .map(({ row, line, error }) => ({
+        row,
+        line,
+        status: "failed",
+        errors: [{ field: null, message: error }],
+      }));
+
+    const parsed = entries.filter((entry) => !entry.error);
+
+    for (let start = 0; start < parsed.length; start += BATCH_SIZE) {
+      const batch = parsed.slice(start, start + BATCH_SIZE);
+      const response = await catalogService.importBooks(
+        { rows: batch.map((entry) => entry.data), dryRun, createMissing },
+        requestId,
+        authHeader
+      );
+
+      // Batch results come back in order; map them to file positions
+      response.data.rows.forEach((result, index) => {
+        const { row, line } = batch[index];
+        results.push({ ...result, row, line });
+      });
+    }
+
+    results.sort((a, b) => a.row - b.row);
+
+    return {
+      format,
+      dryRun,
+      summary: this.summarize(results),
+      rows: results,
+    };
+  }
+
+  /**
+   * Count row outcomes
+   * @param {Object[]} results - Row reports
+   * @returns {Object} Totals per status
+   */
+  summarize(results) {
+    return results.reduce(
+      (summary, result) => {
+        summary[result.status] += 1;
+        return summary;
+      },
+      { total: results.length, created: 0, updated: 0, failed: 0 }
+    );
+  }
+}
+
+export default new BookImportService();
@@ -1,6 +1,66 @@
-import { createHttpClient } from "@bookzilla/shared";
+import { createHttpClient, AppError } from "@bookzilla/shared";
 import servicesConfig from "../config/services.js";
 
+// Bulk import and export requests run far longer than regular calls
+const IMPORT_TIMEOUT = 120000;
+const EXPORT_TIMEOUT = 120000;
+
+/**
+ * Build the conditional request headers to forward to catalog-service
+ * @param {string} [ifMatch] - If-Match header from the admin request
+ * @returns {Object} Headers for the request config
+ */
+const preconditionHeaders = (ifMatch) => (ifMatch ? { "If-Match": ifMatch } : {});
+
+/**
+ * Lift catalog-service's error details to the top of the response body
+ * catalog-service nests them under `error` ({ success, error: { code,
+ * message, errors } }), while the shared HTTP client maps upstream errors
+ * from a top-level message, code and errors. Without this a 4xx such as a
+ * failed If-Match would reach the admin caller as a 500.
+ * @param {Error} error - Axios error
+ * @returns {Promise<never>} The same error, rejected
+ */
+const unwrapErrorBody = (error) => {
+  const details = error.response?.data?.error;
+  if (details?.message) {
+    error.response.data = details;
+  }
+  return Promise.reject(error);
+};
+
+/**
+ * Turn a failed streaming request back into an application error
+ * With responseType "stream" the upstream error body arrives unread, so
+ * its status, code and message are recovered here.
+ * @param {Error} error - Error thrown by the HTTP client
+ * @returns {Promise<Error>} Error to rethrow
+ */
+const readStreamedError = async (error) => {
+  const body = error.response?.data;
+  if (!body || typeof body.on !== "function") {
+    return error;
+  }
+
+  let text = "";
+  for await (const chunk of body) {
+    text += chunk;
+  }
+
+  try {
+    const { error: details } = JSON.parse(text);
+    const upstreamError = new AppError(
+      details.message,
+      error.response.status,
+      details.code || "UPSTREAM_ERROR"
+    );
+    upstreamError.errors = details.errors;
+    return upstreamError;
+  } catch {
+    return error;
+  }
+};
+
 /**
  * Catalog Service Client
  * HTTP client for communicating with the catalog-service
@@ -13,6 +73,17 @@ class CatalogService {
       timeout: 15000,
       retries: 2,
     });
+    this.client.client.interceptors.response.use(undefined, unwrapErrorBody);
+
+    // Imports aren't idempotent: a retry arriving while catalog-service is
+    // still working on the first attempt would create its books again
+    this.importClient = createHttpClient({
+      baseURL: servicesConfig.catalogService,
+      serviceName: "catalog-service",
+      timeout: IMPORT_TIMEOUT,
+      retries: 0,
+    });
+    this.importClient.client.interceptors.response.use(undefined, unwrapErrorBody);
   }
 
   /**
@@ -30,6 +101,45 @@ class CatalogService {
     return response.data;
   }
 
+  /**
+   * Import a batch of books
+   * Sent once: a failed or timed-out batch fails the import instead of being retried.
+   * @param {Object} payload - Batch payload ({ rows, dryRun, createMissing })
+   * @param {string} requestId - Request ID for tracing
+   * @param {string} authHeader - Authorization header to forward
+   * @returns {Promise<Object>} Import report for the batch
+   */
+  async importBooks(payload, requestId, authHeader) {
+    const response = await this.importClient
+      .withRequestId(requestId)
+      .withAuth(authHeader)
+      .post("/books/import", payload);
+    return response.data;
+  }
+
+  /**
+   * Export the catalog as a stream
+   * @param {string} exportFormat - csv, jsonl or onix
+   * @param {Object} params - Listing filters
+   * @param {string} requestId - Request ID for tracing
+   * @param {string} authHeader - Authorization header to forward
+   * @returns {Promise<Object>} Axios response whose data is a readable stream
+   */
+  async exportBooks(exportFormat, params = {}, requestId, authHeader) {
+    try {
+      return await this.client
+        .withRequestId(requestId)
+        .withAuth(authHeader)
+        .get(`/books/export/${encodeURIComponent(exportFormat)}`, {
+          params,
+          responseType: "stream",
+          timeout: EXPORT_TIMEOUT,
+        });
+    } catch (error) {
+      throw await readStreamedError(error);
+    }
+  }
+
   /**
    * Get all books with optional filters
    * @param {Object} params - Query parameters
@@ -50,14 +160,14 @@ class CatalogService {
    * @param {string} id - Book UUID
    * @param {string} requestId - Request ID for tracing
    * @param {string} authHeader - Authorization header to forward
-   * @returns {Promise<Object>} Book data
+   * @returns {Promise<Object>} Book data, plus the book's etag
    */
   async getBookById(id, requestId, authHeader) {
     const response = await this.client
       .withRequestId(requestId)
       .withAuth(authHeader)
       .get(`/books/${id}`);
-    return response.data;
+    return { ...response.data, etag: response.headers.etag };
   }
 
   /**
@@ -66,28 +176,280 @@ class CatalogService {
    * @param {Object} updateData - Fields to update
    * @param {string} requestId - Request ID for tracing
    * @param {string} authHeader - Authorization header to forward
+   * @param {string} [ifMatch] - If-Match header to forward
+   * @returns {Promise<Object>} Updated book, plus its new etag
+   */
+  async updateBook(id, updateData, requestId, authHeader, ifMatch) {
+    const response = await this.client
+      .withRequestId(requestId)
+      .withAuth(authHeader)
+      .put(`/books/${id}`, updateData, { headers: preconditionHeaders(ifMatch) });
+    return { ...response.data, etag: response.headers.etag };
+  }
+
+  /**
+   * Partially update a book with a JSON merge patch
+   * @param {string} id - Book UUID
+   * @param {Object} patch - Merge patch document
+   * @param {string} requestId - Request ID for tracing
+   * @param {string} authHeader - Authorization header to forward
+   * @param {string} [ifMatch] - If-Match header to forward
+   * @returns {Promise<Object>} Updated book, plus its new etag
+   */
+  async patchBook(id, patch, requestId, authHeader, ifMatch) {
+    const response = await this.client
+      .withRequestId(requestId)
+      .withAuth(authHeader)
+      .patch(`/books/${id}`, patch, {
+        headers: { "Content-Type": "application/merge-patch+json", ...preconditionHeaders(ifMatch) },
+      });
+    return { ...response.data, etag: response.headers.etag };
+  }
+
+  /**
+   * Delete a book
+   * @param {string} id - Book UUID
+   * @param {string} requestId - Request ID for tracing
+   * @param {string} authHeader - Authorization header to forward
+   * @param {string} [ifMatch] - If-Match header to forward
+   * @returns {Promise<void>}
+   */
+  async deleteBook(id, requestId, authHeader, ifMatch) {
+    const response = await this.client
+      .withRequestId(requestId)
+      .withAuth(authHeader)
+      .delete(`/books/${id}`, { headers: preconditionHeaders(ifMatch) });
+    return response.data;
+  }
+
+  /**
+   * Get books in the trash
+   * @param {Object} params - Query parameters
+   * @param {string} requestId - Request ID for tracing
+   * @param {string} authHeader - Authorization header to forward
+   * @returns {Promise<Object>} Trashed books with pagination
+   */
+  async getTrashedBooks(params = {}, requestId, authHeader) {
+    const response = await this.client
+      .withRequestId(requestId)
+      .withAuth(authHeader)
+      .get("/books/trash", { params });
+    return response.data;
+  }
+
+  /**
+   * Restore a book from the trash
+   * @param {string} id - Book UUID
+   * @param {string} requestId - Request ID for tracing
+   * @param {string} authHeader - Authorization header to forward
+   * @returns {Promise<Object>} Restored book
+   */
+  async restoreBook(id, requestId, authHeader) {
+    const response = await this.client
+      .withRequestId(requestId)
+      .withAuth(authHeader)
+      .post(`/books/${id}/restore`);
+    return response.data;
+  }
+
+  /**
+   * Get the revision history of a book
+   * @param {string} id - Book UUID
+   * @param {Object} params - Query parameters (page, limit)
+   * @param {string} requestId - Request ID for tracing
+   * @param {string} authHeader - Authorization header to forward
+   * @returns {Promise<Object>} Paginated revisions
+   */
+  async getBookHistory(id, params = {}, requestId, authHeader) {
+    const response = await this.client
+      .withRequestId(requestId)
+      .withAuth(authHeader)
+      .get(`/books/${id}/history`, { params });
+    return response.data;
+  }
+
+  /**
+   * Revert a book to a previous revision
+   * @param {string} id - Book UUID
+   * @param {string} revisionId - Revision to revert to
+   * @param {string} requestId - Request ID for tracing
+   * @param {string} authHeader - Authorization header to forward
    * @returns {Promise<Object>} Updated book
    */
-  async updateBook(id, updateData, requestId, authHeader) {
+  async revertBook(id, revisionId, requestId, authHeader) {
     const response = await this.client
       .withRequestId(requestId)
       .withAuth(authHeader)
-      .put(`/books/${id}`, updateData);
+      .post(`/books/${id}/history/${revisionId}/revert`);
     return response.data;
   }
 
   /**
-   * Delete a book
+   * Get books that are low on or out of stock
+   * @param {Object} params - Query parameters (status, page, limit)
+   * @param {string} requestId - Request ID for tracing
+   * @param {string} authHeader - Authorization header to forward
+   * @returns {Promise<Object>} Books with pagination
+   */
+  async getLowStockBooks(params = {}, requestId, authHeader) {
+    const response = await this.client
+      .withRequestId(requestId)
+      .withAuth(authHeader)
+      .get("/inventory/low-stock", { params });
+    return response.data;
+  }
+
+  /**
+   * Get a book's stock levels
+   * @param {string} id - Book UUID
+   * @param {string} requestId - Request ID for tracing
+   * @param {string} authHeader - Authorization header to forward
+   * @returns {Promise<Object>} Stock levels and active reservations
+   */
+  async getInventory(id, requestId, authHeader) {
+    const response = await this.client
+      .withRequestId(requestId)
+      .withAuth(authHeader)
+      .get(`/inventory/books/${id}`);
+    return response.data;
+  }
+
+  /**
+   * Get a book's inventory ledger
+   * @param {string} id - Book UUID
+   * @param {Object} params - Query parameters (page, limit)
+   * @param {string} requestId - Request ID for tracing
+   * @param {string} authHeader - Authorization header to forward
+   * @returns {Promise<Object>} Paginated movements
+   */
+  async getInventoryMovements(id, params = {}, requestId, authHeader) {
+    const response = await this.client
+      .withRequestId(requestId)
+      .withAuth(authHeader)
+      .get(`/inventory/books/${id}/movements`, { params });
+    return response.data;
+  }
+
+  /**
+   * Add or remove units on hand
    * @param {string} id - Book UUID
+   * @param {Object} adjustment - quantity, reason and optional note
+   * @param {string} requestId - Request ID for tracing
+   * @param {string} authHeader - Authorization header to forward
+   * @returns {Promise<Object>} Stock levels after the adjustment
+   */
+  async adjustInventory(id, adjustment, requestId, authHeader) {
+    const response = await this.client
+      .withRequestId(requestId)
+      .withAuth(authHeader)
+      .post(`/inventory/books/${id}/adjustments`, adjustment);
+    return response.data;
+  }
+
+  /**
+   * Get promotions with optional filters
+   * @param {Object} params - Query parameters (status, bookId, categoryId, page, limit)
+   * @param {string} requestId - Request ID for tracing
+   * @param {string} authHeader - Authorization header to forward
+   * @returns {Promise<Object>} Promotions with pagination
+   */
+  async getPromotions(params = {}, requestId, authHeader) {
+    const response = await this.client
+      .withRequestId(requestId)
+      .withAuth(authHeader)
+      .get("/promotions", { params });
+    return response.data;
+  }
+
+  /**
+   * Get a single promotion by ID
+   * @param {string} id - Promotion UUID
+   * @param {string} requestId - Request ID for tracing
+   * @param {string} authHeader - Authorization header to forward
+   * @returns {Promise<Object>} Promotion
+   */
+  async getPromotionById(id, requestId, authHeader) {
+    const response = await this.client
+      .withRequestId(requestId)
+      .withAuth(authHeader)
+      .get(`/promotions/${id}`);
+    return response.data;
+  }
+
+  /**
+   * Schedule a promotion
+   * @param {Object} promotionData - Promotion to create
+   * @param {string} requestId - Request ID for tracing
+   * @param {string} authHeader - Authorization header to forward
+   * @returns {Promise<Object>} Created promotion
+   */
+  async createPromotion(promotionData, requestId, authHeader) {
+    const response = await this.client
+      .withRequestId(requestId)
+      .withAuth(authHeader)
+      .post("/promotions", promotionData);
+    return response.data;
+  }
+
+  /**
+   * Update a promotion
+   * @param {string} id - Promotion UUID
+   * @param {Object} updateData - Fields to update
+   * @param {string} requestId - Request ID for tracing
+   * @param {string} authHeader - Authorization header to forward
+   * @returns {Promise<Object>} Updated promotion
+   */
+  async updatePromotion(id, updateData, requestId, authHeader) {
+    const response = await this.client
+      .withRequestId(requestId)
+      .withAuth(authHeader)
+      .put(`/promotions/${id}`, updateData);
+    return response.data;
+  }
+
+  /**
+   * Delete a promotion
+   * @param {string} id - Promotion UUID
    * @param {string} requestId - Request ID for tracing
    * @param {string} authHeader - Authorization header to forward
    * @returns {Promise<void>}
    */
-  async deleteBook(id, requestId, authHeader) {
+  async deletePromotion(id, requestId, authHeader) {
+    const response = await this.client
+      .withRequestId(requestId)
+      .withAuth(authHeader)
+      .delete(`/promotions/${id}`);
+    return response.data;
+  }
+
+  /**
+   * Get a work with its editions
+   * @param {string} id - Work UUID
+   * @param {string} requestId - Request ID for tracing
+   * @param {string} authHeader - Authorization header to forward
+   * @returns {Promise<Object>} Work with editions and price range
+   */
+  async getWorkById(id, requestId, authHeader) {
+    const response = await this.client
+      .withRequestId(requestId)
+      .withAuth(authHeader)
+      .get(`/works/${id}`);
+    return response.data;
+  }
+
+  /**
+   * Update a work
+   * @param {string} id - Work UUID
+   * @param {Object} updateData - Fields to update
+   * @param {string} requestId - Request ID for tracing
+   * @param {string} authHeader - Authorization header to forward
+   * @returns {Promise<Object>} Updated work
+   */
+  async updateWork(id, updateData, requestId, authHeader) {
     const response = await this.client
       .withRequestId(requestId)
       .withAuth(authHeader)
-      .delete(`/books/${id}`);
+      .put(`/works/${id}`, updateData);
     return response.data;
   }
 }
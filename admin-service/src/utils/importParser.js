@@ -0,0 +1,204 @@
+/**
+ * Import file parsing
+ * Turns an uploaded CSV or JSON Lines file into book rows for the
+ * catalog-service import endpoint.
+ *
+ * CSV files need a header row using the BookCreate field names. The
+ * `authors` and `categories` columns hold names separated by "|", and
+ * `additionalInfo` holds a JSON object.
+ */
+
+export const IMPORT_FORMATS = ["csv", "jsonl"];
+
+// Separator for multi-value CSV cells
+const LIST_SEPARATOR = "|";
+
+const NUMBER_FIELDS = ["price", "discountPrice"];
+const INTEGER_FIELDS = ["pageCount", "stockQuantity", "reorderThreshold"];
+const BOOLEAN_FIELDS = ["isFeatured", "isActive"];
+const LIST_FIELDS = ["authors", "categories", "authorIds", "categoryIds"];
+
+/**
+ * Split CSV text into records (RFC 4180: quoted fields may contain
+ * commas, doubled quotes and line breaks)
+ * @param {string} text - CSV content
+ * @returns {Array<{line: number, values: string[]}>} Records with their starting line
+ */
+const splitCsv = (text) => {
+  const records = [];
+  let values = [];
+  let field = "";
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === "\n") line += 1;
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      values.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i += 1;
+      values.push(field);
+      records.push({ line: recordLine, values });
+      values = [];
+      field = "";
+      line += 1;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || values.length > 0) {
+    values.push(field);
+    records.push({ line: recordLine, values });
+  }
+
+  // Skip blank lines
+  return records.filter(
+    (record) => record.values.length > 1 || record.values[0].trim() !== ""
+  );
+};
+
+/**
+ * Convert CSV cell strings to the JSON types the catalog expects
+ * Values that don't convert cleanly are passed through unchanged so the
+ * catalog validation reports them against the right field.
+ * @param {Object} record - Header-keyed cell values
+ * @returns {Object} Book row
+ */
+const coerceCsvRecord = (record) => {
+  const row = {};
+
+  for (const [key, raw] of Object.entries(record)) {
+    const value = raw.trim();
+    if (!key || value === "") continue;
+
+    if (NUMBER_FIELDS.includes(key) || INTEGER_FIELDS.includes(key)) {
+      const number = Number(value);
+      row[key] =
+        Number.isFinite(number) &&
+        (!INTEGER_FIELDS.includes(key) || Number.isInteger(number))
+          ? number
+          : value;
+    } else if (BOOLEAN_FIELDS.includes(key)) {
+      const lower = value.toLowerCase();
+      row[key] = ["true", "1", "yes"].includes(lower)
+        ? true
+        : ["false", "0", "no"].includes(lower)
+          ? false
+          : value;
+    } else if (LIST_FIELDS.includes(key)) {
+      row[key] = value
+        .split(LIST_SEPARATOR)
+        .map((item) => item.trim())
+        .filter(Boolean);
+    } else if (key === "additionalInfo") {
+      try {
+        row[key] = JSON.parse(value);
+      } catch {
+        row[key] = value;
+      }
+    } else {
+      row[key] = value;
+    }
+  }
+
+  return row;
+};
+
+/**
+ * Parse CSV content into book rows
+ * @param {string} text - CSV content with a header row
+ * @returns {Array<{row: number, line: number, data?: Object, error?: string}>} Parsed entries
+ */
+export const parseCsv = (text) => {
+  const [header, ...records] = splitCsv(text.replace(/^\uFEFF/, ""));
+  if (!header) {
+    return [];
+  }
+
+  const columns = header.values.map((column) => column.trim());
+
+  return records.map((record, index) => {
+    const entry = { row: index + 1, line: record.line };
+
+    if (record.values.length !== columns.length) {
+      return {
+        ...entry,
+        error: `Expected ${columns.length} columns, found ${record.values.length}`,
+      };
+    }
+
+    const cells = Object.fromEntries(
+      columns.map((column, i) => [column, record.values[i]])
+    );
+
+    return { ...entry, data: coerceCsvRecord(cells) };
+  });
+};
+
+/**
+ * Parse JSON Lines content into book rows (one JSON object per line)
+ * @param {string} text - JSON Lines content
+ * @returns {Array<{row: number, line: number, data?: Object, error?: string}>} Parsed entries
+ */
+export const parseJsonLines = (text) => {
+  const entries = [];
+
+  text
+    .replace(/^\uFEFF/, "")
+    .split(/\r?\n/)
+    .forEach((content, index) => {
+      if (content.trim() === "") return;
+
+      const entry = { row: entries.length + 1, line: index + 1 };
+
+      try {
+        const data = JSON.parse(content);
+        if (!data || typeof data !== "object" || Array.isArray(data)) {
+          entries.push({ ...entry, error: "Line must be a JSON object" });
+        } else {
+          entries.push({ ...entry, data });
+        }
+      } catch (error) {
+        entries.push({ ...entry, error: `Invalid JSON: ${error.message}` });
+      }
+    });
+
+  return entries;
+};
+
+/**
+ * Work out the file format from an explicit choice or the file name
+ * @param {Object} file - Multer file object
+ * @param {string} [format] - Requested format
+ * @returns {string|null} "csv", "jsonl" or null if unknown
+ */
+export const detectFormat = (file, format) => {
+  if (format) {
+    return IMPORT_FORMATS.includes(format) ? format : null;
+  }
+
+  const name = (file.originalname || "").toLowerCase();
+  if (name.endsWith(".csv") || file.mimetype === "text/csv") return "csv";
+  if (name.endsWith(".jsonl") || name.endsWith(".ndjson")) return "jsonl";
+
+  return null;
+};
+
+export default { parseCsv, parseJsonLines, detectFormat, IMPORT_FORMATS };
@@ -0,0 +1,8 @@
+/**
+ * Service URLs configuration
+ * URLs for inter-service communication
+ */
+export default {
+  notificationService:
+    process.env.NOTIFICATION_SERVICE_URL || "http://notification-service:3006",
+};
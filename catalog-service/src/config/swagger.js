@@ -30,6 +30,89 @@ const options = {
           description: "Enter your JWT token",
         },
       },
+      parameters: {
+        BookFields: {
+          in: "query",
+          name: "fields",
+          required: false,
+          schema: {
+            type: "string",
+            example: "title,slug,effectivePrice,coverImageUrl",
+          },
+          description:
+            "Comma-separated book fields to return; id and version are always included. With fields or include, relations are only returned when listed in include.",
+        },
+        BookInclude: {
+          in: "query",
+          name: "include",
+          required: false,
+          schema: {
+            type: "string",
+            example: "authors,categories",
+          },
+          description:
+            "Comma-separated relations to return (authors, categories). Without fields and include, books come with every field and both relations.",
+        },
+        IfNoneMatch: {
+          in: "header",
+          name: "If-None-Match",
+          required: false,
+          schema: {
+            type: "string",
+          },
+          description: "ETag from a previous read; answered with 304 if the response is unchanged",
+        },
+        IfModifiedSince: {
+          in: "header",
+          name: "If-Modified-Since",
+          required: false,
+          schema: {
+            type: "string",
+          },
+          description: "Last-Modified from a previous read; answered with 304 if nothing changed since",
+        },
+        IfMatch: {
+          in: "header",
+          name: "If-Match",
+          required: false,
+          schema: {
+            type: "string",
+          },
+          description: "ETag from a previous read; the request fails with 412 if the book has changed since",
+        },
+      },
+      headers: {
+        ETag: {
+          description:
+            "Current version of the book and digest of the response, for use in If-Match and If-None-Match",
+          schema: {
+            type: "string",
+            example: '"3-9f2c4e1ab07d5c38"',
+          },
+        },
+        ListingETag: {
+          description: "Digest of the page, for use in If-None-Match",
+          schema: {
+            type: "string",
+            example: 'W/"51c0a7e2d94f3b86"',
+          },
+        },
+        LastModified: {
+          description: "When the returned data last changed, for use in If-Modified-Since",
+          schema: {
+            type: "string",
+            example: "Sun, 18 Oct 2026 20:00:00 GMT",
+          },
+        },
+        CacheControl: {
+          description:
+            "public with a short max-age for anonymous requests; private, no-cache when an Authorization header is sent",
+          schema: {
+            type: "string",
+            example: "public, max-age=60",
+          },
+        },
+      },
       schemas: {
         Book: {
           type: "object",
@@ -39,21 +122,34 @@ const options = {
               format: "uuid",
               description: "Unique identifier",
             },
+            workId: {
+              type: "string",
+              format: "uuid",
+              description: "Work this book is an edition of",
+            },
             isbn: {
               type: "string",
-              description: "ISBN-10",
-              example: "0-7432-7356-7",
+              nullable: true,
+              description: "ISBN-10, digits only; none for 979-prefixed ISBN-13s",
+              example: "0743273567",
             },
             isbn13: {
               type: "string",
-              description: "ISBN-13",
-              example: "978-0-7432-7356-5",
+              nullable: true,
+              description: "ISBN-13, digits only",
+              example: "9780743273565",
             },
             title: {
               type: "string",
               description: "Book title",
               example: "The Great Gatsby",
             },
+            slug: {
+              type: "string",
+              description:
+                "URL slug built from the title and first author; changes with them, and old slugs redirect",
+              example: "the-great-gatsby-f-scott-fitzgerald",
+            },
             subtitle: {
               type: "string",
               description: "Book subtitle",
@@ -89,19 +185,56 @@ const options = {
             price: {
               type: "number",
               format: "decimal",
+              nullable: true,
               example: 19.99,
             },
             discountPrice: {
               type: "number",
               format: "decimal",
             },
+            effectivePrice: {
+              type: "number",
+              format: "decimal",
+              nullable: true,
+              description:
+                "Price the customer pays: the lowest of price, discountPrice and any active promotion",
+            },
+            promotion: {
+              type: "object",
+              nullable: true,
+              description: "Promotion that sets effectivePrice, if one does",
+              properties: {
+                id: {
+                  type: "string",
+                  format: "uuid",
+                },
+                name: {
+                  type: "string",
+                },
+                endsAt: {
+                  type: "string",
+                  format: "date-time",
+                },
+              },
+            },
             stockQuantity: {
               type: "integer",
               default: 0,
+              description: "Units on hand",
+            },
+            availableQuantity: {
+              type: "integer",
+              description: "Units on hand that aren't reserved for a cart or order",
+            },
+            reorderThreshold: {
+              type: "integer",
+              nullable: true,
+              description: "Low-stock alerts fire when units on hand fall to this level",
             },
             coverImageUrl: {
               type: "string",
               format: "uri",
+              nullable: true,
             },
             previewUrl: {
               type: "string",
@@ -118,9 +251,20 @@ const options = {
               type: "boolean",
               default: false,
             },
+            status: {
+              type: "string",
+              enum: ["DRAFT", "SCHEDULED", "PUBLISHED", "ARCHIVED"],
+              description: "Lifecycle status; only PUBLISHED books are in the public catalog",
+            },
+            publishAt: {
+              type: "string",
+              format: "date-time",
+              nullable: true,
+              description: "When a SCHEDULED book goes live, or when a PUBLISHED one went live",
+            },
             isActive: {
               type: "boolean",
-              default: true,
+              description: "Whether the book is in the public catalog; true exactly when status is PUBLISHED",
             },
             createdAt: {
               type: "string",
@@ -130,6 +274,22 @@ const options = {
               type: "string",
               format: "date-time",
             },
+            deletedAt: {
+              type: "string",
+              format: "date-time",
+              nullable: true,
+              description: "When the book was moved to the trash",
+            },
+            lastModifiedAt: {
+              type: "string",
+              format: "date-time",
+              description:
+                "When anything about the book last changed, including stock and price; sent as Last-Modified",
+            },
+            version: {
+              type: "integer",
+              description: "Incremented on every edit; the ETag is derived from it",
+            },
             authors: {
               type: "array",
               items: {
@@ -144,15 +304,56 @@ const options = {
             },
           },
         },
+        BookSearchResult: {
+          allOf: [
+            {
+              $ref: "#/components/schemas/Book",
+            },
+            {
+              type: "object",
+              properties: {
+                search: {
+                  type: "object",
+                  properties: {
+                    rank: {
+                      type: "number",
+                      description: "Relevance score, higher is better",
+                    },
+                    highlights: {
+                      type: "object",
+                      properties: {
+                        title: {
+                          type: "string",
+                          example: "The Great <mark>Gatsby</mark>",
+                        },
+                        description: {
+                          type: "string",
+                          description: "Snippet(s) of the description around the matched terms",
+                        },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          ],
+        },
         BookCreate: {
           type: "object",
-          required: ["title", "description", "format", "price", "coverImageUrl"],
+          description: "New books are drafts unless another status is given; drafts may leave out price and coverImageUrl",
+          required: ["title", "description", "format"],
           properties: {
             isbn: {
               type: "string",
+              description:
+                "ISBN-10 (an ISBN-13 is also accepted). Check digits are verified; hyphens and spaces are stripped. Derived from isbn13 when omitted",
+              example: "0-7432-7356-7",
             },
             isbn13: {
               type: "string",
+              description:
+                "ISBN-13. Check digits are verified; hyphens and spaces are stripped. Derived from isbn when omitted",
+              example: "978-0-7432-7356-5",
             },
             title: {
               type: "string",
@@ -199,6 +400,12 @@ const options = {
               minimum: 0,
               default: 0,
             },
+            reorderThreshold: {
+              type: "integer",
+              minimum: 0,
+              nullable: true,
+              description: "Units on hand at which to raise a low-stock alert; null for none",
+            },
             coverImageUrl: {
               type: "string",
               format: "uri",
@@ -210,8 +417,27 @@ const options = {
             isFeatured: {
               type: "boolean",
             },
+            status: {
+              type: "string",
+              enum: ["DRAFT", "SCHEDULED", "PUBLISHED", "ARCHIVED"],
+              description:
+                "SCHEDULED and PUBLISHED books need a cover image, a price, an author and a category",
+            },
+            publishAt: {
+              type: "string",
+              format: "date-time",
+              nullable: true,
+              description: "When to publish the book; required with, and only accepted with, status SCHEDULED",
+            },
             isActive: {
               type: "boolean",
+              description:
+                "Older alternative to status: true publishes the book, false takes it out of the public catalog; must agree with status when both are sent",
+            },
+            workId: {
+              type: "string",
+              format: "uuid",
+              description: "Work to add this edition to; a new work is created when omitted",
             },
             authorIds: {
               type: "array",
@@ -229,59 +455,1243 @@ const options = {
             },
           },
         },
-        AuthorSummary: {
+        BookUpdate: {
+          allOf: [
+            {
+              $ref: "#/components/schemas/BookCreate",
+            },
+            {
+              type: "object",
+              description: "All fields are optional",
+              properties: {
+                relationMode: {
+                  type: "string",
+                  enum: ["replace", "patch"],
+                  default: "replace",
+                  description: "replace: authorIds/categoryIds become the full lists. patch: they are added to the current lists",
+                },
+                removeAuthorIds: {
+                  type: "array",
+                  description: "Authors to unlink (patch mode only)",
+                  items: {
+                    type: "string",
+                    format: "uuid",
+                  },
+                },
+                removeCategoryIds: {
+                  type: "array",
+                  description: "Categories to unassign (patch mode only)",
+                  items: {
+                    type: "string",
+                    format: "uuid",
+                  },
+                },
+                primaryCategoryId: {
+                  type: "string",
+                  format: "uuid",
+                  description: "Category to mark as primary; defaults to the first category",
+                },
+              },
+            },
+          ],
+        },
+        BookMergePatch: {
           type: "object",
+          description: "JSON merge patch: include only the fields to change; null clears a nullable field",
+          additionalProperties: false,
           properties: {
-            id: {
+            isbn: {
               type: "string",
-              format: "uuid",
+              nullable: true,
+              description: "Setting either ISBN rewrites both, the other being derived",
             },
-            name: {
+            isbn13: {
               type: "string",
+              nullable: true,
             },
-            order: {
+            title: {
+              type: "string",
+              maxLength: 500,
+            },
+            subtitle: {
+              type: "string",
+              nullable: true,
+            },
+            description: {
+              type: "string",
+            },
+            publisher: {
+              type: "string",
+              nullable: true,
+            },
+            publicationDate: {
+              type: "string",
+              format: "date",
+              nullable: true,
+            },
+            edition: {
+              type: "string",
+              nullable: true,
+            },
+            language: {
+              type: "string",
+            },
+            pageCount: {
               type: "integer",
+              minimum: 1,
+              nullable: true,
             },
-          },
-        },
-        CategorySummary: {
-          type: "object",
-          properties: {
-            id: {
+            format: {
               type: "string",
-              format: "uuid",
+              enum: ["HARDCOVER", "PAPERBACK", "EBOOK", "AUDIOBOOK"],
             },
-            name: {
+            price: {
+              type: "number",
+              minimum: 0.01,
+              nullable: true,
+            },
+            discountPrice: {
+              type: "number",
+              minimum: 0,
+              nullable: true,
+            },
+            stockQuantity: {
+              type: "integer",
+              minimum: 0,
+            },
+            reorderThreshold: {
+              type: "integer",
+              minimum: 0,
+              nullable: true,
+            },
+            coverImageUrl: {
               type: "string",
+              format: "uri",
+              nullable: true,
             },
-            slug: {
+            previewUrl: {
               type: "string",
+              format: "uri",
+              nullable: true,
             },
-            isPrimary: {
+            additionalInfo: {
+              type: "object",
+              nullable: true,
+              description: "Merged into the current additionalInfo; keys set to null are removed",
+            },
+            isFeatured: {
+              type: "boolean",
+            },
+            status: {
+              type: "string",
+              enum: ["DRAFT", "SCHEDULED", "PUBLISHED", "ARCHIVED"],
+              description:
+                "SCHEDULED and PUBLISHED books need a cover image, a price, an author and a category",
+            },
+            publishAt: {
+              type: "string",
+              format: "date-time",
+              nullable: true,
+              description: "When to publish the book; required with, and only accepted with, status SCHEDULED",
+            },
+            isActive: {
+              type: "boolean",
+              description:
+                "Older alternative to status: true publishes the book, false takes it out of the public catalog; must agree with status when both are sent",
+            },
+            workId: {
+              type: "string",
+              format: "uuid",
+              description: "Move the book to another work",
+            },
+            authorIds: {
+              type: "array",
+              nullable: true,
+              description: "Replaces the book's authors, in display order; null unlinks all",
+              items: {
+                type: "string",
+                format: "uuid",
+              },
+            },
+            categoryIds: {
+              type: "array",
+              nullable: true,
+              description: "Replaces the book's categories; null unassigns all",
+              items: {
+                type: "string",
+                format: "uuid",
+              },
+            },
+            primaryCategoryId: {
+              type: "string",
+              format: "uuid",
+            },
+          },
+        },
+        BookImportRequest: {
+          type: "object",
+          required: ["rows"],
+          properties: {
+            rows: {
+              type: "array",
+              minItems: 1,
+              maxItems: 500,
+              items: {
+                allOf: [
+                  {
+                    $ref: "#/components/schemas/BookCreate",
+                  },
+                  {
+                    type: "object",
+                    properties: {
+                      authors: {
+                        type: "array",
+                        description: "Author names, in display order",
+                        items: {
+                          type: "string",
+                        },
+                      },
+                      categories: {
+                        type: "array",
+                        description: "Category names or slugs, primary first",
+                        items: {
+                          type: "string",
+                        },
+                      },
+                    },
+                  },
+                ],
+              },
+            },
+            dryRun: {
+              type: "boolean",
+              default: false,
+            },
+            createMissing: {
               type: "boolean",
+              default: false,
+              description: "Create authors and categories that don't exist yet",
             },
           },
         },
-        Pagination: {
+        BookImportReport: {
           type: "object",
           properties: {
-            page: {
-              type: "integer",
+            dryRun: {
+              type: "boolean",
             },
-            limit: {
-              type: "integer",
+            summary: {
+              type: "object",
+              properties: {
+                total: {
+                  type: "integer",
+                },
+                created: {
+                  type: "integer",
+                },
+                updated: {
+                  type: "integer",
+                },
+                failed: {
+                  type: "integer",
+                },
+              },
             },
-            total: {
-              type: "integer",
+            rows: {
+              type: "array",
+              items: {
+                $ref: "#/components/schemas/BookImportRowResult",
+              },
             },
-            totalPages: {
-              type: "integer",
+          },
+        },
+        BookRevision: {
+          type: "object",
+          properties: {
+            id: {
+              type: "string",
+              format: "uuid",
+              description: "Revision ID, used to revert to this state",
             },
-            hasNext: {
-              type: "boolean",
+            action: {
+              type: "string",
+              enum: ["CREATE", "UPDATE", "DELETE", "RESTORE", "REVERT"],
             },
-            hasPrev: {
-              type: "boolean",
+            actor: {
+              type: "object",
+              nullable: true,
+              properties: {
+                id: {
+                  type: "string",
+                  format: "uuid",
+                },
+                email: {
+                  type: "string",
+                  format: "email",
+                },
+              },
+            },
+            requestId: {
+              type: "string",
+              description: "ID of the request that made the change",
+            },
+            changes: {
+              type: "object",
+              description: "Changed fields as { field: { from, to } }",
+              additionalProperties: {
+                type: "object",
+                properties: {
+                  from: {},
+                  to: {},
+                },
+              },
+            },
+            before: {
+              type: "object",
+              nullable: true,
+              description: "Book state before the change (fields as accepted by PUT /books/{id})",
+            },
+            after: {
+              type: "object",
+              nullable: true,
+              description: "Book state after the change",
+            },
+            createdAt: {
+              type: "string",
+              format: "date-time",
+            },
+          },
+        },
+        BookImportRowResult: {
+          type: "object",
+          properties: {
+            row: {
+              type: "integer",
+              description: "1-based position of the row in the batch",
+            },
+            status: {
+              type: "string",
+              enum: ["created", "updated", "failed"],
+            },
+            id: {
+              type: "string",
+              format: "uuid",
+              description: "Book ID; absent for rows a dry run would create",
+            },
+            title: {
+              type: "string",
+            },
+            isbn: {
+              type: "string",
+            },
+            createdAuthors: {
+              type: "array",
+              items: {
+                type: "string",
+              },
+            },
+            createdCategories: {
+              type: "array",
+              items: {
+                type: "string",
+              },
+            },
+            errors: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  field: {
+                    type: "string",
+                  },
+                  message: {
+                    type: "string",
+                  },
+                },
+              },
+            },
+          },
+        },
+        AuthorSummary: {
+          type: "object",
+          properties: {
+            id: {
+              type: "string",
+              format: "uuid",
+            },
+            name: {
+              type: "string",
+            },
+            order: {
+              type: "integer",
+            },
+          },
+        },
+        Author: {
+          type: "object",
+          properties: {
+            id: {
+              type: "string",
+              format: "uuid",
+              description: "Unique identifier",
+            },
+            name: {
+              type: "string",
+              example: "F. Scott Fitzgerald",
+            },
+            bio: {
+              type: "string",
+            },
+            photoUrl: {
+              type: "string",
+              format: "uri",
+            },
+            birthDate: {
+              type: "string",
+              format: "date",
+              example: "1896-09-24",
+            },
+            booksCount: {
+              type: "integer",
+              description:
+                "Number of catalog books linked to the author that the caller may see: published books, or every book not in the trash for admins",
+            },
+            createdAt: {
+              type: "string",
+              format: "date-time",
+            },
+            updatedAt: {
+              type: "string",
+              format: "date-time",
+            },
+          },
+        },
+        AuthorDetail: {
+          allOf: [
+            {
+              $ref: "#/components/schemas/Author",
+            },
+            {
+              type: "object",
+              properties: {
+                books: {
+                  type: "array",
+                  items: {
+                    $ref: "#/components/schemas/AuthorBook",
+                  },
+                },
+              },
+            },
+          ],
+        },
+        AuthorBook: {
+          type: "object",
+          properties: {
+            id: {
+              type: "string",
+              format: "uuid",
+            },
+            title: {
+              type: "string",
+            },
+            format: {
+              type: "string",
+              enum: ["HARDCOVER", "PAPERBACK", "EBOOK", "AUDIOBOOK"],
+            },
+            coverImageUrl: {
+              type: "string",
+              format: "uri",
+            },
+            publicationDate: {
+              type: "string",
+              format: "date",
+            },
+            isActive: {
+              type: "boolean",
+            },
+            order: {
+              type: "integer",
+              description: "Position of the author in the book's author list",
+            },
+          },
+        },
+        AuthorCreate: {
+          type: "object",
+          required: ["name"],
+          properties: {
+            name: {
+              type: "string",
+              maxLength: 255,
+            },
+            bio: {
+              type: "string",
+            },
+            photoUrl: {
+              type: "string",
+              format: "uri",
+            },
+            birthDate: {
+              type: "string",
+              format: "date",
+            },
+          },
+        },
+        CategorySummary: {
+          type: "object",
+          properties: {
+            id: {
+              type: "string",
+              format: "uuid",
+            },
+            name: {
+              type: "string",
+            },
+            slug: {
+              type: "string",
+            },
+            isPrimary: {
+              type: "boolean",
+            },
+          },
+        },
+        Category: {
+          type: "object",
+          properties: {
+            id: {
+              type: "string",
+              format: "uuid",
+              description: "Unique identifier",
+            },
+            name: {
+              type: "string",
+              example: "Science Fiction",
+            },
+            slug: {
+              type: "string",
+              example: "science-fiction",
+            },
+            parentId: {
+              type: "string",
+              format: "uuid",
+              nullable: true,
+            },
+            description: {
+              type: "string",
+            },
+            createdAt: {
+              type: "string",
+              format: "date-time",
+            },
+            updatedAt: {
+              type: "string",
+              format: "date-time",
+            },
+          },
+        },
+        CategoryNode: {
+          allOf: [
+            {
+              $ref: "#/components/schemas/Category",
+            },
+            {
+              type: "object",
+              properties: {
+                children: {
+                  type: "array",
+                  items: {
+                    $ref: "#/components/schemas/CategoryNode",
+                  },
+                },
+              },
+            },
+          ],
+        },
+        CategoryCreate: {
+          type: "object",
+          required: ["name"],
+          properties: {
+            name: {
+              type: "string",
+              maxLength: 255,
+            },
+            slug: {
+              type: "string",
+              description: "Derived from name when omitted",
+              pattern: "^[a-z0-9]+(?:-[a-z0-9]+)*$",
+            },
+            description: {
+              type: "string",
+            },
+            parentId: {
+              type: "string",
+              format: "uuid",
+              nullable: true,
+            },
+          },
+        },
+        CategoryUpdate: {
+          type: "object",
+          properties: {
+            name: {
+              type: "string",
+              maxLength: 255,
+            },
+            slug: {
+              type: "string",
+              pattern: "^[a-z0-9]+(?:-[a-z0-9]+)*$",
+            },
+            description: {
+              type: "string",
+            },
+          },
+        },
+        EditionOption: {
+          type: "object",
+          description: "An edition of a work, for choosing between formats",
+          properties: {
+            id: {
+              type: "string",
+              format: "uuid",
+            },
+            slug: {
+              type: "string",
+            },
+            format: {
+              type: "string",
+              enum: ["HARDCOVER", "PAPERBACK", "EBOOK", "AUDIOBOOK"],
+            },
+            edition: {
+              type: "string",
+              nullable: true,
+            },
+            effectivePrice: {
+              type: "number",
+              format: "decimal",
+            },
+            availableQuantity: {
+              type: "integer",
+            },
+          },
+        },
+        CollapsedBook: {
+          allOf: [
+            {
+              $ref: "#/components/schemas/Book",
+            },
+            {
+              type: "object",
+              properties: {
+                editions: {
+                  type: "array",
+                  description: "Matching editions of the book's work, this one included",
+                  items: {
+                    $ref: "#/components/schemas/EditionOption",
+                  },
+                },
+              },
+            },
+          ],
+        },
+        Work: {
+          type: "object",
+          properties: {
+            id: {
+              type: "string",
+              format: "uuid",
+            },
+            title: {
+              type: "string",
+              example: "The Great Gatsby",
+            },
+            formats: {
+              type: "array",
+              description: "Formats the work is available in",
+              items: {
+                type: "string",
+                enum: ["HARDCOVER", "PAPERBACK", "EBOOK", "AUDIOBOOK"],
+              },
+            },
+            priceRange: {
+              type: "object",
+              nullable: true,
+              description: "Lowest and highest current price across the editions; null without editions",
+              properties: {
+                min: {
+                  type: "number",
+                  format: "decimal",
+                },
+                max: {
+                  type: "number",
+                  format: "decimal",
+                },
+              },
+            },
+            editionCount: {
+              type: "integer",
+            },
+            editions: {
+              type: "array",
+              items: {
+                $ref: "#/components/schemas/Book",
+              },
+            },
+            createdAt: {
+              type: "string",
+              format: "date-time",
+            },
+            updatedAt: {
+              type: "string",
+              format: "date-time",
+            },
+          },
+        },
+        WorkUpdate: {
+          type: "object",
+          required: ["title"],
+          properties: {
+            title: {
+              type: "string",
+              maxLength: 500,
+            },
+          },
+        },
+        Promotion: {
+          type: "object",
+          properties: {
+            id: {
+              type: "string",
+              format: "uuid",
+            },
+            name: {
+              type: "string",
+              example: "Summer sci-fi sale",
+            },
+            status: {
+              type: "string",
+              enum: ["upcoming", "active", "expired"],
+            },
+            book: {
+              type: "object",
+              nullable: true,
+              properties: {
+                id: {
+                  type: "string",
+                  format: "uuid",
+                },
+                title: {
+                  type: "string",
+                },
+                price: {
+                  type: "number",
+                  format: "decimal",
+                },
+              },
+            },
+            category: {
+              type: "object",
+              nullable: true,
+              properties: {
+                id: {
+                  type: "string",
+                  format: "uuid",
+                },
+                name: {
+                  type: "string",
+                },
+                slug: {
+                  type: "string",
+                },
+              },
+            },
+            discountPrice: {
+              type: "number",
+              format: "decimal",
+              nullable: true,
+            },
+            discountPercent: {
+              type: "number",
+              format: "decimal",
+              nullable: true,
+              example: 20,
+            },
+            startsAt: {
+              type: "string",
+              format: "date-time",
+            },
+            endsAt: {
+              type: "string",
+              format: "date-time",
+            },
+            createdAt: {
+              type: "string",
+              format: "date-time",
+            },
+            updatedAt: {
+              type: "string",
+              format: "date-time",
+            },
+          },
+        },
+        PromotionCreate: {
+          type: "object",
+          required: ["name", "startsAt", "endsAt"],
+          description:
+            "Give exactly one of bookId or categoryId, and exactly one of discountPrice or discountPercent. Category promotions take a percentage.",
+          properties: {
+            name: {
+              type: "string",
+              maxLength: 255,
+            },
+            bookId: {
+              type: "string",
+              format: "uuid",
+              nullable: true,
+            },
+            categoryId: {
+              type: "string",
+              format: "uuid",
+              nullable: true,
+              description: "Applies to the category and all of its subcategories",
+            },
+            discountPrice: {
+              type: "number",
+              minimum: 0,
+              nullable: true,
+              description: "Sale price for the book",
+            },
+            discountPercent: {
+              type: "number",
+              exclusiveMinimum: 0,
+              exclusiveMaximum: 100,
+              nullable: true,
+              description: "Percentage off the list price",
+            },
+            startsAt: {
+              type: "string",
+              format: "date-time",
+            },
+            endsAt: {
+              type: "string",
+              format: "date-time",
+              description: "Must be after startsAt",
+            },
+          },
+        },
+        InventoryLevels: {
+          type: "object",
+          properties: {
+            bookId: {
+              type: "string",
+              format: "uuid",
+            },
+            stockQuantity: {
+              type: "integer",
+              description: "Units on hand",
+            },
+            reservedQuantity: {
+              type: "integer",
+              description: "Units held by active reservations",
+            },
+            availableQuantity: {
+              type: "integer",
+              description: "Units that can still be reserved",
+            },
+          },
+        },
+        Inventory: {
+          allOf: [
+            {
+              $ref: "#/components/schemas/InventoryLevels",
+            },
+            {
+              type: "object",
+              properties: {
+                reorderThreshold: {
+                  type: "integer",
+                  nullable: true,
+                },
+                stockStatus: {
+                  $ref: "#/components/schemas/StockStatus",
+                },
+                activeReservations: {
+                  type: "array",
+                  items: {
+                    $ref: "#/components/schemas/ReservationItem",
+                  },
+                },
+              },
+            },
+          ],
+        },
+        StockStatus: {
+          type: "string",
+          enum: ["in_stock", "low_stock", "out_of_stock"],
+          description:
+            "out_of_stock with no units on hand, low_stock at or below reorderThreshold, otherwise in_stock",
+        },
+        LowStockBook: {
+          type: "object",
+          properties: {
+            id: {
+              type: "string",
+              format: "uuid",
+            },
+            title: {
+              type: "string",
+            },
+            isbn13: {
+              type: "string",
+              nullable: true,
+            },
+            format: {
+              type: "string",
+              enum: ["HARDCOVER", "PAPERBACK", "EBOOK", "AUDIOBOOK"],
+            },
+            isActive: {
+              type: "boolean",
+            },
+            stockQuantity: {
+              type: "integer",
+            },
+            reservedQuantity: {
+              type: "integer",
+            },
+            availableQuantity: {
+              type: "integer",
+            },
+            reorderThreshold: {
+              type: "integer",
+              nullable: true,
+            },
+            stockStatus: {
+              $ref: "#/components/schemas/StockStatus",
+            },
+          },
+        },
+        InventoryAdjustment: {
+          type: "object",
+          required: ["quantity", "reason"],
+          properties: {
+            quantity: {
+              type: "integer",
+              description: "Units to add (positive) or remove (negative); not 0",
+            },
+            reason: {
+              type: "string",
+              enum: ["RESTOCK", "RETURN", "DAMAGED", "LOST", "CORRECTION"],
+            },
+            note: {
+              type: "string",
+              maxLength: 1000,
+            },
+          },
+        },
+        InventoryMovement: {
+          type: "object",
+          properties: {
+            id: {
+              type: "string",
+              format: "uuid",
+            },
+            type: {
+              type: "string",
+              enum: ["ADJUST", "RESERVE", "RELEASE", "EXPIRE", "COMMIT"],
+            },
+            reason: {
+              type: "string",
+              enum: ["INITIAL", "RESTOCK", "RETURN", "DAMAGED", "LOST", "CORRECTION"],
+              nullable: true,
+              description: "Reason code of an ADJUST movement",
+            },
+            quantityChange: {
+              type: "integer",
+              description: "Change to units on hand",
+            },
+            reservedChange: {
+              type: "integer",
+              description: "Change to reserved units",
+            },
+            stockAfter: {
+              type: "integer",
+            },
+            reservedAfter: {
+              type: "integer",
+            },
+            reservationId: {
+              type: "string",
+              format: "uuid",
+              nullable: true,
+            },
+            referenceId: {
+              type: "string",
+              nullable: true,
+            },
+            note: {
+              type: "string",
+              nullable: true,
+            },
+            actor: {
+              type: "object",
+              nullable: true,
+              properties: {
+                id: {
+                  type: "string",
+                  format: "uuid",
+                },
+                email: {
+                  type: "string",
+                  format: "email",
+                },
+              },
+            },
+            requestId: {
+              type: "string",
+              nullable: true,
+            },
+            createdAt: {
+              type: "string",
+              format: "date-time",
+            },
+          },
+        },
+        ReservationRequest: {
+          type: "object",
+          required: ["referenceId", "items"],
+          properties: {
+            referenceId: {
+              type: "string",
+              maxLength: 100,
+              description: "Cart or order id to hold the units for",
+            },
+            items: {
+              type: "array",
+              minItems: 1,
+              maxItems: 100,
+              items: {
+                type: "object",
+                required: ["bookId", "quantity"],
+                properties: {
+                  bookId: {
+                    type: "string",
+                    format: "uuid",
+                  },
+                  quantity: {
+                    type: "integer",
+                    minimum: 1,
+                  },
+                },
+              },
+            },
+            ttlSeconds: {
+              type: "integer",
+              minimum: 1,
+              maximum: 86400,
+              default: 900,
+              description: "How long to hold the units",
+            },
+          },
+        },
+        ReservationItem: {
+          type: "object",
+          properties: {
+            id: {
+              type: "string",
+              format: "uuid",
+            },
+            referenceId: {
+              type: "string",
+            },
+            bookId: {
+              type: "string",
+              format: "uuid",
+            },
+            title: {
+              type: "string",
+            },
+            quantity: {
+              type: "integer",
+            },
+            status: {
+              type: "string",
+              enum: ["ACTIVE", "COMMITTED", "RELEASED", "EXPIRED"],
+            },
+            expiresAt: {
+              type: "string",
+              format: "date-time",
+            },
+            createdAt: {
+              type: "string",
+              format: "date-time",
+            },
+            updatedAt: {
+              type: "string",
+              format: "date-time",
+            },
+          },
+        },
+        Reservation: {
+          type: "object",
+          properties: {
+            referenceId: {
+              type: "string",
+            },
+            expiresAt: {
+              type: "string",
+              format: "date-time",
+              nullable: true,
+              description: "When the first active line expires",
+            },
+            items: {
+              type: "array",
+              description: "Latest reservation of each book",
+              items: {
+                $ref: "#/components/schemas/ReservationItem",
+              },
+            },
+          },
+        },
+        Pagination: {
+          type: "object",
+          properties: {
+            page: {
+              type: "integer",
+            },
+            limit: {
+              type: "integer",
+            },
+            total: {
+              type: "integer",
+            },
+            totalPages: {
+              type: "integer",
+            },
+            hasNext: {
+              type: "boolean",
+            },
+            hasPrev: {
+              type: "boolean",
+            },
+          },
+        },
+        CursorPagination: {
+          type: "object",
+          properties: {
+            limit: {
+              type: "integer",
+            },
+            cursor: {
+              type: "string",
+              nullable: true,
+              description: "Cursor this page was requested with",
+            },
+            nextCursor: {
+              type: "string",
+              nullable: true,
+              description: "Opaque cursor for the next page; null on the last page",
+            },
+            hasNext: {
+              type: "boolean",
+            },
+          },
+        },
+        FacetValue: {
+          type: "object",
+          properties: {
+            value: {
+              type: "string",
+            },
+            count: {
+              type: "integer",
+            },
+          },
+        },
+        BookFacets: {
+          type: "object",
+          description: "Counts per value, each computed with every other active filter applied",
+          properties: {
+            format: {
+              type: "array",
+              items: {
+                $ref: "#/components/schemas/FacetValue",
+              },
+            },
+            language: {
+              type: "array",
+              items: {
+                $ref: "#/components/schemas/FacetValue",
+              },
+            },
+            category: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  id: {
+                    type: "string",
+                    format: "uuid",
+                  },
+                  name: {
+                    type: "string",
+                  },
+                  slug: {
+                    type: "string",
+                  },
+                  count: {
+                    type: "integer",
+                  },
+                },
+              },
+            },
+            price: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  min: {
+                    type: "number",
+                  },
+                  max: {
+                    type: "number",
+                    nullable: true,
+                    description: "Exclusive upper bound; null for the open-ended top bucket",
+                  },
+                  count: {
+                    type: "integer",
+                  },
+                },
+              },
+            },
+          },
+        },
+        CacheStats: {
+          type: "object",
+          description: "Counters of the serving instance since it started",
+          properties: {
+            enabled: {
+              type: "boolean",
+              description: "False when REDIS_URL is not configured",
+            },
+            connected: {
+              type: "boolean",
+            },
+            hits: {
+              type: "integer",
+            },
+            misses: {
+              type: "integer",
+            },
+            bypasses: {
+              type: "integer",
+              description: "Admin reads that skipped the cache",
+            },
+            errors: {
+              type: "integer",
+              description: "Redis commands that failed and fell back to the database",
+            },
+            hitRate: {
+              type: "number",
+              nullable: true,
+              example: 0.8731,
             },
           },
         },
@@ -0,0 +1,68 @@
+import { ResponseHandler } from "@bookzilla/shared";
+import authorService from "../services/authorService.js";
+import { getRequestContext } from "../utils/requestContext.js";
+import { getVisibility } from "../utils/visibility.js";
+
+/**
+ * Author Controller
+ * Handles HTTP requests for author operations
+ */
+class AuthorController {
+  /**
+   * Create a new author
+   * POST /authors
+   */
+  async create(req, res) {
+    const author = await authorService.createAuthor(req.body, getRequestContext(req));
+    return ResponseHandler.success(res, author, "Author created successfully", 201);
+  }
+
+  /**
+   * Get all authors with pagination and name search
+   * GET /authors
+   */
+  async list(req, res) {
+    const { page, limit, search } = req.query;
+
+    const result = await authorService.getAuthors({
+      page: parseInt(page, 10) || 1,
+      limit: parseInt(limit, 10) || 20,
+      search,
+      visibility: getVisibility(req),
+    });
+
+    return ResponseHandler.success(res, result, "Authors retrieved successfully");
+  }
+
+  /**
+   * Get a single author by ID with their books
+   * GET /authors/:id
+   */
+  async getById(req, res) {
+    const { id } = req.params;
+    const author = await authorService.getAuthorById(id, getVisibility(req));
+    return ResponseHandler.success(res, author, "Author retrieved successfully");
+  }
+
+  /**
+   * Update an author
+   * PUT /authors/:id
+   */
+  async update(req, res) {
+    const { id } = req.params;
+    const author = await authorService.updateAuthor(id, req.body, getRequestContext(req));
+    return ResponseHandler.success(res, author, "Author updated successfully");
+  }
+
+  /**
+   * Delete an author
+   * DELETE /authors/:id
+   */
+  async delete(req, res) {
+    const { id } = req.params;
+    await authorService.deleteAuthor(id, getRequestContext(req));
+    return ResponseHandler.success(res, null, "Author deleted successfully");
+  }
+}
+
+export default new AuthorController();
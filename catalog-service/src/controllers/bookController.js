@@ -1,5 +1,96 @@
 import { ResponseHandler } from "@bookzilla/shared";
 import bookService from "../services/bookService.js";
+import categoryService from "../services/categoryService.js";
+import bookImportService from "../services/bookImportService.js";
+import bookExportService from "../services/bookExportService.js";
+import { parseSort } from "../utils/sort.js";
+import { parseFieldList } from "../utils/fieldset.js";
+import { getRequestContext } from "../utils/requestContext.js";
+import { bookETag, listingETag } from "../utils/etag.js";
+import { setCacheHeaders } from "../utils/httpCache.js";
+import { getVisibility } from "../utils/visibility.js";
+
+/**
+ * Parse a "true"/"false" query string value
+ * @param {string} value - Raw query value
+ * @returns {boolean|undefined} Parsed boolean, or undefined when absent
+ */
+const parseBoolean = (value) =>
+  value === "true" ? true : value === "false" ? false : undefined;
+
+/**
+ * Build book filters from listing query parameters
+ * Shared by the listing and the export so both accept the same filters.
+ * @param {Object} query - Validated query parameters
+ * @returns {Promise<Object>} Filters for bookService (see buildBookWhere)
+ */
+const parseBookFilters = async (query) => {
+  const {
+    search,
+    format,
+    isActive,
+    status,
+    isFeatured,
+    minPrice,
+    maxPrice,
+    language,
+    publisher,
+    category,
+    author,
+    minRating,
+    publishedFrom,
+    publishedTo,
+    inStock,
+  } = query;
+
+  const categoryIds = category
+    ? await categoryService.resolveCategoryIds(category)
+    : undefined;
+
+  return {
+    search,
+    format,
+    isActive: parseBoolean(isActive),
+    status,
+    isFeatured: parseBoolean(isFeatured),
+    minPrice,
+    maxPrice,
+    language,
+    publisher,
+    categoryIds,
+    authorId: author,
+    minRating,
+    publishedFrom,
+    publishedTo,
+    inStock: parseBoolean(inStock),
+  };
+};
+
+/**
+ * Build the read options shared by the single-book endpoints
+ * @param {Object} req - Express request with validated fields/include
+ * @returns {Object} Options for bookService.getBookById
+ */
+const getBookReadOptions = (req) => ({
+  fields: parseFieldList(req.query.fields),
+  include: parseFieldList(req.query.include),
+  visibility: getVisibility(req),
+});
+
+/**
+ * Send a single book with its cache validators, or 304 when the client's copy is current
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} book - Formatted book
+ */
+const sendBook = (req, res, book) => {
+  setCacheHeaders(req, res, { etag: bookETag(book), lastModified: book.lastModifiedAt });
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  return ResponseHandler.success(res, book, "Book retrieved successfully");
+};
 
 /**
  * Book Controller
@@ -11,24 +102,102 @@ class BookController {
    * POST /books
    */
   async create(req, res) {
-    const book = await bookService.createBook(req.body);
+    const book = await bookService.createBook(req.body, getRequestContext(req));
     return ResponseHandler.success(res, book, "Book created successfully", 201);
   }
 
+  /**
+   * Create or update a batch of books
+   * POST /books/import
+   */
+  async import(req, res) {
+    const { rows, dryRun, createMissing } = req.body;
+
+    const report = await bookImportService.importBooks(rows, {
+      dryRun: dryRun === true,
+      createMissing: createMissing === true,
+      requestContext: getRequestContext(req),
+    });
+
+    return ResponseHandler.success(
+      res,
+      report,
+      dryRun ? "Import dry run completed" : "Import completed"
+    );
+  }
+
   /**
    * Get all books with pagination and filtering
    * GET /books
    */
   async list(req, res) {
-    const { page, limit, search, format, isActive, isFeatured } = req.query;
+    const { page, limit, cursor, facets, collapseEditions, sort, fields, include } = req.query;
+    const filters = await parseBookFilters(req.query);
 
     const result = await bookService.getBooks({
       page: parseInt(page, 10) || 1,
       limit: parseInt(limit, 10) || 20,
-      search,
+      cursor,
+      ...filters,
+      facets: parseBoolean(facets),
+      collapseEditions: parseBoolean(collapseEditions),
+      sort: sort ? parseSort(sort) : undefined,
+      fields: parseFieldList(fields),
+      include: parseFieldList(include),
+      visibility: getVisibility(req),
+    });
+
+    // No Last-Modified: a book leaving the page wouldn't move it, only the ETag
+    setCacheHeaders(req, res, { etag: listingETag(result) });
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    return ResponseHandler.success(res, result, "Books retrieved successfully");
+  }
+
+  /**
+   * Stream the catalog as a file download
+   * GET /books/export/:exportFormat
+   */
+  async export(req, res) {
+    const { exportFormat } = req.params;
+    const filters = await parseBookFilters(req.query);
+    const { contentType, filename } = bookExportService.describe(exportFormat);
+
+    res.setHeader("Content-Type", contentType);
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+
+    try {
+      await bookExportService.exportBooks(
+        exportFormat,
+        { ...filters, visibility: getVisibility(req) },
+        res
+      );
+    } catch (error) {
+      // Headers are already sent, so the error handler can't respond; cut the download short
+      if (!res.headersSent) {
+        throw error;
+      }
+      res.destroy(error);
+    }
+  }
+
+  /**
+   * Full-text search for books
+   * GET /books/search
+   */
+  async search(req, res) {
+    const { q, page, limit, sort, format, isActive } = req.query;
+
+    const result = await bookService.searchBooks({
+      q,
+      page: parseInt(page, 10) || 1,
+      limit: parseInt(limit, 10) || 20,
+      sort: sort ? parseSort(sort) : undefined,
       format,
-      isActive: isActive === "true" ? true : isActive === "false" ? false : undefined,
-      isFeatured: isFeatured === "true" ? true : isFeatured === "false" ? false : undefined,
+      isActive: parseBoolean(isActive),
+      visibility: getVisibility(req),
     });
 
     return ResponseHandler.success(res, result, "Books retrieved successfully");
@@ -40,8 +209,38 @@ class BookController {
    */
   async getById(req, res) {
     const { id } = req.params;
-    const book = await bookService.getBookById(id);
-    return ResponseHandler.success(res, book, "Book retrieved successfully");
+    const book = await bookService.getBookById(id, getBookReadOptions(req));
+    return sendBook(req, res, book);
+  }
+
+  /**
+   * Get a single book by ISBN-10 or ISBN-13
+   * GET /books/isbn/:isbn
+   */
+  async getByIsbn(req, res) {
+    const { isbn } = req.params;
+    const book = await bookService.getBookByIsbn(isbn, getBookReadOptions(req));
+    return sendBook(req, res, book);
+  }
+
+  /**
+   * Get a single book by slug; old slugs redirect to the current one
+   * GET /books/slug/:slug
+   */
+  async getBySlug(req, res) {
+    const { slug } = req.params;
+    const current = await bookService.resolveSlug(slug, getVisibility(req));
+
+    // Temporary, since the current slug can change again too
+    if (current.slug !== slug) {
+      const search = req.originalUrl.includes("?")
+        ? req.originalUrl.slice(req.originalUrl.indexOf("?"))
+        : "";
+      return res.redirect(302, `/books/slug/${encodeURIComponent(current.slug)}${search}`);
+    }
+
+    const book = await bookService.getBookById(current.id, getBookReadOptions(req));
+    return sendBook(req, res, book);
   }
 
   /**
@@ -50,7 +249,23 @@ class BookController {
    */
   async update(req, res) {
     const { id } = req.params;
-    const book = await bookService.updateBook(id, req.body);
+    const book = await bookService.updateBook(id, req.body, getRequestContext(req), {
+      ifMatch: req.get("If-Match"),
+    });
+    res.set("ETag", bookETag(book));
+    return ResponseHandler.success(res, book, "Book updated successfully");
+  }
+
+  /**
+   * Partially update a book with a JSON merge patch
+   * PATCH /books/:id
+   */
+  async patch(req, res) {
+    const { id } = req.params;
+    const book = await bookService.patchBook(id, req.body, getRequestContext(req), {
+      ifMatch: req.get("If-Match"),
+    });
+    res.set("ETag", bookETag(book));
     return ResponseHandler.success(res, book, "Book updated successfully");
   }
 
@@ -60,9 +275,63 @@ class BookController {
    */
   async delete(req, res) {
     const { id } = req.params;
-    await bookService.deleteBook(id);
+    await bookService.deleteBook(id, getRequestContext(req), {
+      ifMatch: req.get("If-Match"),
+    });
     return ResponseHandler.success(res, null, "Book deleted successfully");
   }
+
+  /**
+   * Get the revision history of a book
+   * GET /books/:id/history
+   */
+  async history(req, res) {
+    const { id } = req.params;
+    const { page, limit } = req.query;
+
+    const result = await bookService.getBookHistory(id, {
+      page: parseInt(page, 10) || 1,
+      limit: parseInt(limit, 10) || 20,
+    });
+
+    return ResponseHandler.success(res, result, "Book history retrieved successfully");
+  }
+
+  /**
+   * Revert a book to a previous revision
+   * POST /books/:id/history/:revisionId/revert
+   */
+  async revert(req, res) {
+    const { id, revisionId } = req.params;
+    const book = await bookService.revertBook(id, revisionId, getRequestContext(req));
+    return ResponseHandler.success(res, book, "Book reverted successfully");
+  }
+
+  /**
+   * List books in the trash
+   * GET /books/trash
+   */
+  async trash(req, res) {
+    const { page, limit, search } = req.query;
+
+    const result = await bookService.getTrashedBooks({
+      page: parseInt(page, 10) || 1,
+      limit: parseInt(limit, 10) || 20,
+      search,
+    });
+
+    return ResponseHandler.success(res, result, "Trashed books retrieved successfully");
+  }
+
+  /**
+   * Restore a book from the trash
+   * POST /books/:id/restore
+   */
+  async restore(req, res) {
+    const { id } = req.params;
+    const book = await bookService.restoreBook(id, getRequestContext(req));
+    return ResponseHandler.success(res, book, "Book restored successfully");
+  }
 }
 
 export default new BookController();
@@ -0,0 +1,22 @@
+import { ResponseHandler } from "@bookzilla/shared";
+import cacheService from "../services/cacheService.js";
+
+/**
+ * Cache Controller
+ * Handles HTTP requests about the catalog read cache
+ */
+class CacheController {
+  /**
+   * Get cache hit and miss counters
+   * GET /cache/stats
+   */
+  async stats(req, res) {
+    return ResponseHandler.success(
+      res,
+      cacheService.getStats(),
+      "Cache statistics retrieved successfully"
+    );
+  }
+}
+
+export default new CacheController();
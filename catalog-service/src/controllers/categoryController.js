@@ -0,0 +1,90 @@
+import { ResponseHandler } from "@bookzilla/shared";
+import categoryService from "../services/categoryService.js";
+import { getRequestContext } from "../utils/requestContext.js";
+
+/**
+ * Category Controller
+ * Handles HTTP requests for the category tree
+ */
+class CategoryController {
+  /**
+   * Create a new category
+   * POST /categories
+   */
+  async create(req, res) {
+    const category = await categoryService.createCategory(req.body, getRequestContext(req));
+    return ResponseHandler.success(res, category, "Category created successfully", 201);
+  }
+
+  /**
+   * Get the full category tree
+   * GET /categories
+   */
+  async tree(req, res) {
+    const categories = await categoryService.getTree();
+    return ResponseHandler.success(res, categories, "Categories retrieved successfully");
+  }
+
+  /**
+   * Get a category subtree by slug
+   * GET /categories/:slug
+   */
+  async getBySlug(req, res) {
+    const { slug } = req.params;
+    const category = await categoryService.getSubtreeBySlug(slug);
+    return ResponseHandler.success(res, category, "Category retrieved successfully");
+  }
+
+  /**
+   * List books in a category and its descendants
+   * GET /categories/:slug/books
+   */
+  async listBooks(req, res) {
+    const { slug } = req.params;
+    const { page, limit, search } = req.query;
+
+    const result = await categoryService.getBooksInCategory(slug, {
+      page: parseInt(page, 10) || 1,
+      limit: parseInt(limit, 10) || 20,
+      search,
+    });
+
+    return ResponseHandler.success(res, result, "Books retrieved successfully");
+  }
+
+  /**
+   * Update a category
+   * PUT /categories/:id
+   */
+  async update(req, res) {
+    const { id } = req.params;
+    const category = await categoryService.updateCategory(id, req.body, getRequestContext(req));
+    return ResponseHandler.success(res, category, "Category updated successfully");
+  }
+
+  /**
+   * Move a category under a new parent
+   * PATCH /categories/:id/parent
+   */
+  async move(req, res) {
+    const { id } = req.params;
+    const category = await categoryService.moveCategory(
+      id,
+      req.body.parentId,
+      getRequestContext(req)
+    );
+    return ResponseHandler.success(res, category, "Category moved successfully");
+  }
+
+  /**
+   * Delete a category
+   * DELETE /categories/:id
+   */
+  async delete(req, res) {
+    const { id } = req.params;
+    await categoryService.deleteCategory(id, getRequestContext(req));
+    return ResponseHandler.success(res, null, "Category deleted successfully");
+  }
+}
+
+export default new CategoryController();
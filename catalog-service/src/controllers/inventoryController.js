@@ -0,0 +1,106 @@
+import { ResponseHandler } from "@bookzilla/shared";
+import inventoryService from "../services/inventoryService.js";
+import { getRequestContext } from "../utils/requestContext.js";
+
+/**
+ * Inventory Controller
+ * Handles HTTP requests for stock levels, adjustments and reservations
+ */
+class InventoryController {
+  /**
+   * List books that are low on or out of stock
+   * GET /inventory/low-stock
+   */
+  async listLowStock(req, res) {
+    const { page, limit, status } = req.query;
+
+    const result = await inventoryService.getLowStockBooks({
+      page: parseInt(page, 10) || 1,
+      limit: parseInt(limit, 10) || 20,
+      status,
+    });
+
+    return ResponseHandler.success(res, result, "Low-stock books retrieved successfully");
+  }
+
+  /**
+   * Get a book's stock levels
+   * GET /inventory/books/:bookId
+   */
+  async getInventory(req, res) {
+    const { bookId } = req.params;
+    const inventory = await inventoryService.getInventory(bookId);
+    return ResponseHandler.success(res, inventory, "Inventory retrieved successfully");
+  }
+
+  /**
+   * Get a book's inventory ledger
+   * GET /inventory/books/:bookId/movements
+   */
+  async listMovements(req, res) {
+    const { bookId } = req.params;
+    const { page, limit } = req.query;
+
+    const result = await inventoryService.getMovements(bookId, {
+      page: parseInt(page, 10) || 1,
+      limit: parseInt(limit, 10) || 20,
+    });
+
+    return ResponseHandler.success(res, result, "Inventory movements retrieved successfully");
+  }
+
+  /**
+   * Add or remove units on hand
+   * POST /inventory/books/:bookId/adjustments
+   */
+  async adjust(req, res) {
+    const { bookId } = req.params;
+    const inventory = await inventoryService.adjustStock(
+      bookId,
+      req.body,
+      getRequestContext(req)
+    );
+    return ResponseHandler.success(res, inventory, "Stock adjusted successfully");
+  }
+
+  /**
+   * Reserve units for a cart or order
+   * POST /inventory/reservations
+   */
+  async reserve(req, res) {
+    const reservation = await inventoryService.reserve(req.body, getRequestContext(req));
+    return ResponseHandler.success(res, reservation, "Units reserved successfully", 201);
+  }
+
+  /**
+   * Get the reservation held for a cart or order
+   * GET /inventory/reservations/:referenceId
+   */
+  async getReservation(req, res) {
+    const { referenceId } = req.params;
+    const reservation = await inventoryService.getReservation(referenceId);
+    return ResponseHandler.success(res, reservation, "Reservation retrieved successfully");
+  }
+
+  /**
+   * Commit a reservation, taking the units out of stock
+   * POST /inventory/reservations/:referenceId/commit
+   */
+  async commit(req, res) {
+    const { referenceId } = req.params;
+    const reservation = await inventoryService.commit(referenceId, getRequestContext(req));
+    return ResponseHandler.success(res, reservation, "Reservation committed successfully");
+  }
+
+  /**
+   * Release a reservation
+   * POST /inventory/reservations/:referenceId/release
+   */
+  async release(req, res) {
+    const { referenceId } = req.params;
+    const reservation = await inventoryService.release(referenceId, getRequestContext(req));
+    return ResponseHandler.success(res, reservation, "Reservation released successfully");
+  }
+}
+
+export default new InventoryController();
@@ -0,0 +1,67 @@
+import { ResponseHandler } from "@bookzilla/shared";
+import promotionService from "../services/promotionService.js";
+
+/**
+ * Promotion Controller
+ * Handles HTTP requests for scheduled sales
+ */
+class PromotionController {
+  /**
+   * Create a promotion
+   * POST /promotions
+   */
+  async create(req, res) {
+    const promotion = await promotionService.createPromotion(req.body);
+    return ResponseHandler.success(res, promotion, "Promotion created successfully", 201);
+  }
+
+  /**
+   * List promotions
+   * GET /promotions
+   */
+  async list(req, res) {
+    const { page, limit, status, bookId, categoryId } = req.query;
+
+    const result = await promotionService.getPromotions({
+      page: parseInt(page, 10) || 1,
+      limit: parseInt(limit, 10) || 20,
+      status,
+      bookId,
+      categoryId,
+    });
+
+    return ResponseHandler.success(res, result, "Promotions retrieved successfully");
+  }
+
+  /**
+   * Get a promotion by ID
+   * GET /promotions/:id
+   */
+  async getById(req, res) {
+    const { id } = req.params;
+    const promotion = await promotionService.getPromotionById(id);
+    return ResponseHandler.success(res, promotion, "Promotion retrieved successfully");
+  }
+
+  /**
+   * Update a promotion
+   * PUT /promotions/:id
+   */
+  async update(req, res) {
+    const { id } = req.params;
+    const promotion = await promotionService.updatePromotion(id, req.body);
+    return ResponseHandler.success(res, promotion, "Promotion updated successfully");
+  }
+
+  /**
+   * Delete a promotion
+   * DELETE /promotions/:id
+   */
+  async delete(req, res) {
+    const { id } = req.params;
+    await promotionService.deletePromotion(id);
+    return ResponseHandler.success(res, null, "Promotion deleted successfully");
+  }
+}
+
+export default new PromotionController();
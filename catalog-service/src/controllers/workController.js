@@ -0,0 +1,31 @@
+import { ResponseHandler } from "@bookzilla/shared";
+import workService from "../services/workService.js";
+import { getVisibility } from "../utils/visibility.js";
+
+/**
+ * Work Controller
+ * Handles HTTP requests for works and their editions
+ */
+class WorkController {
+  /**
+   * Get a work with all of its editions
+   * GET /works/:id
+   */
+  async getById(req, res) {
+    const { id } = req.params;
+    const work = await workService.getWorkById(id, getVisibility(req));
+    return ResponseHandler.success(res, work, "Work retrieved successfully");
+  }
+
+  /**
+   * Update a work
+   * PUT /works/:id
+   */
+  async update(req, res) {
+    const { id } = req.params;
+    const work = await workService.updateWork(id, req.body);
+    return ResponseHandler.success(res, work, "Work updated successfully");
+  }
+}
+
+export default new WorkController();
@@ -14,6 +14,24 @@ import {
 
 // Import routes
 import bookRoutes from "./routes/bookRoutes.js";
+import authorRoutes from "./routes/authorRoutes.js";
+import categoryRoutes from "./routes/categoryRoutes.js";
+import workRoutes from "./routes/workRoutes.js";
+import promotionRoutes from "./routes/promotionRoutes.js";
+import inventoryRoutes from "./routes/inventoryRoutes.js";
+import cacheRoutes from "./routes/cacheRoutes.js";
+
+// Import middleware
+import prismaErrorHandler from "./middleware/prismaErrorHandler.js";
+
+// Import background jobs
+import { startPromotionScheduler } from "./jobs/promotionScheduler.js";
+import { startReservationExpiry } from "./jobs/reservationExpiry.js";
+import { startEventDispatcher } from "./jobs/eventDispatcher.js";
+import { startPublishScheduler } from "./jobs/publishScheduler.js";
+
+// Import services
+import cacheService from "./services/cacheService.js";
 
 // Import Swagger config
 import swaggerSpec from "./config/swagger.js";
@@ -43,7 +61,9 @@ app.use(
     },
   })
 );
-app.use(express.json({ limit: "10mb" }));
+app.use(
+  express.json({ limit: "10mb", type: ["application/json", "application/merge-patch+json"] })
+);
 app.use(express.urlencoded({ extended: true }));
 
 // Health check
@@ -74,12 +94,21 @@ app.get("/api-docs.json", (req, res) => {
 
 // API Routes
 app.use("/books", bookRoutes);
+app.use("/authors", authorRoutes);
+app.use("/categories", categoryRoutes);
+app.use("/works", workRoutes);
+app.use("/promotions", promotionRoutes);
+app.use("/inventory", inventoryRoutes);
+app.use("/cache", cacheRoutes);
 
 // 404 handler - must be before error handler
 app.use((req, res, next) => {
   next(new NotFoundError("Route", req.originalUrl));
 });
 
+// Map Prisma constraint errors to application errors
+app.use(prismaErrorHandler);
+
 // Global error handler
 app.use(errorHandler);
 
@@ -87,6 +116,12 @@ app.use(errorHandler);
 const gracefulShutdown = async (signal) => {
   logger.info(`Received ${signal}. Starting graceful shutdown...`);
 
+  stopPromotionScheduler();
+  stopReservationExpiry();
+  stopEventDispatcher();
+  stopPublishScheduler();
+  await cacheService.disconnect();
+
   // Close server
   server.close(() => {
     logger.info("HTTP server closed");
@@ -106,6 +141,11 @@ const server = app.listen(PORT, () => {
   logger.info(`${SERVICE_NAME} running on port ${PORT}`);
 });
 
+const stopPromotionScheduler = startPromotionScheduler({ logger });
+const stopReservationExpiry = startReservationExpiry({ logger });
+const stopEventDispatcher = startEventDispatcher({ logger });
+const stopPublishScheduler = startPublishScheduler({ logger });
+
 process.on("SIGTERM", () => gracefulShutdown("SIGTERM"));
 process.on("SIGINT", () => gracefulShutdown("SIGINT"));
 
@@ -0,0 +1,38 @@
+import eventService from "../services/eventService.js";
+import { startIntervalJob } from "../utils/intervalJob.js";
+
+// How often to deliver queued events
+const DISPATCH_INTERVAL_MS = parseInt(process.env.EVENT_DISPATCH_INTERVAL_MS, 10) || 10000;
+
+/**
+ * Start the event dispatcher
+ * Delivers outbox events to notification-service, retrying failed
+ * deliveries with backoff and dead-lettering those that can't succeed.
+ * @param {Object} options - Dispatcher options
+ * @param {Object} options.logger - Service logger
+ * @param {number} [options.intervalMs] - Time between runs
+ * @returns {Function} Stops the dispatcher
+ */
+export const startEventDispatcher = ({ logger, intervalMs = DISPATCH_INTERVAL_MS }) =>
+  startIntervalJob(
+    "Event dispatcher",
+    intervalMs,
+    async () => {
+      const { published, failed, deadLettered } = await eventService.dispatchPending();
+
+      if (published > 0) {
+        logger.info(`Event dispatcher delivered ${published} event(s)`);
+      }
+      if (failed > 0) {
+        logger.warn(`Event dispatcher failed to deliver ${failed} event(s); will retry`);
+      }
+      if (deadLettered > 0) {
+        logger.error(
+          `Event dispatcher dead-lettered ${deadLettered} event(s) that can't be delivered`
+        );
+      }
+    },
+    { logger }
+  );
+
+export default { startEventDispatcher };
@@ -0,0 +1,44 @@
+import promotionService from "../services/promotionService.js";
+import { startIntervalJob } from "../utils/intervalJob.js";
+
+// How often to look for promotions that started or ended
+const SYNC_INTERVAL_MS = parseInt(process.env.PROMOTION_SYNC_INTERVAL_MS, 10) || 60000;
+
+/**
+ * Start the promotion scheduler
+ * Keeps the stored Book.effectivePrice (used for price sorting and
+ * filtering) in step as promotions start and end. Responses don't depend on
+ * it, they price books at request time. Running it on several instances is
+ * harmless since every run recomputes prices from scratch. The first run
+ * reprices every book.
+ * @param {Object} options - Scheduler options
+ * @param {Object} options.logger - Service logger
+ * @param {number} [options.intervalMs] - Time between runs
+ * @returns {Function} Stops the scheduler
+ */
+export const startPromotionScheduler = ({ logger, intervalMs = SYNC_INTERVAL_MS }) => {
+  // Until a run succeeds there is no window to sync from, since promotions may
+  // have started or ended at any time while the service was down
+  let since = null;
+
+  return startIntervalJob(
+    "Promotion scheduler",
+    intervalMs,
+    async () => {
+      const until = new Date();
+      // On failure the window stays open, so the next run retries it
+      const repriced =
+        since === null
+          ? await promotionService.refreshAllEffectivePrices()
+          : await promotionService.syncPromotionWindows(since, until);
+      since = until;
+
+      if (repriced > 0) {
+        logger.info(`Promotion scheduler repriced ${repriced} book(s)`);
+      }
+    },
+    { logger }
+  );
+};
+
+export default { startPromotionScheduler };
@@ -0,0 +1,36 @@
+import bookService from "../services/bookService.js";
+import { startIntervalJob } from "../utils/intervalJob.js";
+
+// How often to look for scheduled books that are due
+const PUBLISH_INTERVAL_MS = parseInt(process.env.PUBLISH_SCHEDULER_INTERVAL_MS, 10) || 60000;
+
+/**
+ * Start the publish scheduler
+ * Publishes SCHEDULED books once their publishAt passes. Books due while the
+ * service was down are published on the first run. Safe to run on several
+ * instances: each book is published by whichever run writes it first.
+ * @param {Object} options - Scheduler options
+ * @param {Object} options.logger - Service logger
+ * @param {number} [options.intervalMs] - Time between runs
+ * @returns {Function} Stops the scheduler
+ */
+export const startPublishScheduler = ({ logger, intervalMs = PUBLISH_INTERVAL_MS }) =>
+  startIntervalJob(
+    "Publish scheduler",
+    intervalMs,
+    async () => {
+      const { published, returnedToDraft } = await bookService.publishScheduledBooks();
+
+      if (published > 0) {
+        logger.info(`Publish scheduler published ${published} book(s)`);
+      }
+      if (returnedToDraft > 0) {
+        logger.warn(
+          `Publish scheduler returned ${returnedToDraft} book(s) that no longer meet the publishing requirements to draft`
+        );
+      }
+    },
+    { logger }
+  );
+
+export default { startPublishScheduler };
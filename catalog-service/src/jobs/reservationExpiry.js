@@ -0,0 +1,31 @@
+import inventoryService from "../services/inventoryService.js";
+import { startIntervalJob } from "../utils/intervalJob.js";
+
+// How often to free units held by reservations that ran out
+const EXPIRY_INTERVAL_MS = parseInt(process.env.RESERVATION_EXPIRY_INTERVAL_MS, 10) || 30000;
+
+/**
+ * Start the reservation expiry job
+ * Returns units held by abandoned carts to stock once their reservation's
+ * TTL passes. Safe to run on several instances: each reservation is freed
+ * by whichever run moves it out of ACTIVE first.
+ * @param {Object} options - Job options
+ * @param {Object} options.logger - Service logger
+ * @param {number} [options.intervalMs] - Time between runs
+ * @returns {Function} Stops the job
+ */
+export const startReservationExpiry = ({ logger, intervalMs = EXPIRY_INTERVAL_MS }) =>
+  startIntervalJob(
+    "Reservation expiry",
+    intervalMs,
+    async () => {
+      const expired = await inventoryService.expireReservations();
+
+      if (expired > 0) {
+        logger.info(`Reservation expiry released ${expired} reservation(s)`);
+      }
+    },
+    { logger }
+  );
+
+export default { startReservationExpiry };
@@ -0,0 +1,63 @@
+import { Prisma } from "@bookzilla/database";
+import {
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} from "@bookzilla/shared";
+
+/**
+ * Translate a Prisma known-request error into a shared application error
+ * @param {Prisma.PrismaClientKnownRequestError} err - Error thrown by Prisma
+ * @returns {Error|null} Mapped error, or null if the code is not handled
+ */
+export const mapPrismaError = (err) => {
+  const meta = err.meta || {};
+
+  switch (err.code) {
+    // Unique constraint failed
+    case "P2002": {
+      const target = Array.isArray(meta.target)
+        ? meta.target.join(", ")
+        : meta.target;
+      return new ConflictError(
+        target
+          ? `${meta.modelName || "Record"} with this ${target} already exists`
+          : "Resource already exists"
+      );
+    }
+
+    // Foreign key constraint failed
+    case "P2003":
+      return new ValidationError("Referenced record does not exist", [
+        {
+          field: meta.field_name || "unknown",
+          message: "Referenced record does not exist",
+        },
+      ]);
+
+    // Record required for the operation not found
+    case "P2025":
+      return new NotFoundError(meta.modelName || "Resource");
+
+    default:
+      return null;
+  }
+};
+
+/**
+ * Error middleware that converts Prisma errors before they reach the
+ * shared errorHandler, so constraint violations surface as 4xx responses
+ * instead of 500s. Must be registered just before errorHandler.
+ */
+const prismaErrorHandler = (err, req, res, next) => {
+  if (err instanceof Prisma.PrismaClientKnownRequestError) {
+    const mapped = mapPrismaError(err);
+    if (mapped) {
+      return next(mapped);
+    }
+  }
+
+  return next(err);
+};
+
+export default prismaErrorHandler;
@@ -0,0 +1,294 @@
+import { Router } from "express";
+import {
+  asyncHandler,
+  authenticateToken,
+  optionalAuth,
+  requireAdmin,
+} from "@bookzilla/shared";
+import authorController from "../controllers/authorController.js";
+import {
+  createAuthorValidation,
+  updateAuthorValidation,
+  getAuthorValidation,
+  listAuthorsValidation,
+} from "../validators/authorValidator.js";
+
+const router = Router();
+
+/**
+ * @swagger
+ * /authors:
+ *   get:
+ *     summary: Get all authors
+ *     description: Retrieve a paginated list of authors with optional name search
+ *     tags: [Authors]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Number of items per page
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search term for author name
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved authors
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     authors:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Author'
+ *                     pagination:
+ *                       $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get(
+  "/",
+  optionalAuth(),
+  listAuthorsValidation,
+  asyncHandler(authorController.list.bind(authorController))
+);
+
+/**
+ * @swagger
+ * /authors:
+ *   post:
+ *     summary: Create a new author
+ *     description: Add a new author to the catalog. Requires admin authentication.
+ *     tags: [Authors]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AuthorCreate'
+ *           example:
+ *             name: "F. Scott Fitzgerald"
+ *             bio: "American novelist of the Jazz Age"
+ *             birthDate: "1896-09-24"
+ *     responses:
+ *       201:
+ *         description: Author created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Author created successfully"
+ *                 data:
+ *                   $ref: '#/components/schemas/Author'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized - No token provided
+ *       403:
+ *         description: Forbidden - Not an admin
+ */
+router.post(
+  "/",
+  authenticateToken(),
+  requireAdmin,
+  createAuthorValidation,
+  asyncHandler(authorController.create.bind(authorController))
+);
+
+/**
+ * @swagger
+ * /authors/{id}:
+ *   get:
+ *     summary: Get an author by ID
+ *     description: Retrieve a single author along with the books they are linked to. Inactive books are only listed for requests authenticated as an admin.
+ *     tags: [Authors]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Author UUID
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved author
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/AuthorDetail'
+ *       404:
+ *         description: Author not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get(
+  "/:id",
+  optionalAuth(),
+  getAuthorValidation,
+  asyncHandler(authorController.getById.bind(authorController))
+);
+
+/**
+ * @swagger
+ * /authors/{id}:
+ *   put:
+ *     summary: Update an author
+ *     description: Update an existing author's information. Requires admin authentication.
+ *     tags: [Authors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Author UUID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AuthorCreate'
+ *     responses:
+ *       200:
+ *         description: Author updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Author updated successfully"
+ *                 data:
+ *                   $ref: '#/components/schemas/Author'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized - No token provided
+ *       403:
+ *         description: Forbidden - Not an admin
+ *       404:
+ *         description: Author not found
+ */
+router.put(
+  "/:id",
+  authenticateToken(),
+  requireAdmin,
+  updateAuthorValidation,
+  asyncHandler(authorController.update.bind(authorController))
+);
+
+/**
+ * @swagger
+ * /authors/{id}:
+ *   delete:
+ *     summary: Delete an author
+ *     description: Remove an author from the catalog. Fails if the author is still linked to any book. Requires admin authentication.
+ *     tags: [Authors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Author UUID
+ *     responses:
+ *       200:
+ *         description: Author deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Author deleted successfully"
+ *                 data:
+ *                   type: null
+ *       401:
+ *         description: Unauthorized - No token provided
+ *       403:
+ *         description: Forbidden - Not an admin
+ *       404:
+ *         description: Author not found
+ *       409:
+ *         description: Author is still linked to one or more books
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.delete(
+  "/:id",
+  authenticateToken(),
+  requireAdmin,
+  getAuthorValidation,
+  asyncHandler(authorController.delete.bind(authorController))
+);
+
+export default router;
@@ -2,14 +2,24 @@ import { Router } from "express";
 import {
   asyncHandler,
   authenticateToken,
+  optionalAuth,
   requireAdmin,
 } from "@bookzilla/shared";
 import bookController from "../controllers/bookController.js";
 import {
   createBookValidation,
   updateBookValidation,
+  patchBookValidation,
   getBookValidation,
+  getBookByIsbnValidation,
+  getBookBySlugValidation,
   listBooksValidation,
+  searchBooksValidation,
+  importBooksValidation,
+  exportBooksValidation,
+  listTrashedBooksValidation,
+  bookHistoryValidation,
+  revertBookValidation,
 } from "../validators/bookValidator.js";
 
 const router = Router();
@@ -19,7 +29,7 @@ const router = Router();
  * /books:
  *   get:
  *     summary: Get all books
- *     description: Retrieve a paginated list of books with optional filtering
+ *     description: Retrieve a paginated list of books with optional filtering. Inactive books are only listed for requests authenticated as an admin. Pages are served from a short-lived cache; requests authenticated as an admin always read the database. Responses carry a weak ETag and no Last-Modified, since a book dropping off a page wouldn't move it; requests with a matching If-None-Match are answered with 304.
  *     tags: [Books]
  *     parameters:
  *       - in: query
@@ -38,6 +48,14 @@ const router = Router();
  *           default: 20
  *         description: Number of items per page
  *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: |
+ *           Opt into cursor (keyset) pagination. Send an empty `cursor=` for the first page, then the
+ *           `nextCursor` from each response. Cannot be combined with `page`; cursors are tied to the
+ *           `sort` they were issued for. Cursor pages omit the total count.
+ *       - in: query
  *         name: search
  *         schema:
  *           type: string
@@ -52,15 +70,108 @@ const router = Router();
  *         name: isActive
  *         schema:
  *           type: boolean
- *         description: Filter by active status
+ *         description: Filter by active status. Only admins see inactive books, so false matches nothing for other callers.
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [DRAFT, SCHEDULED, PUBLISHED, ARCHIVED]
+ *         description: Filter by lifecycle status. Only admins see books that aren't PUBLISHED.
  *       - in: query
  *         name: isFeatured
  *         schema:
  *           type: boolean
  *         description: Filter by featured status
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *         description: Minimum effective price (the discount price when one is set)
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *         description: Maximum effective price (the discount price when one is set)
+ *       - in: query
+ *         name: language
+ *         schema:
+ *           type: string
+ *         description: Filter by language code
+ *       - in: query
+ *         name: publisher
+ *         schema:
+ *           type: string
+ *         description: Filter by publisher (case-insensitive exact match)
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Category UUID or slug; books in its subcategories are included
+ *       - in: query
+ *         name: author
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Filter by author UUID
+ *       - in: query
+ *         name: minRating
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 5
+ *         description: Minimum average rating
+ *       - in: query
+ *         name: publishedFrom
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Earliest publication date
+ *       - in: query
+ *         name: publishedTo
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Latest publication date
+ *       - in: query
+ *         name: inStock
+ *         schema:
+ *           type: boolean
+ *         description: Only books with units available to order
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: "-createdAt"
+ *         example: "-averageRating,price"
+ *         description: |
+ *           Comma-separated sort keys, applied in order. Prefix a key with `-` for descending order.
+ *           Allowed keys: `price` (effective price, i.e. the discount price when set), `title`,
+ *           `publicationDate`, `averageRating`, `ratingsCount`, `createdAt`.
+ *       - in: query
+ *         name: facets
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include facet counts (format, language, category, price bucket) in the response
+ *       - in: query
+ *         name: collapseEditions
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Return one result per work, its first matching edition, with the matching editions listed for a format picker. Pagination then counts works. Not available with cursor paging.
+ *       - $ref: '#/components/parameters/BookFields'
+ *       - $ref: '#/components/parameters/BookInclude'
+ *       - $ref: '#/components/parameters/IfNoneMatch'
  *     responses:
  *       200:
  *         description: Successfully retrieved books
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ListingETag'
+ *           Cache-Control:
+ *             $ref: '#/components/headers/CacheControl'
  *         content:
  *           application/json:
  *             schema:
@@ -77,18 +188,29 @@ const router = Router();
  *                     books:
  *                       type: array
  *                       items:
- *                         $ref: '#/components/schemas/Book'
+ *                         oneOf:
+ *                           - $ref: '#/components/schemas/Book'
+ *                           - $ref: '#/components/schemas/CollapsedBook'
  *                     pagination:
- *                       $ref: '#/components/schemas/Pagination'
+ *                       oneOf:
+ *                         - $ref: '#/components/schemas/Pagination'
+ *                         - $ref: '#/components/schemas/CursorPagination'
+ *                     facets:
+ *                       $ref: '#/components/schemas/BookFacets'
+ *       304:
+ *         description: Not modified since the ETag or date sent
  *       400:
  *         description: Validation error
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Category not found
  */
 router.get(
   "/",
+  optionalAuth(),
   listBooksValidation,
   asyncHandler(bookController.list.bind(bookController))
 );
@@ -98,7 +220,7 @@ router.get(
  * /books:
  *   post:
  *     summary: Create a new book
- *     description: Add a new book to the catalog. Requires admin authentication.
+ *     description: Add a new book to the catalog. Books start as drafts, hidden from the public catalog, unless status (or isActive set to true) says otherwise; a book can only be scheduled or published once it has a cover image, a price, an author and a category. Requires admin authentication.
  *     tags: [Books]
  *     security:
  *       - bearerAuth: []
@@ -136,7 +258,7 @@ router.get(
  *                 data:
  *                   $ref: '#/components/schemas/Book'
  *       400:
- *         description: Validation error
+ *         description: Validation error or referenced authors/categories do not exist
  *         content:
  *           application/json:
  *             schema:
@@ -158,22 +280,127 @@ router.post(
 
 /**
  * @swagger
- * /books/{id}:
+ * /books/import:
+ *   post:
+ *     summary: Import a batch of books
+ *     description: Create or update up to 500 books in one request. Each row is checked against the same rules as POST /books and processed independently, so one bad row does not stop the batch. Rows whose ISBN or ISBN-13 matches an existing book update it. Authors and categories may be given by name; unknown names fail the row unless createMissing is true. With dryRun nothing is written. Requires admin authentication.
+ *     tags: [Books]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BookImportRequest'
+ *           example:
+ *             dryRun: true
+ *             createMissing: true
+ *             rows:
+ *               - title: "The Great Gatsby"
+ *                 description: "A novel by F. Scott Fitzgerald set in the Jazz Age"
+ *                 format: "HARDCOVER"
+ *                 price: 19.99
+ *                 coverImageUrl: "https://example.com/gatsby-cover.jpg"
+ *                 isbn13: "9780743273565"
+ *                 authors: ["F. Scott Fitzgerald"]
+ *                 categories: ["Classics"]
+ *     responses:
+ *       200:
+ *         description: Batch processed; see the per-row report for outcomes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Import completed"
+ *                 data:
+ *                   $ref: '#/components/schemas/BookImportReport'
+ *       400:
+ *         description: Validation error in the batch itself
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized - No token provided
+ *       403:
+ *         description: Forbidden - Not an admin
+ */
+router.post(
+  "/import",
+  authenticateToken(),
+  requireAdmin,
+  importBooksValidation,
+  asyncHandler(bookController.import.bind(bookController))
+);
+
+/**
+ * @swagger
+ * /books/search:
  *   get:
- *     summary: Get a book by ID
- *     description: Retrieve a single book by its unique identifier
+ *     summary: Full-text search for books
+ *     description: |
+ *       Search titles, subtitles, author names, descriptions and publishers using PostgreSQL
+ *       full-text search. Results are ranked by relevance (title matches outrank author matches,
+ *       which outrank description matches). The last search term is prefix-matched, so partially
+ *       typed words work for type-ahead. Matched terms are wrapped in `<mark>` tags in the highlights.
+ *       Inactive books are only found by requests authenticated as an admin.
  *     tags: [Books]
  *     parameters:
- *       - in: path
- *         name: id
+ *       - in: query
+ *         name: q
  *         required: true
  *         schema:
  *           type: string
- *           format: uuid
- *         description: Book UUID
+ *           maxLength: 100
+ *         description: Search text
+ *         example: "fitzgerald gats"
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: relevance
+ *         example: "relevance,-averageRating"
+ *         description: |
+ *           Comma-separated sort keys, applied in order. Prefix a key with `-` for descending order.
+ *           Allowed keys: `relevance` (most relevant first; `-relevance` reverses it), `price`
+ *           (effective price, i.e. the discount price when set), `title`, `publicationDate`,
+ *           `averageRating`, `ratingsCount`, `createdAt`.
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Number of items per page
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [HARDCOVER, PAPERBACK, EBOOK, AUDIOBOOK]
+ *         description: Filter by book format
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *         description: Filter by active status. Only admins see inactive books, so false matches nothing for other callers.
  *     responses:
  *       200:
- *         description: Successfully retrieved book
+ *         description: Successfully retrieved matching books, most relevant first
  *         content:
  *           application/json:
  *             schema:
@@ -185,59 +412,142 @@ router.post(
  *                 message:
  *                   type: string
  *                 data:
- *                   $ref: '#/components/schemas/Book'
- *       404:
- *         description: Book not found
+ *                   type: object
+ *                   properties:
+ *                     books:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/BookSearchResult'
+ *                     pagination:
+ *                       $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Validation error
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
 router.get(
-  "/:id",
-  getBookValidation,
-  asyncHandler(bookController.getById.bind(bookController))
+  "/search",
+  optionalAuth(),
+  searchBooksValidation,
+  asyncHandler(bookController.search.bind(bookController))
 );
 
 /**
  * @swagger
- * /books/{id}:
- *   put:
- *     summary: Update a book
- *     description: Update an existing book's information. Requires admin authentication.
+ * /books/export/{exportFormat}:
+ *   get:
+ *     summary: Export the catalog
+ *     description: Stream every book matching the filters, with authors and categories, as a file download. csv and jsonl use the same columns as POST /books/import, so exports can be re-imported; onix produces an ONIX for Books 3.0 message. Accepts the same filters as GET /books. Requires admin authentication.
  *     tags: [Books]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: id
+ *         name: exportFormat
  *         required: true
  *         schema:
  *           type: string
+ *           enum: [csv, jsonl, onix]
+ *         description: File format
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search term for book title
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [HARDCOVER, PAPERBACK, EBOOK, AUDIOBOOK]
+ *         description: Filter by book format
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *         description: Filter by active status. Only admins see inactive books, so false matches nothing for other callers.
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [DRAFT, SCHEDULED, PUBLISHED, ARCHIVED]
+ *         description: Filter by lifecycle status. Only admins see books that aren't PUBLISHED.
+ *       - in: query
+ *         name: isFeatured
+ *         schema:
+ *           type: boolean
+ *         description: Filter by featured status
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *         description: Minimum effective price (the discount price when one is set)
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *         description: Maximum effective price (the discount price when one is set)
+ *       - in: query
+ *         name: language
+ *         schema:
+ *           type: string
+ *         description: Filter by language code
+ *       - in: query
+ *         name: publisher
+ *         schema:
+ *           type: string
+ *         description: Filter by publisher (case-insensitive exact match)
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Category UUID or slug; books in its subcategories are included
+ *       - in: query
+ *         name: author
+ *         schema:
+ *           type: string
  *           format: uuid
- *         description: Book UUID
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             $ref: '#/components/schemas/BookCreate'
+ *         description: Filter by author UUID
+ *       - in: query
+ *         name: minRating
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 5
+ *         description: Minimum average rating
+ *       - in: query
+ *         name: publishedFrom
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Earliest publication date
+ *       - in: query
+ *         name: publishedTo
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Latest publication date
+ *       - in: query
+ *         name: inStock
+ *         schema:
+ *           type: boolean
+ *         description: Only books with units available to order
  *     responses:
  *       200:
- *         description: Book updated successfully
+ *         description: Catalog file
  *         content:
- *           application/json:
+ *           text/csv:
  *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 message:
- *                   type: string
- *                   example: "Book updated successfully"
- *                 data:
- *                   $ref: '#/components/schemas/Book'
+ *               type: string
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *           application/xml:
+ *             schema:
+ *               type: string
  *       400:
  *         description: Validation error
  *         content:
@@ -249,36 +559,49 @@ router.get(
  *       403:
  *         description: Forbidden - Not an admin
  *       404:
- *         description: Book not found
+ *         description: Category not found
  */
-router.put(
-  "/:id",
+router.get(
+  "/export/:exportFormat",
   authenticateToken(),
   requireAdmin,
-  updateBookValidation,
-  asyncHandler(bookController.update.bind(bookController))
+  exportBooksValidation,
+  asyncHandler(bookController.export.bind(bookController))
 );
 
 /**
  * @swagger
- * /books/{id}:
- *   delete:
- *     summary: Delete a book
- *     description: Remove a book from the catalog. Requires admin authentication.
+ * /books/trash:
+ *   get:
+ *     summary: List trashed books
+ *     description: Retrieve a paginated list of deleted books, most recently deleted first. Requires admin authentication.
  *     tags: [Books]
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Number of items per page
+ *       - in: query
+ *         name: search
  *         schema:
  *           type: string
- *           format: uuid
- *         description: Book UUID
+ *         description: Search term for book title
  *     responses:
  *       200:
- *         description: Book deleted successfully
+ *         description: Successfully retrieved trashed books
  *         content:
  *           application/json:
  *             schema:
@@ -289,15 +612,410 @@ router.put(
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: "Book deleted successfully"
  *                 data:
- *                   type: null
- *       401:
- *         description: Unauthorized - No token provided
- *       403:
- *         description: Forbidden - Not an admin
- *       404:
- *         description: Book not found
+ *                   type: object
+ *                   properties:
+ *                     books:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Book'
+ *                     pagination:
+ *                       $ref: '#/components/schemas/Pagination'
+ *       401:
+ *         description: Unauthorized - No token provided
+ *       403:
+ *         description: Forbidden - Not an admin
+ */
+router.get(
+  "/trash",
+  authenticateToken(),
+  requireAdmin,
+  listTrashedBooksValidation,
+  asyncHandler(bookController.trash.bind(bookController))
+);
+
+/**
+ * @swagger
+ * /books/isbn/{isbn}:
+ *   get:
+ *     summary: Get a book by ISBN
+ *     description: Look a book up by its ISBN-10 or ISBN-13, with or without hyphens. Either form finds the book whichever one it was entered with. Inactive books are only returned to admins. The book is served from the same cache as GET /books/{id}, and fields and include work the same way.
+ *     tags: [Books]
+ *     parameters:
+ *       - in: path
+ *         name: isbn
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "978-0-7432-7356-5"
+ *         description: ISBN-10 or ISBN-13
+ *       - $ref: '#/components/parameters/BookFields'
+ *       - $ref: '#/components/parameters/BookInclude'
+ *       - $ref: '#/components/parameters/IfNoneMatch'
+ *       - $ref: '#/components/parameters/IfModifiedSince'
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved book
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *           Last-Modified:
+ *             $ref: '#/components/headers/LastModified'
+ *           Cache-Control:
+ *             $ref: '#/components/headers/CacheControl'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Book'
+ *       304:
+ *         description: Not modified since the ETag or date sent
+ *       400:
+ *         description: Not a valid ISBN, or unknown fields or include
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Book not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get(
+  "/isbn/:isbn",
+  optionalAuth(),
+  getBookByIsbnValidation,
+  asyncHandler(bookController.getByIsbn.bind(bookController))
+);
+
+/**
+ * @swagger
+ * /books/slug/{slug}:
+ *   get:
+ *     summary: Get a book by slug
+ *     description: Retrieve a book by its URL slug, built from the title and first author. When the title or author changes the book gets a new slug; requests for an old slug are redirected to the current one. Inactive books are only returned to admins. The book is served from the same cache as GET /books/{id}, and fields and include work the same way.
+ *     tags: [Books]
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "the-great-gatsby-f-scott-fitzgerald"
+ *         description: Current or previous book slug
+ *       - $ref: '#/components/parameters/BookFields'
+ *       - $ref: '#/components/parameters/BookInclude'
+ *       - $ref: '#/components/parameters/IfNoneMatch'
+ *       - $ref: '#/components/parameters/IfModifiedSince'
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved book
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *           Last-Modified:
+ *             $ref: '#/components/headers/LastModified'
+ *           Cache-Control:
+ *             $ref: '#/components/headers/CacheControl'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Book'
+ *       302:
+ *         description: The slug is no longer current; Location holds /books/slug/{current slug}, with the same query string. The redirect is temporary since the current slug can change too.
+ *         headers:
+ *           Location:
+ *             schema:
+ *               type: string
+ *               example: "/books/slug/the-great-gatsby-f-scott-fitzgerald"
+ *       304:
+ *         description: Not modified since the ETag or date sent
+ *       400:
+ *         description: Malformed slug, or unknown fields or include
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Book not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get(
+  "/slug/:slug",
+  optionalAuth(),
+  getBookBySlugValidation,
+  asyncHandler(bookController.getBySlug.bind(bookController))
+);
+
+/**
+ * @swagger
+ * /books/{id}:
+ *   get:
+ *     summary: Get a book by ID
+ *     description: Retrieve a single book by its unique identifier. Inactive books are only returned to admins; other callers get 404. The ETag response header identifies the book's current version; send it back in If-Match when updating or deleting the book, or in If-None-Match to get a 304 when it hasn't changed. Books are served from a cache; requests authenticated as an admin always read the database.
+ *     tags: [Books]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Book UUID
+ *       - $ref: '#/components/parameters/BookFields'
+ *       - $ref: '#/components/parameters/BookInclude'
+ *       - $ref: '#/components/parameters/IfNoneMatch'
+ *       - $ref: '#/components/parameters/IfModifiedSince'
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved book
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *           Last-Modified:
+ *             $ref: '#/components/headers/LastModified'
+ *           Cache-Control:
+ *             $ref: '#/components/headers/CacheControl'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Book'
+ *       304:
+ *         description: Not modified since the ETag or date sent
+ *       404:
+ *         description: Book not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get(
+  "/:id",
+  optionalAuth(),
+  getBookValidation,
+  asyncHandler(bookController.getById.bind(bookController))
+);
+
+/**
+ * @swagger
+ * /books/{id}:
+ *   put:
+ *     summary: Update a book
+ *     description: Update an existing book's information. authorIds and categoryIds replace the book's current lists unless relationMode is "patch", in which case they are added and removeAuthorIds/removeCategoryIds are unlinked. All changes are applied in one transaction. Set status to SCHEDULED with a publishAt to have the book published at that time, or to PUBLISHED to publish it now; scheduled and published books must keep a cover image, a price, an author and a category. Send If-Match with the book's ETag to avoid overwriting someone else's changes. Requires admin authentication.
+ *     tags: [Books]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Book UUID
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BookUpdate'
+ *     responses:
+ *       200:
+ *         description: Book updated successfully
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Book updated successfully"
+ *                 data:
+ *                   $ref: '#/components/schemas/Book'
+ *       400:
+ *         description: Validation error or referenced authors/categories do not exist
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized - No token provided
+ *       403:
+ *         description: Forbidden - Not an admin
+ *       404:
+ *         description: Book not found
+ *       412:
+ *         description: Book was modified since the If-Match ETag was retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.put(
+  "/:id",
+  authenticateToken(),
+  requireAdmin,
+  updateBookValidation,
+  asyncHandler(bookController.update.bind(bookController))
+);
+
+/**
+ * @swagger
+ * /books/{id}:
+ *   patch:
+ *     summary: Partially update a book
+ *     description: Apply a JSON merge patch (RFC 7396). Only the fields present are changed, null clears an optional field, additionalInfo is merged key by key, and authorIds/categoryIds replace the current lists. Values are validated with the same rules as PUT. Send If-Match with the book's ETag to avoid overwriting someone else's changes. Requires admin authentication.
+ *     tags: [Books]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Book UUID
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/merge-patch+json:
+ *           schema:
+ *             $ref: '#/components/schemas/BookMergePatch'
+ *           example:
+ *             subtitle: null
+ *             discountPrice: 12.99
+ *             additionalInfo:
+ *               series: "Discworld"
+ *               translator: null
+ *     responses:
+ *       200:
+ *         description: Book updated successfully
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Book updated successfully"
+ *                 data:
+ *                   $ref: '#/components/schemas/Book'
+ *       400:
+ *         description: Validation error, unknown field, or null for a required field
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized - No token provided
+ *       403:
+ *         description: Forbidden - Not an admin
+ *       404:
+ *         description: Book not found
+ *       412:
+ *         description: Book was modified since the If-Match ETag was retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.patch(
+  "/:id",
+  authenticateToken(),
+  requireAdmin,
+  patchBookValidation,
+  asyncHandler(bookController.patch.bind(bookController))
+);
+
+/**
+ * @swagger
+ * /books/{id}:
+ *   delete:
+ *     summary: Delete a book
+ *     description: Move a book to the trash. It is hidden from listings, search and lookups but keeps its authors and categories, and can be restored with POST /books/{id}/restore. Requires admin authentication.
+ *     tags: [Books]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Book UUID
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     responses:
+ *       200:
+ *         description: Book deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Book deleted successfully"
+ *                 data:
+ *                   type: null
+ *       401:
+ *         description: Unauthorized - No token provided
+ *       403:
+ *         description: Forbidden - Not an admin
+ *       404:
+ *         description: Book not found
+ *       412:
+ *         description: Book was modified since the If-Match ETag was retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  */
 router.delete(
   "/:id",
@@ -307,4 +1025,182 @@ router.delete(
   asyncHandler(bookController.delete.bind(bookController))
 );
 
+/**
+ * @swagger
+ * /books/{id}/restore:
+ *   post:
+ *     summary: Restore a book
+ *     description: Bring a book back from the trash into the catalog. Requires admin authentication.
+ *     tags: [Books]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Book UUID
+ *     responses:
+ *       200:
+ *         description: Book restored successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Book restored successfully"
+ *                 data:
+ *                   $ref: '#/components/schemas/Book'
+ *       401:
+ *         description: Unauthorized - No token provided
+ *       403:
+ *         description: Forbidden - Not an admin
+ *       404:
+ *         description: Book not found
+ *       409:
+ *         description: Book is not in the trash
+ */
+router.post(
+  "/:id/restore",
+  authenticateToken(),
+  requireAdmin,
+  getBookValidation,
+  asyncHandler(bookController.restore.bind(bookController))
+);
+
+/**
+ * @swagger
+ * /books/{id}/history:
+ *   get:
+ *     summary: Get book history
+ *     description: List the recorded revisions of a book, newest first. Each revision shows who made the change, the request it came from, and the before/after state with a per-field diff. History is kept for trashed books. Requires admin authentication.
+ *     tags: [Books]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Book UUID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Items per page
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved book history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Book history retrieved successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     revisions:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/BookRevision'
+ *                     pagination:
+ *                       $ref: '#/components/schemas/Pagination'
+ *       401:
+ *         description: Unauthorized - No token provided
+ *       403:
+ *         description: Forbidden - Not an admin
+ */
+router.get(
+  "/:id/history",
+  authenticateToken(),
+  requireAdmin,
+  bookHistoryValidation,
+  asyncHandler(bookController.history.bind(bookController))
+);
+
+/**
+ * @swagger
+ * /books/{id}/history/{revisionId}/revert:
+ *   post:
+ *     summary: Revert a book to a revision
+ *     description: Set the book's fields, authors and categories back to the state recorded after the given revision. The revert is itself recorded as a new REVERT revision. Trashed books must be restored first. Requires admin authentication.
+ *     tags: [Books]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Book UUID
+ *       - in: path
+ *         name: revisionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Revision to revert to
+ *     responses:
+ *       200:
+ *         description: Book reverted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Book reverted successfully"
+ *                 data:
+ *                   $ref: '#/components/schemas/Book'
+ *       400:
+ *         description: The revision left the book deleted, or its authors/categories no longer exist
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized - No token provided
+ *       403:
+ *         description: Forbidden - Not an admin
+ *       404:
+ *         description: Book or revision not found
+ *       409:
+ *         description: The reverted ISBN is now used by another book
+ */
+router.post(
+  "/:id/history/:revisionId/revert",
+  authenticateToken(),
+  requireAdmin,
+  revertBookValidation,
+  asyncHandler(bookController.revert.bind(bookController))
+);
+
 export default router;
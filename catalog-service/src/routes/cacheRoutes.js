@@ -0,0 +1,47 @@
+import { Router } from "express";
+import {
+  asyncHandler,
+  authenticateToken,
+  requireAdmin,
+} from "@bookzilla/shared";
+import cacheController from "../controllers/cacheController.js";
+
+const router = Router();
+
+/**
+ * @swagger
+ * /cache/stats:
+ *   get:
+ *     summary: Get cache statistics
+ *     description: Hit and miss counters of the book and listing cache on the instance that serves the request. Counters reset when the instance restarts. Requires admin authentication.
+ *     tags: [Cache]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved cache statistics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/CacheStats'
+ *       401:
+ *         description: Unauthorized - No token provided
+ *       403:
+ *         description: Forbidden - Not an admin
+ */
+router.get(
+  "/stats",
+  authenticateToken(),
+  requireAdmin,
+  asyncHandler(cacheController.stats.bind(cacheController))
+);
+
+export default router;
@@ -0,0 +1,412 @@
+import { Router } from "express";
+import {
+  asyncHandler,
+  authenticateToken,
+  requireAdmin,
+} from "@bookzilla/shared";
+import categoryController from "../controllers/categoryController.js";
+import {
+  createCategoryValidation,
+  updateCategoryValidation,
+  moveCategoryValidation,
+  getCategoryValidation,
+  getCategoryBySlugValidation,
+  listCategoryBooksValidation,
+} from "../validators/categoryValidator.js";
+
+const router = Router();
+
+/**
+ * @swagger
+ * /categories:
+ *   get:
+ *     summary: Get the category tree
+ *     description: Retrieve every category as a nested tree, starting from the root categories
+ *     tags: [Categories]
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved categories
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CategoryNode'
+ */
+router.get("/", asyncHandler(categoryController.tree.bind(categoryController)));
+
+/**
+ * @swagger
+ * /categories:
+ *   post:
+ *     summary: Create a new category
+ *     description: Add a category, optionally nested under a parent. The slug is derived from the name when omitted. Requires admin authentication.
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CategoryCreate'
+ *           example:
+ *             name: "Science Fiction"
+ *             parentId: "550e8400-e29b-41d4-a716-446655440000"
+ *     responses:
+ *       201:
+ *         description: Category created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Category created successfully"
+ *                 data:
+ *                   $ref: '#/components/schemas/Category'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized - No token provided
+ *       403:
+ *         description: Forbidden - Not an admin
+ *       404:
+ *         description: Parent category not found
+ *       409:
+ *         description: Name or slug already in use
+ */
+router.post(
+  "/",
+  authenticateToken(),
+  requireAdmin,
+  createCategoryValidation,
+  asyncHandler(categoryController.create.bind(categoryController))
+);
+
+/**
+ * @swagger
+ * /categories/{slug}:
+ *   get:
+ *     summary: Get a category subtree by slug
+ *     description: Retrieve a category with all of its descendants and the path of ancestors leading to it
+ *     tags: [Categories]
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Category slug
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved category
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/CategoryNode'
+ *                     - type: object
+ *                       properties:
+ *                         path:
+ *                           type: array
+ *                           description: Ancestors ordered from the root to the direct parent
+ *                           items:
+ *                             $ref: '#/components/schemas/CategorySummary'
+ *       404:
+ *         description: Category not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get(
+  "/:slug",
+  getCategoryBySlugValidation,
+  asyncHandler(categoryController.getBySlug.bind(categoryController))
+);
+
+/**
+ * @swagger
+ * /categories/{slug}/books:
+ *   get:
+ *     summary: List books in a category
+ *     description: Retrieve a paginated list of active books assigned to the category or any of its descendants
+ *     tags: [Categories]
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Category slug
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Number of items per page
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search term for book title
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved books
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     category:
+ *                       $ref: '#/components/schemas/Category'
+ *                     books:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Book'
+ *                     pagination:
+ *                       $ref: '#/components/schemas/Pagination'
+ *       404:
+ *         description: Category not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get(
+  "/:slug/books",
+  listCategoryBooksValidation,
+  asyncHandler(categoryController.listBooks.bind(categoryController))
+);
+
+/**
+ * @swagger
+ * /categories/{id}:
+ *   put:
+ *     summary: Update a category
+ *     description: Update a category's name, slug or description. Use PATCH /categories/{id}/parent to move it. Requires admin authentication.
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Category UUID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CategoryUpdate'
+ *     responses:
+ *       200:
+ *         description: Category updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Category updated successfully"
+ *                 data:
+ *                   $ref: '#/components/schemas/Category'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized - No token provided
+ *       403:
+ *         description: Forbidden - Not an admin
+ *       404:
+ *         description: Category not found
+ *       409:
+ *         description: Name or slug already in use
+ */
+router.put(
+  "/:id",
+  authenticateToken(),
+  requireAdmin,
+  updateCategoryValidation,
+  asyncHandler(categoryController.update.bind(categoryController))
+);
+
+/**
+ * @swagger
+ * /categories/{id}/parent:
+ *   patch:
+ *     summary: Move a category
+ *     description: Re-parent a category. Pass null to make it a root category. Moving a category under itself or one of its descendants is rejected. Requires admin authentication.
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Category UUID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [parentId]
+ *             properties:
+ *               parentId:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Category moved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Category moved successfully"
+ *                 data:
+ *                   $ref: '#/components/schemas/Category'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized - No token provided
+ *       403:
+ *         description: Forbidden - Not an admin
+ *       404:
+ *         description: Category or new parent not found
+ *       409:
+ *         description: Move would create a cycle
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.patch(
+  "/:id/parent",
+  authenticateToken(),
+  requireAdmin,
+  moveCategoryValidation,
+  asyncHandler(categoryController.move.bind(categoryController))
+);
+
+/**
+ * @swagger
+ * /categories/{id}:
+ *   delete:
+ *     summary: Delete a category
+ *     description: Remove a category. Fails if it still has subcategories or books. Requires admin authentication.
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Category UUID
+ *     responses:
+ *       200:
+ *         description: Category deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Category deleted successfully"
+ *                 data:
+ *                   type: null
+ *       401:
+ *         description: Unauthorized - No token provided
+ *       403:
+ *         description: Forbidden - Not an admin
+ *       404:
+ *         description: Category not found
+ *       409:
+ *         description: Category still has subcategories or books
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.delete(
+  "/:id",
+  authenticateToken(),
+  requireAdmin,
+  getCategoryValidation,
+  asyncHandler(categoryController.delete.bind(categoryController))
+);
+
+export default router;
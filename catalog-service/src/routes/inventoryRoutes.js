@@ -0,0 +1,470 @@
+import { Router } from "express";
+import {
+  asyncHandler,
+  authenticateToken,
+  requireAdmin,
+  requireRole,
+} from "@bookzilla/shared";
+import inventoryController from "../controllers/inventoryController.js";
+import {
+  getInventoryValidation,
+  listMovementsValidation,
+  listLowStockValidation,
+  adjustStockValidation,
+  reserveValidation,
+  reservationValidation,
+} from "../validators/inventoryValidator.js";
+
+const router = Router();
+
+/**
+ * @swagger
+ * /inventory/low-stock:
+ *   get:
+ *     summary: List books low on or out of stock
+ *     description: Books whose units on hand are at or below their reorderThreshold, and books with none on hand, emptiest first. Trashed books are left out. Requires admin authentication.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [low_stock, out_of_stock]
+ *         description: Only one of the two; both when omitted
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved books
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Low-stock books retrieved successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     books:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/LowStockBook'
+ *                     pagination:
+ *                       $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized - No token provided
+ *       403:
+ *         description: Forbidden - Not an admin
+ */
+router.get(
+  "/low-stock",
+  authenticateToken(),
+  requireAdmin,
+  listLowStockValidation,
+  asyncHandler(inventoryController.listLowStock.bind(inventoryController))
+);
+
+/**
+ * @swagger
+ * /inventory/books/{bookId}:
+ *   get:
+ *     summary: Get a book's stock levels
+ *     description: Units on hand, reserved and available to sell, plus the reservations currently holding units. Requires an admin or service token.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Book UUID
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved stock levels
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Inventory retrieved successfully"
+ *                 data:
+ *                   $ref: '#/components/schemas/Inventory'
+ *       401:
+ *         description: Unauthorized - No token provided
+ *       403:
+ *         description: Forbidden - Not an admin or service
+ *       404:
+ *         description: Book not found
+ */
+router.get(
+  "/books/:bookId",
+  authenticateToken(),
+  requireRole(["admin", "service"]),
+  getInventoryValidation,
+  asyncHandler(inventoryController.getInventory.bind(inventoryController))
+);
+
+/**
+ * @swagger
+ * /inventory/books/{bookId}/movements:
+ *   get:
+ *     summary: Get a book's inventory ledger
+ *     description: Every change to the book's units on hand or reserved, newest first, with the levels after each change. Requires admin authentication.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Book UUID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved movements
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Inventory movements retrieved successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     movements:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/InventoryMovement'
+ *                     pagination:
+ *                       $ref: '#/components/schemas/Pagination'
+ *       401:
+ *         description: Unauthorized - No token provided
+ *       403:
+ *         description: Forbidden - Not an admin
+ *       404:
+ *         description: Book not found
+ */
+router.get(
+  "/books/:bookId/movements",
+  authenticateToken(),
+  requireAdmin,
+  listMovementsValidation,
+  asyncHandler(inventoryController.listMovements.bind(inventoryController))
+);
+
+/**
+ * @swagger
+ * /inventory/books/{bookId}/adjustments:
+ *   post:
+ *     summary: Adjust a book's units on hand
+ *     description: Add units (deliveries, returns) or remove them (damage, loss, stocktake corrections) with a reason code. Applied atomically; removing more units than are free of reservations is refused. Requires admin authentication.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Book UUID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/InventoryAdjustment'
+ *           example:
+ *             quantity: 24
+ *             reason: RESTOCK
+ *             note: "Delivery PO-1042"
+ *     responses:
+ *       200:
+ *         description: Stock adjusted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Stock adjusted successfully"
+ *                 data:
+ *                   $ref: '#/components/schemas/InventoryLevels'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized - No token provided
+ *       403:
+ *         description: Forbidden - Not an admin
+ *       404:
+ *         description: Book not found
+ *       409:
+ *         description: Would leave fewer units on hand than are reserved
+ */
+router.post(
+  "/books/:bookId/adjustments",
+  authenticateToken(),
+  requireAdmin,
+  adjustStockValidation,
+  asyncHandler(inventoryController.adjust.bind(inventoryController))
+);
+
+/**
+ * @swagger
+ * /inventory/reservations:
+ *   post:
+ *     summary: Reserve units for a cart or order
+ *     description: Hold units of one or more books for a reference (cart or order id) until the TTL runs out. Every line is reserved or none is. Sending a book the reference already holds replaces that reservation. Requires an admin or service token.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReservationRequest'
+ *           example:
+ *             referenceId: "cart-7f3a9c"
+ *             items:
+ *               - bookId: "550e8400-e29b-41d4-a716-446655440000"
+ *                 quantity: 2
+ *             ttlSeconds: 900
+ *     responses:
+ *       201:
+ *         description: Units reserved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Units reserved successfully"
+ *                 data:
+ *                   $ref: '#/components/schemas/Reservation'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized - No token provided
+ *       403:
+ *         description: Forbidden - Not an admin or service
+ *       404:
+ *         description: Book not found
+ *       409:
+ *         description: Not enough units available, or the book is not for sale
+ */
+router.post(
+  "/reservations",
+  authenticateToken(),
+  requireRole(["admin", "service"]),
+  reserveValidation,
+  asyncHandler(inventoryController.reserve.bind(inventoryController))
+);
+
+/**
+ * @swagger
+ * /inventory/reservations/{referenceId}:
+ *   get:
+ *     summary: Get a reservation
+ *     description: The latest reservation of each book held for a cart or order. Requires an admin or service token.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: referenceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Cart or order id the units are held for
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved reservation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Reservation retrieved successfully"
+ *                 data:
+ *                   $ref: '#/components/schemas/Reservation'
+ *       401:
+ *         description: Unauthorized - No token provided
+ *       403:
+ *         description: Forbidden - Not an admin or service
+ *       404:
+ *         description: No reservation for this reference
+ */
+router.get(
+  "/reservations/:referenceId",
+  authenticateToken(),
+  requireRole(["admin", "service"]),
+  reservationValidation,
+  asyncHandler(inventoryController.getReservation.bind(inventoryController))
+);
+
+/**
+ * @swagger
+ * /inventory/reservations/{referenceId}/commit:
+ *   post:
+ *     summary: Commit a reservation
+ *     description: Take the reserved units out of stock when the order is placed. Fails as a whole if any line has expired. Requires an admin or service token.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: referenceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Cart or order id the units are held for
+ *     responses:
+ *       200:
+ *         description: Reservation committed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Reservation committed successfully"
+ *                 data:
+ *                   $ref: '#/components/schemas/Reservation'
+ *       401:
+ *         description: Unauthorized - No token provided
+ *       403:
+ *         description: Forbidden - Not an admin or service
+ *       404:
+ *         description: No reservation for this reference
+ *       409:
+ *         description: Reservation expired or has no active items
+ */
+router.post(
+  "/reservations/:referenceId/commit",
+  authenticateToken(),
+  requireRole(["admin", "service"]),
+  reservationValidation,
+  asyncHandler(inventoryController.commit.bind(inventoryController))
+);
+
+/**
+ * @swagger
+ * /inventory/reservations/{referenceId}/release:
+ *   post:
+ *     summary: Release a reservation
+ *     description: Make the reserved units available again, e.g. when a cart is abandoned or an order is cancelled before payment. Releasing a reference that holds nothing is a no-op. Requires an admin or service token.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: referenceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Cart or order id the units are held for
+ *     responses:
+ *       200:
+ *         description: Reservation released successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Reservation released successfully"
+ *                 data:
+ *                   $ref: '#/components/schemas/Reservation'
+ *       401:
+ *         description: Unauthorized - No token provided
+ *       403:
+ *         description: Forbidden - Not an admin or service
+ *       404:
+ *         description: No reservation for this reference
+ */
+router.post(
+  "/reservations/:referenceId/release",
+  authenticateToken(),
+  requireRole(["admin", "service"]),
+  reservationValidation,
+  asyncHandler(inventoryController.release.bind(inventoryController))
+);
+
+export default router;
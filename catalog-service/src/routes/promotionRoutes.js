@@ -0,0 +1,300 @@
+import { Router } from "express";
+import {
+  asyncHandler,
+  authenticateToken,
+  requireAdmin,
+} from "@bookzilla/shared";
+import promotionController from "../controllers/promotionController.js";
+import {
+  createPromotionValidation,
+  updatePromotionValidation,
+  getPromotionValidation,
+  listPromotionsValidation,
+} from "../validators/promotionValidator.js";
+
+const router = Router();
+
+/**
+ * @swagger
+ * /promotions:
+ *   get:
+ *     summary: List promotions
+ *     description: List scheduled sales, optionally only upcoming, active or expired ones. Upcoming promotions are ordered by start, expired ones by most recently ended, others by soonest ending. Requires admin authentication.
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [upcoming, active, expired]
+ *       - in: query
+ *         name: bookId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: categoryId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved promotions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Promotions retrieved successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     promotions:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Promotion'
+ *                     pagination:
+ *                       $ref: '#/components/schemas/Pagination'
+ *       401:
+ *         description: Unauthorized - No token provided
+ *       403:
+ *         description: Forbidden - Not an admin
+ */
+router.get(
+  "/",
+  authenticateToken(),
+  requireAdmin,
+  listPromotionsValidation,
+  asyncHandler(promotionController.list.bind(promotionController))
+);
+
+/**
+ * @swagger
+ * /promotions:
+ *   post:
+ *     summary: Schedule a promotion
+ *     description: Schedule a sale on one book (sale price or percentage off) or on a category and its subcategories (percentage off). While it runs, the lowest of the list price, the book's discountPrice and any active promotion is what customers pay; promotions don't stack. Requires admin authentication.
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PromotionCreate'
+ *           example:
+ *             name: "Summer sci-fi sale"
+ *             categoryId: "550e8400-e29b-41d4-a716-446655440000"
+ *             discountPercent: 20
+ *             startsAt: "2026-07-01T00:00:00Z"
+ *             endsAt: "2026-07-15T00:00:00Z"
+ *     responses:
+ *       201:
+ *         description: Promotion created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Promotion created successfully"
+ *                 data:
+ *                   $ref: '#/components/schemas/Promotion'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized - No token provided
+ *       403:
+ *         description: Forbidden - Not an admin
+ */
+router.post(
+  "/",
+  authenticateToken(),
+  requireAdmin,
+  createPromotionValidation,
+  asyncHandler(promotionController.create.bind(promotionController))
+);
+
+/**
+ * @swagger
+ * /promotions/{id}:
+ *   get:
+ *     summary: Get a promotion
+ *     description: Requires admin authentication.
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Promotion UUID
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved promotion
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Promotion retrieved successfully"
+ *                 data:
+ *                   $ref: '#/components/schemas/Promotion'
+ *       401:
+ *         description: Unauthorized - No token provided
+ *       403:
+ *         description: Forbidden - Not an admin
+ *       404:
+ *         description: Promotion not found
+ */
+router.get(
+  "/:id",
+  authenticateToken(),
+  requireAdmin,
+  getPromotionValidation,
+  asyncHandler(promotionController.getById.bind(promotionController))
+);
+
+/**
+ * @swagger
+ * /promotions/{id}:
+ *   put:
+ *     summary: Update a promotion
+ *     description: Change a promotion's name, window, target or discount. A new target (bookId/categoryId) or discount (discountPrice/discountPercent) replaces the old one. Requires admin authentication.
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Promotion UUID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PromotionCreate'
+ *     responses:
+ *       200:
+ *         description: Promotion updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Promotion updated successfully"
+ *                 data:
+ *                   $ref: '#/components/schemas/Promotion'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized - No token provided
+ *       403:
+ *         description: Forbidden - Not an admin
+ *       404:
+ *         description: Promotion not found
+ */
+router.put(
+  "/:id",
+  authenticateToken(),
+  requireAdmin,
+  updatePromotionValidation,
+  asyncHandler(promotionController.update.bind(promotionController))
+);
+
+/**
+ * @swagger
+ * /promotions/{id}:
+ *   delete:
+ *     summary: Delete a promotion
+ *     description: Remove a promotion entirely. To end a running sale early and keep it on record, set endsAt instead. Requires admin authentication.
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Promotion UUID
+ *     responses:
+ *       200:
+ *         description: Promotion deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Promotion deleted successfully"
+ *                 data:
+ *                   type: null
+ *       401:
+ *         description: Unauthorized - No token provided
+ *       403:
+ *         description: Forbidden - Not an admin
+ *       404:
+ *         description: Promotion not found
+ */
+router.delete(
+  "/:id",
+  authenticateToken(),
+  requireAdmin,
+  getPromotionValidation,
+  asyncHandler(promotionController.delete.bind(promotionController))
+);
+
+export default router;
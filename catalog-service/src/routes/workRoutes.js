@@ -0,0 +1,120 @@
+import { Router } from "express";
+import {
+  asyncHandler,
+  authenticateToken,
+  optionalAuth,
+  requireAdmin,
+} from "@bookzilla/shared";
+import workController from "../controllers/workController.js";
+import {
+  getWorkValidation,
+  updateWorkValidation,
+} from "../validators/workValidator.js";
+
+const router = Router();
+
+/**
+ * @swagger
+ * /works/{id}:
+ *   get:
+ *     summary: Get a work with its editions
+ *     description: Retrieve a work together with every edition and format of it in the catalog, the formats on offer and the range of their current prices. A book's workId names its work. Inactive editions are only included for requests authenticated as an admin.
+ *     tags: [Works]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Work UUID
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved work
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Work'
+ *       404:
+ *         description: Work not found, or none of its editions are visible to the caller
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get(
+  "/:id",
+  optionalAuth(),
+  getWorkValidation,
+  asyncHandler(workController.getById.bind(workController))
+);
+
+/**
+ * @swagger
+ * /works/{id}:
+ *   put:
+ *     summary: Update a work
+ *     description: Rename a work. Editions are added to or moved between works by setting workId on the book. Requires admin authentication.
+ *     tags: [Works]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Work UUID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WorkUpdate'
+ *     responses:
+ *       200:
+ *         description: Work updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Work updated successfully"
+ *                 data:
+ *                   $ref: '#/components/schemas/Work'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized - No token provided
+ *       403:
+ *         description: Forbidden - Not an admin
+ *       404:
+ *         description: Work not found
+ */
+router.put(
+  "/:id",
+  authenticateToken(),
+  requireAdmin,
+  updateWorkValidation,
+  asyncHandler(workController.update.bind(workController))
+);
+
+export default router;
@@ -0,0 +1,138 @@
+import { prisma } from "@bookzilla/database";
+import { NotFoundError } from "@bookzilla/shared";
+
+/**
+ * Audit Service
+ * Records who changed which catalog entity, when, and how. Entries store
+ * full before/after snapshots plus a per-field diff.
+ */
+class AuditService {
+  /**
+   * Write an audit entry
+   * Pass the transaction client when the change runs in a transaction so
+   * the entry is committed (or rolled back) together with it.
+   * @param {Object} client - Prisma client or transaction client
+   * @param {Object} entry - Entry details
+   * @param {string} entry.entityType - BOOK, AUTHOR or CATEGORY
+   * @param {string} entry.entityId - ID of the changed entity
+   * @param {string} entry.action - CREATE, UPDATE, DELETE, RESTORE or REVERT
+   * @param {Object|null} entry.before - Snapshot before the change
+   * @param {Object|null} entry.after - Snapshot after the change
+   * @param {Object} entry.context - Request context (see getRequestContext)
+   * @returns {Promise<Object>} Created entry
+   */
+  async record(client, { entityType, entityId, action, before = null, after = null, context = {} }) {
+    return client.auditLog.create({
+      data: {
+        entityType,
+        entityId,
+        action,
+        actorId: context.actor?.id,
+        actorEmail: context.actor?.email,
+        requestId: context.requestId,
+        before: before ?? undefined,
+        after: after ?? undefined,
+        changes: this.diff(before, after),
+      },
+    });
+  }
+
+  /**
+   * Get the change history of an entity, newest first
+   * @param {string} entityType - BOOK, AUTHOR or CATEGORY
+   * @param {string} entityId - Entity ID
+   * @param {Object} options - Query options
+   * @param {number} options.page - Page number (1-indexed)
+   * @param {number} options.limit - Items per page
+   * @returns {Promise<Object>} Paginated revisions
+   */
+  async getHistory(entityType, entityId, options = {}) {
+    const { page = 1, limit = 20 } = options;
+
+    const skip = (page - 1) * limit;
+    const where = { entityType, entityId };
+
+    const [entries, total] = await Promise.all([
+      prisma.auditLog.findMany({
+        where,
+        skip,
+        take: limit,
+        orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+      }),
+      prisma.auditLog.count({ where }),
+    ]);
+
+    return {
+      revisions: entries.map((entry) => this.formatEntry(entry)),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasNext: page * limit < total,
+        hasPrev: page > 1,
+      },
+    };
+  }
+
+  /**
+   * Get a single revision of an entity
+   * @param {string} entityType - BOOK, AUTHOR or CATEGORY
+   * @param {string} entityId - Entity ID
+   * @param {string} revisionId - Audit entry ID
+   * @returns {Promise<Object>} Raw audit entry
+   */
+  async getRevision(entityType, entityId, revisionId) {
+    const entry = await prisma.auditLog.findFirst({
+      where: { id: revisionId, entityType, entityId },
+    });
+
+    if (!entry) {
+      throw new NotFoundError("Revision", revisionId);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Compare two snapshots field by field
+   * @param {Object|null} before - Snapshot before the change
+   * @param {Object|null} after - Snapshot after the change
+   * @returns {Object} Changed fields as { field: { from, to } }
+   */
+  diff(before, after) {
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    const changes = {};
+
+    for (const field of fields) {
+      const from = before?.[field] ?? null;
+      const to = after?.[field] ?? null;
+
+      if (JSON.stringify(from) !== JSON.stringify(to)) {
+        changes[field] = { from, to };
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Format an audit entry for responses
+   * @param {Object} entry - Raw audit entry
+   * @returns {Object} Formatted revision
+   */
+  formatEntry(entry) {
+    return {
+      id: entry.id,
+      action: entry.action,
+      actor: entry.actorId ? { id: entry.actorId, email: entry.actorEmail } : null,
+      requestId: entry.requestId,
+      changes: entry.changes,
+      before: entry.before,
+      after: entry.after,
+      createdAt: entry.createdAt,
+    };
+  }
+}
+
+export default new AuditService();
@@ -0,0 +1,258 @@
+import { prisma } from "@bookzilla/database";
+import { NotFoundError, ConflictError } from "@bookzilla/shared";
+import auditService from "./auditService.js";
+import cacheService from "./cacheService.js";
+import bookService from "./bookService.js";
+import { VISIBILITY } from "../utils/visibility.js";
+
+/**
+ * Build the include that counts an author's books
+ * Only books the caller may see are counted, so unpublished titles don't
+ * show up in the count either.
+ * @param {string} [visibility] - Which books the caller may see, see BookService.visibilityWhere
+ * @returns {Object} Prisma include fragment
+ */
+const booksCount = (visibility) => ({
+  _count: { select: { books: { where: { book: bookService.visibilityWhere(visibility) } } } },
+});
+
+/**
+ * Author Service
+ * Handles all author-related business logic and database operations
+ */
+class AuthorService {
+  /**
+   * Create a new author
+   * @param {Object} authorData - Author data
+   * @param {Object} [context] - Request context for the audit trail (see getRequestContext)
+   * @returns {Promise<Object>} Created author
+   */
+  async createAuthor(authorData, context = {}) {
+    const { name, bio, photoUrl, birthDate } = authorData;
+
+    const author = await prisma.$transaction(async (tx) => {
+      const created = await tx.author.create({
+        data: {
+          name,
+          bio,
+          photoUrl,
+          birthDate: birthDate ? new Date(birthDate) : null,
+        },
+      });
+
+      await auditService.record(tx, {
+        entityType: "AUTHOR",
+        entityId: created.id,
+        action: "CREATE",
+        after: this.toSnapshot(created),
+        context,
+      });
+
+      return created;
+    });
+
+    return this.formatAuthorResponse(author);
+  }
+
+  /**
+   * Get all authors with optional name search and pagination
+   * @param {Object} options - Query options
+   * @param {number} options.page - Page number (1-indexed)
+   * @param {number} options.limit - Items per page
+   * @param {string} options.search - Search term for author name
+   * @param {string} [options.visibility] - Which books to count, see BookService.visibilityWhere
+   * @returns {Promise<Object>} Paginated authors list
+   */
+  async getAuthors(options = {}) {
+    const { page = 1, limit = 20, search, visibility } = options;
+
+    const skip = (page - 1) * limit;
+
+    const where = {};
+
+    if (search) {
+      where.name = { contains: search, mode: "insensitive" };
+    }
+
+    const [authors, total] = await Promise.all([
+      prisma.author.findMany({
+        where,
+        skip,
+        take: limit,
+        orderBy: { name: "asc" },
+        include: booksCount(visibility),
+      }),
+      prisma.author.count({ where }),
+    ]);
+
+    return {
+      authors: authors.map((author) => this.formatAuthorResponse(author)),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasNext: page * limit < total,
+        hasPrev: page > 1,
+      },
+    };
+  }
+
+  /**
+   * Get a single author by ID, including their books
+   * @param {string} id - Author UUID
+   * @param {string} [visibility] - Which books the caller may see, see BookService.visibilityWhere
+   * @returns {Promise<Object>} Author with books
+   */
+  async getAuthorById(id, visibility) {
+    const author = await prisma.author.findUnique({
+      where: { id },
+      include: {
+        books: {
+          where: { book: bookService.visibilityWhere(visibility) },
+          include: { book: true },
+          orderBy: { book: { publicationDate: "desc" } },
+        },
+        ...booksCount(visibility),
+      },
+    });
+
+    if (!author) {
+      throw new NotFoundError("Author", id);
+    }
+
+    return this.formatAuthorResponse(author);
+  }
+
+  /**
+   * Update an author
+   * Cached copies of the author's books are retired, since books embed
+   * the author's name.
+   * @param {string} id - Author UUID
+   * @param {Object} updateData - Fields to update
+   * @param {Object} [context] - Request context for the audit trail (see getRequestContext)
+   * @returns {Promise<Object>} Updated author
+   */
+  async updateAuthor(id, updateData, context = {}) {
+    const existing = await prisma.author.findUnique({ where: { id } });
+    if (!existing) {
+      throw new NotFoundError("Author", id);
+    }
+
+    const { birthDate, ...data } = updateData;
+
+    // Handle date conversion
+    if (birthDate) {
+      data.birthDate = new Date(birthDate);
+    }
+
+    const author = await prisma.$transaction(async (tx) => {
+      const updated = await tx.author.update({
+        where: { id },
+        data,
+        // Only admins update authors
+        include: booksCount(VISIBILITY.ADMIN),
+      });
+
+      await auditService.record(tx, {
+        entityType: "AUTHOR",
+        entityId: id,
+        action: "UPDATE",
+        before: this.toSnapshot(existing),
+        after: this.toSnapshot(updated),
+        context,
+      });
+
+      return updated;
+    });
+
+    const links = await prisma.bookAuthor.findMany({
+      where: { authorId: id },
+      select: { bookId: true },
+    });
+    await cacheService.invalidateBooks(links.map((link) => link.bookId));
+
+    return this.formatAuthorResponse(author);
+  }
+
+  /**
+   * Delete an author
+   * Refuses to delete authors that are still linked to books, since the
+   * cascade would silently strip them from those books' author lists.
+   * @param {string} id - Author UUID
+   * @param {Object} [context] - Request context for the audit trail (see getRequestContext)
+   * @returns {Promise<void>}
+   */
+  async deleteAuthor(id, context = {}) {
+    const existing = await prisma.author.findUnique({
+      where: { id },
+      include: {
+        _count: { select: { books: true } },
+      },
+    });
+    if (!existing) {
+      throw new NotFoundError("Author", id);
+    }
+
+    if (existing._count.books > 0) {
+      throw new ConflictError(
+        `Author is still linked to ${existing._count.books} book(s); unlink them before deleting`
+      );
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await tx.author.delete({ where: { id } });
+
+      await auditService.record(tx, {
+        entityType: "AUTHOR",
+        entityId: id,
+        action: "DELETE",
+        before: this.toSnapshot(existing),
+        context,
+      });
+    });
+  }
+
+  /**
+   * Capture the editable state of an author for the audit trail
+   * @param {Object} author - Raw author from Prisma
+   * @returns {Object} JSON-safe snapshot
+   */
+  toSnapshot(author) {
+    return {
+      name: author.name,
+      bio: author.bio,
+      photoUrl: author.photoUrl,
+      birthDate: author.birthDate?.toISOString().slice(0, 10) ?? null,
+    };
+  }
+
+  /**
+   * Format author response to flatten nested relations
+   * @param {Object} author - Raw author from Prisma
+   * @returns {Object} Formatted author
+   */
+  formatAuthorResponse(author) {
+    return {
+      id: author.id,
+      name: author.name,
+      bio: author.bio,
+      photoUrl: author.photoUrl,
+      birthDate: author.birthDate,
+      booksCount: author._count?.books,
+      createdAt: author.createdAt,
+      updatedAt: author.updatedAt,
+      books: author.books?.map((ba) => ({
+        id: ba.book.id,
+        title: ba.book.title,
+        format: ba.book.format,
+        coverImageUrl: ba.book.coverImageUrl,
+        publicationDate: ba.book.publicationDate,
+        isActive: ba.book.isActive,
+        order: ba.authorOrder,
+      })),
+    };
+  }
+}
+
+export default new AuthorService();
@@ -0,0 +1,193 @@
+import { once } from "node:events";
+import bookService from "./bookService.js";
+import { onixHeader, onixProduct, onixFooter } from "../utils/onix.js";
+
+// Currency of stored prices and the sender named in ONIX messages
+const CATALOG_CURRENCY = process.env.CATALOG_CURRENCY || "USD";
+const ONIX_SENDER_NAME = process.env.ONIX_SENDER_NAME || "Bookzilla";
+
+// CSV columns; the book fields match the import format so files round-trip
+const CSV_COLUMNS = [
+  "id",
+  "workId",
+  "isbn",
+  "isbn13",
+  "title",
+  "subtitle",
+  "description",
+  "publisher",
+  "publicationDate",
+  "edition",
+  "language",
+  "pageCount",
+  "format",
+  "price",
+  "discountPrice",
+  "stockQuantity",
+  "reorderThreshold",
+  "coverImageUrl",
+  "previewUrl",
+  "isFeatured",
+  "status",
+  "publishAt",
+  "additionalInfo",
+  "authors",
+  "categories",
+  "averageRating",
+  "ratingsCount",
+  "createdAt",
+  "updatedAt",
+];
+
+/**
+ * Flatten a formatted book into an import-compatible record
+ * Authors and categories become name lists (categories primary first).
+ * @param {Object} book - Formatted book
+ * @returns {Object} Export record
+ */
+const toExportRecord = (book) => ({
+  id: book.id,
+  workId: book.workId,
+  isbn: book.isbn,
+  isbn13: book.isbn13,
+  title: book.title,
+  subtitle: book.subtitle,
+  description: book.description,
+  publisher: book.publisher,
+  publicationDate: book.publicationDate
+    ? new Date(book.publicationDate).toISOString().slice(0, 10)
+    : null,
+  edition: book.edition,
+  language: book.language,
+  pageCount: book.pageCount,
+  format: book.format,
+  price: book.price === null ? null : Number(book.price),
+  discountPrice: book.discountPrice === null ? null : Number(book.discountPrice),
+  stockQuantity: book.stockQuantity,
+  reorderThreshold: book.reorderThreshold,
+  coverImageUrl: book.coverImageUrl,
+  previewUrl: book.previewUrl,
+  isFeatured: book.isFeatured,
+  status: book.status,
+  publishAt: book.publishAt,
+  additionalInfo: book.additionalInfo,
+  authors: (book.authors || []).map((author) => author.name),
+  categories: [...(book.categories || [])]
+    .sort((a, b) => Number(b.isPrimary) - Number(a.isPrimary))
+    .map((category) => category.name),
+  averageRating: Number(book.averageRating),
+  ratingsCount: book.ratingsCount,
+  createdAt: book.createdAt,
+  updatedAt: book.updatedAt,
+});
+
+/**
+ * Render one CSV cell, quoting when needed
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ */
+const csvCell = (value) => {
+  if (value === null || value === undefined) {
+    return "";
+  }
+
+  let text;
+  if (Array.isArray(value)) {
+    text = value.join("|");
+  } else if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === "object") {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Writers per export format
+ * header/footer frame the file; item renders one book.
+ */
+const FORMATS = {
+  csv: {
+    contentType: "text/csv; charset=utf-8",
+    extension: "csv",
+    header: () => `${CSV_COLUMNS.join(",")}\r\n`,
+    item: (book) => {
+      const record = toExportRecord(book);
+      return `${CSV_COLUMNS.map((column) => csvCell(record[column])).join(",")}\r\n`;
+    },
+    footer: () => "",
+  },
+  jsonl: {
+    contentType: "application/x-ndjson; charset=utf-8",
+    extension: "jsonl",
+    header: () => "",
+    item: (book) => `${JSON.stringify(toExportRecord(book))}\n`,
+    footer: () => "",
+  },
+  onix: {
+    contentType: "application/xml; charset=utf-8",
+    extension: "xml",
+    header: () => onixHeader({ senderName: ONIX_SENDER_NAME }),
+    item: (book) =>
+      onixProduct(book, { currency: CATALOG_CURRENCY, senderName: ONIX_SENDER_NAME }),
+    footer: () => onixFooter(),
+  },
+};
+
+/**
+ * Book Export Service
+ * Streams the catalog out in bulk formats without loading it into memory
+ */
+class BookExportService {
+  /**
+   * Response metadata for an export format
+   * @param {string} format - Export format
+   * @returns {{contentType: string, filename: string}} Content type and download file name
+   */
+  describe(format) {
+    const { contentType, extension } = FORMATS[format];
+    const date = new Date().toISOString().slice(0, 10);
+
+    return { contentType, filename: `catalog-${date}.${extension}` };
+  }
+
+  /**
+   * Write every matching book to a stream
+   * Stops early if the stream is closed (e.g. the client disconnects).
+   * @param {string} format - Export format (csv, jsonl or onix)
+   * @param {Object} filters - Same filters as GET /books
+   * @param {import("node:stream").Writable} stream - Destination, such as the HTTP response
+   * @returns {Promise<number>} Number of books written
+   */
+  async exportBooks(format, filters, stream) {
+    const writer = FORMATS[format];
+    let count = 0;
+
+    const write = async (chunk) => {
+      if (chunk && !stream.write(chunk)) {
+        // Wait for the client to catch up, or give up if it goes away
+        await Promise.race([once(stream, "drain"), once(stream, "close")]);
+      }
+    };
+
+    await write(writer.header());
+
+    for await (const book of bookService.iterateBooks(filters)) {
+      if (stream.destroyed) {
+        return count;
+      }
+      await write(writer.item(book));
+      count += 1;
+    }
+
+    await write(writer.footer());
+    stream.end();
+
+    return count;
+  }
+}
+
+export default new BookExportService();
@@ -0,0 +1,117 @@
+import { ValidationError } from "@bookzilla/shared";
+import auditService from "./auditService.js";
+
+/**
+ * Book revision history
+ * Every catalog change to a book is recorded as an audit entry holding
+ * before/after snapshots. A snapshot holds exactly what updateBook accepts,
+ * so reverting to a revision replays its "after" snapshot as an update.
+ */
+
+/**
+ * Capture the editable state of a book for the audit trail
+ * @param {Object} book - Raw book from Prisma, with BOOK_INCLUDE relations
+ * @returns {Object} JSON-safe snapshot
+ */
+export const toBookSnapshot = (book) => {
+  const primary = book.categories.find((bc) => bc.isPrimary);
+
+  return {
+    workId: book.workId,
+    isbn: book.isbn,
+    isbn13: book.isbn13,
+    title: book.title,
+    subtitle: book.subtitle,
+    description: book.description,
+    publisher: book.publisher,
+    publicationDate: book.publicationDate?.toISOString().slice(0, 10) ?? null,
+    edition: book.edition,
+    language: book.language,
+    pageCount: book.pageCount,
+    format: book.format,
+    price: book.price === null ? null : Number(book.price),
+    discountPrice: book.discountPrice === null ? null : Number(book.discountPrice),
+    stockQuantity: book.stockQuantity,
+    reorderThreshold: book.reorderThreshold,
+    coverImageUrl: book.coverImageUrl,
+    previewUrl: book.previewUrl,
+    additionalInfo: book.additionalInfo,
+    isFeatured: book.isFeatured,
+    status: book.status,
+    publishAt: book.publishAt?.toISOString() ?? null,
+    deletedAt: book.deletedAt?.toISOString() ?? null,
+    authorIds: book.authors.map((ba) => ba.authorId),
+    categoryIds: book.categories.map((bc) => bc.categoryId),
+    primaryCategoryId: primary?.categoryId ?? null,
+  };
+};
+
+/**
+ * Record a change to a book
+ * Call inside the transaction that makes the change.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} revision - Revision to record
+ * @param {string} revision.bookId - Book UUID
+ * @param {string} revision.action - CREATE, UPDATE, DELETE, RESTORE or REVERT
+ * @param {Object} [revision.before] - Raw book before the change, with BOOK_INCLUDE relations
+ * @param {Object} [revision.after] - Raw book after the change, with BOOK_INCLUDE relations
+ * @param {Object} [revision.context] - Request context (see getRequestContext)
+ * @returns {Promise<Object>} Created audit entry
+ */
+export const recordBookRevision = (tx, { bookId, action, before, after, context }) =>
+  auditService.record(tx, {
+    entityType: "BOOK",
+    entityId: bookId,
+    action,
+    before: before ? toBookSnapshot(before) : null,
+    after: after ? toBookSnapshot(after) : null,
+    context,
+  });
+
+/**
+ * Get the revision history of a book, newest first
+ * Available for trashed books too.
+ * @param {string} id - Book UUID
+ * @param {Object} options - Pagination options (page, limit)
+ * @returns {Promise<Object>} Paginated revisions
+ */
+export const getBookHistory = (id, options = {}) => auditService.getHistory("BOOK", id, options);
+
+/**
+ * Build the update that sets a book back to one of its revisions
+ * Fields, authors and categories come from the revision's "after" snapshot.
+ * @param {string} id - Book UUID
+ * @param {string} revisionId - Audit entry to revert to
+ * @returns {Promise<Object>} Update data for updateBook
+ * @throws {NotFoundError} If the revision doesn't belong to the book
+ * @throws {ValidationError} If the revision left the book deleted or in the trash
+ */
+export const getRevertUpdate = async (id, revisionId) => {
+  const revision = await auditService.getRevision("BOOK", id, revisionId);
+
+  if (!revision.after || revision.after.deletedAt) {
+    throw new ValidationError("Validation failed", [
+      {
+        field: "revisionId",
+        message: "Only revisions that leave the book in the catalog can be reverted to",
+        value: revisionId,
+      },
+    ]);
+  }
+
+  // Stock is counted, not edited: reverting must not undo the sales and
+  // deliveries recorded since the revision. isActive follows status, but
+  // revisions from before statuses existed still carry it. Only a schedule
+  // is replayed from publishAt; publishing stamps it otherwise
+  const { deletedAt, primaryCategoryId, stockQuantity, isActive, publishAt, ...snapshot } =
+    revision.after;
+
+  return {
+    ...snapshot,
+    publishAt: snapshot.status === "SCHEDULED" ? publishAt : undefined,
+    primaryCategoryId: primaryCategoryId ?? undefined,
+    relationMode: "replace",
+  };
+};
+
+export default { toBookSnapshot, recordBookRevision, getBookHistory, getRevertUpdate };
@@ -0,0 +1,329 @@
+import { prisma } from "@bookzilla/database";
+import { AppError, ValidationError } from "@bookzilla/shared";
+import bookService from "./bookService.js";
+import authorService from "./authorService.js";
+import categoryService from "./categoryService.js";
+import { validateBookRow } from "../validators/bookValidator.js";
+import { slugify } from "../utils/slugify.js";
+
+// Columns present in catalog exports that an import must not write
+const READ_ONLY_FIELDS = [
+  "id",
+  "effectivePrice",
+  "averageRating",
+  "ratingsCount",
+  "createdAt",
+  "updatedAt",
+];
+
+/**
+ * Combine the IDs a row gives with the IDs its names resolved to
+ * A row that names none leaves the relation undefined, so updating a book
+ * from a file without those columns keeps its current authors or categories.
+ * @param {string[]} [ids] - IDs given in the row
+ * @param {string[]} resolved - IDs resolved from names
+ * @returns {string[]|undefined} Combined IDs, or undefined when there are none
+ */
+const mergeIds = (ids, resolved) =>
+  ids === undefined && resolved.length === 0 ? undefined : [...(ids || []), ...resolved];
+
+/**
+ * Book Import Service
+ * Creates or updates books in bulk from already-parsed rows. Rows are
+ * processed independently: a failing row is reported and the rest continue.
+ *
+ * A row carries the same fields as POST /books, plus optional `authors` and
+ * `categories` arrays of names that are resolved to IDs. Rows whose ISBN or
+ * ISBN-13 matches an existing book update that book instead of creating one.
+ */
+class BookImportService {
+  /**
+   * Import a batch of book rows
+   * @param {Object[]} rows - Book rows
+   * @param {Object} options - Import options
+   * @param {boolean} options.dryRun - Validate and resolve without writing anything
+   * @param {boolean} options.createMissing - Create authors/categories that don't exist yet
+   * @param {Object} [options.requestContext] - Request context for the audit trail
+   * @returns {Promise<Object>} Summary and per-row report
+   */
+  async importBooks(rows, options = {}) {
+    const { dryRun = false, createMissing = false, requestContext = {} } = options;
+
+    // Name lookups are shared across rows so each name is resolved once
+    const context = {
+      dryRun,
+      createMissing,
+      requestContext,
+      authors: new Map(),
+      categories: new Map(),
+    };
+
+    const results = [];
+    for (const [index, row] of rows.entries()) {
+      results.push(await this.importRow(row, index + 1, context));
+    }
+
+    return {
+      dryRun,
+      summary: this.summarize(results),
+      rows: results,
+    };
+  }
+
+  /**
+   * Import a single row
+   * @param {Object} row - Book row
+   * @param {number} rowNumber - 1-based position of the row in the batch
+   * @param {Object} context - Shared import context
+   * @returns {Promise<Object>} Row report
+   */
+  async importRow(row, rowNumber, context) {
+    const { authors = [], categories = [], ...fields } = row || {};
+
+    // Nulls and read-only export columns are dropped so exported files import cleanly
+    const bookData = Object.fromEntries(
+      Object.entries(fields).filter(
+        ([field, value]) => value !== null && !READ_ONLY_FIELDS.includes(field)
+      )
+    );
+
+    // Exports carry when published books went live, which publishing stamps itself
+    if (bookData.status !== undefined && bookData.status !== "SCHEDULED") {
+      delete bookData.publishAt;
+    }
+
+    const report = {
+      row: rowNumber,
+      title: bookData.title,
+      isbn: bookData.isbn13 || bookData.isbn,
+    };
+
+    const errors = await validateBookRow(bookData);
+    if (!Array.isArray(authors) || !Array.isArray(categories)) {
+      errors.push({
+        field: "authors",
+        message: "authors and categories must be arrays of names",
+      });
+    }
+    if (errors.length > 0) {
+      return { ...report, status: "failed", errors };
+    }
+
+    try {
+      const created = { authors: [], categories: [] };
+      const authorIds = await this.resolveAuthors(authors, context, created);
+      const categoryIds = await this.resolveCategories(categories, context, created);
+
+      const data = {
+        ...bookData,
+        authorIds: mergeIds(bookData.authorIds, authorIds),
+        categoryIds: mergeIds(bookData.categoryIds, categoryIds),
+      };
+
+      const existing = await this.findExisting(bookData);
+      const status = existing ? "updated" : "created";
+
+      let id = existing?.id;
+      if (!context.dryRun) {
+        const book = existing
+          ? await bookService.updateBook(existing.id, data, context.requestContext)
+          : await bookService.createBook(data, context.requestContext);
+        id = book.id;
+      }
+
+      return {
+        ...report,
+        status,
+        id,
+        ...(created.authors.length > 0 && { createdAuthors: created.authors }),
+        ...(created.categories.length > 0 && { createdCategories: created.categories }),
+      };
+    } catch (error) {
+      if (!(error instanceof AppError)) {
+        throw error;
+      }
+
+      return {
+        ...report,
+        status: "failed",
+        errors: error.errors || [{ field: null, message: error.message }],
+      };
+    }
+  }
+
+  /**
+   * Resolve author names to IDs, creating missing authors when allowed
+   * @param {string[]} names - Author names in display order
+   * @param {Object} context - Shared import context
+   * @param {Object} created - Collects names created for this row
+   * @returns {Promise<string[]>} Author IDs (authors that a dry run would create are omitted)
+   */
+  async resolveAuthors(names, context, created) {
+    const pending = this.uniqueNames(names).filter(
+      (name) => !context.authors.has(name.toLowerCase())
+    );
+
+    if (pending.length > 0) {
+      const found = await prisma.author.findMany({
+        where: { name: { in: pending, mode: "insensitive" } },
+        select: { id: true, name: true },
+      });
+      for (const author of found) {
+        context.authors.set(author.name.toLowerCase(), author.id);
+      }
+    }
+
+    const missing = [];
+    const ids = [];
+
+    for (const name of this.uniqueNames(names)) {
+      const key = name.toLowerCase();
+
+      if (!context.authors.has(key)) {
+        if (!context.createMissing) {
+          missing.push(name);
+          continue;
+        }
+
+        const author = context.dryRun ? null : await authorService.createAuthor({ name }, context.requestContext);
+        context.authors.set(key, author?.id ?? null);
+        created.authors.push(name);
+      }
+
+      ids.push(context.authors.get(key));
+    }
+
+    if (missing.length > 0) {
+      throw new ValidationError("Validation failed", [
+        {
+          field: "authors",
+          message: `Author(s) not found: ${missing.join(", ")}`,
+          value: missing,
+        },
+      ]);
+    }
+
+    return ids.filter(Boolean);
+  }
+
+  /**
+   * Resolve category names (or slugs) to IDs, creating missing root
+   * categories when allowed
+   * @param {string[]} names - Category names or slugs, primary first
+   * @param {Object} context - Shared import context
+   * @param {Object} created - Collects names created for this row
+   * @returns {Promise<string[]>} Category IDs (categories that a dry run would create are omitted)
+   */
+  async resolveCategories(names, context, created) {
+    const pending = this.uniqueNames(names).filter(
+      (name) => !context.categories.has(name.toLowerCase())
+    );
+
+    if (pending.length > 0) {
+      const found = await prisma.category.findMany({
+        where: {
+          OR: [
+            { name: { in: pending, mode: "insensitive" } },
+            { slug: { in: pending.map((name) => name.toLowerCase()) } },
+          ],
+        },
+        select: { id: true, name: true, slug: true },
+      });
+      for (const category of found) {
+        context.categories.set(category.name.toLowerCase(), category.id);
+        context.categories.set(category.slug, category.id);
+      }
+    }
+
+    const missing = [];
+    const ids = [];
+
+    for (const name of this.uniqueNames(names)) {
+      const key = name.toLowerCase();
+
+      if (!context.categories.has(key)) {
+        if (!context.createMissing) {
+          missing.push(name);
+          continue;
+        }
+
+        const category = context.dryRun
+          ? null
+          : await categoryService.createCategory({ name }, context.requestContext);
+        context.categories.set(key, category?.id ?? null);
+        context.categories.set(slugify(name), category?.id ?? null);
+        created.categories.push(name);
+      }
+
+      ids.push(context.categories.get(key));
+    }
+
+    if (missing.length > 0) {
+      throw new ValidationError("Validation failed", [
+        {
+          field: "categories",
+          message: `Category(s) not found: ${missing.join(", ")}`,
+          value: missing,
+        },
+      ]);
+    }
+
+    return ids.filter(Boolean);
+  }
+
+  /**
+   * Find the book a row refers to by ISBN or ISBN-13
+   * @param {Object} bookData - Row book fields
+   * @returns {Promise<Object|null>} Existing book or null
+   */
+  async findExisting(bookData) {
+    const { isbn, isbn13 } = bookService.normalizeIsbns(bookData);
+    if (!isbn && !isbn13) {
+      return null;
+    }
+
+    return prisma.book.findFirst({
+      where: {
+        OR: [isbn ? { isbn } : undefined, isbn13 ? { isbn13 } : undefined].filter(Boolean),
+      },
+      select: { id: true },
+    });
+  }
+
+  /**
+   * Trim names and drop blanks and case-insensitive duplicates, keeping order
+   * @param {string[]} names - Raw names
+   * @returns {string[]} Cleaned names
+   */
+  uniqueNames(names) {
+    const seen = new Set();
+
+    return names
+      .map((name) => String(name).trim())
+      .filter((name) => {
+        const key = name.toLowerCase();
+        if (!name || seen.has(key)) {
+          return false;
+        }
+        seen.add(key);
+        return true;
+      });
+  }
+
+  /**
+   * Count row outcomes
+   * @param {Object[]} results - Row reports
+   * @returns {Object} Totals per status
+   */
+  summarize(results) {
+    return results.reduce(
+      (summary, result) => {
+        summary[result.status] += 1;
+        return summary;
+      },
+      { total: results.length, created: 0, updated: 0, failed: 0 }
+    );
+  }
+}
+
+export default new BookImportService();
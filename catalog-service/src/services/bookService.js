@@ -1,5 +1,72 @@
-import { prisma } from "@bookzilla/database";
-import { NotFoundError, ConflictError } from "@bookzilla/shared";
+import { prisma, Prisma } from "@bookzilla/database";
+import {
+  NotFoundError,
+  ConflictError,
+  PreconditionFailedError,
+  ValidationError,
+  encodeCursor,
+  decodeCursor,
+  normalizeIsbn,
+  toIsbn13,
+  toIsbn10,
+} from "@bookzilla/shared";
+import {
+  buildPrefixTsQuery,
+  SEARCH_CONFIG,
+  HIGHLIGHT_START,
+  HIGHLIGHT_STOP,
+} from "../utils/search.js";
+import inventoryService from "./inventoryService.js";
+import { recordBookRevision, getBookHistory, getRevertUpdate } from "./bookHistory.js";
+import promotionService from "./promotionService.js";
+import {
+  BOOK_INCLUDE,
+  EDITION_FIELDS,
+  resolveView,
+  withFields,
+  buildBookQuery,
+  needsPricing,
+  pickFields,
+  formatBookResponse,
+  reviveBook,
+} from "./bookView.js";
+import { resolveStatus, getPublishProblems, assertPublishable } from "./bookStatus.js";
+import cacheService from "./cacheService.js";
+import { bookETag, ifMatchSatisfied } from "../utils/etag.js";
+import { applyMergePatch } from "../utils/mergePatch.js";
+import { slugify } from "../utils/slugify.js";
+import { VISIBILITY } from "../utils/visibility.js";
+
+// Effective price ranges reported in the price facet ([min, max), last is open-ended)
+const PRICE_BUCKETS = [
+  { min: 0, max: 10 },
+  { min: 10, max: 25 },
+  { min: 25, max: 50 },
+  { min: 50, max: 100 },
+  { min: 100 },
+];
+
+// Sortable fields and the Book columns backing them
+const SORT_FIELDS = {
+  price: { column: "effectivePrice", nullable: true },
+  title: { column: "title" },
+  publicationDate: { column: "publicationDate", nullable: true },
+  averageRating: { column: "averageRating" },
+  ratingsCount: { column: "ratingsCount" },
+  createdAt: { column: "createdAt" },
+};
+
+// Times a merge patch is retried when a concurrent edit lands between its read and write
+const PATCH_ATTEMPTS = 3;
+
+// Longest slug generated from a title and author, before any numeric suffix
+const SLUG_MAX_LENGTH = 80;
+
+const DEFAULT_SORT = [{ field: "createdAt", direction: "desc" }];
+const DEFAULT_SEARCH_SORT = [{ field: "relevance", direction: "asc" }];
+
+// Scheduled books published per run of the publish scheduler
+const PUBLISH_BATCH_SIZE = 100;
 
 /**
  * Book Service
@@ -8,13 +75,14 @@ import { NotFoundError, ConflictError } from "@bookzilla/shared";
 class BookService {
   /**
    * Create a new book
-   * @param {Object} bookData - Book data including optional authorIds and categoryIds
+   * Without a workId the book becomes the first edition of a new work. Books
+   * start as drafts unless a status or isActive is given.
+   * @param {Object} bookData - Book data including optional workId, authorIds and categoryIds
+   * @param {Object} [context] - Request context for the audit trail (see getRequestContext)
    * @returns {Promise<Object>} Created book with relations
    */
-  async createBook(bookData) {
+  async createBook(bookData, context = {}) {
     const {
-      isbn,
-      isbn13,
       title,
       subtitle,
       description,
@@ -27,14 +95,19 @@ class BookService {
       price,
       discountPrice,
       stockQuantity = 0,
+      reorderThreshold,
       coverImageUrl,
       previewUrl,
       additionalInfo = {},
       isFeatured = false,
-      isActive = true,
+      status,
+      isActive,
+      publishAt,
+      workId,
       authorIds = [],
       categoryIds = [],
     } = bookData;
+    const { isbn, isbn13 } = this.normalizeIsbns(bookData);
 
     // Check for duplicate ISBN
     if (isbn || isbn13) {
@@ -48,133 +121,184 @@ class BookService {
       });
 
       if (existing) {
-        throw new ConflictError("A book with this ISBN already exists");
+        throw new ConflictError(
+          existing.deletedAt
+            ? "A book with this ISBN is in the trash; restore it instead"
+            : "A book with this ISBN already exists"
+        );
       }
     }
 
+    // Verify referenced authors, categories and work up front
+    await this.assertReferencesExist({ authorIds, categoryIds, workId });
+
     // Create book with relations
-    const book = await prisma.book.create({
-      data: {
-        isbn,
-        isbn13,
-        title,
-        subtitle,
-        description,
-        publisher,
-        publicationDate: publicationDate ? new Date(publicationDate) : null,
-        edition,
-        language,
-        pageCount,
-        format,
-        price,
-        discountPrice,
-        stockQuantity,
-        coverImageUrl,
-        previewUrl,
-        additionalInfo,
-        isFeatured,
-        isActive,
-        // Create author relations
-        authors:
-          authorIds.length > 0
-            ? {
-                create: authorIds.map((authorId, index) => ({
-                  authorId,
-                  authorOrder: index + 1,
-                })),
-              }
-            : undefined,
-        // Create category relations
-        categories:
-          categoryIds.length > 0
-            ? {
-                create: categoryIds.map((categoryId, index) => ({
-                  categoryId,
-                  isPrimary: index === 0,
-                })),
-              }
-            : undefined,
-      },
-      include: {
-        authors: {
-          include: { author: true },
-          orderBy: { authorOrder: "asc" },
-        },
-        categories: {
-          include: { category: true },
-          orderBy: { isPrimary: "desc" },
+    const book = await prisma.$transaction(async (tx) => {
+      const firstAuthor =
+        authorIds.length > 0
+          ? await tx.author.findUnique({ where: { id: authorIds[0] }, select: { name: true } })
+          : null;
+      const slug = await this.uniqueSlug(tx, this.buildSlug(title, firstAuthor?.name));
+
+      const created = await tx.book.create({
+        data: {
+          isbn,
+          isbn13,
+          title,
+          slug,
+          subtitle,
+          description,
+          publisher,
+          publicationDate: publicationDate ? new Date(publicationDate) : null,
+          edition,
+          language,
+          pageCount,
+          format,
+          price,
+          discountPrice,
+          stockQuantity,
+          reorderThreshold,
+          coverImageUrl,
+          previewUrl,
+          additionalInfo,
+          isFeatured,
+          ...resolveStatus(null, { status, isActive, publishAt }),
+          work: workId ? { connect: { id: workId } } : { create: { title } },
+          // Create author relations
+          authors:
+            authorIds.length > 0
+              ? {
+                  create: authorIds.map((authorId, index) => ({
+                    authorId,
+                    authorOrder: index + 1,
+                  })),
+                }
+              : undefined,
+          // Create category relations
+          categories:
+            categoryIds.length > 0
+              ? {
+                  create: categoryIds.map((categoryId, index) => ({
+                    categoryId,
+                    isPrimary: index === 0,
+                  })),
+                }
+              : undefined,
         },
-      },
+        include: BOOK_INCLUDE,
+      });
+
+      assertPublishable(created);
+
+      await promotionService.refreshEffectivePrices([created.id], tx);
+      await inventoryService.recordInitialStock(tx, created, context);
+
+      await recordBookRevision(tx, {
+        bookId: created.id,
+        action: "CREATE",
+        after: created,
+        context,
+      });
+
+      return created;
     });
 
-    return this.formatBookResponse(book);
+    await cacheService.invalidateBooks([book.id]);
+
+    return this.formatBook(book);
   }
 
   /**
    * Get all books with optional filtering and pagination
+   * Uses offset paging by default; passing a cursor (an empty string for the
+   * first page) switches to keyset paging, which stays stable while the
+   * catalog is being edited and skips the total count. Pages are read
+   * through the cache and priced when returned.
    * @param {Object} options - Query options
    * @param {number} options.page - Page number (1-indexed)
    * @param {number} options.limit - Items per page
-   * @param {string} options.search - Search term for title
-   * @param {string} options.format - Filter by format
-   * @param {boolean} options.isActive - Filter by active status
-   * @param {boolean} options.isFeatured - Filter by featured status
-   * @returns {Promise<Object>} Paginated books list
+   * @param {string} options.cursor - Opaque cursor from a previous page's nextCursor
+   * @param {Array<{field: string, direction: string}>} options.sort - Sort keys, applied in order
+   * @param {boolean} options.facets - Also return facet counts for the filter sidebar
+   * @param {boolean} options.collapseEditions - One result per work instead of per book (offset paging only)
+   * @param {string[]} options.fields - Only return these book fields, see resolveView
+   * @param {string[]} options.include - Relations to return, see resolveView
+   * Remaining options are listing filters, see buildBookWhere
+   * @returns {Promise<Object>} Paginated books list, plus facets when requested
    */
   async getBooks(options = {}) {
+    const query = { visibility: VISIBILITY.PUBLIC, ...options };
+
+    const listing = await cacheService.getListing(query, () => this.queryBooks(query), {
+      // Admins see their edits immediately, and only the public view is cached
+      bypass: query.visibility === VISIBILITY.ADMIN,
+    });
+
+    return this.formatListing(listing, resolveView(query));
+  }
+
+  /**
+   * Load a listing page from the database
+   * @param {Object} query - getBooks options
+   * @returns {Promise<Object>} Raw books with pagination, plus facets when requested
+   *   and the page's work order when collapsing editions
+   */
+  async queryBooks(query) {
     const {
       page = 1,
       limit = 20,
-      search,
-      format,
-      isActive,
-      isFeatured,
-    } = options;
-
-    const skip = (page - 1) * limit;
+      cursor,
+      sort = DEFAULT_SORT,
+      facets = false,
+      collapseEditions = false,
+      fields,
+      include,
+      ...filters
+    } = query;
+    const view = resolveView({ fields, include });
 
-    // Build where clause
-    const where = {};
-
-    if (search) {
-      where.title = { contains: search, mode: "insensitive" };
+    if (cursor !== undefined) {
+      return this.getBooksByCursor({ cursor, limit, sort, facets, view, filters });
     }
 
-    if (format) {
-      where.format = format;
+    if (collapseEditions) {
+      return this.getCollapsedBooks({ page, limit, sort, facets, view, filters });
     }
 
-    if (typeof isActive === "boolean") {
-      where.isActive = isActive;
-    }
+    return this.getBooksByOffset({ page, limit, sort, facets, view, filters });
+  }
 
-    if (typeof isFeatured === "boolean") {
-      where.isFeatured = isFeatured;
-    }
+  /**
+   * Offset-paginated book listing
+   * @param {Object} params - Listing parameters
+   * @param {number} params.page - Page number (1-indexed)
+   * @param {number} params.limit - Items per page
+   * @param {Array<{field: string, direction: string}>} params.sort - Sort keys
+   * @param {boolean} params.facets - Also return facet counts
+   * @param {Object|null} params.view - Fields and relations to load, see resolveView
+   * @param {Object} params.filters - Listing filters, see buildBookWhere
+   * @returns {Promise<Object>} Raw books with pagination info
+   */
+  async getBooksByOffset({ page, limit, sort, facets, view, filters }) {
+    const skip = (page - 1) * limit;
+
+    const where = this.buildBookWhere(filters);
 
     // Execute queries in parallel
-    const [books, total] = await Promise.all([
+    const [books, total, facetCounts] = await Promise.all([
       prisma.book.findMany({
         where,
         skip,
         take: limit,
-        orderBy: { createdAt: "desc" },
-        include: {
-          authors: {
-            include: { author: true },
-            orderBy: { authorOrder: "asc" },
-          },
-          categories: {
-            include: { category: true },
-            orderBy: { isPrimary: "desc" },
-          },
-        },
+        orderBy: this.buildOrderBy(sort),
+        ...buildBookQuery(view),
       }),
       prisma.book.count({ where }),
+      facets ? this.getFacets(filters) : undefined,
     ]);
 
     return {
-      books: books.map((book) => this.formatBookResponse(book)),
+      books,
       pagination: {
         page,
         limit,
@@ -183,133 +307,1553 @@ class BookService {
         hasNext: page * limit < total,
         hasPrev: page > 1,
       },
+      ...(facetCounts ? { facets: facetCounts } : {}),
     };
   }
 
   /**
-   * Get a single book by ID
-   * @param {string} id - Book UUID
-   * @returns {Promise<Object>} Book with relations
+   * Format a listing page from queryBooks for a response
+   * Collapsed pages become one result per work, the first matching edition,
+   * with every matching edition of the work listed in editions.
+   * @param {Object} listing - Page from queryBooks, possibly read from the cache
+   * @param {Object|null} view - Fields and relations to return, see resolveView
+   * @returns {Promise<Object>} Formatted page
    */
-  async getBookById(id) {
-    const book = await prisma.book.findUnique({
-      where: { id },
-      include: {
-        authors: {
-          include: { author: true },
-          orderBy: { authorOrder: "asc" },
-        },
-        categories: {
-          include: { category: true },
-          orderBy: { isPrimary: "desc" },
-        },
-      },
+  async formatListing({ books, workIds, ...rest }, view) {
+    const revived = books.map((book) => reviveBook(book));
+
+    if (!workIds) {
+      return { books: await this.formatBooks(revived, view), ...rest };
+    }
+
+    const formatted = await this.formatBooks(revived, withFields(view, EDITION_FIELDS));
+
+    const editionsByWork = new Map(workIds.map((workId) => [workId, []]));
+    for (const book of formatted) {
+      editionsByWork.get(book.workId).push(book);
+    }
+
+    // A work can lose its last matching edition between the two queries
+    const matched = workIds.filter((workId) => editionsByWork.get(workId).length > 0);
+
+    return {
+      books: matched.map((workId) => {
+        const editions = editionsByWork.get(workId);
+        return {
+          ...pickFields(editions[0], view),
+          editions: editions.map((book) => this.toEditionOption(book)),
+        };
+      }),
+      ...rest,
+    };
+  }
+
+  /**
+   * Book listing with one result per work
+   * Works are ordered by their best matching edition for each sort key (the
+   * lowest value ascending, the highest descending); formatListing groups
+   * the editions.
+   * @param {Object} params - Listing parameters
+   * @param {number} params.page - Page number (1-indexed)
+   * @param {number} params.limit - Works per page
+   * @param {Array<{field: string, direction: string}>} params.sort - Sort keys
+   * @param {boolean} params.facets - Also return facet counts (counted per book)
+   * @param {Object|null} params.view - Fields and relations to load, see resolveView
+   * @param {Object} params.filters - Listing filters, see buildBookWhere
+   * @returns {Promise<Object>} Raw matching editions of the page's works, in sort order
+   */
+  async getCollapsedBooks({ page, limit, sort, facets, view, filters }) {
+    const where = this.buildBookWhere(filters);
+
+    const [groups, total, facetCounts] = await Promise.all([
+      prisma.book.groupBy({
+        by: ["workId"],
+        where,
+        orderBy: this.buildWorkOrderBy(sort),
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+      prisma.work.count({ where: { books: { some: where } } }),
+      facets ? this.getFacets(filters) : undefined,
+    ]);
+
+    const workIds = groups.map((group) => group.workId);
+    const books = await prisma.book.findMany({
+      where: { AND: [where, { workId: { in: workIds } }] },
+      orderBy: this.buildOrderBy(sort),
+      ...buildBookQuery(withFields(view, EDITION_FIELDS)),
     });
 
-    if (!book) {
-      throw new NotFoundError("Book", id);
+    return {
+      books,
+      workIds,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasNext: page * limit < total,
+        hasPrev: page > 1,
+      },
+      ...(facetCounts ? { facets: facetCounts } : {}),
+    };
+  }
+
+  /**
+   * Build a groupBy orderBy that sorts works by their best matching edition
+   * Aggregates can't choose where nulls go, so works without any dated
+   * edition come first when sorting by publicationDate descending.
+   * @param {Array<{field: string, direction: string}>} sort - Sort keys
+   * @returns {Object[]} Prisma groupBy orderBy
+   */
+  buildWorkOrderBy(sort) {
+    return [
+      ...sort.map(({ field, direction }) => ({
+        [direction === "desc" ? "_max" : "_min"]: { [SORT_FIELDS[field].column]: direction },
+      })),
+      { workId: "asc" },
+    ];
+  }
+
+  /**
+   * Summarize an edition for a work's format picker
+   * @param {Object} book - Formatted book
+   * @returns {Object} Edition option
+   */
+  toEditionOption(book) {
+    return {
+      id: book.id,
+      slug: book.slug,
+      format: book.format,
+      edition: book.edition,
+      effectivePrice: book.effectivePrice,
+      availableQuantity: book.availableQuantity,
+    };
+  }
+
+  /**
+   * Iterate over every book matching the filters, in ID order
+   * Books are loaded in batches so the whole catalog never sits in memory.
+   * @param {Object} filters - Same filters as getBooks
+   * @param {number} batchSize - Books loaded per query
+   * @yields {Object} Formatted book
+   */
+  async *iterateBooks(filters = {}, batchSize = 500) {
+    const where = this.buildBookWhere(filters);
+    let lastId;
+
+    while (true) {
+      const books = await prisma.book.findMany({
+        where,
+        orderBy: { id: "asc" },
+        take: batchSize,
+        ...(lastId && { cursor: { id: lastId }, skip: 1 }),
+        include: BOOK_INCLUDE,
+      });
+
+      for (const book of await this.formatBooks(books)) {
+        yield book;
+      }
+
+      if (books.length < batchSize) {
+        return;
+      }
+      lastId = books[books.length - 1].id;
+    }
+  }
+
+  /**
+   * Keyset-paginated book listing
+   * @param {Object} params - Listing parameters
+   * @param {string} params.cursor - Cursor from the previous page, or "" for the first page
+   * @param {number} params.limit - Items per page
+   * @param {Array<{field: string, direction: string}>} params.sort - Sort keys
+   * @param {boolean} params.facets - Also return facet counts
+   * @param {Object|null} params.view - Fields and relations to load, see resolveView
+   * @param {Object} params.filters - Listing filters, see buildBookWhere
+   * @returns {Promise<Object>} Raw books with cursor pagination info
+   */
+  async getBooksByCursor({ cursor, limit, sort, facets, view, filters }) {
+    const keys = this.getSortKeys(sort);
+    const signature = this.getSortSignature(sort);
+    const where = this.buildBookWhere(filters);
+
+    if (cursor) {
+      const position = decodeCursor(cursor);
+
+      if (
+        !position ||
+        position.s !== signature ||
+        !Array.isArray(position.v) ||
+        position.v.length !== keys.length
+      ) {
+        throw new ValidationError("Validation failed", [
+          {
+            field: "cursor",
+            message: "cursor is invalid or was issued for a different sort order",
+            value: cursor,
+          },
+        ]);
+      }
+
+      where.AND = [...(where.AND || []), this.buildKeysetWhere(keys, position.v)];
     }
 
-    return this.formatBookResponse(book);
+    // Fetch one extra row to learn whether another page follows
+    const [rows, facetCounts] = await Promise.all([
+      prisma.book.findMany({
+        where,
+        take: limit + 1,
+        orderBy: this.buildOrderBy(sort),
+        // The next cursor is built from the last book's sort columns
+        ...buildBookQuery(view, keys.map(({ column }) => column)),
+      }),
+      facets ? this.getFacets(filters) : undefined,
+    ]);
+
+    const hasNext = rows.length > limit;
+    const books = hasNext ? rows.slice(0, limit) : rows;
+    const last = books[books.length - 1];
+
+    return {
+      books,
+      pagination: {
+        limit,
+        cursor: cursor || null,
+        nextCursor:
+          hasNext && last
+            ? encodeCursor({
+                s: signature,
+                v: keys.map(({ column }) => this.toCursorValue(last[column])),
+              })
+            : null,
+        hasNext,
+      },
+      ...(facetCounts ? { facets: facetCounts } : {}),
+    };
   }
 
   /**
-   * Update a book
-   * @param {string} id - Book UUID
-   * @param {Object} updateData - Fields to update
-   * @returns {Promise<Object>} Updated book
+   * Build a Prisma where clause from listing filters
+   * @param {Object} filters - Listing filters
+   * @param {string} filters.search - Search term for title
+   * @param {string} filters.format - Filter by format
+   * @param {boolean} filters.isActive - Filter by active status
+   * @param {string} filters.status - Filter by lifecycle status
+   * @param {boolean} filters.isFeatured - Filter by featured status
+   * @param {number} filters.minPrice - Minimum effective price (discount price when set)
+   * @param {number} filters.maxPrice - Maximum effective price (discount price when set)
+   * @param {string} filters.language - Filter by language code
+   * @param {string} filters.publisher - Filter by publisher (case-insensitive)
+   * @param {string[]} filters.categoryIds - Only books assigned to any of these categories
+   * @param {string} filters.authorId - Only books by this author
+   * @param {number} filters.minRating - Minimum average rating
+   * @param {string} filters.publishedFrom - Earliest publication date
+   * @param {string} filters.publishedTo - Latest publication date
+   * @param {boolean} filters.inStock - Only books with units available to order
+   * @param {string} filters.visibility - Which books the caller may see (default: public), see visibilityWhere
+   * @param {boolean} filters.trashed - List books in the trash instead of the live catalog
+   * @param {string} [exclude] - Facet dimension to leave out (format, language, category or price)
+   * @returns {Object} Prisma where clause
    */
-  async updateBook(id, updateData) {
-    // Check if book exists
-    const existing = await prisma.book.findUnique({ where: { id } });
-    if (!existing) {
-      throw new NotFoundError("Book", id);
+  buildBookWhere(filters = {}, exclude) {
+    const {
+      search,
+      format,
+      isActive,
+      status,
+      isFeatured,
+      minPrice,
+      maxPrice,
+      language,
+      publisher,
+      categoryIds,
+      authorId,
+      minRating,
+      publishedFrom,
+      publishedTo,
+      inStock,
+      visibility,
+      trashed = false,
+    } = filters;
+
+    const conditions = [trashed ? { deletedAt: { not: null } } : this.visibilityWhere(visibility)];
+
+    if (search) {
+      conditions.push({ title: { contains: search, mode: "insensitive" } });
+    }
+
+    if (format && exclude !== "format") {
+      conditions.push({ format });
     }
 
-    const { authorIds, categoryIds, publicationDate, ...data } = updateData;
+    if (typeof isActive === "boolean") {
+      conditions.push({ isActive });
+    }
 
-    // Handle date conversion
-    if (publicationDate) {
-      data.publicationDate = new Date(publicationDate);
+    if (status) {
+      conditions.push({ status });
     }
 
-    // Update book
-    const book = await prisma.book.update({
-      where: { id },
-      data,
-      include: {
-        authors: {
-          include: { author: true },
-          orderBy: { authorOrder: "asc" },
-        },
-        categories: {
-          include: { category: true },
-          orderBy: { isPrimary: "desc" },
+    if (typeof isFeatured === "boolean") {
+      conditions.push({ isFeatured });
+    }
+
+    if ((minPrice !== undefined || maxPrice !== undefined) && exclude !== "price") {
+      conditions.push(
+        this.effectivePriceWhere({
+          ...(minPrice !== undefined ? { gte: minPrice } : {}),
+          ...(maxPrice !== undefined ? { lte: maxPrice } : {}),
+        })
+      );
+    }
+
+    if (language && exclude !== "language") {
+      conditions.push({ language });
+    }
+
+    if (publisher) {
+      conditions.push({ publisher: { equals: publisher, mode: "insensitive" } });
+    }
+
+    if (categoryIds?.length && exclude !== "category") {
+      conditions.push({ categories: { some: { categoryId: { in: categoryIds } } } });
+    }
+
+    if (authorId) {
+      conditions.push({ authors: { some: { authorId } } });
+    }
+
+    if (minRating !== undefined) {
+      conditions.push({ averageRating: { gte: minRating } });
+    }
+
+    if (publishedFrom || publishedTo) {
+      conditions.push({
+        publicationDate: {
+          ...(publishedFrom ? { gte: new Date(publishedFrom) } : {}),
+          ...(publishedTo ? { lte: new Date(publishedTo) } : {}),
         },
-      },
+      });
+    }
+
+    if (inStock) {
+      conditions.push({ stockQuantity: { gt: prisma.book.fields.reservedQuantity } });
+    }
+
+    return { AND: conditions };
+  }
+
+  /**
+   * Where clause matching the books a caller may see
+   * Every read of the live catalog goes through this (or visibilitySql), so
+   * inactive books only ever reach admins.
+   * @param {string} [visibility] - VISIBILITY.ADMIN for admins (default: public)
+   * @returns {Object} Prisma where clause
+   */
+  visibilityWhere(visibility = VISIBILITY.PUBLIC) {
+    return visibility === VISIBILITY.ADMIN
+      ? { deletedAt: null }
+      : { deletedAt: null, isActive: true };
+  }
+
+  /**
+   * SQL condition matching the books a caller may see, for raw queries
+   * The Book table must be aliased as b.
+   * @param {string} [visibility] - VISIBILITY.ADMIN for admins (default: public)
+   * @returns {Object} Prisma SQL fragment
+   */
+  visibilitySql(visibility = VISIBILITY.PUBLIC) {
+    return visibility === VISIBILITY.ADMIN
+      ? Prisma.sql`b."deletedAt" IS NULL`
+      : Prisma.sql`b."deletedAt" IS NULL AND b."isActive" = true`;
+  }
+
+  /**
+   * Where clause matching books whose effective price falls in a range
+   * The effective price is the discount price when one is set, else the list price.
+   * @param {Object} range - Prisma decimal filter (gte, lte, lt)
+   * @returns {Object} Prisma where clause
+   */
+  effectivePriceWhere(range) {
+    return { effectivePrice: range };
+  }
+
+  /**
+   * Resolve parsed sort keys to the Book columns they order by
+   * The book id is always appended as a final tie-breaker so that paging
+   * through equal values is deterministic.
+   * @param {Array<{field: string, direction: string}>} sort - Sort keys
+   * @returns {Array<{column: string, direction: string, nullable: boolean}>} Column sort keys
+   */
+  getSortKeys(sort) {
+    return [
+      ...sort.map(({ field, direction }) => ({
+        ...SORT_FIELDS[field],
+        nullable: Boolean(SORT_FIELDS[field].nullable),
+        direction,
+      })),
+      { column: "id", direction: "asc", nullable: false },
+    ];
+  }
+
+  /**
+   * Canonical string for a sort order, embedded in cursors so a cursor
+   * cannot be replayed against a different ordering
+   * @param {Array<{field: string, direction: string}>} sort - Sort keys
+   * @returns {string} e.g. "-averageRating,price"
+   */
+  getSortSignature(sort) {
+    return sort
+      .map(({ field, direction }) => (direction === "desc" ? `-${field}` : field))
+      .join(",");
+  }
+
+  /**
+   * Build a Prisma orderBy list from parsed sort keys
+   * @param {Array<{field: string, direction: string}>} sort - Sort keys
+   * @returns {Object[]} Prisma orderBy
+   */
+  buildOrderBy(sort) {
+    return this.getSortKeys(sort).map(({ column, direction, nullable }) => ({
+      [column]: nullable ? { sort: direction, nulls: "last" } : direction,
+    }));
+  }
+
+  /**
+   * Build the where clause selecting rows strictly after a cursor position
+   * Expands to (k1 > v1) OR (k1 = v1 AND k2 > v2) OR ..., honouring each
+   * key's direction and placing nulls last.
+   * @param {Object[]} keys - Column sort keys from getSortKeys
+   * @param {Array} values - Cursor values, one per key
+   * @returns {Object} Prisma where clause
+   */
+  buildKeysetWhere(keys, values) {
+    const branches = [];
+
+    keys.forEach((key, i) => {
+      const value = values[i];
+
+      // Nulls sort last, so nothing follows a null on this key
+      if (value === null) {
+        return;
+      }
+
+      const after = { [key.column]: { [key.direction === "desc" ? "lt" : "gt"]: value } };
+
+      branches.push({
+        AND: [
+          ...keys.slice(0, i).map((previous, j) => ({ [previous.column]: values[j] })),
+          key.nullable ? { OR: [after, { [key.column]: null }] } : after,
+        ],
+      });
     });
 
-    return this.formatBookResponse(book);
+    return { OR: branches };
   }
 
   /**
-   * Delete a book
-   * @param {string} id - Book UUID
-   * @returns {Promise<void>}
+   * Convert a column value into a JSON-safe cursor value
+   * @param {*} value - Raw column value (Decimal, Date, string, number or null)
+   * @returns {string|number|null} Serializable value
    */
-  async deleteBook(id) {
-    const existing = await prisma.book.findUnique({ where: { id } });
-    if (!existing) {
-      throw new NotFoundError("Book", id);
+  toCursorValue(value) {
+    if (value === null || value === undefined) {
+      return null;
     }
+    if (value instanceof Date) {
+      return value.toISOString();
+    }
+    return typeof value === "object" ? value.toString() : value;
+  }
+
+  /**
+   * Build the ORDER BY expression for raw search queries
+   * "relevance" sorts most relevant first; "-relevance" reverses it.
+   * @param {Array<{field: string, direction: string}>} sort - Sort keys
+   * @returns {Prisma.Sql} SQL fragment referencing book alias b and query alias q
+   */
+  buildSearchOrderBy(sort) {
+    const parts = sort.map(({ field, direction }) => {
+      if (field === "relevance") {
+        return direction === "asc"
+          ? Prisma.sql`ts_rank(b."searchVector", q.query) DESC`
+          : Prisma.sql`ts_rank(b."searchVector", q.query) ASC`;
+      }
+
+      const { column, nullable } = SORT_FIELDS[field];
+      return Prisma.sql`b.${Prisma.raw(`"${column}"`)} ${Prisma.raw(
+        direction === "desc" ? "DESC" : "ASC"
+      )}${nullable ? Prisma.sql` NULLS LAST` : Prisma.empty}`;
+    });
 
-    await prisma.book.delete({ where: { id } });
+    return Prisma.join([...parts, Prisma.sql`b."id" ASC`], ", ");
   }
 
   /**
-   * Format book response to flatten nested relations
-   * @param {Object} book - Raw book from Prisma
-   * @returns {Object} Formatted book
+   * Count matching books per format, language, category and price bucket
+   * Each dimension is counted with every other filter applied but its own
+   * left out, so the sidebar can show how many results picking another
+   * value would give.
+   * @param {Object} filters - Listing filters, as for buildBookWhere
+   * @returns {Promise<Object>} Facet counts
    */
-  formatBookResponse(book) {
+  async getFacets(filters = {}) {
+    const [formats, languages, categories, priceBuckets] = await Promise.all([
+      prisma.book.groupBy({
+        by: ["format"],
+        where: this.buildBookWhere(filters, "format"),
+        _count: { _all: true },
+        orderBy: { format: "asc" },
+      }),
+      prisma.book.groupBy({
+        by: ["language"],
+        where: this.buildBookWhere(filters, "language"),
+        _count: { _all: true },
+        orderBy: { language: "asc" },
+      }),
+      prisma.bookCategory.groupBy({
+        by: ["categoryId"],
+        where: { book: this.buildBookWhere(filters, "category") },
+        _count: { _all: true },
+      }),
+      Promise.all(
+        PRICE_BUCKETS.map((bucket) =>
+          prisma.book.count({
+            where: {
+              AND: [
+                this.buildBookWhere(filters, "price"),
+                this.effectivePriceWhere({
+                  gte: bucket.min,
+                  ...(bucket.max !== undefined ? { lt: bucket.max } : {}),
+                }),
+              ],
+            },
+          })
+        )
+      ),
+    ]);
+
+    const categoryRecords = await prisma.category.findMany({
+      where: { id: { in: categories.map((c) => c.categoryId) } },
+    });
+    const categoriesById = new Map(categoryRecords.map((c) => [c.id, c]));
+
     return {
-      id: book.id,
-      isbn: book.isbn,
-      isbn13: book.isbn13,
-      title: book.title,
-      subtitle: book.subtitle,
-      description: book.description,
-      publisher: book.publisher,
-      publicationDate: book.publicationDate,
-      edition: book.edition,
-      language: book.language,
-      pageCount: book.pageCount,
-      format: book.format,
-      price: book.price,
-      discountPrice: book.discountPrice,
-      stockQuantity: book.stockQuantity,
-      coverImageUrl: book.coverImageUrl,
-      previewUrl: book.previewUrl,
-      averageRating: book.averageRating,
-      ratingsCount: book.ratingsCount,
-      additionalInfo: book.additionalInfo,
-      isFeatured: book.isFeatured,
-      isActive: book.isActive,
-      createdAt: book.createdAt,
-      updatedAt: book.updatedAt,
-      authors: book.authors?.map((ba) => ({
-        id: ba.author.id,
-        name: ba.author.name,
-        order: ba.authorOrder,
-      })),
-      categories: book.categories?.map((bc) => ({
-        id: bc.category.id,
-        name: bc.category.name,
-        slug: bc.category.slug,
-        isPrimary: bc.isPrimary,
+      format: formats.map((f) => ({ value: f.format, count: f._count._all })),
+      language: languages.map((l) => ({ value: l.language, count: l._count._all })),
+      category: categories
+        .filter((c) => categoriesById.has(c.categoryId))
+        .map((c) => ({
+          id: c.categoryId,
+          name: categoriesById.get(c.categoryId).name,
+          slug: categoriesById.get(c.categoryId).slug,
+          count: c._count._all,
+        }))
+        .sort((a, b) => b.count - a.count),
+      price: PRICE_BUCKETS.map((bucket, i) => ({
+        min: bucket.min,
+        max: bucket.max ?? null,
+        count: priceBuckets[i],
       })),
     };
   }
+
+  /**
+   * Full-text search across title, subtitle, authors, description and publisher
+   * Results are ranked by weighted relevance (title > author > description)
+   * unless another sort is requested, and carry highlighted snippets of the
+   * matched text.
+   * @param {Object} options - Search options
+   * @param {string} options.q - Free-text query; the last term is prefix-matched
+   * @param {Array<{field: string, direction: string}>} options.sort - Sort keys (default: relevance)
+   * @param {number} options.page - Page number (1-indexed)
+   * @param {number} options.limit - Items per page
+   * @param {string} options.format - Filter by format
+   * @param {boolean} options.isActive - Filter by active status
+   * @param {string} options.visibility - Which books the caller may see, see visibilityWhere
+   * @returns {Promise<Object>} Ranked, paginated books with highlights
+   */
+  async searchBooks(options = {}) {
+    const {
+      q,
+      page = 1,
+      limit = 20,
+      sort = DEFAULT_SEARCH_SORT,
+      format,
+      isActive,
+      visibility,
+    } = options;
+
+    const skip = (page - 1) * limit;
+    const tsQuery = buildPrefixTsQuery(q);
+
+    if (!tsQuery) {
+      return this.emptySearchResult(page, limit);
+    }
+
+    const filters = [
+      Prisma.sql`b."searchVector" @@ q.query`,
+      this.visibilitySql(visibility),
+    ];
+
+    if (format) {
+      filters.push(Prisma.sql`b."format" = CAST(${format} AS "catalog"."BookFormat")`);
+    }
+
+    if (typeof isActive === "boolean") {
+      filters.push(Prisma.sql`b."isActive" = ${isActive}`);
+    }
+
+    const from = Prisma.sql`
+      FROM "catalog"."Book" b,
+        to_tsquery(${SEARCH_CONFIG}::regconfig, ${tsQuery}) AS q(query)
+      WHERE ${Prisma.join(filters, " AND ")}
+    `;
+
+    const headlineOptions = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}`;
+
+    const [matches, [{ total }]] = await Promise.all([
+      prisma.$queryRaw`
+        WITH ranked AS (
+          SELECT
+            b."id",
+            ts_rank(b."searchVector", q.query) AS rank,
+            row_number() OVER (ORDER BY ${this.buildSearchOrderBy(sort)}) AS position
+          ${from}
+          ORDER BY position
+          LIMIT ${limit} OFFSET ${skip}
+        )
+        SELECT
+          r."id",
+          r.rank::float8 AS rank,
+          ts_headline(${SEARCH_CONFIG}::regconfig, b."title", q.query,
+            ${`HighlightAll=true, ${headlineOptions}`}) AS "titleHighlight",
+          ts_headline(${SEARCH_CONFIG}::regconfig, coalesce(b."description", ''), q.query,
+            ${`MaxFragments=2, MaxWords=35, MinWords=15, ${headlineOptions}`}) AS "descriptionHighlight"
+        FROM ranked r
+        JOIN "catalog"."Book" b ON b."id" = r."id",
+          to_tsquery(${SEARCH_CONFIG}::regconfig, ${tsQuery}) AS q(query)
+        ORDER BY r.position
+      `,
+      prisma.$queryRaw`SELECT count(*)::int AS total ${from}`,
+    ]);
+
+    const books = await prisma.book.findMany({
+      where: { id: { in: matches.map((match) => match.id) } },
+      include: BOOK_INCLUDE,
+    });
+    const formatted = await this.formatBooks(books);
+    const booksById = new Map(formatted.map((book) => [book.id, book]));
+
+    return {
+      books: matches
+        .filter((match) => booksById.has(match.id))
+        .map((match) => ({
+          ...booksById.get(match.id),
+          search: {
+            rank: match.rank,
+            highlights: {
+              title: match.titleHighlight,
+              description: match.descriptionHighlight,
+            },
+          },
+        })),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasNext: page * limit < total,
+        hasPrev: page > 1,
+      },
+    };
+  }
+
+  /**
+   * Build an empty search result page
+   * @param {number} page - Requested page
+   * @param {number} limit - Requested page size
+   * @returns {Object} Result with no books
+   */
+  emptySearchResult(page, limit) {
+    return {
+      books: [],
+      pagination: {
+        page,
+        limit,
+        total: 0,
+        totalPages: 0,
+        hasNext: false,
+        hasPrev: page > 1,
+      },
+    };
+  }
+
+  /**
+   * Get a single book by ID
+   * Read through the cache, including misses, and priced when returned.
+   * @param {string} id - Book UUID
+   * @param {Object} [options] - Read options
+   * @param {string[]} [options.fields] - Only return these book fields, see resolveView
+   * @param {string[]} [options.include] - Relations to return, see resolveView
+   * @param {string} [options.visibility] - Which books the caller may see, see visibilityWhere
+   * @returns {Promise<Object>} Book with relations
+   */
+  async getBookById(id, { fields, include, visibility = VISIBILITY.PUBLIC } = {}) {
+    const view = resolveView({ fields, include });
+
+    const book = await cacheService.getBook(
+      id,
+      () =>
+        prisma.book.findFirst({
+          where: { id, ...this.visibilityWhere(visibility) },
+          ...buildBookQuery(view),
+        }),
+      // As for listings, only the public view is cached
+      { bypass: visibility === VISIBILITY.ADMIN, variant: view && { fields, include } }
+    );
+
+    if (!book) {
+      throw new NotFoundError("Book", id);
+    }
+
+    return this.formatBook(reviveBook(book), view);
+  }
+
+  /**
+   * Get a book by ISBN
+   * Either form is accepted, with or without hyphens, and matches the
+   * book whether it was stored with an ISBN-10, an ISBN-13 or both. Only
+   * the id is looked up here; the book is read like getBookById.
+   * @param {string} isbn - ISBN-10 or ISBN-13
+   * @param {Object} [options] - Read options, as for getBookById
+   * @returns {Promise<Object>} Book with relations
+   */
+  async getBookByIsbn(isbn, options = {}) {
+    const normalized = normalizeIsbn(isbn);
+    const isbn13 = normalized.length === 13 ? normalized : toIsbn13(normalized);
+    const isbn10 = normalized.length === 10 ? normalized : toIsbn10(normalized);
+
+    const book = await prisma.book.findFirst({
+      where: {
+        OR: [{ isbn13 }, isbn10 ? { isbn: isbn10 } : undefined].filter(Boolean),
+        ...this.visibilityWhere(options.visibility),
+      },
+      select: { id: true },
+    });
+
+    if (!book) {
+      throw new NotFoundError("Book", isbn);
+    }
+
+    return this.getBookById(book.id, options);
+  }
+
+  /**
+   * Find the book a current or previous slug belongs to
+   * Callers can tell an old slug by comparing it with the returned slug,
+   * then read the book with getBookById.
+   * @param {string} slug - Book slug
+   * @param {string} [visibility] - Which books the caller may see, see visibilityWhere
+   * @returns {Promise<{id: string, slug: string}>} Book id and current slug
+   */
+  async resolveSlug(slug, visibility) {
+    const book = await prisma.book.findFirst({
+      where: {
+        OR: [{ slug }, { previousSlugs: { some: { slug } } }],
+        ...this.visibilityWhere(visibility),
+      },
+      select: { id: true, slug: true },
+    });
+
+    if (!book) {
+      throw new NotFoundError("Book", slug);
+    }
+
+    return book;
+  }
+
+  /**
+   * Get the editions of a work that are in the catalog
+   * @param {string} workId - Work UUID
+   * @param {string} [visibility] - Which books the caller may see, see visibilityWhere
+   * @returns {Promise<Object[]>} Formatted books, grouped by format, newest edition first
+   */
+  async getWorkEditions(workId, visibility) {
+    const books = await prisma.book.findMany({
+      where: { workId, ...this.visibilityWhere(visibility) },
+      orderBy: [
+        { format: "asc" },
+        { publicationDate: { sort: "desc", nulls: "last" } },
+        { id: "asc" },
+      ],
+      include: BOOK_INCLUDE,
+    });
+
+    return this.formatBooks(books);
+  }
+
+  /**
+   * Update a book
+   * Author and category assignments are rewritten in the same transaction as
+   * the book fields. In "replace" mode (default) authorIds and categoryIds
+   * become the complete lists; in "patch" mode they are added to the current
+   * lists and removeAuthorIds/removeCategoryIds are taken away.
+   * @param {string} id - Book UUID
+   * @param {Object} updateData - Fields to update
+   * @param {string[]} [updateData.authorIds] - Authors, in display order
+   * @param {string[]} [updateData.categoryIds] - Categories (first is primary unless primaryCategoryId is given)
+   * @param {string[]} [updateData.removeAuthorIds] - Authors to unlink (patch mode)
+   * @param {string[]} [updateData.removeCategoryIds] - Categories to unassign (patch mode)
+   * @param {string} [updateData.primaryCategoryId] - Category to mark as primary
+   * @param {string} [updateData.relationMode] - "replace" or "patch"
+   * @param {string} [updateData.status] - New status, see resolveStatus
+   * @param {boolean} [updateData.isActive] - Publish (true) or withdraw (false) the book
+   * @param {Object} [context] - Request context for the audit trail (see getRequestContext)
+   * @param {Object} [options] - Update options
+   * @param {string} [options.action] - Audit action to record; REVERT when restoring a revision
+   * @param {string} [options.ifMatch] - If-Match header; the update fails with 412 unless it matches
+   * @returns {Promise<Object>} Updated book
+   */
+  async updateBook(id, updateData, context = {}, options = {}) {
+    const { action = "UPDATE", ifMatch } = options;
+
+    // Check if book exists; trashed books must be restored before editing
+    const existing = await prisma.book.findFirst({ where: { id, deletedAt: null } });
+    if (!existing) {
+      throw new NotFoundError("Book", id);
+    }
+
+    const {
+      authorIds,
+      categoryIds,
+      removeAuthorIds,
+      removeCategoryIds,
+      primaryCategoryId,
+      relationMode = "replace",
+      publicationDate,
+      stockQuantity,
+      status,
+      isActive,
+      publishAt,
+      ...data
+    } = updateData;
+
+    // Both ISBN fields name the same edition, so setting either rewrites both
+    if (data.isbn !== undefined || data.isbn13 !== undefined) {
+      Object.assign(data, this.normalizeIsbns(data));
+    }
+
+    // Handle date conversion; null clears the date (used by reverts)
+    if (publicationDate !== undefined) {
+      data.publicationDate = publicationDate ? new Date(publicationDate) : null;
+    }
+
+    const book = await prisma.$transaction(async (tx) => {
+      const before = await tx.book.findUnique({ where: { id }, include: BOOK_INCLUDE });
+      this.assertIfMatch(before, ifMatch);
+
+      await this.assertReferencesExist(
+        {
+          authorIds,
+          categoryIds: [...(categoryIds || []), primaryCategoryId].filter(Boolean),
+          workId: data.workId,
+        },
+        tx
+      );
+
+      Object.assign(data, resolveStatus(before, { status, isActive, publishAt }));
+      await this.writeVersioned(tx, id, data, ifMatch ? before.version : undefined);
+
+      // A work is only its books, so the one this book leaves goes once it has none
+      if (data.workId !== undefined && data.workId !== before.workId) {
+        await tx.work.deleteMany({ where: { id: before.workId, books: { none: {} } } });
+      }
+
+      // Raising the threshold can put the book below it without any stock moving
+      if (data.reorderThreshold !== undefined && data.reorderThreshold !== before.reorderThreshold) {
+        await inventoryService.queueStockAlert(tx, id, {
+          reorderThreshold: before.reorderThreshold,
+        });
+      }
+
+      // Editing the count is recorded in the inventory ledger as a correction
+      if (stockQuantity !== undefined) {
+        await inventoryService.setStock(tx, id, stockQuantity, context);
+      }
+
+      await this.syncAuthors(tx, id, { authorIds, removeAuthorIds, relationMode });
+      await this.syncCategories(tx, id, {
+        categoryIds,
+        removeCategoryIds,
+        primaryCategoryId,
+        relationMode,
+      });
+
+      // A price edit resets effectivePrice through the trigger, and new
+      // categories can bring the book into a category promotion
+      await promotionService.refreshEffectivePrices([id], tx);
+
+      await this.syncSlug(tx, before);
+
+      const after = await tx.book.findUnique({ where: { id }, include: BOOK_INCLUDE });
+      assertPublishable(after, before);
+
+      await recordBookRevision(tx, {
+        bookId: id,
+        action,
+        before,
+        after,
+        context,
+      });
+
+      return after;
+    });
+
+    await cacheService.invalidateBooks([id]);
+
+    return this.formatBook(book);
+  }
+
+  /**
+   * Rewrite a book's author links
+   * @param {Object} tx - Prisma transaction client
+   * @param {string} bookId - Book UUID
+   * @param {Object} changes - authorIds, removeAuthorIds and relationMode from updateBook
+   * @returns {Promise<void>}
+   */
+  async syncAuthors(tx, bookId, { authorIds, removeAuthorIds = [], relationMode }) {
+    if (authorIds === undefined && removeAuthorIds.length === 0) {
+      return;
+    }
+
+    let ordered;
+
+    if (relationMode === "patch") {
+      const current = await tx.bookAuthor.findMany({
+        where: { bookId },
+        orderBy: { authorOrder: "asc" },
+      });
+      const removed = new Set(removeAuthorIds);
+
+      ordered = current.map((link) => link.authorId).filter((authorId) => !removed.has(authorId));
+      for (const authorId of authorIds || []) {
+        if (!ordered.includes(authorId)) {
+          ordered.push(authorId);
+        }
+      }
+    } else {
+      ordered = [...new Set(authorIds)];
+    }
+
+    await tx.bookAuthor.deleteMany({ where: { bookId } });
+
+    if (ordered.length > 0) {
+      await tx.bookAuthor.createMany({
+        data: ordered.map((authorId, index) => ({
+          bookId,
+          authorId,
+          authorOrder: index + 1,
+        })),
+      });
+    }
+  }
+
+  /**
+   * Rewrite a book's category assignments and primary category
+   * @param {Object} tx - Prisma transaction client
+   * @param {string} bookId - Book UUID
+   * @param {Object} changes - categoryIds, removeCategoryIds, primaryCategoryId and relationMode from updateBook
+   * @returns {Promise<void>}
+   */
+  async syncCategories(
+    tx,
+    bookId,
+    { categoryIds, removeCategoryIds = [], primaryCategoryId, relationMode }
+  ) {
+    if (categoryIds === undefined && removeCategoryIds.length === 0 && !primaryCategoryId) {
+      return;
+    }
+
+    const current = await tx.bookCategory.findMany({ where: { bookId } });
+    const currentPrimary = current.find((link) => link.isPrimary)?.categoryId;
+
+    let ids;
+    let primary;
+
+    if (relationMode === "patch" || categoryIds === undefined) {
+      const removed = new Set(removeCategoryIds);
+
+      ids = current.map((link) => link.categoryId).filter((categoryId) => !removed.has(categoryId));
+      for (const categoryId of categoryIds || []) {
+        if (!ids.includes(categoryId)) {
+          ids.push(categoryId);
+        }
+      }
+      primary = ids.includes(currentPrimary) ? currentPrimary : ids[0];
+    } else {
+      ids = [...new Set(categoryIds)];
+      primary = ids[0];
+    }
+
+    if (primaryCategoryId) {
+      if (!ids.includes(primaryCategoryId)) {
+        throw new ValidationError("Validation failed", [
+          {
+            field: "primaryCategoryId",
+            message: "primaryCategoryId must be one of the book's categories",
+            value: primaryCategoryId,
+          },
+        ]);
+      }
+      primary = primaryCategoryId;
+    }
+
+    await tx.bookCategory.deleteMany({ where: { bookId } });
+
+    if (ids.length > 0) {
+      await tx.bookCategory.createMany({
+        data: ids.map((categoryId) => ({
+          bookId,
+          categoryId,
+          isPrimary: categoryId === primary,
+        })),
+      });
+    }
+  }
+
+  /**
+   * Ensure every referenced author, category and work exists
+   * @param {Object} refs - Referenced IDs
+   * @param {string[]} [refs.authorIds] - Author UUIDs
+   * @param {string[]} [refs.categoryIds] - Category UUIDs
+   * @param {string} [refs.workId] - Work UUID
+   * @param {Object} [client] - Prisma client or transaction client
+   * @returns {Promise<void>}
+   * @throws {ValidationError} Listing exactly which IDs are missing
+   */
+  async assertReferencesExist({ authorIds = [], categoryIds = [], workId }, client = prisma) {
+    const uniqueAuthorIds = [...new Set(authorIds)];
+    const uniqueCategoryIds = [...new Set(categoryIds)];
+
+    const [authors, categories, work] = await Promise.all([
+      uniqueAuthorIds.length > 0
+        ? client.author.findMany({
+            where: { id: { in: uniqueAuthorIds } },
+            select: { id: true },
+          })
+        : [],
+      uniqueCategoryIds.length > 0
+        ? client.category.findMany({
+            where: { id: { in: uniqueCategoryIds } },
+            select: { id: true },
+          })
+        : [],
+      workId ? client.work.findUnique({ where: { id: workId }, select: { id: true } }) : null,
+    ]);
+
+    const foundAuthors = new Set(authors.map((author) => author.id));
+    const foundCategories = new Set(categories.map((category) => category.id));
+    const missingAuthors = uniqueAuthorIds.filter((authorId) => !foundAuthors.has(authorId));
+    const missingCategories = uniqueCategoryIds.filter(
+      (categoryId) => !foundCategories.has(categoryId)
+    );
+
+    const errors = [];
+
+    if (missingAuthors.length > 0) {
+      errors.push({
+        field: "authorIds",
+        message: `Author(s) not found: ${missingAuthors.join(", ")}`,
+        value: missingAuthors,
+      });
+    }
+
+    if (missingCategories.length > 0) {
+      errors.push({
+        field: "categoryIds",
+        message: `Category(s) not found: ${missingCategories.join(", ")}`,
+        value: missingCategories,
+      });
+    }
+
+    if (workId && !work) {
+      errors.push({
+        field: "workId",
+        message: `Work not found: ${workId}`,
+        value: workId,
+      });
+    }
+
+    if (errors.length > 0) {
+      throw new ValidationError("Referenced authors, categories or work do not exist", errors);
+    }
+  }
+
+  /**
+   * Move a book to the trash
+   * The book and its author/category links are kept so it can be restored,
+   * but it disappears from listings, search and lookups.
+   * @param {string} id - Book UUID
+   * @param {Object} [context] - Request context for the audit trail (see getRequestContext)
+   * @param {Object} [options] - Delete options
+   * @param {string} [options.ifMatch] - If-Match header; the delete fails with 412 unless it matches
+   * @returns {Promise<void>}
+   */
+  async deleteBook(id, context = {}, options = {}) {
+    const { ifMatch } = options;
+
+    const existing = await prisma.book.findFirst({
+      where: { id, deletedAt: null },
+      include: BOOK_INCLUDE,
+    });
+    if (!existing) {
+      throw new NotFoundError("Book", id);
+    }
+    this.assertIfMatch(existing, ifMatch);
+
+    await prisma.$transaction(async (tx) => {
+      await this.writeVersioned(
+        tx,
+        id,
+        { deletedAt: new Date() },
+        ifMatch ? existing.version : undefined
+      );
+      const deleted = await tx.book.findUnique({ where: { id }, include: BOOK_INCLUDE });
+
+      await recordBookRevision(tx, {
+        bookId: id,
+        action: "DELETE",
+        before: existing,
+        after: deleted,
+        context,
+      });
+    });
+
+    await cacheService.invalidateBooks([id]);
+  }
+
+  /**
+   * List books in the trash, most recently deleted first
+   * @param {Object} options - Query options
+   * @param {number} options.page - Page number (1-indexed)
+   * @param {number} options.limit - Items per page
+   * @param {string} options.search - Search term for title
+   * @returns {Promise<Object>} Paginated trashed books
+   */
+  async getTrashedBooks(options = {}) {
+    const { page = 1, limit = 20, search } = options;
+
+    const skip = (page - 1) * limit;
+    const where = this.buildBookWhere({ search, trashed: true });
+
+    const [books, total] = await Promise.all([
+      prisma.book.findMany({
+        where,
+        skip,
+        take: limit,
+        orderBy: [{ deletedAt: "desc" }, { id: "asc" }],
+        include: BOOK_INCLUDE,
+      }),
+      prisma.book.count({ where }),
+    ]);
+
+    return {
+      books: books.map((book) => formatBookResponse(book)),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasNext: page * limit < total,
+        hasPrev: page > 1,
+      },
+    };
+  }
+
+  /**
+   * Restore a book from the trash
+   * @param {string} id - Book UUID
+   * @param {Object} [context] - Request context for the audit trail (see getRequestContext)
+   * @returns {Promise<Object>} Restored book
+   */
+  async restoreBook(id, context = {}) {
+    const existing = await this.findTrashedBook(id);
+
+    const book = await prisma.$transaction(async (tx) => {
+      const restored = await tx.book.update({
+        where: { id },
+        data: { deletedAt: null, version: { increment: 1 } },
+        include: BOOK_INCLUDE,
+      });
+
+      await recordBookRevision(tx, {
+        bookId: id,
+        action: "RESTORE",
+        before: existing,
+        after: restored,
+        context,
+      });
+
+      return restored;
+    });
+
+    await cacheService.invalidateBooks([id]);
+
+    return this.formatBook(book);
+  }
+
+  /**
+   * Get the revision history of a book, newest first
+   * @param {string} id - Book UUID
+   * @param {Object} options - Pagination options (page, limit)
+   * @returns {Promise<Object>} Paginated revisions
+   */
+  async getBookHistory(id, options = {}) {
+    return getBookHistory(id, options);
+  }
+
+  /**
+   * Revert a book to the state recorded by one of its revisions
+   * The revert itself is recorded as a new REVERT revision.
+   * @param {string} id - Book UUID
+   * @param {string} revisionId - Audit entry to revert to
+   * @param {Object} [context] - Request context for the audit trail (see getRequestContext)
+   * @returns {Promise<Object>} Updated book
+   */
+  async revertBook(id, revisionId, context = {}) {
+    const update = await getRevertUpdate(id, revisionId);
+
+    return this.updateBook(id, update, context, { action: "REVERT" });
+  }
+
+  /**
+   * Publish scheduled books whose publishAt has passed
+   * Called periodically by the publish scheduler. Each book is written
+   * conditional on the version that was read, so an edit landing meanwhile
+   * (or another instance publishing it first) just skips the book until the
+   * next run. A book that no longer meets the publishing requirements, say
+   * because its only category was deleted, goes back to DRAFT instead.
+   * @param {Date} [now] - Publish books due by this time
+   * @returns {Promise<{published: number, returnedToDraft: number}>} Books changed
+   */
+  async publishScheduledBooks(now = new Date()) {
+    const due = await prisma.book.findMany({
+      where: { status: "SCHEDULED", publishAt: { lte: now }, deletedAt: null },
+      orderBy: [{ publishAt: "asc" }, { id: "asc" }],
+      take: PUBLISH_BATCH_SIZE,
+      include: BOOK_INCLUDE,
+    });
+
+    const result = { published: 0, returnedToDraft: 0 };
+    const changedIds = [];
+
+    for (const book of due) {
+      const publishable = getPublishProblems(book).length === 0;
+
+      try {
+        await prisma.$transaction(async (tx) => {
+          await this.writeVersioned(
+            tx,
+            book.id,
+            publishable
+              ? { status: "PUBLISHED", publishAt: book.publishAt }
+              : { status: "DRAFT", publishAt: null },
+            book.version
+          );
+
+          const after = await tx.book.findUnique({ where: { id: book.id }, include: BOOK_INCLUDE });
+
+          await recordBookRevision(tx, {
+            bookId: book.id,
+            action: "UPDATE",
+            before: book,
+            after,
+          });
+        });
+      } catch (error) {
+        if (error instanceof PreconditionFailedError) {
+          continue;
+        }
+        throw error;
+      }
+
+      changedIds.push(book.id);
+      result[publishable ? "published" : "returnedToDraft"] += 1;
+    }
+
+    if (changedIds.length > 0) {
+      await cacheService.invalidateBooks(changedIds);
+    }
+
+    return result;
+  }
+
+  /**
+   * Load a book that is in the trash
+   * @param {string} id - Book UUID
+   * @returns {Promise<Object>} Raw book, with BOOK_INCLUDE relations for its audit snapshot
+   * @throws {NotFoundError} If the book doesn't exist
+   * @throws {ConflictError} If the book is not in the trash
+   */
+  async findTrashedBook(id) {
+    const existing = await prisma.book.findUnique({ where: { id }, include: BOOK_INCLUDE });
+    if (!existing) {
+      throw new NotFoundError("Book", id);
+    }
+
+    if (!existing.deletedAt) {
+      throw new ConflictError("Book is not in the trash");
+    }
+
+    return existing;
+  }
+
+  /**
+   * Apply a JSON merge patch (RFC 7396) to a book
+   * Null clears a field, additionalInfo is merged key by key, and
+   * authorIds/categoryIds replace the current lists (null unlinks all).
+   * @param {string} id - Book UUID
+   * @param {Object} patch - Merge patch document
+   * @param {Object} [context] - Request context for the audit trail (see getRequestContext)
+   * @param {Object} [options] - Patch options
+   * @param {string} [options.ifMatch] - If-Match header; the patch fails with 412 unless it matches
+   * @returns {Promise<Object>} Updated book
+   */
+  async patchBook(id, patch, context = {}, options = {}) {
+    const { ifMatch } = options;
+
+    for (let attempt = 1; ; attempt += 1) {
+      const existing = await prisma.book.findFirst({ where: { id, deletedAt: null } });
+      if (!existing) {
+        throw new NotFoundError("Book", id);
+      }
+
+      // additionalInfo is merged into what was just read, so the write is
+      // conditional on that version; without If-Match a concurrent edit
+      // just means reading again
+      try {
+        return await this.updateBook(id, this.mergePatchToUpdate(existing, patch), context, {
+          ifMatch: ifMatch ?? bookETag(existing),
+        });
+      } catch (error) {
+        if (ifMatch || !(error instanceof PreconditionFailedError) || attempt === PATCH_ATTEMPTS) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * Translate a merge patch into updateBook data
+   * @param {Object} book - Current raw book
+   * @param {Object} patch - Merge patch document
+   * @returns {Object} Update data
+   */
+  mergePatchToUpdate(book, patch) {
+    const data = { ...patch, relationMode: "replace" };
+
+    if (patch.additionalInfo !== undefined) {
+      // The column is required, so clearing it leaves an empty object
+      data.additionalInfo = applyMergePatch(book.additionalInfo, patch.additionalInfo) ?? {};
+    }
+    if (patch.authorIds === null) {
+      data.authorIds = [];
+    }
+    if (patch.categoryIds === null) {
+      data.categoryIds = [];
+    }
+
+    return data;
+  }
+
+  /**
+   * Normalize a book's ISBNs and fill in whichever one is missing
+   * Hyphens and spaces are stripped. An ISBN-13 sent as isbn is moved to
+   * isbn13. The ISBN-10 is left empty for 979-prefixed ISBN-13s, which
+   * have none.
+   * @param {Object} ids - ISBNs as entered
+   * @param {string} [ids.isbn] - ISBN-10
+   * @param {string} [ids.isbn13] - ISBN-13
+   * @returns {{isbn: string|null, isbn13: string|null}} Normalized ISBNs
+   * @throws {ValidationError} If the two ISBNs belong to different editions
+   */
+  normalizeIsbns({ isbn, isbn13 }) {
+    let isbn10 = normalizeIsbn(isbn);
+    let isbn13Value = normalizeIsbn(isbn13);
+
+    if (isbn10?.length === 13) {
+      if (isbn13Value && isbn13Value !== isbn10) {
+        throw this.isbnMismatchError(isbn13);
+      }
+      isbn13Value = isbn10;
+      isbn10 = null;
+    }
+
+    isbn13Value = isbn13Value ?? (isbn10 ? toIsbn13(isbn10) : null);
+    isbn10 = isbn10 ?? (isbn13Value ? toIsbn10(isbn13Value) : null);
+
+    if (isbn10 && toIsbn13(isbn10) !== isbn13Value) {
+      throw this.isbnMismatchError(isbn13);
+    }
+
+    return { isbn: isbn10, isbn13: isbn13Value };
+  }
+
+  /**
+   * Build the error for an isbn and isbn13 that don't match
+   * @param {string} isbn13 - ISBN-13 as entered
+   * @returns {ValidationError} Error to throw
+   */
+  isbnMismatchError(isbn13) {
+    return new ValidationError("Validation failed", [
+      {
+        field: "isbn13",
+        message: "isbn and isbn13 must identify the same edition",
+        value: isbn13,
+      },
+    ]);
+  }
+
+  /**
+   * Build the slug for a title and first author
+   * @param {string} title - Book title
+   * @param {string} [authorName] - Name of the first author
+   * @returns {string} Slug, e.g. "the-great-gatsby-f-scott-fitzgerald"
+   */
+  buildSlug(title, authorName) {
+    const slug = slugify([title, authorName].filter(Boolean).join(" "))
+      .slice(0, SLUG_MAX_LENGTH)
+      .replace(/-+$/, "");
+
+    // Titles in scripts slugify can't transliterate leave nothing behind
+    return slug || "book";
+  }
+
+  /**
+   * Pick a slug no other book uses now or used before
+   * Taken slugs get a numeric suffix ("-2", "-3", ...). A book may take
+   * back one of its own earlier slugs.
+   * @param {Object} client - Prisma client or transaction client
+   * @param {string} base - Slug from buildSlug
+   * @param {string} [bookId] - Book the slug is for, when it already exists
+   * @returns {Promise<string>} Available slug
+   */
+  async uniqueSlug(client, base, bookId) {
+    const where = { slug: { startsWith: base } };
+    const books = await client.book.findMany({ where, select: { id: true, slug: true } });
+    const previous = await client.bookSlug.findMany({
+      where,
+      select: { bookId: true, slug: true },
+    });
+
+    const taken = new Set([
+      ...books.filter((book) => book.id !== bookId).map((book) => book.slug),
+      ...previous.filter((entry) => entry.bookId !== bookId).map((entry) => entry.slug),
+    ]);
+
+    let slug = base;
+    for (let suffix = 2; taken.has(slug); suffix += 1) {
+      slug = `${base}-${suffix}`;
+    }
+
+    return slug;
+  }
+
+  /**
+   * Give a book a new slug when its title or first author changed
+   * The old slug is kept in BookSlug so links to it can be redirected.
+   * @param {Object} tx - Transaction client
+   * @param {Object} before - Book before the update, with BOOK_INCLUDE relations
+   * @returns {Promise<void>}
+   */
+  async syncSlug(tx, before) {
+    const current = await tx.book.findUnique({
+      where: { id: before.id },
+      select: {
+        title: true,
+        slug: true,
+        authors: BOOK_INCLUDE.authors,
+      },
+    });
+
+    const base = this.buildSlug(current.title, current.authors[0]?.author.name);
+    if (base === this.buildSlug(before.title, before.authors[0]?.author.name)) {
+      return;
+    }
+
+    const slug = await this.uniqueSlug(tx, base, before.id);
+    if (slug === current.slug) {
+      return;
+    }
+
+    await tx.bookSlug.deleteMany({ where: { slug, bookId: before.id } });
+    await tx.bookSlug.create({ data: { slug: current.slug, bookId: before.id } });
+    await tx.book.update({ where: { id: before.id }, data: { slug } });
+  }
+
+  /**
+   * Reject a conditional write whose If-Match doesn't match the book's ETag
+   * @param {Object} book - Current book
+   * @param {string} [ifMatch] - If-Match header; no check when absent
+   * @throws {PreconditionFailedError} When the book has changed
+   */
+  assertIfMatch(book, ifMatch) {
+    if (ifMatch && !ifMatchSatisfied(ifMatch, book.version)) {
+      throw new PreconditionFailedError(
+        "Book has been modified since it was retrieved; reload it and try again"
+      );
+    }
+  }
+
+  /**
+   * Write scalar book fields and bump the version
+   * With an expected version the write only applies if nobody else has
+   * written in between, which makes If-Match safe against concurrent edits.
+   * @param {Object} tx - Transaction client
+   * @param {string} id - Book UUID
+   * @param {Object} data - Scalar fields to write
+   * @param {number} [expectedVersion] - Version the caller last saw
+   * @throws {PreconditionFailedError} When the version moved on
+   */
+  async writeVersioned(tx, id, data, expectedVersion) {
+    const { count } = await tx.book.updateMany({
+      where: { id, ...(expectedVersion !== undefined && { version: expectedVersion }) },
+      data: { ...data, version: { increment: 1 } },
+    });
+
+    if (count === 0) {
+      throw new PreconditionFailedError(
+        "Book has been modified since it was retrieved; reload it and try again"
+      );
+    }
+  }
+
+  /**
+   * Format books for a response, priced at the current moment
+   * @param {Object[]} books - Raw books with BOOK_INCLUDE relations, or loaded for the view
+   * @param {Object|null} [view] - Fields and relations to return, see resolveView
+   * @returns {Promise<Object[]>} Formatted books
+   */
+  async formatBooks(books, view = null) {
+    const pricing = needsPricing(view) ? await promotionService.priceBooks(books) : new Map();
+
+    return books.map((book) =>
+      pickFields(formatBookResponse(book, pricing.get(book.id), view), view)
+    );
+  }
+
+  /**
+   * Format a single book for a response, priced at the current moment
+   * @param {Object} book - Raw book with BOOK_INCLUDE relations, or loaded for the view
+   * @param {Object|null} [view] - Fields and relations to return, see resolveView
+   * @returns {Promise<Object>} Formatted book
+   */
+  async formatBook(book, view = null) {
+    const [formatted] = await this.formatBooks([book], view);
+    return formatted;
+  }
 }
 
 export default new BookService();
@@ -0,0 +1,166 @@
+import { ValidationError } from "@bookzilla/shared";
+
+/**
+ * Book publishing lifecycle
+ * A book is a DRAFT, SCHEDULED to go live at publishAt, PUBLISHED or
+ * ARCHIVED; only published books are in the public catalog. isActive
+ * predates statuses and is still accepted: true publishes the book, false
+ * takes it out of the catalog.
+ */
+
+// Statuses a book may only hold while it meets the publishing requirements
+export const PUBLISH_STATUSES = ["SCHEDULED", "PUBLISHED"];
+
+/**
+ * Build a validation error for a single field
+ * @param {string} field - Field at fault
+ * @param {string} message - What is wrong with it
+ * @param {*} value - Value given
+ * @returns {ValidationError} Error to throw
+ */
+const fieldError = (field, message, value) =>
+  new ValidationError("Validation failed", [{ field, message, value }]);
+
+/**
+ * Work out the status a request asks for
+ * isActive false leaves a book that is already out of the catalog as it is,
+ * so it doesn't unschedule or unarchive it.
+ * @param {Object|null} book - Current raw book, or null when creating
+ * @param {string} [status] - Requested status
+ * @param {boolean} [isActive] - Requested isActive
+ * @returns {string|undefined} Requested status, or undefined when neither was given
+ * @throws {ValidationError} When status and isActive disagree
+ */
+const requestedStatus = (book, status, isActive) => {
+  if (isActive === undefined) {
+    return status;
+  }
+  if (status !== undefined) {
+    if (isActive !== (status === "PUBLISHED")) {
+      throw fieldError(
+        "isActive",
+        "isActive must be true exactly when status is PUBLISHED",
+        isActive
+      );
+    }
+    return status;
+  }
+  if (isActive) {
+    return "PUBLISHED";
+  }
+  return book && book.status !== "PUBLISHED" ? book.status : "DRAFT";
+};
+
+/**
+ * Work out the status and publishAt to store for a book
+ * Scheduling needs a publishAt in the future. Publishing stamps publishAt
+ * with the time the book went live, which a book that is already live
+ * keeps; a draft has none. New books start as drafts.
+ * @param {Object|null} book - Current raw book, or null when creating
+ * @param {Object} changes - Requested values
+ * @param {string} [changes.status] - New status
+ * @param {boolean} [changes.isActive] - Publish (true) or withdraw (false) the book
+ * @param {string|Date|null} [changes.publishAt] - When a scheduled book goes live
+ * @returns {Object} status and publishAt to write; empty when an update changes neither
+ * @throws {ValidationError} When a scheduled book has no future publishAt, or a
+ *   publishAt is given for any other status
+ */
+export const resolveStatus = (book, { status, isActive, publishAt }) => {
+  const requested = requestedStatus(book, status, isActive);
+
+  if (book && requested === undefined && publishAt === undefined) {
+    return {};
+  }
+
+  const next = requested ?? book?.status ?? "DRAFT";
+
+  if (publishAt !== undefined && publishAt !== null && next !== "SCHEDULED") {
+    throw fieldError("publishAt", "publishAt can only be set when status is SCHEDULED", publishAt);
+  }
+
+  switch (next) {
+    case "SCHEDULED": {
+      const at = publishAt !== undefined ? publishAt : book?.publishAt;
+
+      if (!at || new Date(at) <= new Date()) {
+        throw fieldError("publishAt", "Scheduled books need a publishAt in the future", at ?? null);
+      }
+
+      return { status: next, publishAt: new Date(at) };
+    }
+    case "PUBLISHED":
+      return {
+        status: next,
+        publishAt: book?.status === "PUBLISHED" ? book.publishAt : new Date(),
+      };
+    case "DRAFT":
+      return { status: next, publishAt: null };
+    default:
+      return { status: next };
+  }
+};
+
+/**
+ * List what keeps a book from being published
+ * A book needs a cover image, a price, an author and a category.
+ * @param {Object} book - Raw book with BOOK_INCLUDE relations
+ * @returns {Array<{field: string, message: string, value: *}>} Problems, empty if publishable
+ */
+export const getPublishProblems = (book) => {
+  const problems = [];
+
+  if (!book.coverImageUrl) {
+    problems.push({
+      field: "coverImageUrl",
+      message: "A cover image is required to publish",
+      value: book.coverImageUrl,
+    });
+  }
+  if (book.price === null) {
+    problems.push({ field: "price", message: "A price is required to publish", value: null });
+  }
+  if (book.authors.length === 0) {
+    problems.push({
+      field: "authorIds",
+      message: "At least one author is required to publish",
+      value: [],
+    });
+  }
+  if (book.categories.length === 0) {
+    problems.push({
+      field: "categoryIds",
+      message: "At least one category is required to publish",
+      value: [],
+    });
+  }
+
+  return problems;
+};
+
+/**
+ * Reject a write that leaves a scheduled or published book unpublishable
+ * Only what the write itself breaks is reported: a book that keeps its status
+ * may stay short of a requirement it already missed (books published before
+ * the requirements existed), but may not lose one it met.
+ * @param {Object} book - Raw book with BOOK_INCLUDE relations, as written
+ * @param {Object|null} [before] - Raw book with BOOK_INCLUDE relations before the
+ *   write; null when creating
+ * @throws {ValidationError} When the book is missing something publishing requires
+ */
+export const assertPublishable = (book, before = null) => {
+  if (!PUBLISH_STATUSES.includes(book.status)) {
+    return;
+  }
+
+  const missed =
+    before?.status === book.status
+      ? new Set(getPublishProblems(before).map(({ field }) => field))
+      : new Set();
+  const problems = getPublishProblems(book).filter(({ field }) => !missed.has(field));
+
+  if (problems.length > 0) {
+    throw new ValidationError("Validation failed", problems);
+  }
+};
+
+export default { PUBLISH_STATUSES, resolveStatus, getPublishProblems, assertPublishable };
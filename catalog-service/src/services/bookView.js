@@ -0,0 +1,265 @@
+import { Prisma } from "@bookzilla/database";
+
+/**
+ * Book views
+ * A view is the set of fields and relations a read returns, resolved from
+ * the fields= and include= query parameters. These helpers load a view with
+ * as few columns as it needs and shape raw books into responses.
+ */
+
+// Book columns that come back from the cache as strings
+const DECIMAL_FIELDS = ["price", "discountPrice", "effectivePrice", "averageRating"];
+const DATE_FIELDS = [
+  "publicationDate",
+  "publishAt",
+  "createdAt",
+  "updatedAt",
+  "lastModifiedAt",
+  "deletedAt",
+];
+
+// Book columns each response field is built from, for fields= selections
+const PRICING_COLUMNS = ["price", "discountPrice", "effectivePrice"];
+const FIELD_COLUMNS = {
+  ...Object.fromEntries(
+    [
+      "id",
+      "workId",
+      "isbn",
+      "isbn13",
+      "title",
+      "slug",
+      "subtitle",
+      "description",
+      "publisher",
+      "publicationDate",
+      "edition",
+      "language",
+      "pageCount",
+      "format",
+      "price",
+      "discountPrice",
+      "stockQuantity",
+      "reorderThreshold",
+      "coverImageUrl",
+      "previewUrl",
+      "averageRating",
+      "ratingsCount",
+      "additionalInfo",
+      "isFeatured",
+      "status",
+      "publishAt",
+      "isActive",
+      "createdAt",
+      "updatedAt",
+      "lastModifiedAt",
+      "deletedAt",
+      "version",
+    ].map((field) => [field, [field]])
+  ),
+  effectivePrice: PRICING_COLUMNS,
+  promotion: PRICING_COLUMNS,
+  availableQuantity: ["stockQuantity", "reservedQuantity"],
+};
+
+// Fields every sparse response keeps: id names the book, version backs its ETag
+const REQUIRED_FIELDS = ["id", "version"];
+
+// Fields a collapsed listing needs to build each work's edition options
+export const EDITION_FIELDS = ["workId", "slug", "format", "edition", "effectivePrice", "availableQuantity"];
+
+// Relations loaded with every book so formatBookResponse can flatten them
+export const BOOK_INCLUDE = {
+  authors: {
+    include: { author: true },
+    orderBy: { authorOrder: "asc" },
+  },
+  categories: {
+    include: { category: true },
+    orderBy: { isPrimary: "desc" },
+  },
+};
+
+/**
+ * Resolve fields= and include= into the parts of a book to load and return
+ * Without either the whole book is returned with its relations, as
+ * before sparse fieldsets existed. With either, only the listed fields
+ * (all of them when fields is absent) and the listed relations are.
+ * @param {Object} options - Request options
+ * @param {string[]} [options.fields] - Book fields; id and version are always kept
+ * @param {string[]} [options.include] - Relations: authors, categories
+ * @returns {{fields: Set<string>, include: Set<string>}|null} View, or null for the whole book
+ */
+export const resolveView = ({ fields, include }) => {
+  if (fields === undefined && include === undefined) {
+    return null;
+  }
+
+  return {
+    fields: new Set([...REQUIRED_FIELDS, ...(fields ?? Object.keys(FIELD_COLUMNS))]),
+    include: new Set(include ?? []),
+  };
+};
+
+/**
+ * Add fields to a view, for callers that need more than the client asked for
+ * @param {Object|null} view - View from resolveView
+ * @param {string[]} fields - Fields to add
+ * @returns {Object|null} Widened view
+ */
+export const withFields = (view, fields) => {
+  return view && { ...view, fields: new Set([...view.fields, ...fields]) };
+};
+
+/**
+ * Build the Prisma select (or include) that loads a view
+ * @param {Object|null} view - View from resolveView
+ * @param {string[]} [extraColumns] - Columns the caller needs besides the view's
+ * @returns {Object} { include } for the whole book, else { select }
+ */
+export const buildBookQuery = (view, extraColumns = []) => {
+  if (!view) {
+    return { include: BOOK_INCLUDE };
+  }
+
+  const columns = [...[...view.fields].flatMap((field) => FIELD_COLUMNS[field]), ...extraColumns];
+  const select = Object.fromEntries(columns.map((column) => [column, true]));
+
+  if (view.include.has("authors")) {
+    select.authors = BOOK_INCLUDE.authors;
+  }
+  if (view.include.has("categories")) {
+    select.categories = BOOK_INCLUDE.categories;
+  } else if (needsPricing(view)) {
+    // Category promotions are matched on the book's category ids
+    select.categories = { select: { categoryId: true } };
+  }
+
+  return { select };
+};
+
+/**
+ * Whether a view shows the current price, which promotions can change
+ * @param {Object|null} view - View from resolveView
+ * @returns {boolean} True when the book must be priced
+ */
+export const needsPricing = (view) => {
+  return !view || view.fields.has("effectivePrice") || view.fields.has("promotion");
+};
+
+/**
+ * Keep only the fields and relations of a view
+ * @param {Object} book - Formatted book
+ * @param {Object|null} view - View from resolveView
+ * @returns {Object} Book with the view's fields
+ */
+export const pickFields = (book, view) => {
+  if (!view) {
+    return book;
+  }
+
+  return Object.fromEntries(
+    Object.entries(book).filter(([key]) => view.fields.has(key) || view.include.has(key))
+  );
+};
+
+/**
+ * Format book response to flatten nested relations
+ * @param {Object} book - Raw book from Prisma
+ * @param {Object} [pricing] - Current price from promotionService.priceBooks;
+ *   without it the stored effectivePrice is used
+ * @param {Object|null} [view] - Relations to flatten, see resolveView; all when absent
+ * @returns {Object} Formatted book
+ */
+export const formatBookResponse = (book, pricing, view = null) => {
+  // Categories may have been loaded for pricing alone
+  const withRelation = (relation) => !view || view.include.has(relation);
+
+  return {
+    id: book.id,
+    workId: book.workId,
+    isbn: book.isbn,
+    isbn13: book.isbn13,
+    title: book.title,
+    slug: book.slug,
+    subtitle: book.subtitle,
+    description: book.description,
+    publisher: book.publisher,
+    publicationDate: book.publicationDate,
+    edition: book.edition,
+    language: book.language,
+    pageCount: book.pageCount,
+    format: book.format,
+    price: book.price,
+    discountPrice: book.discountPrice,
+    effectivePrice: pricing?.effectivePrice ?? book.effectivePrice,
+    promotion: pricing?.promotion ?? null,
+    stockQuantity: book.stockQuantity,
+    availableQuantity: book.stockQuantity - book.reservedQuantity,
+    reorderThreshold: book.reorderThreshold,
+    coverImageUrl: book.coverImageUrl,
+    previewUrl: book.previewUrl,
+    averageRating: book.averageRating,
+    ratingsCount: book.ratingsCount,
+    additionalInfo: book.additionalInfo,
+    isFeatured: book.isFeatured,
+    status: book.status,
+    publishAt: book.publishAt,
+    isActive: book.isActive,
+    createdAt: book.createdAt,
+    updatedAt: book.updatedAt,
+    lastModifiedAt: book.lastModifiedAt,
+    deletedAt: book.deletedAt,
+    version: book.version,
+    authors: withRelation("authors")
+      ? book.authors?.map((ba) => ({
+          id: ba.author.id,
+          name: ba.author.name,
+          order: ba.authorOrder,
+        }))
+      : undefined,
+    categories: withRelation("categories")
+      ? book.categories?.map((bc) => ({
+          id: bc.category.id,
+          name: bc.category.name,
+          slug: bc.category.slug,
+          isPrimary: bc.isPrimary,
+        }))
+      : undefined,
+  };
+};
+
+/**
+ * Restore the Decimal and Date fields of a book read from the cache
+ * Books loaded from the database pass through unchanged.
+ * @param {Object} book - Raw book, possibly parsed from JSON
+ * @returns {Object} Book as Prisma returns it
+ */
+export const reviveBook = (book) => {
+  const revived = { ...book };
+
+  for (const field of DECIMAL_FIELDS) {
+    if (revived[field] !== null && revived[field] !== undefined) {
+      revived[field] = new Prisma.Decimal(revived[field]);
+    }
+  }
+  for (const field of DATE_FIELDS) {
+    if (revived[field] !== null && revived[field] !== undefined) {
+      revived[field] = new Date(revived[field]);
+    }
+  }
+
+  return revived;
+};
+
+export default {
+  BOOK_INCLUDE,
+  EDITION_FIELDS,
+  resolveView,
+  withFields,
+  buildBookQuery,
+  needsPricing,
+  pickFields,
+  formatBookResponse,
+  reviveBook,
+};
@@ -0,0 +1,312 @@
+import { createHash, randomUUID } from "node:crypto";
+import Redis from "ioredis";
+import { logger } from "@bookzilla/shared";
+import config from "../config/index.js";
+
+// How long cached entries live; invalidation normally retires them sooner
+const BOOK_TTL_SECONDS = parseInt(process.env.CATALOG_CACHE_BOOK_TTL_SECONDS, 10) || 300;
+const LISTING_TTL_SECONDS = parseInt(process.env.CATALOG_CACHE_LISTING_TTL_SECONDS, 10) || 60;
+
+// While one caller loads a missing entry, others wait for it this long
+// before loading it themselves
+const LOCK_TTL_MS = 5000;
+const LOCK_POLL_MS = 50;
+const LOCK_POLL_ATTEMPTS = 40;
+
+const KEY_PREFIX = "catalog:cache:";
+const LISTINGS_VERSION_KEY = `${KEY_PREFIX}listings:version`;
+
+// Deletes a lock only if it still holds the caller's token
+const RELEASE_LOCK_SCRIPT = `
+  if redis.call("get", KEYS[1]) == ARGV[1] then
+    return redis.call("del", KEYS[1])
+  end
+  return 0
+`;
+
+const bookKey = (id) => `${KEY_PREFIX}book:${id}`;
+const bookVersionKey = (id) => `${KEY_PREFIX}book:${id}:version`;
+
+/**
+ * Serialize a value with object keys sorted, so equal queries hash alike
+ * @param {*} value - JSON-compatible value
+ * @returns {string} Canonical JSON
+ */
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => canonicalJson(item ?? null)).join(",")}]`;
+  }
+  if (value && typeof value === "object" && !(value instanceof Date)) {
+    return `{${Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * Hash query options into a cache key part
+ * @param {Object} query - JSON-compatible options
+ * @returns {string} Hex digest
+ */
+const hashQuery = (query) => createHash("sha1").update(canonicalJson(query)).digest("hex");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Cache Service
+ * Read-through Redis cache for single books and listing pages. Caching is
+ * off when REDIS_URL is not set, and Redis errors never fail a read: the
+ * caller just loads from the database.
+ *
+ * Entries are stamped with a version counter read before loading: one per
+ * book, and one shared by all listings. Invalidation bumps the counters
+ * after the write commits, so an entry loaded concurrently with a write is
+ * stored under the old version and never served.
+ *
+ * A miss takes a short Redis lock so only one instance loads the entry
+ * while the others wait for it, and concurrent misses within an instance
+ * share one load.
+ */
+class CacheService {
+  constructor() {
+    this.client = undefined;
+    this.inflight = new Map();
+    this.stats = { hits: 0, misses: 0, bypasses: 0, errors: 0 };
+  }
+
+  /**
+   * Read a book through the cache
+   * @param {string} id - Book UUID
+   * @param {Function} load - Loads the book (or null) from the database
+   * @param {Object} [options] - Read options
+   * @param {boolean} [options.bypass] - Skip the cache and load directly
+   * @param {Object} [options.variant] - What load selects, when not the whole book;
+   *   each variant is cached separately and retired with the book's version
+   * @returns {Promise<Object|null>} Book, as JSON when it came from the cache
+   */
+  async getBook(id, load, { bypass = false, variant } = {}) {
+    const key = variant ? `${bookKey(id)}:${hashQuery(variant)}` : bookKey(id);
+    return this.wrap(key, bookVersionKey(id), BOOK_TTL_SECONDS, load, bypass);
+  }
+
+  /**
+   * Read a listing page through the cache
+   * @param {Object} query - Listing options; equal options share an entry
+   * @param {Function} load - Loads the page from the database
+   * @param {Object} [options] - Read options
+   * @param {boolean} [options.bypass] - Skip the cache and load directly
+   * @returns {Promise<Object>} Listing page, as JSON when it came from the cache
+   */
+  async getListing(query, load, { bypass = false } = {}) {
+    return this.wrap(
+      `${KEY_PREFIX}listing:${hashQuery(query)}`,
+      LISTINGS_VERSION_KEY,
+      LISTING_TTL_SECONDS,
+      load,
+      bypass
+    );
+  }
+
+  /**
+   * Retire the cached copies of some books and every cached listing
+   * Call once the change has committed.
+   * @param {string[]} bookIds - Book UUIDs
+   * @returns {Promise<void>}
+   */
+  async invalidateBooks(bookIds) {
+    const client = this.getClient();
+    if (!client) {
+      return;
+    }
+
+    const pipeline = client.pipeline();
+    for (const id of new Set(bookIds)) {
+      pipeline.incr(bookVersionKey(id));
+      pipeline.del(bookKey(id));
+    }
+    pipeline.incr(LISTINGS_VERSION_KEY);
+
+    await this.attempt(() => pipeline.exec());
+  }
+
+  /**
+   * Retire every cached listing, leaving single books cached
+   * For changes that only affect which books a listing holds or their
+   * order, such as repricing for a promotion.
+   * @returns {Promise<void>}
+   */
+  async invalidateListings() {
+    const client = this.getClient();
+    if (client) {
+      await this.attempt(() => client.incr(LISTINGS_VERSION_KEY));
+    }
+  }
+
+  /**
+   * Hit and miss counters of this instance since it started
+   * @returns {Object} Cache statistics
+   */
+  getStats() {
+    const { hits, misses } = this.stats;
+    const client = this.getClient();
+
+    return {
+      enabled: Boolean(client),
+      connected: client?.status === "ready",
+      ...this.stats,
+      hitRate: hits + misses > 0 ? Number((hits / (hits + misses)).toFixed(4)) : null,
+    };
+  }
+
+  /**
+   * Return a cached value, or load, store and return it
+   * @param {string} key - Entry key
+   * @param {string} versionKey - Counter the entry must match to be served
+   * @param {number} ttlSeconds - Entry lifetime
+   * @param {Function} load - Loads the value from the database
+   * @param {boolean} bypass - Skip the cache
+   * @returns {Promise<*>} Value
+   */
+  async wrap(key, versionKey, ttlSeconds, load, bypass) {
+    const client = this.getClient();
+
+    if (bypass) {
+      this.stats.bypasses += 1;
+      return load();
+    }
+    if (!client) {
+      return load();
+    }
+
+    const read = await this.attempt(() => client.mget(key, versionKey));
+    if (!read) {
+      return load();
+    }
+
+    const [cached, currentVersion] = read;
+    const version = currentVersion ?? "0";
+    const entry = this.parse(cached);
+
+    if (entry?.version === version) {
+      this.stats.hits += 1;
+      return entry.value;
+    }
+
+    this.stats.misses += 1;
+
+    const flightKey = `${key}@${version}`;
+    if (!this.inflight.has(flightKey)) {
+      this.inflight.set(
+        flightKey,
+        this.fill(client, key, version, ttlSeconds, load).finally(() =>
+          this.inflight.delete(flightKey)
+        )
+      );
+    }
+
+    return this.inflight.get(flightKey);
+  }
+
+  /**
+   * Load a missing entry, letting only one caller across instances do so
+   * @param {Object} client - Redis client
+   * @param {string} key - Entry key
+   * @param {string} version - Version the entry is stored under
+   * @param {number} ttlSeconds - Entry lifetime
+   * @param {Function} load - Loads the value from the database
+   * @returns {Promise<*>} Value
+   */
+  async fill(client, key, version, ttlSeconds, load) {
+    const lockKey = `${key}:lock`;
+    const token = randomUUID();
+    const locked = await this.attempt(() => client.set(lockKey, token, "PX", LOCK_TTL_MS, "NX"));
+
+    // Someone else is loading it; wait for their result
+    if (locked === null) {
+      for (let attempt = 0; attempt < LOCK_POLL_ATTEMPTS; attempt += 1) {
+        await sleep(LOCK_POLL_MS);
+
+        const entry = this.parse(await this.attempt(() => client.get(key)));
+        if (entry?.version === version) {
+          return entry.value;
+        }
+      }
+    }
+
+    // The holder is slow or gone, or Redis is down; don't keep the caller waiting
+    if (locked !== "OK") {
+      return load();
+    }
+
+    try {
+      const value = await load();
+      await this.attempt(() =>
+        client.set(key, JSON.stringify({ version, value }), "EX", ttlSeconds)
+      );
+      return value;
+    } finally {
+      await this.attempt(() => client.eval(RELEASE_LOCK_SCRIPT, 1, lockKey, token));
+    }
+  }
+
+  /**
+   * Parse a stored entry
+   * @param {string|null|undefined} raw - Stored JSON
+   * @returns {{version: string, value: *}|null} Entry, or null when absent
+   */
+  parse(raw) {
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  /**
+   * Run a Redis command, treating failure as a cache miss
+   * @param {Function} command - Issues the command
+   * @returns {Promise<*>} Command result, or undefined if Redis failed
+   */
+  async attempt(command) {
+    try {
+      return await command();
+    } catch (error) {
+      this.stats.errors += 1;
+      logger.warn(`Catalog cache error: ${error.message}`);
+      return undefined;
+    }
+  }
+
+  /**
+   * Get the Redis client, connecting on first use
+   * @returns {Object|null} Client, or null when caching is off
+   */
+  getClient() {
+    if (this.client === undefined) {
+      this.client = config.redis.url
+        ? new Redis(config.redis.url, {
+            // Fail commands fast while disconnected instead of queueing them
+            enableOfflineQueue: false,
+            maxRetriesPerRequest: 1,
+          })
+        : null;
+
+      this.client?.on("error", (error) => {
+        logger.warn(`Catalog cache connection error: ${error.message}`);
+      });
+    }
+
+    return this.client;
+  }
+
+  /**
+   * Close the Redis connection
+   * @returns {Promise<void>}
+   */
+  async disconnect() {
+    if (this.client) {
+      await this.client.quit().catch(() => this.client.disconnect());
+    }
+  }
+}
+
+export default new CacheService();
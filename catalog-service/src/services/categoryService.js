@@ -0,0 +1,463 @@
+import { prisma } from "@bookzilla/database";
+import {
+  NotFoundError,
+  ConflictError,
+  ValidationError,
+} from "@bookzilla/shared";
+import bookService from "./bookService.js";
+import auditService from "./auditService.js";
+import cacheService from "./cacheService.js";
+import promotionService from "./promotionService.js";
+import { slugify } from "../utils/slugify.js";
+
+/**
+ * Category Service
+ * Handles the category hierarchy and category-based book browsing
+ *
+ * The category table is small enough that tree operations load every row once
+ * and work on an in-memory index instead of issuing a query per level.
+ */
+class CategoryService {
+  /**
+   * Create a new category, optionally nested under a parent
+   * @param {Object} categoryData - Category data
+   * @param {string} categoryData.name - Display name (unique)
+   * @param {string} [categoryData.slug] - URL slug (derived from name when omitted)
+   * @param {string} [categoryData.parentId] - Parent category UUID
+   * @param {string} [categoryData.description] - Description
+   * @param {Object} [context] - Request context for the audit trail (see getRequestContext)
+   * @returns {Promise<Object>} Created category
+   */
+  async createCategory(categoryData, context = {}) {
+    const { name, description, parentId = null } = categoryData;
+    const slug = categoryData.slug || slugify(name);
+
+    if (!slug) {
+      throw new ValidationError("Validation failed", [
+        { field: "slug", message: "Could not derive a slug from name" },
+      ]);
+    }
+
+    await this.assertUnique({ name, slug });
+
+    if (parentId) {
+      const parent = await prisma.category.findUnique({ where: { id: parentId } });
+      if (!parent) {
+        throw new NotFoundError("Category", parentId);
+      }
+    }
+
+    const category = await prisma.$transaction(async (tx) => {
+      const created = await tx.category.create({
+        data: { name, slug, description, parentId },
+      });
+
+      await auditService.record(tx, {
+        entityType: "CATEGORY",
+        entityId: created.id,
+        action: "CREATE",
+        after: this.toSnapshot(created),
+        context,
+      });
+
+      return created;
+    });
+
+    return this.formatCategoryResponse(category);
+  }
+
+  /**
+   * Get the full category tree
+   * @returns {Promise<Object[]>} Root categories with nested children
+   */
+  async getTree() {
+    const index = await this.loadIndex();
+
+    return index.roots.map((category) => this.buildNode(category, index));
+  }
+
+  /**
+   * Get the subtree rooted at the category with the given slug
+   * @param {string} slug - Category slug
+   * @returns {Promise<Object>} Category with nested children and ancestor path
+   */
+  async getSubtreeBySlug(slug) {
+    const index = await this.loadIndex();
+    const category = index.bySlug.get(slug);
+
+    if (!category) {
+      throw new NotFoundError("Category", slug);
+    }
+
+    return {
+      ...this.buildNode(category, index),
+      path: this.getAncestors(category.id, index).map((ancestor) => ({
+        id: ancestor.id,
+        name: ancestor.name,
+        slug: ancestor.slug,
+      })),
+    };
+  }
+
+  /**
+   * Update a category's name, slug or description
+   * Use moveCategory to change its position in the tree. Cached copies of
+   * the category's books are retired, since books embed its name and slug.
+   * @param {string} id - Category UUID
+   * @param {Object} updateData - Fields to update
+   * @param {Object} [context] - Request context for the audit trail (see getRequestContext)
+   * @returns {Promise<Object>} Updated category
+   */
+  async updateCategory(id, updateData, context = {}) {
+    const existing = await prisma.category.findUnique({ where: { id } });
+    if (!existing) {
+      throw new NotFoundError("Category", id);
+    }
+
+    const { name, slug, description } = updateData;
+
+    await this.assertUnique({ name, slug }, id);
+
+    const category = await this.updateWithAudit(
+      id,
+      { name, slug, description },
+      existing,
+      context
+    );
+
+    const links = await prisma.bookCategory.findMany({
+      where: { categoryId: id },
+      select: { bookId: true },
+    });
+    await cacheService.invalidateBooks(links.map((link) => link.bookId));
+
+    return this.formatCategoryResponse(category);
+  }
+
+  /**
+   * Move a category under a new parent (or to the root when parentId is null)
+   * The books in the moved subtree are repriced in the same transaction.
+   * @param {string} id - Category UUID
+   * @param {string|null} parentId - New parent UUID
+   * @param {Object} [context] - Request context for the audit trail (see getRequestContext)
+   * @returns {Promise<Object>} Moved category
+   */
+  async moveCategory(id, parentId, context = {}) {
+    const index = await this.loadIndex();
+
+    if (!index.byId.has(id)) {
+      throw new NotFoundError("Category", id);
+    }
+
+    if (parentId) {
+      if (!index.byId.has(parentId)) {
+        throw new NotFoundError("Category", parentId);
+      }
+
+      // The new parent must not be the node itself or anywhere below it
+      const ancestorIds = [parentId, ...this.getAncestors(parentId, index).map((c) => c.id)];
+      if (ancestorIds.includes(id)) {
+        throw new ConflictError(
+          "Cannot move a category under itself or one of its descendants"
+        );
+      }
+    }
+
+    // Category promotions cover subcategories, so the books in the moved
+    // subtree may come into or fall out of one
+    const subtreeIds = [id, ...this.getDescendantIds(id, index)];
+    let bookIds = [];
+
+    const category = await this.updateWithAudit(
+      id,
+      { parentId: parentId || null },
+      index.byId.get(id),
+      context,
+      async (tx) => {
+        const links = await tx.bookCategory.findMany({
+          where: { categoryId: { in: subtreeIds } },
+          select: { bookId: true },
+          distinct: ["bookId"],
+        });
+        bookIds = links.map((link) => link.bookId);
+
+        await promotionService.refreshEffectivePrices(bookIds, tx);
+      }
+    );
+
+    // Category listings include subcategories, so the move also changes
+    // which books they hold
+    await cacheService.invalidateBooks(bookIds);
+
+    return this.formatCategoryResponse(category);
+  }
+
+  /**
+   * Delete a category
+   * Refuses to delete categories that still have children or books.
+   * @param {string} id - Category UUID
+   * @param {Object} [context] - Request context for the audit trail (see getRequestContext)
+   * @returns {Promise<void>}
+   */
+  async deleteCategory(id, context = {}) {
+    const existing = await prisma.category.findUnique({
+      where: { id },
+      include: {
+        _count: { select: { children: true, books: true } },
+      },
+    });
+    if (!existing) {
+      throw new NotFoundError("Category", id);
+    }
+
+    if (existing._count.children > 0) {
+      throw new ConflictError(
+        "Category has subcategories; move or delete them first"
+      );
+    }
+
+    if (existing._count.books > 0) {
+      throw new ConflictError(
+        `Category is still assigned to ${existing._count.books} book(s); unassign them before deleting`
+      );
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await tx.category.delete({ where: { id } });
+
+      await auditService.record(tx, {
+        entityType: "CATEGORY",
+        entityId: id,
+        action: "DELETE",
+        before: this.toSnapshot(existing),
+        context,
+      });
+    });
+  }
+
+  /**
+   * Update a category and record the change in the audit trail
+   * @param {string} id - Category UUID
+   * @param {Object} data - Prisma update data
+   * @param {Object} existing - Raw category before the change
+   * @param {Object} context - Request context
+   * @param {Function} [afterUpdate] - Runs with the transaction client once the row is written
+   * @returns {Promise<Object>} Raw updated category
+   */
+  async updateWithAudit(id, data, existing, context, afterUpdate) {
+    return prisma.$transaction(async (tx) => {
+      const updated = await tx.category.update({ where: { id }, data });
+      await afterUpdate?.(tx);
+
+      await auditService.record(tx, {
+        entityType: "CATEGORY",
+        entityId: id,
+        action: "UPDATE",
+        before: this.toSnapshot(existing),
+        after: this.toSnapshot(updated),
+        context,
+      });
+
+      return updated;
+    });
+  }
+
+  /**
+   * Capture the editable state of a category for the audit trail
+   * @param {Object} category - Raw category from Prisma
+   * @returns {Object} JSON-safe snapshot
+   */
+  toSnapshot(category) {
+    return {
+      name: category.name,
+      slug: category.slug,
+      description: category.description,
+      parentId: category.parentId,
+    };
+  }
+
+  /**
+   * List books in a category and all of its descendants
+   * @param {string} slug - Category slug
+   * @param {Object} options - Pagination and filter options passed to BookService.getBooks
+   * @returns {Promise<Object>} Category summary with paginated books
+   */
+  async getBooksInCategory(slug, options = {}) {
+    const index = await this.loadIndex();
+    const category = index.bySlug.get(slug);
+
+    if (!category) {
+      throw new NotFoundError("Category", slug);
+    }
+
+    const categoryIds = [category.id, ...this.getDescendantIds(category.id, index)];
+
+    const result = await bookService.getBooks({
+      ...options,
+      categoryIds,
+    });
+
+    return {
+      category: this.formatCategoryResponse(category),
+      ...result,
+    };
+  }
+
+  /**
+   * Resolve a category reference to its ID and the IDs of all its descendants
+   * @param {string} idOrSlug - Category UUID or slug
+   * @returns {Promise<string[]>} The category ID followed by its descendant IDs
+   */
+  async resolveCategoryIds(idOrSlug) {
+    const index = await this.loadIndex();
+    const category = index.byId.get(idOrSlug) || index.bySlug.get(idOrSlug);
+
+    if (!category) {
+      throw new NotFoundError("Category", idOrSlug);
+    }
+
+    return [category.id, ...this.getDescendantIds(category.id, index)];
+  }
+
+  /**
+   * Load every category and index it by id, slug and parent
+   * @param {Object} [client] - Prisma client or transaction client
+   * @returns {Promise<Object>} Lookup maps plus the list of root categories
+   */
+  async loadIndex(client = prisma) {
+    const categories = await client.category.findMany({
+      orderBy: { name: "asc" },
+    });
+
+    const byId = new Map();
+    const bySlug = new Map();
+    const childrenOf = new Map();
+    const roots = [];
+
+    for (const category of categories) {
+      byId.set(category.id, category);
+      bySlug.set(category.slug, category);
+    }
+
+    for (const category of categories) {
+      if (category.parentId && byId.has(category.parentId)) {
+        if (!childrenOf.has(category.parentId)) {
+          childrenOf.set(category.parentId, []);
+        }
+        childrenOf.get(category.parentId).push(category);
+      } else {
+        roots.push(category);
+      }
+    }
+
+    return { byId, bySlug, childrenOf, roots };
+  }
+
+  /**
+   * Build a nested node for a category and everything below it
+   * @param {Object} category - Raw category from Prisma
+   * @param {Object} index - Index from loadIndex
+   * @returns {Object} Formatted category with children
+   */
+  buildNode(category, index) {
+    const children = index.childrenOf.get(category.id) || [];
+
+    return {
+      ...this.formatCategoryResponse(category),
+      children: children.map((child) => this.buildNode(child, index)),
+    };
+  }
+
+  /**
+   * Collect the IDs of every descendant of a category
+   * @param {string} id - Category UUID
+   * @param {Object} index - Index from loadIndex
+   * @returns {string[]} Descendant IDs (breadth first)
+   */
+  getDescendantIds(id, index) {
+    const ids = [];
+    const queue = [id];
+
+    while (queue.length > 0) {
+      const current = queue.shift();
+      for (const child of index.childrenOf.get(current) || []) {
+        ids.push(child.id);
+        queue.push(child.id);
+      }
+    }
+
+    return ids;
+  }
+
+  /**
+   * Walk up the tree from a category to the root
+   * @param {string} id - Category UUID
+   * @param {Object} index - Index from loadIndex
+   * @returns {Object[]} Ancestors ordered from root to direct parent
+   */
+  getAncestors(id, index) {
+    const ancestors = [];
+    const seen = new Set([id]);
+    let parentId = index.byId.get(id)?.parentId;
+
+    while (parentId && index.byId.has(parentId) && !seen.has(parentId)) {
+      const parent = index.byId.get(parentId);
+      ancestors.unshift(parent);
+      seen.add(parentId);
+      parentId = parent.parentId;
+    }
+
+    return ancestors;
+  }
+
+  /**
+   * Ensure name and slug are not taken by another category
+   * @param {Object} fields - Candidate name and slug
+   * @param {string} [excludeId] - Category being updated
+   * @returns {Promise<void>}
+   */
+  async assertUnique({ name, slug }, excludeId) {
+    const conditions = [
+      name ? { name } : undefined,
+      slug ? { slug } : undefined,
+    ].filter(Boolean);
+
+    if (conditions.length === 0) {
+      return;
+    }
+
+    const existing = await prisma.category.findFirst({
+      where: {
+        OR: conditions,
+        ...(excludeId ? { NOT: { id: excludeId } } : {}),
+      },
+    });
+
+    if (existing) {
+      throw new ConflictError(
+        existing.slug === slug
+          ? `A category with slug '${slug}' already exists`
+          : `A category named '${name}' already exists`
+      );
+    }
+  }
+
+  /**
+   * Format category response
+   * @param {Object} category - Raw category from Prisma
+   * @returns {Object} Formatted category
+   */
+  formatCategoryResponse(category) {
+    return {
+      id: category.id,
+      name: category.name,
+      slug: category.slug,
+      parentId: category.parentId,
+      description: category.description,
+      createdAt: category.createdAt,
+      updatedAt: category.updatedAt,
+    };
+  }
+}
+
+export default new CategoryService();
@@ -0,0 +1,136 @@
+import { prisma } from "@bookzilla/database";
+import notificationService from "./notificationService.js";
+
+// Events sent per dispatch run
+const DISPATCH_BATCH_SIZE = 50;
+
+// How long a dispatcher owns the events it claimed; longer than a delivery
+// with its retries can take
+const CLAIM_LEASE_MS = 60 * 1000;
+
+// Delay before retrying a failed delivery, doubled per attempt up to the cap
+const RETRY_BASE_MS = 10 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+
+// Deliveries tried before an event is dead-lettered
+const MAX_DELIVERY_ATTEMPTS = parseInt(process.env.EVENT_MAX_DELIVERY_ATTEMPTS, 10) || 10;
+
+// Client errors that may succeed when retried. 404 is one while
+// notification-service doesn't serve POST /events yet: events wait for the
+// consumer to ship instead of being dead-lettered on their first delivery.
+const RETRYABLE_CLIENT_STATUSES = [404, 408, 429];
+
+/**
+ * Event Service
+ * Transactional outbox for events other services react to. Events are
+ * written with enqueue() in the same transaction as the change they
+ * describe, so they are emitted if and only if the change commits, and
+ * delivered afterwards by the event dispatcher.
+ *
+ * Failed deliveries are retried with backoff. An event the consumer refuses
+ * (a 4xx response other than those in RETRYABLE_CLIENT_STATUSES) or that
+ * fails MAX_DELIVERY_ATTEMPTS times is
+ * dead-lettered: it stays in the outbox with deadLetteredAt set and is not
+ * sent again unless deadLetteredAt is cleared.
+ */
+class EventService {
+  /**
+   * Queue an event for delivery
+   * @param {Object} client - Prisma client or transaction client
+   * @param {string} type - Event type, e.g. book.low_stock
+   * @param {Object} data - Event payload
+   * @returns {Promise<Object>} Queued event
+   */
+  async enqueue(client, type, data) {
+    return client.outboxEvent.create({ data: { type, payload: data } });
+  }
+
+  /**
+   * Deliver queued events that are due
+   * Called periodically by the event dispatcher. Events are claimed with
+   * SKIP LOCKED, so several instances can dispatch side by side.
+   * @returns {Promise<{published: number, failed: number, deadLettered: number}>} Delivery
+   *   counts; failed events will be retried, dead-lettered ones won't
+   */
+  async dispatchPending() {
+    const now = new Date();
+    const events = await prisma.$queryRaw`
+      UPDATE "catalog"."OutboxEvent" AS e
+      SET "availableAt" = ${new Date(now.getTime() + CLAIM_LEASE_MS)},
+        "attempts" = e."attempts" + 1
+      WHERE e."id" IN (
+        SELECT "id" FROM "catalog"."OutboxEvent"
+        WHERE "publishedAt" IS NULL
+          AND "deadLetteredAt" IS NULL
+          AND "availableAt" <= ${now}
+        ORDER BY "createdAt"
+        LIMIT ${DISPATCH_BATCH_SIZE}
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING e.*
+    `;
+
+    let published = 0;
+    let failed = 0;
+    let deadLettered = 0;
+
+    events.sort((a, b) => a.createdAt - b.createdAt);
+
+    for (const event of events) {
+      try {
+        await notificationService.publishEvent(this.formatEvent(event));
+        await prisma.outboxEvent.update({
+          where: { id: event.id },
+          data: { publishedAt: new Date(), lastError: null },
+        });
+        published += 1;
+      } catch (error) {
+        if (this.isPermanentFailure(error) || event.attempts >= MAX_DELIVERY_ATTEMPTS) {
+          await prisma.outboxEvent.update({
+            where: { id: event.id },
+            data: { deadLetteredAt: new Date(), lastError: error.message },
+          });
+          deadLettered += 1;
+          continue;
+        }
+
+        const delay = Math.min(RETRY_BASE_MS * 2 ** (event.attempts - 1), RETRY_MAX_MS);
+        await prisma.outboxEvent.update({
+          where: { id: event.id },
+          data: { availableAt: new Date(Date.now() + delay), lastError: error.message },
+        });
+        failed += 1;
+      }
+    }
+
+    return { published, failed, deadLettered };
+  }
+
+  /**
+   * Check whether a failed delivery would fail again however often it is retried
+   * @param {Error} error - Error thrown by the HTTP client
+   * @returns {boolean} True when the consumer refused the event with a non-retryable 4xx
+   */
+  isPermanentFailure(error) {
+    // Upstream errors without a message body arrive as the raw axios error
+    const status = error.statusCode ?? error.response?.status;
+
+    return status >= 400 && status < 500 && !RETRYABLE_CLIENT_STATUSES.includes(status);
+  }
+
+  /**
+   * Format an event for delivery
+   * @param {Object} event - Raw outbox event
+   * @returns {Object} Event as sent to consumers
+   */
+  formatEvent(event) {
+    return {
+      id: event.id,
+      type: event.type,
+      occurredAt: event.createdAt,
+      data: event.payload,
+    };
+  }
+}
+
+export default new EventService();
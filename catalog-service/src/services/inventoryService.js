@@ -0,0 +1,781 @@
+import { prisma } from "@bookzilla/database";
+import { ConflictError, NotFoundError } from "@bookzilla/shared";
+import eventService from "./eventService.js";
+import cacheService from "./cacheService.js";
+
+// How long reserved units are held when the caller doesn't say
+const DEFAULT_RESERVATION_TTL_SECONDS =
+  parseInt(process.env.RESERVATION_TTL_SECONDS, 10) || 15 * 60;
+
+// Overdue reservations expired per transaction
+const EXPIRY_BATCH_SIZE = 100;
+
+// Stock statuses, from best to worst; an event is emitted when a book moves
+// to a worse one
+const STOCK_STATUSES = ["in_stock", "low_stock", "out_of_stock"];
+
+// Event emitted when a book reaches a stock status
+const STOCK_EVENTS = {
+  low_stock: "book.low_stock",
+  out_of_stock: "book.out_of_stock",
+};
+
+// Ledger entry written when a reservation stops holding units
+const RELEASE_MOVEMENTS = {
+  RELEASED: "RELEASE",
+  EXPIRED: "EXPIRE",
+};
+
+/**
+ * Inventory Service
+ * Owns Book.stockQuantity (units on hand) and Book.reservedQuantity (units
+ * held for carts and orders). Every change goes through a single
+ * conditional UPDATE that only applies when enough units are available, so
+ * concurrent requests can never oversell, and is written to the
+ * InventoryMovement ledger in the same transaction.
+ *
+ * Reservations are keyed by a referenceId (a cart or order id) and hold at
+ * most one active reservation per book. They move from ACTIVE to COMMITTED
+ * (units leave stock), RELEASED or EXPIRED (units become available again).
+ *
+ * A book is low on stock once its units on hand fall to its
+ * reorderThreshold, and out of stock at zero. Falling into either state
+ * queues a book.low_stock or book.out_of_stock event for notification-service.
+ */
+class InventoryService {
+  /**
+   * Get a book's stock levels and active reservations
+   * @param {string} bookId - Book UUID
+   * @returns {Promise<Object>} Stock levels
+   */
+  async getInventory(bookId) {
+    const book = await prisma.book.findFirst({
+      where: { id: bookId, deletedAt: null },
+      select: { id: true, stockQuantity: true, reservedQuantity: true, reorderThreshold: true },
+    });
+
+    if (!book) {
+      throw new NotFoundError("Book", bookId);
+    }
+
+    const reservations = await prisma.inventoryReservation.findMany({
+      where: { bookId, status: "ACTIVE" },
+      orderBy: { expiresAt: "asc" },
+    });
+
+    return {
+      ...this.formatLevels(book),
+      reorderThreshold: book.reorderThreshold,
+      stockStatus: this.stockStatus(book),
+      activeReservations: reservations.map((reservation) =>
+        this.formatReservationResponse(reservation)
+      ),
+    };
+  }
+
+  /**
+   * Get a book's inventory ledger, newest first
+   * @param {string} bookId - Book UUID
+   * @param {Object} options - Query options
+   * @param {number} options.page - Page number (1-indexed)
+   * @param {number} options.limit - Items per page
+   * @returns {Promise<Object>} Paginated movements
+   */
+  async getMovements(bookId, options = {}) {
+    const { page = 1, limit = 20 } = options;
+
+    const book = await prisma.book.findUnique({ where: { id: bookId }, select: { id: true } });
+    if (!book) {
+      throw new NotFoundError("Book", bookId);
+    }
+
+    const skip = (page - 1) * limit;
+    const where = { bookId };
+
+    const [movements, total] = await Promise.all([
+      prisma.inventoryMovement.findMany({
+        where,
+        skip,
+        take: limit,
+        orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+      }),
+      prisma.inventoryMovement.count({ where }),
+    ]);
+
+    return {
+      movements: movements.map((movement) => this.formatMovementResponse(movement)),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasNext: page * limit < total,
+        hasPrev: page > 1,
+      },
+    };
+  }
+
+  /**
+   * List books that are low on or out of stock, emptiest first
+   * @param {Object} options - Query options
+   * @param {number} options.page - Page number (1-indexed)
+   * @param {number} options.limit - Items per page
+   * @param {string} [options.status] - low_stock or out_of_stock; both when omitted
+   * @returns {Promise<Object>} Paginated books
+   */
+  async getLowStockBooks(options = {}) {
+    const { page = 1, limit = 20, status } = options;
+
+    const belowThreshold = {
+      stockQuantity: { gt: 0, lte: prisma.book.fields.reorderThreshold },
+    };
+    const soldOut = { stockQuantity: 0 };
+    const where = {
+      deletedAt: null,
+      ...(status === "low_stock" && belowThreshold),
+      ...(status === "out_of_stock" && soldOut),
+      ...(!status && { OR: [belowThreshold, soldOut] }),
+    };
+
+    const skip = (page - 1) * limit;
+
+    const [books, total] = await Promise.all([
+      prisma.book.findMany({
+        where,
+        skip,
+        take: limit,
+        orderBy: [{ stockQuantity: "asc" }, { title: "asc" }, { id: "asc" }],
+        select: {
+          id: true,
+          title: true,
+          isbn13: true,
+          format: true,
+          isActive: true,
+          stockQuantity: true,
+          reservedQuantity: true,
+          reorderThreshold: true,
+        },
+      }),
+      prisma.book.count({ where }),
+    ]);
+
+    return {
+      books: books.map((book) => ({
+        id: book.id,
+        title: book.title,
+        isbn13: book.isbn13,
+        format: book.format,
+        isActive: book.isActive,
+        stockQuantity: book.stockQuantity,
+        reservedQuantity: book.reservedQuantity,
+        availableQuantity: book.stockQuantity - book.reservedQuantity,
+        reorderThreshold: book.reorderThreshold,
+        stockStatus: this.stockStatus(book),
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasNext: page * limit < total,
+        hasPrev: page > 1,
+      },
+    };
+  }
+
+  /**
+   * Add or remove units on hand
+   * Removing units fails rather than dropping stock below what is reserved.
+   * @param {string} bookId - Book UUID
+   * @param {Object} adjustment - Adjustment details
+   * @param {number} adjustment.quantity - Units to add (positive) or remove (negative)
+   * @param {string} adjustment.reason - RESTOCK, RETURN, DAMAGED, LOST or CORRECTION
+   * @param {string} [adjustment.note] - Free-text explanation
+   * @param {Object} [context] - Request context for the ledger (see getRequestContext)
+   * @returns {Promise<Object>} Stock levels after the adjustment
+   */
+  async adjustStock(bookId, { quantity, reason, note }, context = {}) {
+    const levels = await prisma.$transaction(async (tx) => {
+      const [levels] = await tx.$queryRaw`
+        UPDATE "catalog"."Book"
+        SET "stockQuantity" = "stockQuantity" + ${quantity}
+        WHERE "id" = ${bookId}
+          AND "deletedAt" IS NULL
+          AND "stockQuantity" + ${quantity} >= "reservedQuantity"
+        RETURNING "id", "stockQuantity", "reservedQuantity"
+      `;
+
+      if (!levels) {
+        const book = await tx.book.findFirst({ where: { id: bookId, deletedAt: null } });
+        if (!book) {
+          throw new NotFoundError("Book", bookId);
+        }
+        throw new ConflictError(
+          `Cannot remove ${-quantity} unit(s): ${book.stockQuantity} on hand, ${book.reservedQuantity} reserved`
+        );
+      }
+
+      await this.recordMovement(tx, {
+        bookId,
+        type: "ADJUST",
+        reason,
+        note,
+        quantityChange: quantity,
+        levels,
+        context,
+      });
+
+      return this.formatLevels(levels);
+    });
+
+    await cacheService.invalidateBooks([bookId]);
+
+    return levels;
+  }
+
+  /**
+   * Set a book's units on hand to an absolute count
+   * Used when stockQuantity is edited along with the rest of a book. The row
+   * is locked so the difference recorded in the ledger is exact.
+   * @param {Object} tx - Prisma transaction client
+   * @param {string} bookId - Book UUID
+   * @param {number} quantity - New units on hand
+   * @param {Object} [context] - Request context for the ledger (see getRequestContext)
+   * @returns {Promise<void>}
+   * @throws {ConflictError} If fewer units than are reserved would remain
+   */
+  async setStock(tx, bookId, quantity, context = {}) {
+    const [current] = await tx.$queryRaw`
+      SELECT "stockQuantity", "reservedQuantity"
+      FROM "catalog"."Book"
+      WHERE "id" = ${bookId}
+      FOR UPDATE
+    `;
+
+    if (!current || current.stockQuantity === quantity) {
+      return;
+    }
+
+    if (quantity < current.reservedQuantity) {
+      throw new ConflictError(
+        `stockQuantity cannot be lower than the ${current.reservedQuantity} unit(s) currently reserved`
+      );
+    }
+
+    await tx.book.update({ where: { id: bookId }, data: { stockQuantity: quantity } });
+
+    await this.recordMovement(tx, {
+      bookId,
+      type: "ADJUST",
+      reason: "CORRECTION",
+      quantityChange: quantity - current.stockQuantity,
+      levels: { stockQuantity: quantity, reservedQuantity: current.reservedQuantity },
+      context,
+    });
+  }
+
+  /**
+   * Open the ledger of a newly created book
+   * @param {Object} tx - Prisma transaction client
+   * @param {Object} book - Created book
+   * @param {Object} [context] - Request context for the ledger (see getRequestContext)
+   * @returns {Promise<void>}
+   */
+  async recordInitialStock(tx, book, context = {}) {
+    if (book.stockQuantity > 0) {
+      await this.recordMovement(tx, {
+        bookId: book.id,
+        type: "ADJUST",
+        reason: "INITIAL",
+        quantityChange: book.stockQuantity,
+        levels: book,
+        context,
+      });
+    }
+  }
+
+  /**
+   * Reserve units for a cart or order
+   * All lines are reserved or none are. Reserving a book the reference
+   * already holds replaces its reservation, so a cart can re-send its
+   * contents whenever they change.
+   * @param {Object} request - Reservation request
+   * @param {string} request.referenceId - Cart or order id
+   * @param {Array<{bookId: string, quantity: number}>} request.items - Books and units, one line per book
+   * @param {number} [request.ttlSeconds] - How long to hold the units
+   * @param {Object} [context] - Request context for the ledger (see getRequestContext)
+   * @returns {Promise<Object>} Reservation for the reference
+   * @throws {ConflictError} If a book doesn't have enough units available
+   */
+  async reserve({ referenceId, items, ttlSeconds = DEFAULT_RESERVATION_TTL_SECONDS }, context = {}) {
+    const expiresAt = new Date(Date.now() + ttlSeconds * 1000);
+
+    // Lock books in a fixed order so overlapping reservations can't deadlock
+    const lines = [...items].sort((a, b) => a.bookId.localeCompare(b.bookId));
+
+    // Units held past their expiry shouldn't block this reservation
+    await this.expireReservations({ bookIds: lines.map((line) => line.bookId) });
+
+    await prisma.$transaction(async (tx) => {
+      for (const { bookId, quantity } of lines) {
+        const previous = await tx.inventoryReservation.findFirst({
+          where: { referenceId, bookId, status: "ACTIVE" },
+        });
+        if (previous) {
+          await this.releaseUnits(tx, previous, "RELEASED", context);
+        }
+
+        const [levels] = await tx.$queryRaw`
+          UPDATE "catalog"."Book"
+          SET "reservedQuantity" = "reservedQuantity" + ${quantity}
+          WHERE "id" = ${bookId}
+            AND "deletedAt" IS NULL
+            AND "isActive" = true
+            AND "stockQuantity" - "reservedQuantity" >= ${quantity}
+          RETURNING "stockQuantity", "reservedQuantity"
+        `;
+
+        if (!levels) {
+          await this.throwUnavailable(tx, bookId, quantity);
+        }
+
+        const reservation = await tx.inventoryReservation.create({
+          data: { bookId, referenceId, quantity, expiresAt },
+        });
+
+        await this.recordMovement(tx, {
+          bookId,
+          type: "RESERVE",
+          reservedChange: quantity,
+          levels,
+          reservation,
+          context,
+        });
+      }
+    });
+
+    await cacheService.invalidateBooks(lines.map((line) => line.bookId));
+
+    return this.getReservation(referenceId);
+  }
+
+  /**
+   * Get the current reservation of each book held for a reference
+   * @param {string} referenceId - Cart or order id
+   * @returns {Promise<Object>} Reservation for the reference
+   */
+  async getReservation(referenceId) {
+    const reservations = await prisma.inventoryReservation.findMany({
+      where: { referenceId },
+      distinct: ["bookId"],
+      orderBy: [{ bookId: "asc" }, { createdAt: "desc" }],
+      include: { book: { select: { id: true, title: true } } },
+    });
+
+    if (reservations.length === 0) {
+      throw new NotFoundError("Reservation", referenceId);
+    }
+
+    return this.formatReferenceResponse(referenceId, reservations);
+  }
+
+  /**
+   * Commit a reference's active reservations, taking the units out of stock
+   * Called when the order is placed. Fails as a whole if any line has
+   * expired, since its units may already have gone to someone else.
+   * @param {string} referenceId - Cart or order id
+   * @param {Object} [context] - Request context for the ledger (see getRequestContext)
+   * @returns {Promise<Object>} Reservation for the reference
+   */
+  async commit(referenceId, context = {}) {
+    const now = new Date();
+    const active = await this.findActive(referenceId);
+
+    if (active.some((reservation) => reservation.expiresAt <= now)) {
+      await this.expireReservations({ referenceId }, now);
+      throw new ConflictError("Reservation has expired; reserve the items again");
+    }
+
+    await prisma.$transaction(async (tx) => {
+      for (const reservation of active) {
+        const { count } = await tx.inventoryReservation.updateMany({
+          where: { id: reservation.id, status: "ACTIVE", expiresAt: { gt: now } },
+          data: { status: "COMMITTED" },
+        });
+
+        if (count === 0) {
+          throw new ConflictError(
+            "Reservation changed while it was being committed; reload it and try again"
+          );
+        }
+
+        const [levels] = await tx.$queryRaw`
+          UPDATE "catalog"."Book"
+          SET "stockQuantity" = "stockQuantity" - ${reservation.quantity},
+            "reservedQuantity" = "reservedQuantity" - ${reservation.quantity}
+          WHERE "id" = ${reservation.bookId}
+          RETURNING "stockQuantity", "reservedQuantity"
+        `;
+
+        await this.recordMovement(tx, {
+          bookId: reservation.bookId,
+          type: "COMMIT",
+          quantityChange: -reservation.quantity,
+          reservedChange: -reservation.quantity,
+          levels,
+          reservation,
+          context,
+        });
+      }
+    });
+
+    await cacheService.invalidateBooks(active.map((reservation) => reservation.bookId));
+
+    return this.getReservation(referenceId);
+  }
+
+  /**
+   * Release a reference's active reservations
+   * Releasing a reference that holds nothing is a no-op, so abandoned carts
+   * can be released without checking first.
+   * @param {string} referenceId - Cart or order id
+   * @param {Object} [context] - Request context for the ledger (see getRequestContext)
+   * @returns {Promise<Object>} Reservation for the reference
+   */
+  async release(referenceId, context = {}) {
+    const active = await prisma.inventoryReservation.findMany({
+      where: { referenceId, status: "ACTIVE" },
+      orderBy: { bookId: "asc" },
+    });
+
+    if (active.length > 0) {
+      await prisma.$transaction(async (tx) => {
+        for (const reservation of active) {
+          await this.releaseUnits(tx, reservation, "RELEASED", context);
+        }
+      });
+
+      await cacheService.invalidateBooks(active.map((reservation) => reservation.bookId));
+    }
+
+    return this.getReservation(referenceId);
+  }
+
+  /**
+   * Expire active reservations whose hold has run out
+   * Called periodically by the reservation expiry job, and before
+   * reserving or committing so stale holds never block a sale.
+   * @param {Object} [filters] - Limit the sweep to some reservations
+   * @param {string[]} [filters.bookIds] - Only reservations of these books
+   * @param {string} [filters.referenceId] - Only reservations of this reference
+   * @param {Date} [now] - Expire reservations due at or before this time
+   * @returns {Promise<number>} Number of reservations expired
+   */
+  async expireReservations({ bookIds, referenceId } = {}, now = new Date()) {
+    let expired = 0;
+
+    for (;;) {
+      const overdue = await prisma.inventoryReservation.findMany({
+        where: {
+          status: "ACTIVE",
+          expiresAt: { lte: now },
+          ...(bookIds && { bookId: { in: bookIds } }),
+          ...(referenceId && { referenceId }),
+        },
+        orderBy: { bookId: "asc" },
+        take: EXPIRY_BATCH_SIZE,
+      });
+
+      if (overdue.length === 0) {
+        return expired;
+      }
+
+      const released = await prisma.$transaction(async (tx) => {
+        let count = 0;
+        for (const reservation of overdue) {
+          if (await this.releaseUnits(tx, reservation, "EXPIRED")) {
+            count += 1;
+          }
+        }
+        return count;
+      });
+      expired += released;
+
+      if (released > 0) {
+        await cacheService.invalidateBooks(overdue.map((reservation) => reservation.bookId));
+      }
+
+      if (overdue.length < EXPIRY_BATCH_SIZE) {
+        return expired;
+      }
+    }
+  }
+
+  /**
+   * Load a reference's active reservations in lock order
+   * @param {string} referenceId - Cart or order id
+   * @returns {Promise<Object[]>} Active reservations
+   * @throws {NotFoundError} If the reference has no reservations at all
+   * @throws {ConflictError} If none of them is active
+   */
+  async findActive(referenceId) {
+    const active = await prisma.inventoryReservation.findMany({
+      where: { referenceId, status: "ACTIVE" },
+      orderBy: { bookId: "asc" },
+    });
+
+    if (active.length === 0) {
+      const { items } = await this.getReservation(referenceId);
+      throw new ConflictError(
+        `Reservation has no active items (status: ${[...new Set(items.map((item) => item.status))].join(", ")})`
+      );
+    }
+
+    return active;
+  }
+
+  /**
+   * Stop a reservation from holding units
+   * Only the first caller to move a reservation out of ACTIVE frees its
+   * units; anyone racing it gets false and changes nothing.
+   * @param {Object} tx - Prisma transaction client
+   * @param {Object} reservation - Reservation to release
+   * @param {string} status - RELEASED or EXPIRED
+   * @param {Object} [context] - Request context for the ledger (see getRequestContext)
+   * @returns {Promise<boolean>} Whether the units were freed
+   */
+  async releaseUnits(tx, reservation, status, context = {}) {
+    const { count } = await tx.inventoryReservation.updateMany({
+      where: { id: reservation.id, status: "ACTIVE" },
+      data: { status },
+    });
+
+    if (count === 0) {
+      return false;
+    }
+
+    const [levels] = await tx.$queryRaw`
+      UPDATE "catalog"."Book"
+      SET "reservedQuantity" = "reservedQuantity" - ${reservation.quantity}
+      WHERE "id" = ${reservation.bookId}
+      RETURNING "stockQuantity", "reservedQuantity"
+    `;
+
+    await this.recordMovement(tx, {
+      bookId: reservation.bookId,
+      type: RELEASE_MOVEMENTS[status],
+      reservedChange: -reservation.quantity,
+      levels,
+      reservation,
+      context,
+    });
+
+    return true;
+  }
+
+  /**
+   * Explain why units of a book couldn't be reserved
+   * @param {Object} tx - Prisma transaction client
+   * @param {string} bookId - Book UUID
+   * @param {number} quantity - Units requested
+   * @throws {NotFoundError|ConflictError} Always
+   */
+  async throwUnavailable(tx, bookId, quantity) {
+    const book = await tx.book.findFirst({ where: { id: bookId, deletedAt: null } });
+
+    if (!book) {
+      throw new NotFoundError("Book", bookId);
+    }
+    if (!book.isActive) {
+      throw new ConflictError(`"${book.title}" is not available for sale`);
+    }
+
+    throw new ConflictError(
+      `Only ${book.stockQuantity - book.reservedQuantity} unit(s) of "${book.title}" available, ${quantity} requested`
+    );
+  }
+
+  /**
+   * Write an inventory ledger entry
+   * @param {Object} client - Prisma client or transaction client
+   * @param {Object} entry - Entry details
+   * @param {string} entry.bookId - Book UUID
+   * @param {string} entry.type - ADJUST, RESERVE, RELEASE, EXPIRE or COMMIT
+   * @param {string} [entry.reason] - Reason code for adjustments
+   * @param {string} [entry.note] - Free-text explanation
+   * @param {number} [entry.quantityChange] - Change to units on hand
+   * @param {number} [entry.reservedChange] - Change to reserved units
+   * @param {Object} entry.levels - stockQuantity and reservedQuantity after the change
+   * @param {Object} [entry.reservation] - Reservation that caused the change
+   * @param {Object} [entry.context] - Request context (see getRequestContext)
+   * @returns {Promise<Object>} Created entry
+   */
+  async recordMovement(
+    client,
+    {
+      bookId,
+      type,
+      reason,
+      note,
+      quantityChange = 0,
+      reservedChange = 0,
+      levels,
+      reservation,
+      context = {},
+    }
+  ) {
+    const movement = await client.inventoryMovement.create({
+      data: {
+        bookId,
+        type,
+        reason,
+        note,
+        quantityChange,
+        reservedChange,
+        stockAfter: levels.stockQuantity,
+        reservedAfter: levels.reservedQuantity,
+        reservationId: reservation?.id,
+        referenceId: reservation?.referenceId,
+        actorId: context.actor?.id,
+        actorEmail: context.actor?.email,
+        requestId: context.requestId,
+      },
+    });
+
+    if (quantityChange !== 0) {
+      await this.queueStockAlert(client, bookId, {
+        stockQuantity: levels.stockQuantity - quantityChange,
+      });
+    }
+
+    return movement;
+  }
+
+  /**
+   * Queue a stock event if a book has just become low on or out of stock
+   * @param {Object} client - Prisma client or transaction client
+   * @param {string} bookId - Book UUID
+   * @param {Object} previous - What changed: the earlier stockQuantity and/or reorderThreshold
+   * @returns {Promise<void>}
+   */
+  async queueStockAlert(client, bookId, previous) {
+    const book = await client.book.findUnique({
+      where: { id: bookId },
+      select: {
+        id: true,
+        title: true,
+        isbn13: true,
+        stockQuantity: true,
+        reservedQuantity: true,
+        reorderThreshold: true,
+      },
+    });
+
+    const before = this.stockStatus({ ...book, ...previous });
+    const after = this.stockStatus(book);
+
+    if (STOCK_STATUSES.indexOf(after) <= STOCK_STATUSES.indexOf(before)) {
+      return;
+    }
+
+    await eventService.enqueue(client, STOCK_EVENTS[after], {
+      bookId: book.id,
+      title: book.title,
+      isbn13: book.isbn13,
+      stockQuantity: book.stockQuantity,
+      reservedQuantity: book.reservedQuantity,
+      reorderThreshold: book.reorderThreshold,
+    });
+  }
+
+  /**
+   * Work out a book's stock status from its units on hand
+   * @param {Object} book - Book with stockQuantity and reorderThreshold
+   * @returns {string} in_stock, low_stock or out_of_stock
+   */
+  stockStatus({ stockQuantity, reorderThreshold }) {
+    if (stockQuantity <= 0) {
+      return "out_of_stock";
+    }
+    if (reorderThreshold !== null && stockQuantity <= reorderThreshold) {
+      return "low_stock";
+    }
+    return "in_stock";
+  }
+
+  /**
+   * Format a book's stock levels
+   * @param {Object} book - Book with id, stockQuantity and reservedQuantity
+   * @returns {Object} Stock levels
+   */
+  formatLevels(book) {
+    return {
+      bookId: book.id,
+      stockQuantity: book.stockQuantity,
+      reservedQuantity: book.reservedQuantity,
+      availableQuantity: book.stockQuantity - book.reservedQuantity,
+    };
+  }
+
+  /**
+   * Format the reservations of a reference
+   * @param {string} referenceId - Cart or order id
+   * @param {Object[]} reservations - Latest reservation per book, with book
+   * @returns {Object} Formatted reservation
+   */
+  formatReferenceResponse(referenceId, reservations) {
+    const active = reservations.filter((reservation) => reservation.status === "ACTIVE");
+
+    return {
+      referenceId,
+      expiresAt: active.length
+        ? new Date(Math.min(...active.map((reservation) => reservation.expiresAt.getTime())))
+        : null,
+      items: reservations.map((reservation) => this.formatReservationResponse(reservation)),
+    };
+  }
+
+  /**
+   * Format a single reservation
+   * @param {Object} reservation - Raw reservation, optionally with book
+   * @returns {Object} Formatted reservation
+   */
+  formatReservationResponse(reservation) {
+    return {
+      id: reservation.id,
+      referenceId: reservation.referenceId,
+      bookId: reservation.bookId,
+      title: reservation.book?.title,
+      quantity: reservation.quantity,
+      status: reservation.status,
+      expiresAt: reservation.expiresAt,
+      createdAt: reservation.createdAt,
+      updatedAt: reservation.updatedAt,
+    };
+  }
+
+  /**
+   * Format a ledger entry
+   * @param {Object} movement - Raw movement
+   * @returns {Object} Formatted movement
+   */
+  formatMovementResponse(movement) {
+    return {
+      id: movement.id,
+      type: movement.type,
+      reason: movement.reason,
+      quantityChange: movement.quantityChange,
+      reservedChange: movement.reservedChange,
+      stockAfter: movement.stockAfter,
+      reservedAfter: movement.reservedAfter,
+      reservationId: movement.reservationId,
+      referenceId: movement.referenceId,
+      note: movement.note,
+      actor: movement.actorId ? { id: movement.actorId, email: movement.actorEmail } : null,
+      requestId: movement.requestId,
+      createdAt: movement.createdAt,
+    };
+  }
+}
+
+export default new InventoryService();
@@ -0,0 +1,33 @@
+import { createHttpClient } from "@bookzilla/shared";
+import servicesConfig from "../config/services.js";
+
+/**
+ * Notification Service Client
+ * HTTP client for communicating with the notification-service
+ */
+class NotificationService {
+  constructor() {
+    this.client = createHttpClient({
+      baseURL: servicesConfig.notificationService,
+      serviceName: "notification-service",
+      timeout: 5000,
+      retries: 2,
+    });
+  }
+
+  /**
+   * Deliver a catalog event
+   * Expects notification-service to accept POST /events with
+   * `{ id, type, occurredAt, data }` and answer 2xx once it has taken the
+   * event. Events can arrive more than once; the id identifies repeats.
+   * notification-service does not serve this route yet; until it does,
+   * its 404 is retried like an outage (see eventService).
+   * @param {Object} event - Event to deliver
+   * @returns {Promise<void>}
+   */
+  async publishEvent(event) {
+    await this.client.post("/events", event);
+  }
+}
+
+export default new NotificationService();
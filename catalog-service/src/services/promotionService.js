@@ -0,0 +1,559 @@
+import { prisma, Prisma } from "@bookzilla/database";
+import { NotFoundError, ValidationError } from "@bookzilla/shared";
+import categoryService from "./categoryService.js";
+import cacheService from "./cacheService.js";
+
+// Books written per effectivePrice refresh statement
+const REFRESH_BATCH_SIZE = 1000;
+
+/**
+ * Promotion Service
+ * Manages scheduled sales and works out the price a customer pays.
+ *
+ * The price of a book is the lowest of its list price, its static
+ * discountPrice, and every promotion active for it at that moment: its own
+ * book promotions plus percentage promotions on any of its categories or
+ * their ancestors. Promotions don't stack.
+ *
+ * Responses price books at request time. The stored Book.effectivePrice
+ * column, which backs price sorting and filtering, is refreshed when a
+ * promotion changes and by the promotion scheduler when one starts or ends;
+ * cached listings are retired then, since they are ordered and filtered by it.
+ */
+class PromotionService {
+  /**
+   * Create a promotion
+   * @param {Object} data - Promotion data
+   * @param {string} data.name - Display name
+   * @param {string} [data.bookId] - Book on sale (or categoryId)
+   * @param {string} [data.categoryId] - Category on sale, including subcategories (or bookId)
+   * @param {number} [data.discountPrice] - Sale price (book promotions only)
+   * @param {number} [data.discountPercent] - Percentage off
+   * @param {string} data.startsAt - Start of the sale (inclusive)
+   * @param {string} data.endsAt - End of the sale (exclusive)
+   * @returns {Promise<Object>} Created promotion
+   */
+  async createPromotion(data) {
+    const fields = this.normalize(data);
+    await this.assertTargetExists(fields);
+
+    const promotion = await prisma.$transaction(async (tx) => {
+      const created = await tx.promotion.create({ data: fields });
+      await this.refreshEffectivePrices(await this.getAffectedBookIds([created], tx), tx);
+      return created;
+    });
+
+    await cacheService.invalidateListings();
+
+    return this.getPromotionById(promotion.id);
+  }
+
+  /**
+   * List promotions, soonest ending first
+   * @param {Object} options - Query options
+   * @param {number} options.page - Page number (1-indexed)
+   * @param {number} options.limit - Items per page
+   * @param {string} [options.status] - upcoming, active or expired
+   * @param {string} [options.bookId] - Only promotions on this book
+   * @param {string} [options.categoryId] - Only promotions on this category
+   * @returns {Promise<Object>} Paginated promotions
+   */
+  async getPromotions(options = {}) {
+    const { page = 1, limit = 20, status, bookId, categoryId } = options;
+    const now = new Date();
+
+    const skip = (page - 1) * limit;
+    const where = {
+      ...this.statusWhere(status, now),
+      ...(bookId && { bookId }),
+      ...(categoryId && { categoryId }),
+    };
+
+    const [promotions, total] = await Promise.all([
+      prisma.promotion.findMany({
+        where,
+        skip,
+        take: limit,
+        // Upcoming promotions read best in start order, expired ones newest first
+        orderBy:
+          status === "upcoming"
+            ? [{ startsAt: "asc" }, { id: "asc" }]
+            : status === "expired"
+              ? [{ endsAt: "desc" }, { id: "asc" }]
+              : [{ endsAt: "asc" }, { id: "asc" }],
+        include: { book: true, category: true },
+      }),
+      prisma.promotion.count({ where }),
+    ]);
+
+    return {
+      promotions: promotions.map((promotion) => this.formatPromotionResponse(promotion, now)),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasNext: page * limit < total,
+        hasPrev: page > 1,
+      },
+    };
+  }
+
+  /**
+   * Get a promotion by ID
+   * @param {string} id - Promotion UUID
+   * @returns {Promise<Object>} Promotion
+   */
+  async getPromotionById(id) {
+    const promotion = await prisma.promotion.findUnique({
+      where: { id },
+      include: { book: true, category: true },
+    });
+
+    if (!promotion) {
+      throw new NotFoundError("Promotion", id);
+    }
+
+    return this.formatPromotionResponse(promotion);
+  }
+
+  /**
+   * Update a promotion
+   * The target and discount are replaced as a whole when given, so a book
+   * promotion can be turned into a category promotion and vice versa.
+   * @param {string} id - Promotion UUID
+   * @param {Object} updateData - Fields to update
+   * @returns {Promise<Object>} Updated promotion
+   */
+  async updatePromotion(id, updateData) {
+    const existing = await prisma.promotion.findUnique({ where: { id } });
+    if (!existing) {
+      throw new NotFoundError("Promotion", id);
+    }
+
+    const hasTarget = updateData.bookId !== undefined || updateData.categoryId !== undefined;
+    const hasDiscount =
+      updateData.discountPrice !== undefined || updateData.discountPercent !== undefined;
+
+    const fields = this.normalize({
+      name: existing.name,
+      startsAt: existing.startsAt,
+      endsAt: existing.endsAt,
+      ...(hasTarget
+        ? {}
+        : { bookId: existing.bookId, categoryId: existing.categoryId }),
+      ...(hasDiscount
+        ? {}
+        : {
+            discountPrice: existing.discountPrice,
+            discountPercent: existing.discountPercent,
+          }),
+      ...updateData,
+    });
+    await this.assertTargetExists(fields);
+
+    await prisma.$transaction(async (tx) => {
+      const updated = await tx.promotion.update({ where: { id }, data: fields });
+
+      // Books that were on sale and books that now are both need repricing
+      const bookIds = await this.getAffectedBookIds([existing, updated], tx);
+      await this.refreshEffectivePrices(bookIds, tx);
+    });
+
+    await cacheService.invalidateListings();
+
+    return this.getPromotionById(id);
+  }
+
+  /**
+   * Delete a promotion
+   * Ending a running sale early is done by moving endsAt instead, which
+   * keeps it in the expired list.
+   * @param {string} id - Promotion UUID
+   * @returns {Promise<void>}
+   */
+  async deletePromotion(id) {
+    const existing = await prisma.promotion.findUnique({ where: { id } });
+    if (!existing) {
+      throw new NotFoundError("Promotion", id);
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await tx.promotion.delete({ where: { id } });
+      await this.refreshEffectivePrices(await this.getAffectedBookIds([existing], tx), tx);
+    });
+
+    await cacheService.invalidateListings();
+  }
+
+  /**
+   * Work out the current price of a list of books
+   * @param {Object[]} books - Raw books with price, discountPrice and categories (categoryId)
+   * @param {Date} [at] - Moment to price at
+   * @param {Object} [client] - Prisma client or transaction client
+   * @returns {Promise<Map<string, {effectivePrice: Object, promotion: Object|null}>>} Pricing by book ID
+   */
+  async priceBooks(books, at = new Date(), client = prisma) {
+    const pricing = new Map();
+    if (books.length === 0) {
+      return pricing;
+    }
+
+    const promotions = await client.promotion.findMany({
+      where: {
+        startsAt: { lte: at },
+        endsAt: { gt: at },
+        OR: [{ bookId: { in: books.map((book) => book.id) } }, { categoryId: { not: null } }],
+      },
+    });
+
+    // Category promotions also cover subcategories, so each book needs its
+    // categories' ancestors; the tree is only loaded when one is running
+    const index = promotions.some((promotion) => promotion.categoryId)
+      ? await categoryService.loadIndex(client)
+      : null;
+
+    for (const book of books) {
+      const categoryIds = new Set();
+      for (const { categoryId } of book.categories || []) {
+        categoryIds.add(categoryId);
+        if (index) {
+          categoryService.getAncestors(categoryId, index).forEach((c) => categoryIds.add(c.id));
+        }
+      }
+
+      const applicable = promotions.filter((promotion) =>
+        promotion.bookId ? promotion.bookId === book.id : categoryIds.has(promotion.categoryId)
+      );
+
+      pricing.set(book.id, this.bestPrice(book, applicable));
+    }
+
+    return pricing;
+  }
+
+  /**
+   * Pick the lowest price among the list price, the static discount and the
+   * given promotions
+   * @param {Object} book - Raw book
+   * @param {Object[]} promotions - Promotions active for the book
+   * @returns {{effectivePrice: Object|null, promotion: Object|null}} Price and the promotion
+   *   providing it; no price for a draft that hasn't been priced yet
+   */
+  bestPrice(book, promotions) {
+    if (book.price === null) {
+      return { effectivePrice: null, promotion: null };
+    }
+
+    const price = new Prisma.Decimal(book.price);
+    let best = {
+      effectivePrice:
+        book.discountPrice !== null && price.greaterThan(book.discountPrice)
+          ? new Prisma.Decimal(book.discountPrice)
+          : price,
+      promotion: null,
+    };
+
+    for (const promotion of promotions) {
+      const promoPrice = promotion.discountPrice
+        ? new Prisma.Decimal(promotion.discountPrice)
+        : price
+            .mul(new Prisma.Decimal(100).minus(promotion.discountPercent))
+            .div(100)
+            .toDecimalPlaces(2);
+
+      if (promoPrice.lessThan(best.effectivePrice)) {
+        best = {
+          effectivePrice: promoPrice,
+          promotion: {
+            id: promotion.id,
+            name: promotion.name,
+            endsAt: promotion.endsAt,
+          },
+        };
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Recompute and store Book.effectivePrice for the given books
+   * Only rows whose price actually changes are written, and updatedAt is
+   * left alone since the book itself wasn't edited.
+   * @param {string[]} bookIds - Book UUIDs
+   * @param {Object} [client] - Prisma client or transaction client
+   * @returns {Promise<number>} Number of books repriced
+   */
+  async refreshEffectivePrices(bookIds, client = prisma) {
+    let repriced = 0;
+
+    for (let i = 0; i < bookIds.length; i += REFRESH_BATCH_SIZE) {
+      const books = await client.book.findMany({
+        where: { id: { in: bookIds.slice(i, i + REFRESH_BATCH_SIZE) } },
+        select: {
+          id: true,
+          price: true,
+          discountPrice: true,
+          effectivePrice: true,
+          categories: { select: { categoryId: true } },
+        },
+      });
+
+      const pricing = await this.priceBooks(books, new Date(), client);
+      const changed = books.filter((book) => {
+        const { effectivePrice } = pricing.get(book.id);
+        return effectivePrice === null || book.effectivePrice === null
+          ? effectivePrice !== book.effectivePrice
+          : !effectivePrice.equals(book.effectivePrice);
+      });
+
+      if (changed.length > 0) {
+        await client.$executeRaw`
+          UPDATE "catalog"."Book" AS b
+          SET "effectivePrice" = v.price
+          FROM unnest(
+            ${changed.map((book) => book.id)}::text[],
+            ${changed.map((book) => pricing.get(book.id).effectivePrice?.toString() ?? null)}::numeric[]
+          ) AS v(id, price)
+          WHERE b."id" = v.id
+        `;
+        repriced += changed.length;
+      }
+    }
+
+    return repriced;
+  }
+
+  /**
+   * Reprice books whose promotions started or ended within a time window
+   * Called periodically by the promotion scheduler.
+   * @param {Date} since - Window start (exclusive)
+   * @param {Date} until - Window end (inclusive)
+   * @returns {Promise<number>} Number of books repriced
+   */
+  async syncPromotionWindows(since, until) {
+    const promotions = await prisma.promotion.findMany({
+      where: {
+        OR: [
+          { startsAt: { gt: since, lte: until } },
+          { endsAt: { gt: since, lte: until } },
+        ],
+      },
+    });
+
+    if (promotions.length === 0) {
+      return 0;
+    }
+
+    const repriced = await this.refreshEffectivePrices(await this.getAffectedBookIds(promotions));
+    if (repriced > 0) {
+      await cacheService.invalidateListings();
+    }
+
+    return repriced;
+  }
+
+  /**
+   * Reprice every book
+   * Run by the promotion scheduler on startup, when it can't tell which
+   * promotions started or ended while the service was down.
+   * @returns {Promise<number>} Number of books repriced
+   */
+  async refreshAllEffectivePrices() {
+    let repriced = 0;
+    let lastId;
+
+    for (;;) {
+      const books = await prisma.book.findMany({
+        where: lastId ? { id: { gt: lastId } } : undefined,
+        orderBy: { id: "asc" },
+        take: REFRESH_BATCH_SIZE,
+        select: { id: true },
+      });
+      if (books.length === 0) {
+        break;
+      }
+
+      repriced += await this.refreshEffectivePrices(books.map((book) => book.id));
+      lastId = books[books.length - 1].id;
+    }
+
+    if (repriced > 0) {
+      await cacheService.invalidateListings();
+    }
+
+    return repriced;
+  }
+
+  /**
+   * Collect the books covered by a set of promotions
+   * @param {Object[]} promotions - Raw promotions
+   * @param {Object} [client] - Prisma client or transaction client
+   * @returns {Promise<string[]>} Book UUIDs
+   */
+  async getAffectedBookIds(promotions, client = prisma) {
+    const bookIds = new Set(promotions.map((promotion) => promotion.bookId).filter(Boolean));
+    const rootIds = promotions.map((promotion) => promotion.categoryId).filter(Boolean);
+
+    if (rootIds.length > 0) {
+      const index = await categoryService.loadIndex(client);
+      const categoryIds = rootIds.flatMap((id) => [
+        id,
+        ...categoryService.getDescendantIds(id, index),
+      ]);
+
+      const links = await client.bookCategory.findMany({
+        where: { categoryId: { in: [...new Set(categoryIds)] } },
+        select: { bookId: true },
+        distinct: ["bookId"],
+      });
+      links.forEach((link) => bookIds.add(link.bookId));
+    }
+
+    return [...bookIds];
+  }
+
+  /**
+   * Build the where clause for a promotion status
+   * @param {string} [status] - upcoming, active or expired
+   * @param {Date} now - Current time
+   * @returns {Object} Prisma where fragment
+   */
+  statusWhere(status, now) {
+    switch (status) {
+      case "upcoming":
+        return { startsAt: { gt: now } };
+      case "active":
+        return { startsAt: { lte: now }, endsAt: { gt: now } };
+      case "expired":
+        return { endsAt: { lte: now } };
+      default:
+        return {};
+    }
+  }
+
+  /**
+   * Check the combination of target, discount and window, and shape the
+   * fields for Prisma
+   * @param {Object} data - Promotion fields
+   * @returns {Object} Prisma data
+   */
+  normalize(data) {
+    const {
+      name,
+      bookId = null,
+      categoryId = null,
+      discountPrice = null,
+      discountPercent = null,
+      startsAt,
+      endsAt,
+    } = data;
+    const errors = [];
+
+    if (!bookId === !categoryId) {
+      errors.push({ field: "bookId", message: "Set exactly one of bookId or categoryId" });
+    }
+    if ((discountPrice === null) === (discountPercent === null)) {
+      errors.push({
+        field: "discountPrice",
+        message: "Set exactly one of discountPrice or discountPercent",
+      });
+    }
+    if (categoryId && discountPrice !== null) {
+      errors.push({
+        field: "discountPrice",
+        message: "Category promotions take a discountPercent, since their books have different prices",
+      });
+    }
+    if (new Date(startsAt) >= new Date(endsAt)) {
+      errors.push({ field: "endsAt", message: "endsAt must be after startsAt", value: endsAt });
+    }
+
+    if (errors.length > 0) {
+      throw new ValidationError("Validation failed", errors);
+    }
+
+    return {
+      name,
+      bookId,
+      categoryId,
+      discountPrice,
+      discountPercent,
+      startsAt: new Date(startsAt),
+      endsAt: new Date(endsAt),
+    };
+  }
+
+  /**
+   * Ensure the promoted book or category exists
+   * @param {Object} fields - Normalized promotion fields
+   * @returns {Promise<void>}
+   */
+  async assertTargetExists({ bookId, categoryId, discountPrice }) {
+    if (bookId) {
+      const book = await prisma.book.findFirst({ where: { id: bookId, deletedAt: null } });
+      if (!book) {
+        throw new ValidationError("Validation failed", [
+          { field: "bookId", message: "Book not found", value: bookId },
+        ]);
+      }
+      if (book.price === null) {
+        throw new ValidationError("Validation failed", [
+          { field: "bookId", message: "Book has no price yet", value: bookId },
+        ]);
+      }
+      if (discountPrice !== null && book.price.lessThanOrEqualTo(discountPrice)) {
+        throw new ValidationError("Validation failed", [
+          {
+            field: "discountPrice",
+            message: "discountPrice must be below the book's price",
+            value: discountPrice,
+          },
+        ]);
+      }
+    }
+
+    if (categoryId) {
+      const category = await prisma.category.findUnique({ where: { id: categoryId } });
+      if (!category) {
+        throw new ValidationError("Validation failed", [
+          { field: "categoryId", message: "Category not found", value: categoryId },
+        ]);
+      }
+    }
+  }
+
+  /**
+   * Format promotion response
+   * @param {Object} promotion - Raw promotion with book and category
+   * @param {Date} [now] - Current time, for the status
+   * @returns {Object} Formatted promotion
+   */
+  formatPromotionResponse(promotion, now = new Date()) {
+    return {
+      id: promotion.id,
+      name: promotion.name,
+      status:
+        promotion.startsAt > now ? "upcoming" : promotion.endsAt <= now ? "expired" : "active",
+      book: promotion.book
+        ? { id: promotion.book.id, title: promotion.book.title, price: promotion.book.price }
+        : null,
+      category: promotion.category
+        ? {
+            id: promotion.category.id,
+            name: promotion.category.name,
+            slug: promotion.category.slug,
+          }
+        : null,
+      discountPrice: promotion.discountPrice,
+      discountPercent: promotion.discountPercent,
+      startsAt: promotion.startsAt,
+      endsAt: promotion.endsAt,
+      createdAt: promotion.createdAt,
+      updatedAt: promotion.updatedAt,
+    };
+  }
+}
+
+export default new PromotionService();
@@ -0,0 +1,84 @@
+import { prisma, Prisma } from "@bookzilla/database";
+import { NotFoundError } from "@bookzilla/shared";
+import bookService from "./bookService.js";
+import { VISIBILITY } from "../utils/visibility.js";
+
+/**
+ * Work Service
+ * Works group the editions and formats of the same title. Books join a work
+ * through their workId; every book belongs to exactly one, and a work is
+ * deleted when its last book moves to another.
+ */
+class WorkService {
+  /**
+   * Get a work with its editions and the range of their current prices
+   * @param {string} id - Work UUID
+   * @param {string} [visibility] - Which editions the caller may see, see BookService.visibilityWhere
+   * @returns {Promise<Object>} Work with editions
+   * @throws {NotFoundError} If the work doesn't exist or none of its editions are visible
+   */
+  async getWorkById(id, visibility) {
+    const work = await prisma.work.findUnique({ where: { id } });
+
+    if (!work) {
+      throw new NotFoundError("Work", id);
+    }
+
+    // A work whose editions are all hidden would still give away its title
+    const editions = await bookService.getWorkEditions(id, visibility);
+    if (editions.length === 0) {
+      throw new NotFoundError("Work", id);
+    }
+
+    return this.formatWorkResponse(work, editions);
+  }
+
+  /**
+   * Rename a work
+   * @param {string} id - Work UUID
+   * @param {Object} updateData - Fields to update
+   * @param {string} [updateData.title] - Work title
+   * @returns {Promise<Object>} Updated work with editions
+   */
+  async updateWork(id, updateData) {
+    const existing = await prisma.work.findUnique({ where: { id } });
+    if (!existing) {
+      throw new NotFoundError("Work", id);
+    }
+
+    const { title } = updateData;
+    const work = await prisma.work.update({ where: { id }, data: { title } });
+    // Only admins can rename a work
+    const editions = await bookService.getWorkEditions(id, VISIBILITY.ADMIN);
+
+    return this.formatWorkResponse(work, editions);
+  }
+
+  /**
+   * Format work response
+   * @param {Object} work - Raw work from Prisma
+   * @param {Object[]} editions - Formatted books of the work
+   * @returns {Object} Formatted work
+   */
+  formatWorkResponse(work, editions) {
+    const prices = editions
+      .map((book) => book.effectivePrice)
+      .filter((price) => price !== null && price !== undefined);
+
+    return {
+      id: work.id,
+      title: work.title,
+      formats: [...new Set(editions.map((book) => book.format))],
+      priceRange:
+        prices.length > 0
+          ? { min: Prisma.Decimal.min(...prices), max: Prisma.Decimal.max(...prices) }
+          : null,
+      editionCount: editions.length,
+      editions,
+      createdAt: work.createdAt,
+      updatedAt: work.updatedAt,
+    };
+  }
+}
+
+export default new WorkService();
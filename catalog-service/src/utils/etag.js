@@ -0,0 +1,56 @@
+import { createHash } from "node:crypto";
+
+/**
+ * Entity tag helpers
+ * Book ETags are strong validators of the form "<version>-<digest>". The
+ * version is bumped on every catalog edit and is what If-Match checks; the
+ * digest covers the rest of the representation, such as stock and the
+ * current price, which change without an edit. Tags holding only the
+ * version are still accepted in If-Match.
+ */
+
+// A book tag, capturing its version
+const BOOK_TAG = /^"(\d+)(?:-[0-9a-f]+)?"$/;
+
+/**
+ * Hash a response body
+ * @param {*} body - JSON-compatible value
+ * @returns {string} Hex digest
+ */
+const digest = (body) =>
+  createHash("sha1").update(JSON.stringify(body)).digest("hex").slice(0, 16);
+
+/**
+ * Build the ETag for a book
+ * @param {Object} book - Book as sent in the response, with a version
+ * @returns {string} Quoted entity tag
+ */
+export const bookETag = (book) => `"${book.version}-${digest(book)}"`;
+
+/**
+ * Build the ETag for a listing page
+ * Weak, since a page is only ever compared to decide whether to resend it.
+ * @param {Object} page - Page as sent in the response
+ * @returns {string} Weak entity tag
+ */
+export const listingETag = (page) => `W/"${digest(page)}"`;
+
+/**
+ * Check an If-Match header against a book's current version
+ * Uses strong comparison (RFC 9110 13.1.1), so weak tags never match.
+ * @param {string} header - If-Match header value
+ * @param {number} version - Current version of the book
+ * @returns {boolean} True when the header is "*" or lists a tag of the current version
+ */
+export const ifMatchSatisfied = (header, version) => {
+  if (header.trim() === "*") {
+    return true;
+  }
+
+  return header
+    .split(",")
+    .map((tag) => BOOK_TAG.exec(tag.trim()))
+    .some((match) => match !== null && Number(match[1]) === version);
+};
+
+export default { bookETag, listingETag, ifMatchSatisfied };
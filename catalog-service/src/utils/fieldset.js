@@ -0,0 +1,45 @@
+/**
+ * Sparse fieldset helpers
+ * fields= and include= take comma-separated names, e.g.
+ * "fields=title,effectivePrice,coverImageUrl&include=authors".
+ */
+
+/**
+ * Parse a comma-separated list of names
+ * @param {string} [value] - Raw query value
+ * @returns {string[]|undefined} Names in the order given, or undefined when absent
+ *
+ * @example
+ * parseFieldList("title, price")
+ * // ["title", "price"]
+ */
+export const parseFieldList = (value) =>
+  value === undefined
+    ? undefined
+    : String(value)
+        .split(",")
+        .map((name) => name.trim())
+        .filter(Boolean);
+
+/**
+ * Build an express-validator custom check for a comma-separated list
+ * @param {string} name - Query parameter name, for messages
+ * @param {string[]} allowed - Names the endpoint accepts
+ * @returns {Function} Custom validator that throws on empty lists or unknown names
+ */
+export const fieldListValidator = (name, allowed) => (value) => {
+  const names = parseFieldList(value);
+
+  if (names.length === 0) {
+    throw new Error(`${name} must not be empty`);
+  }
+
+  const unknown = names.filter((item) => !allowed.includes(item));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown ${name} '${unknown.join("', '")}'. Allowed: ${allowed.join(", ")}`);
+  }
+
+  return true;
+};
+
+export default { parseFieldList, fieldListValidator };
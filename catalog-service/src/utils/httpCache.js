@@ -0,0 +1,34 @@
+/**
+ * HTTP caching helpers for public catalog reads
+ * Anonymous responses may be stored by the gateway and browsers for a short
+ * while; responses to authenticated requests can differ per user (admins
+ * read past the cache) and are only stored privately, revalidated each time.
+ */
+
+// How long anonymous responses may be reused without revalidating
+const PUBLIC_MAX_AGE_SECONDS = parseInt(process.env.CATALOG_HTTP_MAX_AGE_SECONDS, 10) || 60;
+
+/**
+ * Set validators and Cache-Control on a cacheable read
+ * Check req.fresh afterwards to answer If-None-Match/If-Modified-Since with
+ * 304; it only holds when every validator the client sent still matches.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} validators - Validators of the representation being sent
+ * @param {string} validators.etag - Entity tag
+ * @param {Date|string|null} [validators.lastModified] - When the representation last changed
+ */
+export const setCacheHeaders = (req, res, { etag, lastModified }) => {
+  res.set("ETag", etag);
+  if (lastModified) {
+    res.set("Last-Modified", new Date(lastModified).toUTCString());
+  }
+
+  res.set(
+    "Cache-Control",
+    req.headers.authorization ? "private, no-cache" : `public, max-age=${PUBLIC_MAX_AGE_SECONDS}`
+  );
+  res.vary("Authorization");
+};
+
+export default { setCacheHeaders };
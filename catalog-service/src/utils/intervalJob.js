@@ -0,0 +1,46 @@
+/**
+ * Background job scheduling
+ */
+
+/**
+ * Run a job right away and then every intervalMs
+ * Each run is scheduled once the previous one has finished, so runs never
+ * overlap. A failed run is logged and the next one goes ahead as usual.
+ * Timers are unref'd, so a job never keeps the process alive.
+ * @param {string} name - Job name, used in log messages
+ * @param {number} intervalMs - Time between the end of one run and the start of the next
+ * @param {Function} fn - Async job body
+ * @param {Object} options - Job options
+ * @param {Object} options.logger - Service logger
+ * @returns {Function} Stops the job; a run already in progress finishes
+ *
+ * @example
+ * const stop = startIntervalJob("Cache warmer", 60000, () => warmCache(), { logger });
+ */
+export const startIntervalJob = (name, intervalMs, fn, { logger }) => {
+  let timer;
+  let stopped = false;
+
+  const run = async () => {
+    try {
+      await fn();
+    } catch (error) {
+      logger.error(`${name} failed: ${error.message}`, { stack: error.stack });
+    }
+
+    if (!stopped) {
+      timer = setTimeout(run, intervalMs);
+      timer.unref();
+    }
+  };
+
+  timer = setTimeout(run, 0);
+  timer.unref();
+
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+};
+
+export default { startIntervalJob };
@@ -0,0 +1,44 @@
+/**
+ * JSON Merge Patch (RFC 7396)
+ * A patch document mirrors the target: members set to null are removed,
+ * objects are merged recursively, and any other value (including arrays)
+ * replaces the target value.
+ */
+
+/**
+ * Check for a plain JSON object (not an array or null)
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+export const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Apply a merge patch to a target value
+ * @param {*} target - Current value
+ * @param {*} patch - Merge patch
+ * @returns {*} Patched value; the target is not modified
+ *
+ * @example
+ * applyMergePatch({ a: 1, b: { c: 2, d: 3 } }, { a: null, b: { c: 4 } })
+ * // { b: { c: 4, d: 3 } }
+ */
+export const applyMergePatch = (target, patch) => {
+  if (!isPlainObject(patch)) {
+    return patch;
+  }
+
+  const result = isPlainObject(target) ? { ...target } : {};
+
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  }
+
+  return result;
+};
+
+export default { applyMergePatch, isPlainObject };
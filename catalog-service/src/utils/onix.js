@@ -0,0 +1,277 @@
+/**
+ * ONIX for Books 3.0 helpers
+ * Builds the reference-tag XML that marketplaces and distributors ingest.
+ * Code values come from the EDItEUR ONIX code lists; the list number is
+ * noted next to each mapping.
+ */
+
+export const ONIX_NAMESPACE = "http://ns.editeur.org/onix/3.0/reference";
+
+// List 150 - Product form
+const PRODUCT_FORMS = {
+  HARDCOVER: "BB",
+  PAPERBACK: "BC",
+  EBOOK: "ED",
+  AUDIOBOOK: "AJ",
+};
+
+// List 64 - Publishing status
+const PUBLISHING_STATUSES = {
+  DRAFT: "00",
+  SCHEDULED: "02",
+  PUBLISHED: "04",
+  ARCHIVED: "07",
+};
+
+// List 74 - ONIX uses ISO 639-2/B codes, the catalog stores ISO 639-1
+const LANGUAGE_CODES = {
+  ar: "ara",
+  de: "ger",
+  en: "eng",
+  es: "spa",
+  fr: "fre",
+  it: "ita",
+  ja: "jpn",
+  ko: "kor",
+  nl: "dut",
+  pl: "pol",
+  pt: "por",
+  ru: "rus",
+  sv: "swe",
+  zh: "chi",
+};
+
+/**
+ * Escape text for use in XML element content
+ * @param {*} value - Raw value
+ * @returns {string} Escaped text
+ */
+export const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+/**
+ * Render an element, or nothing when the value is empty
+ * @param {string} name - Tag name
+ * @param {*} value - Text content
+ * @returns {string} XML element
+ */
+const element = (name, value) =>
+  value === null || value === undefined || value === ""
+    ? ""
+    : `<${name}>${escapeXml(value)}</${name}>`;
+
+/**
+ * Render a composite element from already-rendered children
+ * @param {string} name - Tag name
+ * @param {string[]} children - Rendered child elements
+ * @returns {string} XML element
+ */
+const composite = (name, children) => `<${name}>${children.join("")}</${name}>`;
+
+/**
+ * Format a date as ONIX YYYYMMDD
+ * @param {Date|string} date - Date value
+ * @returns {string} ONIX date
+ */
+const onixDate = (date) => new Date(date).toISOString().slice(0, 10).replace(/-/g, "");
+
+/**
+ * Build the ONIXMessage opening tag and Header
+ * @param {Object} options - Header options
+ * @param {string} options.senderName - Name of the sending organisation
+ * @param {Date} [options.sentAt] - Message timestamp
+ * @returns {string} XML prologue, message start tag and Header
+ */
+export const onixHeader = ({ senderName, sentAt = new Date() }) =>
+  `<?xml version="1.0" encoding="UTF-8"?>\n` +
+  `<ONIXMessage release="3.0" xmlns="${ONIX_NAMESPACE}">\n` +
+  composite("Header", [
+    composite("Sender", [element("SenderName", senderName)]),
+    element("SentDateTime", sentAt.toISOString().replace(/[-:]/g, "").slice(0, 15)),
+  ]) +
+  "\n";
+
+/**
+ * Closing tag for the ONIXMessage
+ * @returns {string} XML
+ */
+export const onixFooter = () => "</ONIXMessage>\n";
+
+/**
+ * Build a Product record for a book
+ * @param {Object} book - Formatted book (see bookView.formatBookResponse)
+ * @param {Object} options - Product options
+ * @param {string} options.currency - ISO 4217 currency of the price
+ * @param {string} options.senderName - Name used as the supplier
+ * @returns {string} Product XML
+ */
+export const onixProduct = (book, { currency, senderName }) => {
+  const identifiers = [
+    // List 5 - 15: ISBN-13, 02: ISBN-10, 01: proprietary
+    composite("ProductIdentifier", [
+      element("ProductIDType", "01"),
+      element("IDTypeName", senderName),
+      element("IDValue", book.id),
+    ]),
+    book.isbn13 &&
+      composite("ProductIdentifier", [
+        element("ProductIDType", "15"),
+        element("IDValue", book.isbn13.replace(/-/g, "")),
+      ]),
+    book.isbn &&
+      composite("ProductIdentifier", [
+        element("ProductIDType", "02"),
+        element("IDValue", book.isbn.replace(/-/g, "")),
+      ]),
+  ];
+
+  const contributors = (book.authors || []).map((author) =>
+    composite("Contributor", [
+      element("SequenceNumber", author.order),
+      // List 17 - A01: By (author)
+      element("ContributorRole", "A01"),
+      element("PersonName", author.name),
+    ])
+  );
+
+  const subjects = (book.categories || []).map((category) =>
+    composite("Subject", [
+      category.isPrimary ? "<MainSubject/>" : "",
+      // List 26 - 24: proprietary scheme
+      element("SubjectSchemeIdentifier", "24"),
+      element("SubjectSchemeName", senderName),
+      element("SubjectCode", category.slug),
+      element("SubjectHeadingText", category.name),
+    ])
+  );
+
+  const languageCode = LANGUAGE_CODES[book.language] || book.language;
+
+  const descriptiveDetail = composite("DescriptiveDetail", [
+    // List 2 - 00: single-component retail product
+    element("ProductComposition", "00"),
+    element("ProductForm", PRODUCT_FORMS[book.format]),
+    composite("TitleDetail", [
+      // List 15 - 01: distinctive title
+      element("TitleType", "01"),
+      composite("TitleElement", [
+        // List 149 - 01: product level
+        element("TitleElementLevel", "01"),
+        element("TitleText", book.title),
+        element("Subtitle", book.subtitle),
+      ]),
+    ]),
+    ...contributors,
+    element("EditionStatement", book.edition),
+    languageCode?.length === 3
+      ? composite("Language", [
+          // List 22 - 01: language of text
+          element("LanguageRole", "01"),
+          element("LanguageCode", languageCode),
+        ])
+      : "",
+    book.pageCount
+      ? composite("Extent", [
+          // List 23 - 00: main content page count; list 24 - 03: pages
+          element("ExtentType", "00"),
+          element("ExtentValue", book.pageCount),
+          element("ExtentUnit", "03"),
+        ])
+      : "",
+    ...subjects,
+  ]);
+
+  const collateralDetail = composite("CollateralDetail", [
+    composite("TextContent", [
+      // List 153 - 03: description; list 154 - 00: unrestricted
+      element("TextType", "03"),
+      element("ContentAudience", "00"),
+      element("Text", book.description),
+    ]),
+    book.coverImageUrl
+      ? composite("SupportingResource", [
+          // List 158 - 01: front cover; list 159 - 03: image
+          element("ResourceContentType", "01"),
+          element("ContentAudience", "00"),
+          element("ResourceMode", "03"),
+          composite("ResourceVersion", [
+            // List 161 - 02: downloadable file
+            element("ResourceForm", "02"),
+            element("ResourceLink", book.coverImageUrl),
+          ]),
+        ])
+      : "",
+  ]);
+
+  const publishingDetail = composite("PublishingDetail", [
+    book.publisher
+      ? composite("Publisher", [
+          // List 45 - 01: publisher
+          element("PublishingRole", "01"),
+          element("PublisherName", book.publisher),
+        ])
+      : "",
+    element("PublishingStatus", PUBLISHING_STATUSES[book.status]),
+    book.publicationDate
+      ? composite("PublishingDate", [
+          // List 163 - 01: publication date
+          element("PublishingDateRole", "01"),
+          element("Date", onixDate(book.publicationDate)),
+        ])
+      : "",
+  ]);
+
+  // List 58 - 02: RRP including tax, using the price the customer pays;
+  // list 57 - 03: not yet priced, for drafts without a price
+  const amount = book.effectivePrice ?? book.price;
+  const price =
+    amount === null
+      ? element("UnpricedItemType", "03")
+      : composite("Price", [
+          element("PriceType", "02"),
+          element("PriceAmount", amount),
+          element("CurrencyCode", currency),
+        ]);
+
+  const productSupply = composite("ProductSupply", [
+    composite("SupplyDetail", [
+      composite("Supplier", [
+        // List 93 - 09: sales agent
+        element("SupplierRole", "09"),
+        element("SupplierName", senderName),
+      ]),
+      // List 65 - 10: not yet available, 21: in stock, 31: out of stock, 40: not available
+      element(
+        "ProductAvailability",
+        book.status === "SCHEDULED"
+          ? "10"
+          : !book.isActive
+            ? "40"
+            : book.availableQuantity > 0
+              ? "21"
+              : "31"
+      ),
+      price,
+    ]),
+  ]);
+
+  return (
+    composite("Product", [
+      element("RecordReference", book.id),
+      // List 1 - 03: notification confirmed on publication
+      element("NotificationType", "03"),
+      ...identifiers.filter(Boolean),
+      descriptiveDetail,
+      collateralDetail,
+      publishingDetail,
+      productSupply,
+    ]) + "\n"
+  );
+};
+
+export default { onixHeader, onixProduct, onixFooter, escapeXml, ONIX_NAMESPACE };
@@ -0,0 +1,12 @@
+/**
+ * Shared validation patterns
+ */
+
+// UUID v4, matching the ids generated by Prisma's @default(uuid())
+export const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+// Lowercase words joined by single hyphens, as produced by slugify
+export const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+export default { UUID_PATTERN, SLUG_PATTERN };
@@ -0,0 +1,17 @@
+/**
+ * Request context helpers
+ * Carry who made a request, and which request it was, into the service
+ * layer for audit logging.
+ */
+
+/**
+ * Build the audit context for a request
+ * @param {Object} req - Express request (after requestId and auth middleware)
+ * @returns {{actor: {id: string, email: string}|null, requestId: string}} Request context
+ */
+export const getRequestContext = (req) => ({
+  actor: req.user ? { id: req.user.id, email: req.user.email } : null,
+  requestId: req.requestId,
+});
+
+export default { getRequestContext };
@@ -0,0 +1,36 @@
+/**
+ * Full-text search helpers
+ * Turn free-text user input into PostgreSQL tsquery syntax
+ */
+
+// Text search configuration used for both the stored vectors and the queries
+export const SEARCH_CONFIG = "english";
+
+// Delimiters used by ts_headline to mark matched terms
+export const HIGHLIGHT_START = "<mark>";
+export const HIGHLIGHT_STOP = "</mark>";
+
+/**
+ * Build a tsquery string from free text
+ * Every term must match; the last term is matched as a prefix so that
+ * partially typed words still return results (type-ahead).
+ *
+ * @param {string} input - Raw search input
+ * @returns {string|null} tsquery source, or null if no usable terms
+ *
+ * @example
+ * buildPrefixTsQuery("The Great Gats") // "The & Great & Gats:*"
+ */
+export const buildPrefixTsQuery = (input = "") => {
+  const terms = String(input).match(/[\p{L}\p{N}]+/gu) || [];
+
+  if (terms.length === 0) {
+    return null;
+  }
+
+  return terms
+    .map((term, index) => (index === terms.length - 1 ? `${term}:*` : term))
+    .join(" & ");
+};
+
+export default { buildPrefixTsQuery, SEARCH_CONFIG, HIGHLIGHT_START, HIGHLIGHT_STOP };
@@ -0,0 +1,16 @@
+/**
+ * Convert arbitrary text into a URL-friendly slug
+ * Strips diacritics, lowercases and joins words with single hyphens
+ *
+ * @param {string} text - Text to slugify
+ * @returns {string} Slug, e.g. "Science Fiction & Fantasy" -> "science-fiction-fantasy"
+ */
+export const slugify = (text = "") =>
+  String(text)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+export default slugify;
@@ -0,0 +1,55 @@
+/**
+ * Sort parameter helpers
+ * Sort strings are comma-separated keys, each optionally prefixed with "-"
+ * for descending order, e.g. "-averageRating,price".
+ */
+
+/**
+ * Parse a sort string into an ordered list of sort keys
+ * @param {string} sort - Raw sort string
+ * @returns {Array<{field: string, direction: "asc"|"desc"}>} Parsed sort keys
+ *
+ * @example
+ * parseSort("-averageRating,price")
+ * // [{ field: "averageRating", direction: "desc" }, { field: "price", direction: "asc" }]
+ */
+export const parseSort = (sort = "") =>
+  String(sort)
+    .split(",")
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map((part) =>
+      part.startsWith("-")
+        ? { field: part.slice(1), direction: "desc" }
+        : { field: part.replace(/^\+/, ""), direction: "asc" }
+    );
+
+/**
+ * Build an express-validator custom check for a sort string
+ * @param {string[]} allowedFields - Sort keys the endpoint accepts
+ * @returns {Function} Custom validator that throws on unknown or repeated keys
+ */
+export const sortValidator = (allowedFields) => (value) => {
+  const keys = parseSort(value);
+
+  if (keys.length === 0) {
+    throw new Error("sort must not be empty");
+  }
+
+  const seen = new Set();
+  for (const { field } of keys) {
+    if (!allowedFields.includes(field)) {
+      throw new Error(
+        `Unknown sort field '${field}'. Allowed: ${allowedFields.join(", ")}`
+      );
+    }
+    if (seen.has(field)) {
+      throw new Error(`Sort field '${field}' is listed more than once`);
+    }
+    seen.add(field);
+  }
+
+  return true;
+};
+
+export default { parseSort, sortValidator };
@@ -0,0 +1,21 @@
+/**
+ * Book visibility helpers
+ * Public callers only ever see active books that are not in the trash;
+ * admins also see inactive ones. Book reads take a visibility and default
+ * to public, so a read that doesn't pass one can't leak unpublished books.
+ */
+
+export const VISIBILITY = Object.freeze({
+  PUBLIC: "public",
+  ADMIN: "admin",
+});
+
+/**
+ * Determine which books a request may see
+ * @param {Object} req - Express request (after optionalAuth or authenticateToken)
+ * @returns {string} VISIBILITY.ADMIN for admins, else VISIBILITY.PUBLIC
+ */
+export const getVisibility = (req) =>
+  req.user?.role === "admin" ? VISIBILITY.ADMIN : VISIBILITY.PUBLIC;
+
+export default { VISIBILITY, getVisibility };
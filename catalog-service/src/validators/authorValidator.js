@@ -0,0 +1,53 @@
+import { query, validate, rules } from "@bookzilla/shared";
+
+/**
+ * Validation rules for creating an author
+ */
+export const createAuthorValidation = [
+  rules.requiredString("name", 255),
+  rules.optionalString("bio", 10000),
+  rules.url("photoUrl", false),
+  rules.date("birthDate", false),
+  validate,
+];
+
+/**
+ * Validation rules for updating an author
+ */
+export const updateAuthorValidation = [
+  rules.uuid("id", "param"),
+  rules.optionalString("name", 255),
+  rules.optionalString("bio", 10000),
+  rules.url("photoUrl", false),
+  rules.date("birthDate", false),
+  validate,
+];
+
+/**
+ * Validation for getting or deleting an author by ID
+ */
+export const getAuthorValidation = [
+  rules.uuid("id", "param"),
+  validate,
+];
+
+/**
+ * Validation for listing authors
+ */
+export const listAuthorsValidation = [
+  ...rules.pagination(),
+  query("search")
+    .optional()
+    .isString()
+    .withMessage("search must be a string")
+    .isLength({ max: 100 })
+    .withMessage("search must not exceed 100 characters"),
+  validate,
+];
+
+export default {
+  createAuthorValidation,
+  updateAuthorValidation,
+  getAuthorValidation,
+  listAuthorsValidation,
+};
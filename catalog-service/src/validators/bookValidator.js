@@ -1,10 +1,141 @@
 import { body, param, query, validate, rules } from "@bookzilla/shared";
+import { UUID_PATTERN, SLUG_PATTERN } from "../utils/patterns.js";
+import { sortValidator } from "../utils/sort.js";
+import { fieldListValidator } from "../utils/fieldset.js";
+import { isPlainObject } from "../utils/mergePatch.js";
 
 // Valid book formats from Prisma schema
 const BOOK_FORMATS = ["HARDCOVER", "PAPERBACK", "EBOOK", "AUDIOBOOK"];
 
+// Book lifecycle statuses from Prisma schema
+const BOOK_STATUSES = ["DRAFT", "SCHEDULED", "PUBLISHED", "ARCHIVED"];
+
+// Sort keys accepted by the listing and search endpoints
+const BOOK_SORT_FIELDS = [
+  "price",
+  "title",
+  "publicationDate",
+  "averageRating",
+  "ratingsCount",
+  "createdAt",
+];
+const SEARCH_SORT_FIELDS = ["relevance", ...BOOK_SORT_FIELDS];
+
+// Book fields a response can be narrowed to with fields=
+const BOOK_RESPONSE_FIELDS = [
+  "id",
+  "workId",
+  "isbn",
+  "isbn13",
+  "title",
+  "slug",
+  "subtitle",
+  "description",
+  "publisher",
+  "publicationDate",
+  "edition",
+  "language",
+  "pageCount",
+  "format",
+  "price",
+  "discountPrice",
+  "effectivePrice",
+  "promotion",
+  "stockQuantity",
+  "availableQuantity",
+  "reorderThreshold",
+  "coverImageUrl",
+  "previewUrl",
+  "averageRating",
+  "ratingsCount",
+  "additionalInfo",
+  "isFeatured",
+  "status",
+  "publishAt",
+  "isActive",
+  "createdAt",
+  "updatedAt",
+  "lastModifiedAt",
+  "deletedAt",
+  "version",
+];
+
+// Relations a response can opt into with include=
+const BOOK_RELATIONS = ["authors", "categories"];
+
+// How authorIds/categoryIds are applied on update
+const RELATION_MODES = ["replace", "patch"];
+
+// Fields a merge patch may set; relations are replaced wholesale, so the
+// relationMode/remove* options of PUT don't apply
+const PATCH_FIELDS = [
+  "isbn",
+  "isbn13",
+  "title",
+  "subtitle",
+  "description",
+  "publisher",
+  "publicationDate",
+  "edition",
+  "language",
+  "pageCount",
+  "format",
+  "price",
+  "discountPrice",
+  "stockQuantity",
+  "reorderThreshold",
+  "coverImageUrl",
+  "previewUrl",
+  "additionalInfo",
+  "isFeatured",
+  "status",
+  "isActive",
+  "publishAt",
+  "workId",
+  "authorIds",
+  "categoryIds",
+  "primaryCategoryId",
+];
+
+// Patch fields that must always have a value, so null can't clear them
+const NON_NULLABLE_PATCH_FIELDS = [
+  "title",
+  "description",
+  "language",
+  "format",
+  "stockQuantity",
+  "isFeatured",
+  "status",
+  "isActive",
+  "workId",
+  "primaryCategoryId",
+];
+
+/**
+ * Build the publishAt rule
+ * publishAt is only read when scheduling, so it is rejected alongside any
+ * other status rather than silently ignored.
+ * @param {string} [defaultStatus] - Status a request without one ends up with
+ * @returns {Object} Validation chain
+ */
+const publishAtRule = (defaultStatus) =>
+  body("publishAt")
+    .optional({ values: "null" })
+    .isISO8601()
+    .withMessage("publishAt must be a valid date")
+    .bail()
+    .custom((value, { req }) => {
+      const status = req.body.status ?? defaultStatus;
+      return status === undefined || status === "SCHEDULED";
+    })
+    .withMessage("publishAt can only be set when status is SCHEDULED");
+
+// Catalog export file formats
+const EXPORT_FORMATS = ["csv", "jsonl", "onix"];
+
 /**
  * Validation rules for creating a book
+ * Price and cover image may be left out of drafts; publishing checks for them.
  */
 export const createBookValidation = [
   // Required fields
@@ -15,15 +146,15 @@ export const createBookValidation = [
     .isString()
     .withMessage("Description must be a string"),
   rules.enum("format", BOOK_FORMATS),
-  rules.price("price"),
-  rules.url("coverImageUrl", true),
 
   // Optional fields
-  rules.isbn("isbn"),
-  body("isbn13")
+  body("price")
     .optional()
-    .matches(/^(?:\d{13}|[\d-]{17})$/)
-    .withMessage("Invalid ISBN-13 format"),
+    .isFloat({ min: 0.01 })
+    .withMessage("Price must be a positive number"),
+  rules.url("coverImageUrl", false),
+  rules.isbn("isbn"),
+  rules.isbn("isbn13", { length: 13 }),
   rules.optionalString("subtitle", 500),
   rules.optionalString("publisher", 255),
   rules.optionalString("edition", 100),
@@ -32,13 +163,23 @@ export const createBookValidation = [
   rules.integer("pageCount", { min: 1, required: false }),
   rules.optionalPrice("discountPrice"),
   rules.integer("stockQuantity", { min: 0, required: false }),
+  body("reorderThreshold")
+    .optional({ values: "null" })
+    .isInt({ min: 0 })
+    .withMessage("reorderThreshold must be an integer >= 0"),
   rules.url("previewUrl", false),
   rules.boolean("isFeatured"),
+  rules.enum("status", BOOK_STATUSES, false),
   rules.boolean("isActive"),
+  publishAtRule("DRAFT"),
   body("additionalInfo")
     .optional()
     .isObject()
     .withMessage("additionalInfo must be an object"),
+  body("workId")
+    .optional()
+    .isUUID(4)
+    .withMessage("workId must be a valid UUID"),
   rules.uuidArray("authorIds"),
   rules.uuidArray("categoryIds"),
 
@@ -66,10 +207,7 @@ export const updateBookValidation = [
     .withMessage("Price must be a positive number"),
   rules.url("coverImageUrl", false),
   rules.isbn("isbn"),
-  body("isbn13")
-    .optional()
-    .matches(/^(?:\d{13}|[\d-]{17})$/)
-    .withMessage("Invalid ISBN-13 format"),
+  rules.isbn("isbn13", { length: 13 }),
   rules.optionalString("subtitle", 500),
   rules.optionalString("publisher", 255),
   rules.optionalString("edition", 100),
@@ -78,26 +216,126 @@ export const updateBookValidation = [
   rules.integer("pageCount", { min: 1, required: false }),
   rules.optionalPrice("discountPrice"),
   rules.integer("stockQuantity", { min: 0, required: false }),
+  body("reorderThreshold")
+    .optional({ values: "null" })
+    .isInt({ min: 0 })
+    .withMessage("reorderThreshold must be an integer >= 0"),
   rules.url("previewUrl", false),
   rules.boolean("isFeatured"),
+  rules.enum("status", BOOK_STATUSES, false),
   rules.boolean("isActive"),
+  publishAtRule(),
+  body("additionalInfo")
+    .optional()
+    .isObject()
+    .withMessage("additionalInfo must be an object"),
+
+  // Relations: replace the lists by default, or add/remove in patch mode
+  body("workId")
+    .optional()
+    .isUUID(4)
+    .withMessage("workId must be a valid UUID"),
+  rules.uuidArray("authorIds"),
+  rules.uuidArray("categoryIds"),
+  rules.uuidArray("removeAuthorIds"),
+  rules.uuidArray("removeCategoryIds"),
+  body("primaryCategoryId")
+    .optional()
+    .matches(UUID_PATTERN)
+    .withMessage("primaryCategoryId must be a valid UUID"),
+  rules.enum("relationMode", RELATION_MODES, false),
+  body(["removeAuthorIds", "removeCategoryIds"])
+    .optional()
+    .custom((value, { req }) => req.body.relationMode === "patch")
+    .withMessage("removeAuthorIds and removeCategoryIds require relationMode 'patch'"),
 
   validate,
 ];
 
+// updateBookValidation without its terminating validate, for reuse on patches
+const updateBookRules = updateBookValidation.filter((rule) => rule !== validate);
+
+/**
+ * Check the values a merge patch sets against the updateBookValidation rules
+ * Nulls (clearing a field) were already checked, so they are left out here.
+ */
+const validatePatchValues = async (req, res, next) => {
+  const values = {
+    params: req.params,
+    body: Object.fromEntries(Object.entries(req.body).filter(([, value]) => value !== null)),
+  };
+
+  for (const chain of updateBookRules) {
+    await chain.run(values);
+  }
+
+  validate(values, res, next);
+};
+
+/**
+ * Validation rules for a JSON merge patch on a book
+ */
+export const patchBookValidation = [
+  rules.uuid("id", "param"),
+  body()
+    .custom(isPlainObject)
+    .withMessage("Merge patch must be a JSON object")
+    .bail()
+    .custom((patch) => {
+      const unknown = Object.keys(patch).filter((field) => !PATCH_FIELDS.includes(field));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown or read-only field(s): ${unknown.join(", ")}`);
+      }
+      return true;
+    }),
+  body(NON_NULLABLE_PATCH_FIELDS)
+    .custom((value) => value !== null)
+    .withMessage((value, { path }) => `${path} cannot be null`),
+  validate,
+  validatePatchValues,
+];
+
+/**
+ * Sparse fieldset parameters shared by the book read endpoints
+ */
+const bookViewRules = [
+  query("fields").optional().custom(fieldListValidator("fields", BOOK_RESPONSE_FIELDS)),
+  query("include").optional().custom(fieldListValidator("include", BOOK_RELATIONS)),
+];
+
 /**
  * Validation for getting a book by ID
  */
 export const getBookValidation = [
   rules.uuid("id", "param"),
+  ...bookViewRules,
   validate,
 ];
 
 /**
- * Validation for listing books
+ * Validation for getting a book by ISBN
  */
-export const listBooksValidation = [
-  ...rules.pagination(),
+export const getBookByIsbnValidation = [
+  rules.isbn("isbn", { location: "param" }),
+  ...bookViewRules,
+  validate,
+];
+
+/**
+ * Validation for getting a book by slug
+ */
+export const getBookBySlugValidation = [
+  param("slug")
+    .matches(SLUG_PATTERN)
+    .withMessage("slug must contain only lowercase letters, digits and single hyphens"),
+  ...bookViewRules,
+  validate,
+];
+
+/**
+ * Filters shared by the book listing and the catalog export
+ */
+const bookFilterRules = [
   query("search")
     .optional()
     .isString()
@@ -112,16 +350,203 @@ export const listBooksValidation = [
     .optional()
     .isIn(["true", "false"])
     .withMessage("isActive must be true or false"),
+  query("status")
+    .optional()
+    .isIn(BOOK_STATUSES)
+    .withMessage(`status must be one of: ${BOOK_STATUSES.join(", ")}`),
   query("isFeatured")
     .optional()
     .isIn(["true", "false"])
     .withMessage("isFeatured must be true or false"),
+  query("minPrice")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("minPrice must be a positive number")
+    .toFloat(),
+  query("maxPrice")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("maxPrice must be a positive number")
+    .toFloat()
+    .custom((value, { req }) => {
+      const minPrice = parseFloat(req.query.minPrice);
+      if (!Number.isNaN(minPrice) && value < minPrice) {
+        throw new Error("maxPrice must be greater than or equal to minPrice");
+      }
+      return true;
+    }),
+  query("language")
+    .optional()
+    .isString()
+    .withMessage("language must be a string")
+    .isLength({ max: 10 })
+    .withMessage("language must not exceed 10 characters"),
+  query("publisher")
+    .optional()
+    .isString()
+    .withMessage("publisher must be a string")
+    .isLength({ max: 255 })
+    .withMessage("publisher must not exceed 255 characters"),
+  query("category")
+    .optional()
+    .custom((value) => UUID_PATTERN.test(value) || SLUG_PATTERN.test(value))
+    .withMessage("category must be a category UUID or slug"),
+  query("author")
+    .optional()
+    .isUUID(4)
+    .withMessage("author must be a valid UUID"),
+  query("minRating")
+    .optional()
+    .isFloat({ min: 0, max: 5 })
+    .withMessage("minRating must be between 0 and 5")
+    .toFloat(),
+  query("publishedFrom")
+    .optional()
+    .isISO8601()
+    .withMessage("publishedFrom must be a valid date"),
+  query("publishedTo")
+    .optional()
+    .isISO8601()
+    .withMessage("publishedTo must be a valid date"),
+  query("inStock")
+    .optional()
+    .isIn(["true", "false"])
+    .withMessage("inStock must be true or false"),
+];
+
+/**
+ * Validation for listing books
+ */
+export const listBooksValidation = [
+  ...rules.pagination({ cursor: true }),
+  ...bookFilterRules,
+  query("facets")
+    .optional()
+    .isIn(["true", "false"])
+    .withMessage("facets must be true or false"),
+  query("collapseEditions")
+    .optional()
+    .isIn(["true", "false"])
+    .withMessage("collapseEditions must be true or false")
+    .bail()
+    .custom((value, { req }) => value === "false" || req.query.cursor === undefined)
+    .withMessage("collapseEditions can't be combined with cursor paging"),
+  query("sort").optional().custom(sortValidator(BOOK_SORT_FIELDS)),
+  ...bookViewRules,
+  validate,
+];
+
+/**
+ * Validation for full-text book search
+ */
+export const searchBooksValidation = [
+  ...rules.pagination(),
+  query("q")
+    .notEmpty()
+    .withMessage("q is required")
+    .isString()
+    .withMessage("q must be a string")
+    .isLength({ max: 100 })
+    .withMessage("q must not exceed 100 characters"),
+  query("sort").optional().custom(sortValidator(SEARCH_SORT_FIELDS)),
+  query("format")
+    .optional()
+    .isIn(BOOK_FORMATS)
+    .withMessage(`format must be one of: ${BOOK_FORMATS.join(", ")}`),
+  query("isActive")
+    .optional()
+    .isIn(["true", "false"])
+    .withMessage("isActive must be true or false"),
+  validate,
+];
+
+/**
+ * Validation for listing trashed books
+ */
+export const listTrashedBooksValidation = [
+  ...rules.pagination(),
+  query("search")
+    .optional()
+    .isString()
+    .withMessage("search must be a string")
+    .isLength({ max: 100 })
+    .withMessage("search must not exceed 100 characters"),
+  validate,
+];
+
+/**
+ * Validation for listing a book's revision history
+ */
+export const bookHistoryValidation = [
+  rules.uuid("id", "param"),
+  ...rules.pagination(),
+  validate,
+];
+
+/**
+ * Validation for reverting a book to a revision
+ */
+export const revertBookValidation = [
+  rules.uuid("id", "param"),
+  rules.uuid("revisionId", "param"),
+  validate,
+];
+
+/**
+ * Validation for the catalog export
+ */
+export const exportBooksValidation = [
+  param("exportFormat")
+    .isIn(EXPORT_FORMATS)
+    .withMessage(`exportFormat must be one of: ${EXPORT_FORMATS.join(", ")}`),
+  ...bookFilterRules,
+  validate,
+];
+
+/**
+ * Validation for a bulk import batch
+ */
+export const importBooksValidation = [
+  body("rows")
+    .isArray({ min: 1, max: 500 })
+    .withMessage("rows must be an array of 1 to 500 books"),
+  rules.boolean("dryRun"),
+  rules.boolean("createMissing"),
   validate,
 ];
 
+/**
+ * Check a single import row against the createBookValidation rules
+ * The rules run against a standalone request object so every row gets the
+ * same checks as POST /books without going through the HTTP layer.
+ * @param {Object} row - Book fields for one import row
+ * @returns {Promise<Array<{field: string, message: string, value: *}>>} Errors, empty if valid
+ */
+export const validateBookRow = async (row) => {
+  const req = { body: row };
+  const chains = createBookValidation.filter((rule) => rule !== validate);
+
+  for (const chain of chains) {
+    await chain.run(req);
+  }
+
+  return new Promise((resolve) => {
+    validate(req, null, (err) => resolve(err ? err.errors : []));
+  });
+};
+
 export default {
   createBookValidation,
   updateBookValidation,
+  patchBookValidation,
   getBookValidation,
+  getBookByIsbnValidation,
+  getBookBySlugValidation,
   listBooksValidation,
+  searchBooksValidation,
+  importBooksValidation,
+  exportBooksValidation,
+  listTrashedBooksValidation,
+  bookHistoryValidation,
+  revertBookValidation,
 };
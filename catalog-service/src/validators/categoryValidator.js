@@ -0,0 +1,91 @@
+import { body, param, query, validate, rules } from "@bookzilla/shared";
+import { UUID_PATTERN, SLUG_PATTERN } from "../utils/patterns.js";
+
+/**
+ * Validation rules for creating a category
+ */
+export const createCategoryValidation = [
+  rules.requiredString("name", 255),
+  body("slug")
+    .optional()
+    .matches(SLUG_PATTERN)
+    .withMessage("slug must contain only lowercase letters, digits and single hyphens"),
+  rules.optionalString("description", 5000),
+  body("parentId")
+    .optional({ values: "null" })
+    .isUUID(4)
+    .withMessage("parentId must be a valid UUID"),
+  validate,
+];
+
+/**
+ * Validation rules for updating a category
+ */
+export const updateCategoryValidation = [
+  rules.uuid("id", "param"),
+  rules.optionalString("name", 255),
+  body("slug")
+    .optional()
+    .matches(SLUG_PATTERN)
+    .withMessage("slug must contain only lowercase letters, digits and single hyphens"),
+  rules.optionalString("description", 5000),
+  validate,
+];
+
+/**
+ * Validation rules for moving a category to a new parent
+ */
+export const moveCategoryValidation = [
+  rules.uuid("id", "param"),
+  body("parentId")
+    .exists()
+    .withMessage("parentId is required (use null to move to the root)")
+    .bail()
+    .custom((value) => value === null || UUID_PATTERN.test(value))
+    .withMessage("parentId must be a valid UUID or null"),
+  validate,
+];
+
+/**
+ * Validation for deleting a category by ID
+ */
+export const getCategoryValidation = [
+  rules.uuid("id", "param"),
+  validate,
+];
+
+/**
+ * Validation for fetching a category subtree by slug
+ */
+export const getCategoryBySlugValidation = [
+  param("slug")
+    .matches(SLUG_PATTERN)
+    .withMessage("slug must contain only lowercase letters, digits and single hyphens"),
+  validate,
+];
+
+/**
+ * Validation for listing books in a category
+ */
+export const listCategoryBooksValidation = [
+  param("slug")
+    .matches(SLUG_PATTERN)
+    .withMessage("slug must contain only lowercase letters, digits and single hyphens"),
+  ...rules.pagination(),
+  query("search")
+    .optional()
+    .isString()
+    .withMessage("search must be a string")
+    .isLength({ max: 100 })
+    .withMessage("search must not exceed 100 characters"),
+  validate,
+];
+
+export default {
+  createCategoryValidation,
+  updateCategoryValidation,
+  moveCategoryValidation,
+  getCategoryValidation,
+  getCategoryBySlugValidation,
+  listCategoryBooksValidation,
+};
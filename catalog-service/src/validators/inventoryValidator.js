@@ -0,0 +1,100 @@
+import { body, param, query, validate, rules } from "@bookzilla/shared";
+
+// Reason codes accepted for manual stock adjustments; INITIAL is only
+// written when a book is created
+const ADJUSTMENT_REASONS = ["RESTOCK", "RETURN", "DAMAGED", "LOST", "CORRECTION"];
+
+// Filters for the low-stock listing
+const LOW_STOCK_STATUSES = ["low_stock", "out_of_stock"];
+
+// Longest a reservation may hold units (24 hours)
+const MAX_RESERVATION_TTL_SECONDS = 24 * 60 * 60;
+
+// Most books a single reservation request may cover
+const MAX_RESERVATION_ITEMS = 100;
+
+const referenceIdParam = param("referenceId")
+  .isString()
+  .isLength({ min: 1, max: 100 })
+  .withMessage("referenceId must be 1 to 100 characters");
+
+/**
+ * Validation for reading a book's stock levels
+ */
+export const getInventoryValidation = [rules.uuid("bookId", "param"), validate];
+
+/**
+ * Validation for listing a book's inventory ledger
+ */
+export const listMovementsValidation = [
+  rules.uuid("bookId", "param"),
+  ...rules.pagination(),
+  validate,
+];
+
+/**
+ * Validation for listing books that are low on or out of stock
+ */
+export const listLowStockValidation = [
+  ...rules.pagination(),
+  query("status")
+    .optional()
+    .isIn(LOW_STOCK_STATUSES)
+    .withMessage(`status must be one of: ${LOW_STOCK_STATUSES.join(", ")}`),
+  validate,
+];
+
+/**
+ * Validation for adjusting a book's units on hand
+ */
+export const adjustStockValidation = [
+  rules.uuid("bookId", "param"),
+  body("quantity")
+    .isInt()
+    .withMessage("quantity must be an integer")
+    .not()
+    .equals("0")
+    .withMessage("quantity must not be 0")
+    .toInt(),
+  rules.enum("reason", ADJUSTMENT_REASONS),
+  rules.optionalString("note", 1000),
+  validate,
+];
+
+/**
+ * Validation for reserving units
+ */
+export const reserveValidation = [
+  rules.requiredString("referenceId", 100),
+  body("items")
+    .isArray({ min: 1, max: MAX_RESERVATION_ITEMS })
+    .withMessage(`items must be an array of 1 to ${MAX_RESERVATION_ITEMS} lines`)
+    .custom((items) => {
+      const bookIds = items.map((item) => item?.bookId);
+      if (new Set(bookIds).size !== bookIds.length) {
+        throw new Error("items must list each book once");
+      }
+      return true;
+    }),
+  body("items.*.bookId").isUUID(4).withMessage("bookId must be a valid UUID"),
+  body("items.*.quantity")
+    .isInt({ min: 1 })
+    .withMessage("quantity must be a positive integer")
+    .toInt(),
+  rules.integer("ttlSeconds", { min: 1, max: MAX_RESERVATION_TTL_SECONDS }),
+  validate,
+];
+
+/**
+ * Validation for reading, committing or releasing a reservation
+ */
+export const reservationValidation = [referenceIdParam, validate];
+
+export default {
+  getInventoryValidation,
+  listMovementsValidation,
+  listLowStockValidation,
+  adjustStockValidation,
+  reserveValidation,
+  reservationValidation,
+};
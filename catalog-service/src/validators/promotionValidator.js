@@ -0,0 +1,70 @@
+import { body, query, validate, rules } from "@bookzilla/shared";
+
+// Filters for the promotions listing
+const PROMOTION_STATUSES = ["upcoming", "active", "expired"];
+
+/**
+ * Rules shared by create and update; the service checks how they combine
+ * (one target, one kind of discount, startsAt before endsAt)
+ * @param {boolean} required - Whether name and the window are required
+ * @returns {Array} Validation chains
+ */
+const promotionFieldRules = (required) => [
+  required ? rules.requiredString("name", 255) : rules.optionalString("name", 255),
+  body(["bookId", "categoryId"])
+    .optional({ values: "null" })
+    .isUUID(4)
+    .withMessage((value, { path }) => `${path} must be a valid UUID`),
+  body("discountPrice")
+    .optional({ values: "null" })
+    .isFloat({ min: 0 })
+    .withMessage("discountPrice must be a non-negative number"),
+  body("discountPercent")
+    .optional({ values: "null" })
+    .isFloat({ gt: 0, lt: 100 })
+    .withMessage("discountPercent must be between 0 and 100 (exclusive)"),
+  rules.date("startsAt", required),
+  rules.date("endsAt", required),
+];
+
+/**
+ * Validation rules for creating a promotion
+ */
+export const createPromotionValidation = [...promotionFieldRules(true), validate];
+
+/**
+ * Validation rules for updating a promotion
+ */
+export const updatePromotionValidation = [
+  rules.uuid("id", "param"),
+  ...promotionFieldRules(false),
+  validate,
+];
+
+/**
+ * Validation for getting or deleting a promotion by ID
+ */
+export const getPromotionValidation = [rules.uuid("id", "param"), validate];
+
+/**
+ * Validation for listing promotions
+ */
+export const listPromotionsValidation = [
+  ...rules.pagination(),
+  query("status")
+    .optional()
+    .isIn(PROMOTION_STATUSES)
+    .withMessage(`status must be one of: ${PROMOTION_STATUSES.join(", ")}`),
+  query(["bookId", "categoryId"])
+    .optional()
+    .isUUID(4)
+    .withMessage((value, { path }) => `${path} must be a valid UUID`),
+  validate,
+];
+
+export default {
+  createPromotionValidation,
+  updatePromotionValidation,
+  getPromotionValidation,
+  listPromotionsValidation,
+};
@@ -0,0 +1,23 @@
+import { validate, rules } from "@bookzilla/shared";
+
+/**
+ * Validation for getting a work by ID
+ */
+export const getWorkValidation = [
+  rules.uuid("id", "param"),
+  validate,
+];
+
+/**
+ * Validation rules for updating a work
+ */
+export const updateWorkValidation = [
+  rules.uuid("id", "param"),
+  rules.requiredString("title", 500),
+  validate,
+];
+
+export default {
+  getWorkValidation,
+  updateWorkValidation,
+};
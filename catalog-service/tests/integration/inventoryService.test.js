@@ -0,0 +1,125 @@
+import { randomUUID } from "node:crypto";
+
+// Needs a migrated PostgreSQL database; skipped when DATABASE_URL is not set
+const describeWithDatabase = process.env.DATABASE_URL ? describe : describe.skip;
+
+describeWithDatabase("inventoryService stock updates", () => {
+  let prisma;
+  let inventoryService;
+  let work;
+  let book;
+
+  /**
+   * Read the book's current stock levels
+   */
+  const levels = () =>
+    prisma.book.findUnique({
+      where: { id: book.id },
+      select: { stockQuantity: true, reservedQuantity: true },
+    });
+
+  beforeAll(async () => {
+    ({ prisma } = await import("@bookzilla/database"));
+    ({ default: inventoryService } = await import("../../src/services/inventoryService.js"));
+  });
+
+  beforeEach(async () => {
+    work = await prisma.work.create({ data: { title: "Inventory test" } });
+    book = await prisma.book.create({
+      data: {
+        workId: work.id,
+        title: "Inventory test",
+        slug: `inventory-test-${randomUUID()}`,
+        description: "Book for inventory tests",
+        format: "PAPERBACK",
+        price: 10,
+        status: "PUBLISHED",
+        stockQuantity: 3,
+      },
+    });
+  });
+
+  afterEach(async () => {
+    // Reservations and movements go with the book
+    await prisma.book.delete({ where: { id: book.id } });
+    await prisma.work.delete({ where: { id: work.id } });
+  });
+
+  afterAll(async () => {
+    await prisma?.$disconnect();
+  });
+
+  it("never reserves more units than are available under concurrent requests", async () => {
+    const results = await Promise.allSettled(
+      Array.from({ length: 5 }, () =>
+        inventoryService.reserve({
+          referenceId: randomUUID(),
+          items: [{ bookId: book.id, quantity: 1 }],
+        })
+      )
+    );
+
+    const reserved = results.filter((result) => result.status === "fulfilled");
+    const refused = results.filter((result) => result.status === "rejected");
+
+    expect(reserved).toHaveLength(3);
+    expect(refused.map((result) => result.reason.statusCode)).toEqual([409, 409]);
+    await expect(levels()).resolves.toEqual({ stockQuantity: 3, reservedQuantity: 3 });
+  });
+
+  it("reserves all lines or none", async () => {
+    const other = await prisma.book.create({
+      data: {
+        workId: work.id,
+        title: "Inventory test, second edition",
+        slug: `inventory-test-${randomUUID()}`,
+        description: "Book for inventory tests",
+        format: "PAPERBACK",
+        price: 10,
+        status: "PUBLISHED",
+        stockQuantity: 1,
+      },
+    });
+
+    try {
+      await expect(
+        inventoryService.reserve({
+          referenceId: randomUUID(),
+          items: [
+            { bookId: book.id, quantity: 2 },
+            { bookId: other.id, quantity: 2 },
+          ],
+        })
+      ).rejects.toMatchObject({ statusCode: 409 });
+
+      await expect(levels()).resolves.toEqual({ stockQuantity: 3, reservedQuantity: 0 });
+    } finally {
+      await prisma.book.delete({ where: { id: other.id } });
+    }
+  });
+
+  it("takes committed units out of stock exactly once", async () => {
+    const referenceId = randomUUID();
+    await inventoryService.reserve({ referenceId, items: [{ bookId: book.id, quantity: 2 }] });
+
+    const results = await Promise.allSettled([
+      inventoryService.commit(referenceId),
+      inventoryService.commit(referenceId),
+    ]);
+
+    expect(results.filter((result) => result.status === "fulfilled")).toHaveLength(1);
+    await expect(levels()).resolves.toEqual({ stockQuantity: 1, reservedQuantity: 0 });
+  });
+
+  it("refuses to adjust stock below the reserved units", async () => {
+    await inventoryService.reserve({
+      referenceId: randomUUID(),
+      items: [{ bookId: book.id, quantity: 2 }],
+    });
+
+    await expect(
+      inventoryService.adjustStock(book.id, { quantity: -2, reason: "DAMAGED" })
+    ).rejects.toMatchObject({ statusCode: 409 });
+    await expect(levels()).resolves.toEqual({ stockQuantity: 3, reservedQuantity: 2 });
+  });
+});
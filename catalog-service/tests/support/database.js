@@ -0,0 +1,27 @@
+/**
+ * Stand-in for @bookzilla/database in unit tests
+ * Unit tests never reach PostgreSQL: each test gives `prisma` the model
+ * methods it needs, and resetPrisma() clears them between tests.
+ */
+
+export const prisma = {};
+
+export const Prisma = {
+  PrismaClientKnownRequestError: class PrismaClientKnownRequestError extends Error {
+    constructor(message, { code } = {}) {
+      super(message);
+      this.code = code;
+    }
+  },
+};
+
+/**
+ * Remove every method a test gave the client
+ */
+export const resetPrisma = () => {
+  for (const key of Object.keys(prisma)) {
+    delete prisma[key];
+  }
+};
+
+export default { prisma, Prisma, resetPrisma };
@@ -0,0 +1,2 @@
+// Configuration the shared package requires at import time
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
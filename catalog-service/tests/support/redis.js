@@ -0,0 +1,66 @@
+/**
+ * In-memory stand-in for the ioredis client, covering the commands
+ * cacheService uses. Expiry is ignored. Set `failing` to make every
+ * command reject, as when Redis is down.
+ */
+export const createFakeRedis = () => {
+  const store = new Map();
+
+  const redis = {
+    store,
+    failing: false,
+    status: "ready",
+
+    async run(command) {
+      if (redis.failing) {
+        throw new Error("Connection is closed.");
+      }
+      return command();
+    },
+
+    mget: (...keys) => redis.run(() => keys.map((key) => store.get(key) ?? null)),
+    get: (key) => redis.run(() => store.get(key) ?? null),
+
+    set: (key, value, ...options) =>
+      redis.run(() => {
+        if (options.includes("NX") && store.has(key)) {
+          return null;
+        }
+        store.set(key, value);
+        return "OK";
+      }),
+
+    incr: (key) =>
+      redis.run(() => {
+        const value = Number(store.get(key) ?? 0) + 1;
+        store.set(key, String(value));
+        return value;
+      }),
+
+    del: (key) => redis.run(() => Number(store.delete(key))),
+
+    // Only the lock release script is supported
+    eval: (script, keyCount, key, token) =>
+      redis.run(() => (store.get(key) === token ? Number(store.delete(key)) : 0)),
+
+    pipeline() {
+      const commands = [];
+      const pipeline = {
+        incr: (key) => commands.push(() => redis.incr(key)) && pipeline,
+        del: (key) => commands.push(() => redis.del(key)) && pipeline,
+        exec: async () => {
+          const results = [];
+          for (const command of commands) {
+            results.push([null, await command()]);
+          }
+          return results;
+        },
+      };
+      return pipeline;
+    },
+  };
+
+  return redis;
+};
+
+export default { createFakeRedis };
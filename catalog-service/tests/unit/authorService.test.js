@@ -0,0 +1,47 @@
+import { prisma, resetPrisma } from "@bookzilla/database";
+import authorService from "../../src/services/authorService.js";
+
+const author = { id: "author-1", name: "Frank Herbert", books: [], _count: { books: 2 } };
+
+describe("authorService booksCount", () => {
+  let queries;
+
+  beforeEach(() => {
+    queries = [];
+    prisma.author = {
+      findMany: async (query) => {
+        queries.push(query);
+        return [author];
+      },
+      findUnique: async (query) => {
+        queries.push(query);
+        return author;
+      },
+      count: async () => 1,
+    };
+  });
+
+  afterEach(() => {
+    resetPrisma();
+  });
+
+  const countWhere = (query) => query.include._count.select.books.where.book;
+
+  it("counts only published books for public callers", async () => {
+    await authorService.getAuthors({});
+    await authorService.getAuthorById("author-1");
+
+    expect(queries.map(countWhere)).toEqual([
+      { deletedAt: null, isActive: true },
+      { deletedAt: null, isActive: true },
+    ]);
+  });
+
+  it("counts every book outside the trash for admins", async () => {
+    await authorService.getAuthors({ visibility: "admin" });
+    const found = await authorService.getAuthorById("author-1", "admin");
+
+    expect(queries.map(countWhere)).toEqual([{ deletedAt: null }, { deletedAt: null }]);
+    expect(found.booksCount).toBe(2);
+  });
+});
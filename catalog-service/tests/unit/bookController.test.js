@@ -0,0 +1,112 @@
+import bookController from "../../src/controllers/bookController.js";
+import bookService from "../../src/services/bookService.js";
+
+/**
+ * Minimal Express response that records what was sent
+ */
+const createResponse = () => {
+  const res = {
+    headers: {},
+    set: (name, value) => {
+      res.headers[name] = value;
+      return res;
+    },
+    vary: () => res,
+    status: (code) => {
+      res.statusCode = code;
+      return res;
+    },
+    json: (body) => {
+      res.body = body;
+      return res;
+    },
+    end: () => res,
+    redirect: (code, location) => {
+      res.statusCode = code;
+      res.headers.Location = location;
+      return res;
+    },
+  };
+  return res;
+};
+
+describe("bookController.getBySlug", () => {
+  const book = { id: "book-1", slug: "dune-frank-herbert", version: 3 };
+  const { resolveSlug, getBookById } = bookService;
+  let reads;
+
+  beforeEach(() => {
+    reads = [];
+    bookService.resolveSlug = async () => ({ id: book.id, slug: book.slug });
+    bookService.getBookById = async (id, options) => {
+      reads.push({ id, options });
+      return book;
+    };
+  });
+
+  afterEach(() => {
+    bookService.resolveSlug = resolveSlug;
+    bookService.getBookById = getBookById;
+  });
+
+  it("reads the book through getBookById with the requested view", async () => {
+    const req = {
+      params: { slug: "dune-frank-herbert" },
+      query: { fields: "title,slug", include: "authors" },
+      headers: {},
+      originalUrl: "/books/slug/dune-frank-herbert?fields=title,slug&include=authors",
+    };
+    const res = createResponse();
+
+    await bookController.getBySlug(req, res);
+
+    expect(reads).toEqual([
+      {
+        id: "book-1",
+        options: { fields: ["title", "slug"], include: ["authors"], visibility: "public" },
+      },
+    ]);
+    expect(res.statusCode).toBe(200);
+    expect(res.headers.ETag).toMatch(/^"3-/);
+  });
+
+  it("redirects an old slug temporarily to the absolute current path, keeping the query", async () => {
+    const req = {
+      params: { slug: "dune" },
+      query: { fields: "title" },
+      headers: {},
+      originalUrl: "/books/slug/dune?fields=title",
+    };
+    const res = createResponse();
+
+    await bookController.getBySlug(req, res);
+
+    expect(res.statusCode).toBe(302);
+    expect(res.headers.Location).toBe("/books/slug/dune-frank-herbert?fields=title");
+    expect(reads).toEqual([]);
+  });
+});
+
+describe("bookController.list", () => {
+  const { getBooks } = bookService;
+  const listing = { books: [{ id: "book-1", version: 1 }], pagination: { total: 1 } };
+
+  beforeEach(() => {
+    bookService.getBooks = async () => listing;
+  });
+
+  afterEach(() => {
+    bookService.getBooks = getBooks;
+  });
+
+  it("validates listings by ETag alone", async () => {
+    const req = { query: {}, headers: { "if-modified-since": new Date().toUTCString() } };
+    const res = createResponse();
+
+    await bookController.list(req, res);
+
+    expect(res.headers.ETag).toMatch(/^W\//);
+    expect(res.headers).not.toHaveProperty("Last-Modified");
+    expect(res.statusCode).toBe(200);
+  });
+});
@@ -0,0 +1,103 @@
+import { prisma, resetPrisma } from "@bookzilla/database";
+import { toBookSnapshot, getRevertUpdate } from "../../src/services/bookHistory.js";
+
+const book = {
+  workId: null,
+  isbn: "0306406152",
+  isbn13: "9780306406157",
+  title: "Dune",
+  publicationDate: new Date("1965-08-01T00:00:00.000Z"),
+  price: "19.99",
+  discountPrice: null,
+  stockQuantity: 4,
+  status: "PUBLISHED",
+  publishAt: null,
+  deletedAt: null,
+  authors: [{ authorId: "author-1" }, { authorId: "author-2" }],
+  categories: [
+    { categoryId: "category-1", isPrimary: false },
+    { categoryId: "category-2", isPrimary: true },
+  ],
+};
+
+describe("toBookSnapshot", () => {
+  it("captures fields and relations as JSON-safe values", () => {
+    expect(toBookSnapshot(book)).toMatchObject({
+      title: "Dune",
+      publicationDate: "1965-08-01",
+      price: 19.99,
+      discountPrice: null,
+      status: "PUBLISHED",
+      deletedAt: null,
+      authorIds: ["author-1", "author-2"],
+      categoryIds: ["category-1", "category-2"],
+      primaryCategoryId: "category-2",
+    });
+  });
+});
+
+describe("getRevertUpdate", () => {
+  const answer = (entry) => {
+    prisma.auditLog = { findFirst: async () => entry };
+  };
+
+  afterEach(() => {
+    resetPrisma();
+  });
+
+  it("replays the revision's after snapshot, keeping stock and trash state", async () => {
+    answer({ after: { ...toBookSnapshot(book), isActive: true } });
+
+    const update = await getRevertUpdate("book-1", "revision-1");
+
+    expect(update).toMatchObject({
+      title: "Dune",
+      authorIds: ["author-1", "author-2"],
+      primaryCategoryId: "category-2",
+      relationMode: "replace",
+    });
+    expect(update).not.toHaveProperty("stockQuantity");
+    expect(update).not.toHaveProperty("deletedAt");
+    expect(update).not.toHaveProperty("isActive");
+  });
+
+  it("replays publishAt only for a scheduled revision", async () => {
+    const publishAt = "2026-12-01T09:00:00.000Z";
+
+    answer({ after: { ...toBookSnapshot(book), publishAt } });
+    expect((await getRevertUpdate("book-1", "revision-1")).publishAt).toBeUndefined();
+
+    answer({ after: { ...toBookSnapshot(book), status: "SCHEDULED", publishAt } });
+    expect((await getRevertUpdate("book-1", "revision-1")).publishAt).toBe(publishAt);
+  });
+
+  it("leaves the primary category alone when the revision had none", async () => {
+    answer({ after: { ...toBookSnapshot(book), primaryCategoryId: null } });
+
+    const update = await getRevertUpdate("book-1", "revision-1");
+
+    expect(update.primaryCategoryId).toBeUndefined();
+  });
+
+  it.each([
+    ["deleted the book", { after: null }],
+    [
+      "moved the book to the trash",
+      { after: { ...toBookSnapshot(book), deletedAt: "2026-01-01T00:00:00.000Z" } },
+    ],
+  ])("rejects a revision that %s", async (_, entry) => {
+    answer(entry);
+
+    await expect(getRevertUpdate("book-1", "revision-1")).rejects.toMatchObject({
+      statusCode: 400,
+    });
+  });
+
+  it("reports a revision of another book as not found", async () => {
+    answer(null);
+
+    await expect(getRevertUpdate("book-1", "revision-1")).rejects.toMatchObject({
+      statusCode: 404,
+    });
+  });
+});
@@ -0,0 +1,50 @@
+import { prisma, resetPrisma } from "@bookzilla/database";
+import bookService from "../../src/services/bookService.js";
+import bookImportService from "../../src/services/bookImportService.js";
+
+const row = {
+  isbn: "0306406152",
+  title: "Dune",
+  description: "Desert planet",
+  format: "PAPERBACK",
+  price: 12.5,
+  stockQuantity: 7,
+};
+
+describe("bookImportService.importBooks", () => {
+  const { updateBook } = bookService;
+  let updates;
+
+  beforeEach(() => {
+    updates = [];
+
+    prisma.book = { findFirst: async () => ({ id: "book-1" }) };
+    prisma.author = { findMany: async () => [{ id: "author-1", name: "Frank Herbert" }] };
+    bookService.updateBook = async (id, data) => {
+      updates.push({ id, data });
+      return { id };
+    };
+  });
+
+  afterEach(() => {
+    bookService.updateBook = updateBook;
+    resetPrisma();
+  });
+
+  it("keeps an existing book's authors and categories when the row names none", async () => {
+    const result = await bookImportService.importBooks([row]);
+
+    expect(result.rows).toEqual([expect.objectContaining({ status: "updated", id: "book-1" })]);
+    expect(updates).toHaveLength(1);
+    expect(updates[0].data).toMatchObject({ price: 12.5, stockQuantity: 7 });
+    expect(updates[0].data.authorIds).toBeUndefined();
+    expect(updates[0].data.categoryIds).toBeUndefined();
+  });
+
+  it("replaces only the relations the row names", async () => {
+    await bookImportService.importBooks([{ ...row, authors: ["Frank Herbert"] }]);
+
+    expect(updates[0].data.authorIds).toEqual(["author-1"]);
+    expect(updates[0].data.categoryIds).toBeUndefined();
+  });
+});
@@ -0,0 +1,51 @@
+import { prisma, resetPrisma } from "@bookzilla/database";
+import bookService from "../../src/services/bookService.js";
+import cacheService from "../../src/services/cacheService.js";
+import { createFakeRedis } from "../support/redis.js";
+
+const rows = [
+  { id: "book-1", version: 1, title: "Dune" },
+  { id: "book-2", version: 4, title: "Emma" },
+];
+
+describe("bookService.getBooks", () => {
+  let queries;
+
+  beforeEach(() => {
+    queries = [];
+    prisma.book = {
+      findMany: async (query) => {
+        queries.push(query);
+        return rows;
+      },
+      count: async () => rows.length,
+    };
+    cacheService.client = createFakeRedis();
+  });
+
+  afterEach(() => {
+    resetPrisma();
+  });
+
+  it("loads only the columns of the requested fields", async () => {
+    const listing = await bookService.getBooks({ fields: ["title"] });
+
+    expect(queries[0].select).toEqual({ id: true, version: true, title: true });
+    expect(listing.books[0]).toEqual({ id: "book-1", version: 1, title: "Dune" });
+    expect(listing.pagination).toMatchObject({ total: 2 });
+  });
+
+  it("serves a repeated public page from the cache", async () => {
+    await bookService.getBooks({ fields: ["title"] });
+    const listing = await bookService.getBooks({ fields: ["title"] });
+
+    expect(queries).toHaveLength(1);
+    expect(listing.books).toHaveLength(2);
+  });
+
+  it("carries no modification date, which a book leaving the page wouldn't move", async () => {
+    const listing = await bookService.getBooks({ fields: ["title"] });
+
+    expect(listing).not.toHaveProperty("lastModified");
+  });
+});
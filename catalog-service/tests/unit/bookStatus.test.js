@@ -0,0 +1,163 @@
+import { ValidationError } from "@bookzilla/shared";
+import { resolveStatus, assertPublishable } from "../../src/services/bookStatus.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const book = (overrides = {}) => ({
+  status: "DRAFT",
+  publishAt: null,
+  coverImageUrl: "https://example.com/dune.jpg",
+  price: "19.99",
+  authors: [{ authorId: "author-1" }],
+  categories: [{ categoryId: "category-1" }],
+  ...overrides,
+});
+
+const fieldsOf = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    expect(error).toBeInstanceOf(ValidationError);
+    return error.errors.map(({ field }) => field);
+  }
+  throw new Error("Expected a ValidationError");
+};
+
+describe("resolveStatus", () => {
+  it("creates drafts when neither status nor isActive is given", () => {
+    expect(resolveStatus(null, {})).toEqual({ status: "DRAFT", publishAt: null });
+  });
+
+  it("leaves the status alone when an update doesn't touch it", () => {
+    expect(resolveStatus(book({ status: "PUBLISHED" }), {})).toEqual({});
+  });
+
+  it("stamps publishAt when publishing and keeps it once live", () => {
+    const wentLive = new Date("2026-01-01T00:00:00.000Z");
+
+    expect(resolveStatus(book(), { status: "PUBLISHED" }).publishAt).toBeInstanceOf(Date);
+    expect(
+      resolveStatus(book({ status: "PUBLISHED", publishAt: wentLive }), { status: "PUBLISHED" })
+    ).toEqual({ status: "PUBLISHED", publishAt: wentLive });
+  });
+
+  it("schedules for a future publishAt", () => {
+    const at = new Date(Date.now() + HOUR_MS);
+
+    expect(resolveStatus(book(), { status: "SCHEDULED", publishAt: at.toISOString() })).toEqual({
+      status: "SCHEDULED",
+      publishAt: at,
+    });
+  });
+
+  it("moves the publish time of an already scheduled book", () => {
+    const scheduled = book({ status: "SCHEDULED", publishAt: new Date(Date.now() + HOUR_MS) });
+    const at = new Date(Date.now() + 2 * HOUR_MS);
+
+    expect(resolveStatus(scheduled, { publishAt: at })).toEqual({
+      status: "SCHEDULED",
+      publishAt: at,
+    });
+  });
+
+  it.each([[undefined], [null], [new Date(Date.now() - HOUR_MS).toISOString()]])(
+    "rejects scheduling with publishAt %p",
+    (publishAt) => {
+      expect(fieldsOf(() => resolveStatus(book(), { status: "SCHEDULED", publishAt }))).toEqual([
+        "publishAt",
+      ]);
+    }
+  );
+
+  it("rejects a publishAt for any status but SCHEDULED", () => {
+    const publishAt = new Date(Date.now() + HOUR_MS).toISOString();
+
+    expect(fieldsOf(() => resolveStatus(null, { publishAt }))).toEqual(["publishAt"]);
+    expect(fieldsOf(() => resolveStatus(book({ status: "PUBLISHED" }), { publishAt }))).toEqual([
+      "publishAt",
+    ]);
+    expect(fieldsOf(() => resolveStatus(book(), { status: "ARCHIVED", publishAt }))).toEqual([
+      "publishAt",
+    ]);
+  });
+
+  it("maps isActive true to PUBLISHED", () => {
+    expect(resolveStatus(null, { isActive: true }).status).toBe("PUBLISHED");
+    expect(resolveStatus(book(), { isActive: true }).status).toBe("PUBLISHED");
+  });
+
+  it("maps isActive false to DRAFT for new and live books", () => {
+    expect(resolveStatus(null, { isActive: false })).toEqual({ status: "DRAFT", publishAt: null });
+    expect(resolveStatus(book({ status: "PUBLISHED" }), { isActive: false }).status).toBe("DRAFT");
+  });
+
+  it("keeps the status of a book that is already out of the catalog on isActive false", () => {
+    expect(resolveStatus(book({ status: "ARCHIVED" }), { isActive: false })).toEqual({
+      status: "ARCHIVED",
+    });
+  });
+
+  it("accepts isActive alongside a status it agrees with", () => {
+    expect(resolveStatus(book(), { status: "PUBLISHED", isActive: true }).status).toBe("PUBLISHED");
+    expect(resolveStatus(book(), { status: "ARCHIVED", isActive: false }).status).toBe("ARCHIVED");
+  });
+
+  it.each([
+    ["DRAFT", true],
+    ["PUBLISHED", false],
+  ])("rejects status %s with isActive %p", (status, isActive) => {
+    expect(fieldsOf(() => resolveStatus(book(), { status, isActive }))).toEqual(["isActive"]);
+  });
+});
+
+describe("assertPublishable", () => {
+  it("lets drafts and archived books miss publishing requirements", () => {
+    const bare = { coverImageUrl: null, price: null, authors: [], categories: [] };
+
+    expect(() => assertPublishable(book({ ...bare, status: "DRAFT" }))).not.toThrow();
+    expect(() => assertPublishable(book({ ...bare, status: "ARCHIVED" }))).not.toThrow();
+  });
+
+  it("accepts a complete published book", () => {
+    expect(() => assertPublishable(book({ status: "PUBLISHED" }))).not.toThrow();
+  });
+
+  it.each([["SCHEDULED"], ["PUBLISHED"]])("lists everything a %s book is missing", (status) => {
+    const incomplete = book({
+      status,
+      coverImageUrl: null,
+      price: null,
+      authors: [],
+      categories: [],
+    });
+
+    expect(fieldsOf(() => assertPublishable(incomplete))).toEqual([
+      "coverImageUrl",
+      "price",
+      "authorIds",
+      "categoryIds",
+    ]);
+  });
+
+  it("lets a live book keep missing what it already missed", () => {
+    const legacy = book({ status: "PUBLISHED", coverImageUrl: null, categories: [] });
+
+    expect(() => assertPublishable({ ...legacy, price: "9.99" }, legacy)).not.toThrow();
+  });
+
+  it("rejects a write that removes a requirement a live book met", () => {
+    const legacy = book({ status: "PUBLISHED", coverImageUrl: null });
+
+    expect(fieldsOf(() => assertPublishable({ ...legacy, authors: [] }, legacy))).toEqual([
+      "authorIds",
+    ]);
+  });
+
+  it("checks every requirement when a write publishes the book", () => {
+    const draft = book({ coverImageUrl: null });
+
+    expect(fieldsOf(() => assertPublishable({ ...draft, status: "PUBLISHED" }, draft))).toEqual([
+      "coverImageUrl",
+    ]);
+  });
+});
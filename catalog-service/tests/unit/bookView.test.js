@@ -0,0 +1,148 @@
+import {
+  BOOK_INCLUDE,
+  resolveView,
+  withFields,
+  buildBookQuery,
+  pickFields,
+  formatBookResponse,
+  reviveBook,
+} from "../../src/services/bookView.js";
+
+const book = {
+  id: "book-1",
+  title: "Dune",
+  price: "19.99",
+  discountPrice: null,
+  effectivePrice: "19.99",
+  stockQuantity: 5,
+  reservedQuantity: 2,
+  version: 3,
+  authors: [{ authorOrder: 0, author: { id: "author-1", name: "Frank Herbert" } }],
+  categories: [
+    {
+      isPrimary: true,
+      categoryId: "category-1",
+      category: { id: "category-1", name: "SF", slug: "sf" },
+    },
+  ],
+};
+
+describe("resolveView", () => {
+  it("returns null when neither fields nor include is given", () => {
+    expect(resolveView({})).toBeNull();
+  });
+
+  it("always keeps id and version", () => {
+    const view = resolveView({ fields: ["title"] });
+
+    expect([...view.fields].sort()).toEqual(["id", "title", "version"]);
+    expect(view.include.size).toBe(0);
+  });
+
+  it("selects every field when only include is given", () => {
+    const view = resolveView({ include: ["authors"] });
+
+    expect(view.fields.has("effectivePrice")).toBe(true);
+    expect(view.include).toEqual(new Set(["authors"]));
+  });
+});
+
+describe("withFields", () => {
+  it("widens a view and leaves the whole book alone", () => {
+    expect(withFields(resolveView({ fields: ["title"] }), ["slug"]).fields.has("slug")).toBe(true);
+    expect(withFields(null, ["slug"])).toBeNull();
+  });
+});
+
+describe("buildBookQuery", () => {
+  it("includes every relation for the whole book", () => {
+    expect(buildBookQuery(null)).toEqual({ include: BOOK_INCLUDE });
+  });
+
+  it("selects the columns behind each field plus extra columns", () => {
+    const { select } = buildBookQuery(resolveView({ fields: ["availableQuantity"] }), [
+      "lastModifiedAt",
+    ]);
+
+    expect(select).toEqual({
+      id: true,
+      version: true,
+      stockQuantity: true,
+      reservedQuantity: true,
+      lastModifiedAt: true,
+    });
+  });
+
+  it("loads category ids alone when the price is shown without categories", () => {
+    const { select } = buildBookQuery(resolveView({ fields: ["effectivePrice"] }));
+
+    expect(select.categories).toEqual({ select: { categoryId: true } });
+  });
+
+  it("loads requested relations in full", () => {
+    const { select } = buildBookQuery(resolveView({ fields: ["title"], include: ["authors"] }));
+
+    expect(select.authors).toBe(BOOK_INCLUDE.authors);
+    expect(select.categories).toBeUndefined();
+  });
+});
+
+describe("formatBookResponse", () => {
+  it("flattens relations and derives the available quantity", () => {
+    const formatted = formatBookResponse(book);
+
+    expect(formatted).toMatchObject({
+      availableQuantity: 3,
+      effectivePrice: "19.99",
+      promotion: null,
+      authors: [{ id: "author-1", name: "Frank Herbert", order: 0 }],
+      categories: [{ id: "category-1", name: "SF", slug: "sf", isPrimary: true }],
+    });
+  });
+
+  it("prefers the current price when one is given", () => {
+    const promotion = { id: "promo-1" };
+    const formatted = formatBookResponse(book, { effectivePrice: "15.99", promotion });
+
+    expect(formatted.effectivePrice).toBe("15.99");
+    expect(formatted.promotion).toBe(promotion);
+  });
+
+  it("skips categories loaded only for pricing", () => {
+    const formatted = formatBookResponse(book, undefined, resolveView({ fields: ["title"] }));
+
+    expect(formatted.categories).toBeUndefined();
+  });
+});
+
+describe("pickFields", () => {
+  it("keeps the view's fields and relations only", () => {
+    const view = resolveView({ fields: ["title"], include: ["authors"] });
+
+    expect(Object.keys(pickFields(formatBookResponse(book), view)).sort()).toEqual([
+      "authors",
+      "id",
+      "title",
+      "version",
+    ]);
+  });
+
+  it("returns the whole book without a view", () => {
+    const formatted = formatBookResponse(book);
+
+    expect(pickFields(formatted, null)).toBe(formatted);
+  });
+});
+
+describe("reviveBook", () => {
+  it("restores dates parsed from the cache", () => {
+    const revived = reviveBook({
+      id: "book-1",
+      createdAt: "2026-01-02T03:04:05.000Z",
+      deletedAt: null,
+    });
+
+    expect(revived.createdAt).toEqual(new Date("2026-01-02T03:04:05.000Z"));
+    expect(revived.deletedAt).toBeNull();
+  });
+});
@@ -0,0 +1,194 @@
+import cacheService from "../../src/services/cacheService.js";
+import { createFakeRedis } from "../support/redis.js";
+
+/**
+ * Loader that counts its calls and returns the next value each time
+ */
+const createLoader = (...values) => {
+  const load = async () => {
+    load.calls += 1;
+    return values[Math.min(load.calls, values.length) - 1];
+  };
+  load.calls = 0;
+  return load;
+};
+
+describe("cacheService", () => {
+  let redis;
+
+  beforeEach(() => {
+    redis = createFakeRedis();
+    cacheService.client = redis;
+    cacheService.inflight.clear();
+    cacheService.stats = { hits: 0, misses: 0, bypasses: 0, errors: 0 };
+  });
+
+  describe("getBook", () => {
+    it("loads a missing book once and serves it from the cache afterwards", async () => {
+      const load = createLoader({ id: "book-1", title: "Dune" });
+
+      await expect(cacheService.getBook("book-1", load)).resolves.toEqual({
+        id: "book-1",
+        title: "Dune",
+      });
+      await expect(cacheService.getBook("book-1", load)).resolves.toEqual({
+        id: "book-1",
+        title: "Dune",
+      });
+
+      expect(load.calls).toBe(1);
+      expect(cacheService.getStats()).toMatchObject({ hits: 1, misses: 1, hitRate: 0.5 });
+    });
+
+    it("stores entries under the book's version key", async () => {
+      await cacheService.getBook("book-1", createLoader({ id: "book-1" }));
+
+      expect(JSON.parse(redis.store.get("catalog:cache:book:book-1"))).toEqual({
+        version: "0",
+        value: { id: "book-1" },
+      });
+      expect(redis.store.has("catalog:cache:book:book-1:lock")).toBe(false);
+    });
+
+    it("caches each variant separately", async () => {
+      const full = createLoader({ id: "book-1", title: "Dune", price: 10 });
+      const sparse = createLoader({ id: "book-1", title: "Dune" });
+      const variant = { fields: ["title"] };
+
+      await cacheService.getBook("book-1", full);
+      await expect(cacheService.getBook("book-1", sparse, { variant })).resolves.toEqual({
+        id: "book-1",
+        title: "Dune",
+      });
+      await cacheService.getBook("book-1", sparse, { variant: { fields: ["title"] } });
+
+      expect(full.calls).toBe(1);
+      expect(sparse.calls).toBe(1);
+    });
+
+    it("skips the cache when bypassed", async () => {
+      const load = createLoader({ id: "book-1" });
+
+      await cacheService.getBook("book-1", load, { bypass: true });
+      await cacheService.getBook("book-1", load, { bypass: true });
+
+      expect(load.calls).toBe(2);
+      expect(redis.store.size).toBe(0);
+      expect(cacheService.stats.bypasses).toBe(2);
+    });
+
+    it("shares one load between concurrent misses", async () => {
+      const load = createLoader({ id: "book-1" });
+
+      await Promise.all([
+        cacheService.getBook("book-1", load),
+        cacheService.getBook("book-1", load),
+        cacheService.getBook("book-1", load),
+      ]);
+
+      expect(load.calls).toBe(1);
+    });
+
+    it("falls back to the database when Redis fails", async () => {
+      redis.failing = true;
+      const load = createLoader({ id: "book-1" });
+
+      await expect(cacheService.getBook("book-1", load)).resolves.toEqual({ id: "book-1" });
+      await cacheService.getBook("book-1", load);
+
+      expect(load.calls).toBe(2);
+      expect(cacheService.stats.errors).toBeGreaterThan(0);
+    });
+  });
+
+  describe("invalidateBooks", () => {
+    it("retires the book, all its variants and every listing", async () => {
+      const book = createLoader({ title: "Dune" }, { title: "Dune Messiah" });
+      const sparse = createLoader({ title: "Dune" }, { title: "Dune Messiah" });
+      const listing = createLoader({ books: [1] }, { books: [1, 2] });
+
+      await cacheService.getBook("book-1", book);
+      await cacheService.getBook("book-1", sparse, { variant: { fields: ["title"] } });
+      await cacheService.getListing({ page: 1 }, listing);
+
+      await cacheService.invalidateBooks(["book-1", "book-1"]);
+
+      await expect(cacheService.getBook("book-1", book)).resolves.toEqual({
+        title: "Dune Messiah",
+      });
+      await expect(
+        cacheService.getBook("book-1", sparse, { variant: { fields: ["title"] } })
+      ).resolves.toEqual({ title: "Dune Messiah" });
+      await expect(cacheService.getListing({ page: 1 }, listing)).resolves.toEqual({
+        books: [1, 2],
+      });
+      expect(redis.store.get("catalog:cache:book:book-1:version")).toBe("1");
+      expect(redis.store.get("catalog:cache:listings:version")).toBe("1");
+    });
+
+    it("leaves other books cached", async () => {
+      const other = createLoader({ id: "book-2" });
+      await cacheService.getBook("book-2", other);
+
+      await cacheService.invalidateBooks(["book-1"]);
+      await cacheService.getBook("book-2", other);
+
+      expect(other.calls).toBe(1);
+    });
+
+    it("never serves an entry loaded while the book was being written", async () => {
+      const load = async () => {
+        load.calls = (load.calls ?? 0) + 1;
+        if (load.calls === 1) {
+          // The write commits and invalidates while this stale read is in flight
+          await cacheService.invalidateBooks(["book-1"]);
+          return { title: "Stale" };
+        }
+        return { title: "Fresh" };
+      };
+
+      await expect(cacheService.getBook("book-1", load)).resolves.toEqual({ title: "Stale" });
+      await expect(cacheService.getBook("book-1", load)).resolves.toEqual({ title: "Fresh" });
+    });
+  });
+
+  describe("getListing", () => {
+    it("keys listings by their options, whatever their order", async () => {
+      const load = createLoader({ books: [] });
+
+      await cacheService.getListing({ page: 1, sort: "title", search: undefined }, load);
+      await cacheService.getListing({ sort: "title", page: 1 }, load);
+      await cacheService.getListing({ sort: "title", page: 2 }, load);
+
+      expect(load.calls).toBe(2);
+    });
+
+    it("keeps single books cached when only listings are retired", async () => {
+      const book = createLoader({ id: "book-1" });
+      const listing = createLoader({ books: [1] }, { books: [2] });
+
+      await cacheService.getBook("book-1", book);
+      await cacheService.getListing({ page: 1 }, listing);
+
+      await cacheService.invalidateListings();
+
+      await cacheService.getBook("book-1", book);
+      await expect(cacheService.getListing({ page: 1 }, listing)).resolves.toEqual({
+        books: [2],
+      });
+      expect(book.calls).toBe(1);
+    });
+  });
+
+  it("loads directly when caching is off", async () => {
+    cacheService.client = null;
+    const load = createLoader({ id: "book-1" });
+
+    await cacheService.getBook("book-1", load);
+    await cacheService.getBook("book-1", load);
+    await cacheService.invalidateBooks(["book-1"]);
+
+    expect(load.calls).toBe(2);
+    expect(cacheService.getStats()).toMatchObject({ enabled: false, hitRate: null });
+  });
+});
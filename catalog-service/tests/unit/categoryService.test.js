@@ -0,0 +1,74 @@
+import { prisma, resetPrisma } from "@bookzilla/database";
+import categoryService from "../../src/services/categoryService.js";
+import promotionService from "../../src/services/promotionService.js";
+import cacheService from "../../src/services/cacheService.js";
+
+const category = (id, parentId = null) => ({
+  id,
+  name: id,
+  slug: id,
+  description: null,
+  parentId,
+});
+
+describe("categoryService.moveCategory", () => {
+  const { refreshEffectivePrices } = promotionService;
+  const { invalidateBooks } = cacheService;
+  let events;
+
+  beforeEach(() => {
+    events = [];
+
+    // fiction > fantasy > epic-fantasy, plus a separate sale root
+    const tree = [
+      category("fiction"),
+      category("fantasy", "fiction"),
+      category("epic-fantasy", "fantasy"),
+      category("sale"),
+    ];
+    const inTransaction = {
+      category: {
+        update: async ({ where, data }) => ({ ...tree.find((c) => c.id === where.id), ...data }),
+      },
+      bookCategory: {
+        findMany: async ({ where }) => {
+          events.push({ type: "links", categoryIds: where.categoryId.in });
+          return [{ bookId: "book-1" }, { bookId: "book-2" }];
+        },
+      },
+      auditLog: { create: async () => {} },
+    };
+
+    prisma.category = { findMany: async () => tree };
+    prisma.$transaction = async (fn) => {
+      const result = await fn(inTransaction);
+      events.push({ type: "commit" });
+      return result;
+    };
+    promotionService.refreshEffectivePrices = async (bookIds, client) => {
+      events.push({ type: "reprice", bookIds, inTransaction: client === inTransaction });
+      return 0;
+    };
+    cacheService.invalidateBooks = async (bookIds) => {
+      events.push({ type: "invalidate", bookIds });
+    };
+  });
+
+  afterEach(() => {
+    promotionService.refreshEffectivePrices = refreshEffectivePrices;
+    cacheService.invalidateBooks = invalidateBooks;
+    resetPrisma();
+  });
+
+  it("reprices the moved subtree's books inside the move, then invalidates them", async () => {
+    const moved = await categoryService.moveCategory("fantasy", "sale");
+
+    expect(moved.parentId).toBe("sale");
+    expect(events).toEqual([
+      { type: "links", categoryIds: ["fantasy", "epic-fantasy"] },
+      { type: "reprice", bookIds: ["book-1", "book-2"], inTransaction: true },
+      { type: "commit" },
+      { type: "invalidate", bookIds: ["book-1", "book-2"] },
+    ]);
+  });
+});
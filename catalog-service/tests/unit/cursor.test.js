@@ -0,0 +1,40 @@
+import { encodeCursor, decodeCursor } from "@bookzilla/shared/utils/cursor";
+
+describe("encodeCursor / decodeCursor", () => {
+  it("round-trips a keyset position", () => {
+    const payload = { s: "createdAt:desc", v: ["2026-01-02T03:04:05.000Z", "book-1"] };
+
+    expect(decodeCursor(encodeCursor(payload))).toEqual(payload);
+  });
+
+  it("keeps null sort values so nullable keys can resume", () => {
+    const payload = { s: "price:asc", v: [null, "book-2"] };
+
+    expect(decodeCursor(encodeCursor(payload))).toEqual(payload);
+  });
+
+  it("produces URL-safe cursors", () => {
+    const cursor = encodeCursor({ v: ["??>>~~ÿ", "東京"] });
+
+    expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+  });
+
+  it.each([[undefined], [null], [""], [42], [{ v: [] }]])(
+    "returns null for non-string input %p",
+    (input) => {
+      expect(decodeCursor(input)).toBeNull();
+    }
+  );
+
+  it("returns null for a cursor that is not base64url JSON", () => {
+    expect(decodeCursor("not a cursor")).toBeNull();
+    expect(decodeCursor(Buffer.from("{broken", "utf8").toString("base64url"))).toBeNull();
+  });
+
+  it.each([["[1,2]"], ["null"], ["42"], ['"text"']])(
+    "returns null when the payload %s is not an object",
+    (json) => {
+      expect(decodeCursor(Buffer.from(json, "utf8").toString("base64url"))).toBeNull();
+    }
+  );
+});
@@ -0,0 +1,87 @@
+import { prisma, resetPrisma } from "@bookzilla/database";
+import eventService from "../../src/services/eventService.js";
+import notificationService from "../../src/services/notificationService.js";
+
+/**
+ * Outbox event as claimed by a dispatch run
+ */
+const claimed = (attempts) => ({
+  id: `event-${attempts}`,
+  type: "book.low_stock",
+  payload: { bookId: "book-1" },
+  attempts,
+  createdAt: new Date("2026-10-18T12:00:00.000Z"),
+});
+
+describe("eventService.dispatchPending", () => {
+  let updates;
+
+  /**
+   * Claim the given events and answer every delivery with the given outcome
+   */
+  const dispatch = async (events, deliver) => {
+    prisma.$queryRaw = async () => events;
+    notificationService.publishEvent = deliver;
+    return eventService.dispatchPending();
+  };
+
+  beforeEach(() => {
+    updates = [];
+    prisma.outboxEvent = { update: async ({ data }) => updates.push(data) };
+  });
+
+  afterEach(() => {
+    resetPrisma();
+  });
+
+  it("marks delivered events as published", async () => {
+    await expect(dispatch([claimed(1)], async () => {})).resolves.toEqual({
+      published: 1,
+      failed: 0,
+      deadLettered: 0,
+    });
+    expect(updates).toEqual([{ publishedAt: expect.any(Date), lastError: null }]);
+  });
+
+  it.each([
+    ["the service is unavailable", Object.assign(new Error("unavailable"), { statusCode: 503 })],
+    ["the request timed out", Object.assign(new Error("timeout"), { statusCode: 408 })],
+    ["the consumer is rate limiting", Object.assign(new Error("slow down"), { statusCode: 429 })],
+    [
+      "the consumer route is missing",
+      Object.assign(new Error("Request failed with status code 404"), {
+        response: { status: 404, data: { error: "Route not found" } },
+      }),
+    ],
+  ])("retries later when %s", async (_, error) => {
+    const result = await dispatch([claimed(2)], async () => {
+      throw error;
+    });
+
+    expect(result).toEqual({ published: 0, failed: 1, deadLettered: 0 });
+    expect(updates).toEqual([{ availableAt: expect.any(Date), lastError: error.message }]);
+    expect(updates[0].availableAt.getTime()).toBeGreaterThan(Date.now() + 15000);
+  });
+
+  it("dead-letters the event when the consumer refuses it", async () => {
+    const error = Object.assign(new Error("Invalid event"), { statusCode: 400 });
+
+    const result = await dispatch([claimed(1)], async () => {
+      throw error;
+    });
+
+    expect(result).toEqual({ published: 0, failed: 0, deadLettered: 1 });
+    expect(updates).toEqual([{ deadLetteredAt: expect.any(Date), lastError: error.message }]);
+  });
+
+  it("dead-letters the event once it runs out of attempts", async () => {
+    const error = Object.assign(new Error("unavailable"), { statusCode: 503 });
+
+    const result = await dispatch([claimed(9), claimed(10)], async () => {
+      throw error;
+    });
+
+    expect(result).toEqual({ published: 0, failed: 1, deadLettered: 1 });
+    expect(updates[1]).toEqual({ deadLetteredAt: expect.any(Date), lastError: "unavailable" });
+  });
+});
@@ -0,0 +1,70 @@
+import { startIntervalJob } from "../../src/utils/intervalJob.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Logger that keeps its error messages
+ */
+const createLogger = () => {
+  const errors = [];
+  return { errors, error: (message) => errors.push(message) };
+};
+
+describe("startIntervalJob", () => {
+  it("runs right away and then on every interval until stopped", async () => {
+    let runs = 0;
+    const job = async () => {
+      runs += 1;
+    };
+
+    const stop = startIntervalJob("Test job", 10, job, { logger: createLogger() });
+
+    await sleep(0);
+    expect(runs).toBe(1);
+
+    await sleep(35);
+    stop();
+    const runsAtStop = runs;
+    expect(runsAtStop).toBeGreaterThanOrEqual(2);
+
+    await sleep(30);
+    expect(runs).toBe(runsAtStop);
+  });
+
+  it("logs a failed run and keeps going", async () => {
+    const logger = createLogger();
+    let runs = 0;
+    const job = async () => {
+      runs += 1;
+      if (runs === 1) {
+        throw new Error("boom");
+      }
+    };
+
+    const stop = startIntervalJob("Test job", 10, job, { logger });
+
+    await sleep(30);
+    stop();
+
+    expect(logger.errors).toEqual(["Test job failed: boom"]);
+    expect(runs).toBeGreaterThanOrEqual(2);
+  });
+
+  it("never overlaps runs", async () => {
+    let running = 0;
+    let overlapped = false;
+    const job = async () => {
+      running += 1;
+      overlapped ||= running > 1;
+      await sleep(10);
+      running -= 1;
+    };
+
+    const stop = startIntervalJob("Test job", 1, job, { logger: createLogger() });
+
+    await sleep(40);
+    stop();
+
+    expect(overlapped).toBe(false);
+  });
+});
@@ -0,0 +1,77 @@
+import {
+  normalizeIsbn,
+  isValidIsbn,
+  isValidIsbn10,
+  isValidIsbn13,
+  toIsbn10,
+  toIsbn13,
+} from "@bookzilla/shared/utils/isbn";
+
+describe("normalizeIsbn", () => {
+  it("strips hyphens and spaces and uppercases the check digit", () => {
+    expect(normalizeIsbn("0-8044-2957-x")).toBe("080442957X");
+    expect(normalizeIsbn("978 0 306 40615 7")).toBe("9780306406157");
+  });
+
+  it.each([[null], [undefined], [""]])("returns null for %p", (value) => {
+    expect(normalizeIsbn(value)).toBeNull();
+  });
+});
+
+describe("isValidIsbn10", () => {
+  it.each([["0306406152"], ["080442957X"]])("accepts %s", (isbn) => {
+    expect(isValidIsbn10(isbn)).toBe(true);
+  });
+
+  it.each([
+    ["0306406153", "a wrong check digit"],
+    ["X306406152", "an X outside the check digit"],
+    ["030640615", "too few digits"],
+  ])("rejects %s (%s)", (isbn) => {
+    expect(isValidIsbn10(isbn)).toBe(false);
+  });
+});
+
+describe("isValidIsbn13", () => {
+  it.each([["9780306406157"], ["9791090636071"]])("accepts %s", (isbn) => {
+    expect(isValidIsbn13(isbn)).toBe(true);
+  });
+
+  it.each([
+    ["9780306406158", "a wrong check digit"],
+    ["9770306406155", "a prefix other than 978 or 979"],
+    ["978030640615X", "an X check digit"],
+  ])("rejects %s (%s)", (isbn) => {
+    expect(isValidIsbn13(isbn)).toBe(false);
+  });
+});
+
+describe("isValidIsbn", () => {
+  it("accepts either form as entered", () => {
+    expect(isValidIsbn("0-306-40615-2")).toBe(true);
+    expect(isValidIsbn("978-0-306-40615-7")).toBe(true);
+  });
+
+  it("accepts only the requested length", () => {
+    expect(isValidIsbn("0306406152", 13)).toBe(false);
+    expect(isValidIsbn("9780306406157", 10)).toBe(false);
+    expect(isValidIsbn("9780306406157", 13)).toBe(true);
+  });
+
+  it.each([[9780306406157], ["978.0.306.40615.7"], [null]])("rejects %p", (value) => {
+    expect(isValidIsbn(value)).toBe(false);
+  });
+});
+
+describe("ISBN conversion", () => {
+  it("converts between ISBN-10 and ISBN-13, recomputing the check digit", () => {
+    expect(toIsbn13("0306406152")).toBe("9780306406157");
+    expect(toIsbn13("080442957X")).toBe("9780804429573");
+    expect(toIsbn10("9780306406157")).toBe("0306406152");
+    expect(toIsbn10("9780804429573")).toBe("080442957X");
+  });
+
+  it("has no ISBN-10 for 979-prefixed ISBNs", () => {
+    expect(toIsbn10("9791090636071")).toBeNull();
+  });
+});
@@ -0,0 +1,58 @@
+import { applyMergePatch } from "../../src/utils/mergePatch.js";
+import bookService from "../../src/services/bookService.js";
+
+describe("applyMergePatch", () => {
+  it("removes members set to null and merges objects recursively", () => {
+    expect(applyMergePatch({ a: 1, b: { c: 2, d: 3 } }, { a: null, b: { c: 4 } })).toEqual({
+      b: { c: 4, d: 3 },
+    });
+  });
+
+  it("replaces arrays instead of merging them", () => {
+    expect(applyMergePatch({ tags: ["a", "b"] }, { tags: ["c"] })).toEqual({ tags: ["c"] });
+  });
+
+  it("replaces the target when the patch is not an object", () => {
+    expect(applyMergePatch({ a: 1 }, null)).toBeNull();
+    expect(applyMergePatch({ a: 1 }, "text")).toBe("text");
+  });
+
+  it("leaves the target unchanged", () => {
+    const target = { a: 1, b: { c: 2 } };
+
+    applyMergePatch(target, { a: null, b: { c: null } });
+
+    expect(target).toEqual({ a: 1, b: { c: 2 } });
+  });
+});
+
+describe("bookService.mergePatchToUpdate", () => {
+  const book = { additionalInfo: { series: "Dune", volume: 1 } };
+
+  it("replaces relations and passes nulls through to clear fields", () => {
+    expect(bookService.mergePatchToUpdate(book, { subtitle: null, discountPrice: null })).toEqual({
+      subtitle: null,
+      discountPrice: null,
+      relationMode: "replace",
+    });
+  });
+
+  it("unlinks every author and category for null lists", () => {
+    expect(
+      bookService.mergePatchToUpdate(book, { authorIds: null, categoryIds: null })
+    ).toMatchObject({ authorIds: [], categoryIds: [] });
+  });
+
+  it("merges additionalInfo key by key", () => {
+    expect(
+      bookService.mergePatchToUpdate(book, { additionalInfo: { volume: null, translator: "X" } })
+        .additionalInfo
+    ).toEqual({ series: "Dune", translator: "X" });
+  });
+
+  it("clears additionalInfo to an empty object", () => {
+    expect(bookService.mergePatchToUpdate(book, { additionalInfo: null }).additionalInfo).toEqual(
+      {}
+    );
+  });
+});
@@ -0,0 +1,74 @@
+import { patchBookValidation } from "../../src/validators/bookValidator.js";
+
+const BOOK_ID = "0b7f3c1e-8a4d-4f6b-9c2a-5d1e7f9a3b60";
+
+/**
+ * Run the validation chain against a patch body
+ * @returns {Promise<Array|null>} Field errors, or null when the patch is valid
+ */
+const validatePatch = async (patch) => {
+  const req = { params: { id: BOOK_ID }, body: patch, query: {}, headers: {} };
+
+  for (const middleware of patchBookValidation) {
+    const error = await new Promise((resolve) => middleware(req, {}, resolve));
+    if (error) {
+      return error.errors;
+    }
+  }
+
+  return null;
+};
+
+describe("patchBookValidation", () => {
+  it("accepts null for fields that can be cleared", async () => {
+    await expect(
+      validatePatch({
+        subtitle: null,
+        discountPrice: null,
+        coverImageUrl: null,
+        additionalInfo: null,
+        authorIds: null,
+      })
+    ).resolves.toBeNull();
+  });
+
+  it.each([
+    ["title"],
+    ["description"],
+    ["language"],
+    ["format"],
+    ["stockQuantity"],
+    ["isFeatured"],
+    ["status"],
+    ["workId"],
+    ["primaryCategoryId"],
+  ])("rejects null for %s", async (field) => {
+    await expect(validatePatch({ [field]: null })).resolves.toEqual([
+      expect.objectContaining({ field, message: `${field} cannot be null` }),
+    ]);
+  });
+
+  it("checks the values it sets against the update rules", async () => {
+    const errors = await validatePatch({ subtitle: null, pageCount: -3 });
+
+    expect(errors).toEqual([expect.objectContaining({ field: "pageCount" })]);
+  });
+
+  it("rejects unknown and read-only fields", async () => {
+    const errors = await validatePatch({ title: "Dune", version: 4, relationMode: "patch" });
+
+    expect(errors).toEqual([
+      expect.objectContaining({
+        message: "Unknown or read-only field(s): version, relationMode",
+      }),
+    ]);
+  });
+
+  it.each([[[]], ["title"], [null]])("rejects the non-object patch %p", async (patch) => {
+    const errors = await validatePatch(patch);
+
+    expect(errors).toEqual([
+      expect.objectContaining({ message: "Merge patch must be a JSON object" }),
+    ]);
+  });
+});
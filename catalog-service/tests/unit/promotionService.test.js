@@ -0,0 +1,50 @@
+import { prisma, resetPrisma } from "@bookzilla/database";
+import promotionService from "../../src/services/promotionService.js";
+import cacheService from "../../src/services/cacheService.js";
+
+describe("promotionService.refreshAllEffectivePrices", () => {
+  const { refreshEffectivePrices } = promotionService;
+  const { invalidateListings } = cacheService;
+  let refreshed;
+  let invalidations;
+
+  beforeEach(() => {
+    refreshed = [];
+    invalidations = 0;
+
+    // 2,500 books, read in id order
+    const ids = Array.from({ length: 2500 }, (_, i) => `book-${String(i).padStart(4, "0")}`);
+    prisma.book = {
+      findMany: async ({ where, take }) =>
+        ids.filter((id) => !where || id > where.id.gt).slice(0, take).map((id) => ({ id })),
+    };
+    promotionService.refreshEffectivePrices = async (bookIds) => {
+      refreshed.push(bookIds);
+      return bookIds.length === 1000 ? 3 : 0;
+    };
+    cacheService.invalidateListings = async () => {
+      invalidations += 1;
+    };
+  });
+
+  afterEach(() => {
+    promotionService.refreshEffectivePrices = refreshEffectivePrices;
+    cacheService.invalidateListings = invalidateListings;
+    resetPrisma();
+  });
+
+  it("reprices every book in batches and retires cached listings", async () => {
+    await expect(promotionService.refreshAllEffectivePrices()).resolves.toBe(6);
+
+    expect(refreshed.map((batch) => batch.length)).toEqual([1000, 1000, 500]);
+    expect(new Set(refreshed.flat()).size).toBe(2500);
+    expect(invalidations).toBe(1);
+  });
+
+  it("leaves cached listings alone when no price changed", async () => {
+    promotionService.refreshEffectivePrices = async () => 0;
+
+    await expect(promotionService.refreshAllEffectivePrices()).resolves.toBe(0);
+    expect(invalidations).toBe(0);
+  });
+});
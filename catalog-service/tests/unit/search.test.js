@@ -0,0 +1,25 @@
+import { buildPrefixTsQuery } from "../../src/utils/search.js";
+
+describe("buildPrefixTsQuery", () => {
+  it("requires every term and prefix-matches the last one", () => {
+    expect(buildPrefixTsQuery("The Great Gats")).toBe("The & Great & Gats:*");
+  });
+
+  it("prefix-matches a single term", () => {
+    expect(buildPrefixTsQuery("gats")).toBe("gats:*");
+  });
+
+  it("drops tsquery operators and punctuation from the input", () => {
+    expect(buildPrefixTsQuery("war & peace | !tolstoy's (novel):*")).toBe(
+      "war & peace & tolstoy & s & novel:*"
+    );
+  });
+
+  it("keeps letters and digits from any script", () => {
+    expect(buildPrefixTsQuery("Éloïse 1984 東京")).toBe("Éloïse & 1984 & 東京:*");
+  });
+
+  it.each([[""], ["   "], ["&|!():*"], [undefined]])("returns null for %p", (input) => {
+    expect(buildPrefixTsQuery(input)).toBeNull();
+  });
+});
@@ -0,0 +1,104 @@
+import { prisma, resetPrisma } from "@bookzilla/database";
+import bookService from "../../src/services/bookService.js";
+import workService from "../../src/services/workService.js";
+import promotionService from "../../src/services/promotionService.js";
+import cacheService from "../../src/services/cacheService.js";
+
+const work = { id: "work-1", title: "Dune", createdAt: new Date(), updatedAt: new Date() };
+
+describe("workService.getWorkById", () => {
+  const { getWorkEditions } = bookService;
+
+  beforeEach(() => {
+    prisma.work = { findUnique: async ({ where }) => (where.id === work.id ? work : null) };
+  });
+
+  afterEach(() => {
+    bookService.getWorkEditions = getWorkEditions;
+    resetPrisma();
+  });
+
+  it("lists the editions the caller may see", async () => {
+    bookService.getWorkEditions = async () => [{ id: "book-1", format: "PAPERBACK" }];
+
+    await expect(workService.getWorkById("work-1", "public")).resolves.toMatchObject({
+      title: "Dune",
+      formats: ["PAPERBACK"],
+      editionCount: 1,
+    });
+  });
+
+  it("hides a work whose editions are all hidden", async () => {
+    bookService.getWorkEditions = async () => [];
+
+    await expect(workService.getWorkById("work-1", "public")).rejects.toMatchObject({
+      statusCode: 404,
+    });
+  });
+});
+
+describe("bookService.updateBook moving a book to another work", () => {
+  const { assertReferencesExist, writeVersioned, syncSlug, formatBook } = bookService;
+  const { refreshEffectivePrices } = promotionService;
+  const { invalidateBooks } = cacheService;
+  let deletedWorks;
+
+  const book = {
+    id: "book-1",
+    workId: "work-1",
+    title: "Dune",
+    status: "DRAFT",
+    price: null,
+    discountPrice: null,
+    publicationDate: null,
+    publishAt: null,
+    deletedAt: null,
+    authors: [],
+    categories: [],
+  };
+
+  beforeEach(() => {
+    deletedWorks = [];
+
+    const tx = {
+      book: { findUnique: async () => book },
+      work: {
+        deleteMany: async ({ where }) => {
+          deletedWorks.push(where);
+          return { count: 1 };
+        },
+      },
+      auditLog: { create: async () => {} },
+    };
+
+    prisma.book = { findFirst: async () => book };
+    prisma.$transaction = async (fn) => fn(tx);
+
+    bookService.assertReferencesExist = async () => {};
+    bookService.writeVersioned = async () => {};
+    bookService.syncSlug = async () => {};
+    bookService.formatBook = async (raw) => raw;
+    promotionService.refreshEffectivePrices = async () => 0;
+    cacheService.invalidateBooks = async () => {};
+  });
+
+  afterEach(() => {
+    Object.assign(bookService, { assertReferencesExist, writeVersioned, syncSlug, formatBook });
+    promotionService.refreshEffectivePrices = refreshEffectivePrices;
+    cacheService.invalidateBooks = invalidateBooks;
+    resetPrisma();
+  });
+
+  it("deletes the work it leaves once that work has no books", async () => {
+    await bookService.updateBook("book-1", { workId: "work-2" });
+
+    expect(deletedWorks).toEqual([{ id: "work-1", books: { none: {} } }]);
+  });
+
+  it("leaves works alone when the book stays in its work", async () => {
+    await bookService.updateBook("book-1", { title: "Dune Messiah" });
+    await bookService.updateBook("book-1", { workId: "work-1" });
+
+    expect(deletedWorks).toEqual([]);
+  });
+});
@@ -0,0 +1,87 @@
+-- AlterTable
+ALTER TABLE "catalog"."Book" ADD COLUMN "searchVector" tsvector;
+
+-- CreateIndex
+CREATE INDEX "Book_searchVector_idx" ON "catalog"."Book" USING GIN ("searchVector");
+
+-- Weighted search document for a book: title (A) > subtitle and authors (B) > description (C) > publisher (D)
+CREATE OR REPLACE FUNCTION "catalog"."book_search_document"(
+    p_book_id TEXT,
+    p_title TEXT,
+    p_subtitle TEXT,
+    p_description TEXT,
+    p_publisher TEXT
+) RETURNS tsvector AS $$
+    SELECT
+        setweight(to_tsvector('english', coalesce(p_title, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(p_subtitle, '')), 'B') ||
+        setweight(to_tsvector('english', coalesce((
+            SELECT string_agg(a."name", ' ')
+            FROM "catalog"."BookAuthor" ba
+            JOIN "catalog"."Author" a ON a."id" = ba."authorId"
+            WHERE ba."bookId" = p_book_id
+        ), '')), 'B') ||
+        setweight(to_tsvector('english', coalesce(p_description, '')), 'C') ||
+        setweight(to_tsvector('english', coalesce(p_publisher, '')), 'D');
+$$ LANGUAGE sql STABLE;
+
+-- Refresh the vector when the book's own text columns change
+CREATE OR REPLACE FUNCTION "catalog"."book_search_vector_trigger"() RETURNS trigger AS $$
+BEGIN
+    NEW."searchVector" := "catalog"."book_search_document"(
+        NEW."id", NEW."title", NEW."subtitle", NEW."description", NEW."publisher"
+    );
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "Book_searchVector_update"
+    BEFORE INSERT OR UPDATE OF "title", "subtitle", "description", "publisher"
+    ON "catalog"."Book"
+    FOR EACH ROW EXECUTE FUNCTION "catalog"."book_search_vector_trigger"();
+
+-- Refresh a book's vector when its author links change
+CREATE OR REPLACE FUNCTION "catalog"."book_author_search_vector_trigger"() RETURNS trigger AS $$
+DECLARE
+    v_book_id TEXT;
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        v_book_id := OLD."bookId";
+    ELSE
+        v_book_id := NEW."bookId";
+    END IF;
+
+    UPDATE "catalog"."Book" b
+    SET "searchVector" = "catalog"."book_search_document"(b."id", b."title", b."subtitle", b."description", b."publisher")
+    WHERE b."id" = v_book_id;
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "BookAuthor_searchVector_update"
+    AFTER INSERT OR UPDATE OR DELETE
+    ON "catalog"."BookAuthor"
+    FOR EACH ROW EXECUTE FUNCTION "catalog"."book_author_search_vector_trigger"();
+
+-- Refresh every linked book's vector when an author is renamed
+CREATE OR REPLACE FUNCTION "catalog"."author_search_vector_trigger"() RETURNS trigger AS $$
+BEGIN
+    UPDATE "catalog"."Book" b
+    SET "searchVector" = "catalog"."book_search_document"(b."id", b."title", b."subtitle", b."description", b."publisher")
+    WHERE b."id" IN (
+        SELECT ba."bookId" FROM "catalog"."BookAuthor" ba WHERE ba."authorId" = NEW."id"
+    );
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "Author_searchVector_update"
+    AFTER UPDATE OF "name"
+    ON "catalog"."Author"
+    FOR EACH ROW EXECUTE FUNCTION "catalog"."author_search_vector_trigger"();
+
+-- Backfill existing books
+UPDATE "catalog"."Book" b
+SET "searchVector" = "catalog"."book_search_document"(b."id", b."title", b."subtitle", b."description", b."publisher");
@@ -0,0 +1,21 @@
+-- AlterTable
+ALTER TABLE "catalog"."Book" ADD COLUMN "effectivePrice" DECIMAL(10,2);
+
+-- CreateIndex
+CREATE INDEX "Book_effectivePrice_idx" ON "catalog"."Book"("effectivePrice");
+
+-- Keep effectivePrice in step with price and discountPrice
+CREATE OR REPLACE FUNCTION "catalog"."book_effective_price_trigger"() RETURNS trigger AS $$
+BEGIN
+    NEW."effectivePrice" := COALESCE(NEW."discountPrice", NEW."price");
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "Book_effectivePrice_update"
+    BEFORE INSERT OR UPDATE OF "price", "discountPrice"
+    ON "catalog"."Book"
+    FOR EACH ROW EXECUTE FUNCTION "catalog"."book_effective_price_trigger"();
+
+-- Backfill existing books
+UPDATE "catalog"."Book" SET "effectivePrice" = COALESCE("discountPrice", "price");
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "catalog"."Book" ADD COLUMN "deletedAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "Book_deletedAt_idx" ON "catalog"."Book"("deletedAt");
@@ -0,0 +1,25 @@
+-- CreateEnum
+CREATE TYPE "catalog"."AuditEntity" AS ENUM ('BOOK', 'AUTHOR', 'CATEGORY');
+
+-- CreateEnum
+CREATE TYPE "catalog"."AuditAction" AS ENUM ('CREATE', 'UPDATE', 'DELETE', 'RESTORE', 'REVERT');
+
+-- CreateTable
+CREATE TABLE "catalog"."AuditLog" (
+    "id" TEXT NOT NULL,
+    "entityType" "catalog"."AuditEntity" NOT NULL,
+    "entityId" TEXT NOT NULL,
+    "action" "catalog"."AuditAction" NOT NULL,
+    "actorId" TEXT,
+    "actorEmail" TEXT,
+    "requestId" TEXT,
+    "before" JSONB,
+    "after" JSONB,
+    "changes" JSONB NOT NULL DEFAULT '{}',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AuditLog_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "AuditLog_entityType_entityId_createdAt_idx" ON "catalog"."AuditLog"("entityType", "entityId", "createdAt");
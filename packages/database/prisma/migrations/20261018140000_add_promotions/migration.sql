@@ -0,0 +1,38 @@
+-- CreateTable
+CREATE TABLE "catalog"."Promotion" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "bookId" TEXT,
+    "categoryId" TEXT,
+    "discountPrice" DECIMAL(10,2),
+    "discountPercent" DECIMAL(5,2),
+    "startsAt" TIMESTAMP(3) NOT NULL,
+    "endsAt" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Promotion_pkey" PRIMARY KEY ("id"),
+    -- Exactly one target, exactly one kind of discount, and a non-empty window
+    CONSTRAINT "Promotion_target_check" CHECK (("bookId" IS NULL) <> ("categoryId" IS NULL)),
+    CONSTRAINT "Promotion_discount_check" CHECK (("discountPrice" IS NULL) <> ("discountPercent" IS NULL)),
+    CONSTRAINT "Promotion_category_percent_check" CHECK ("categoryId" IS NULL OR "discountPercent" IS NOT NULL),
+    CONSTRAINT "Promotion_window_check" CHECK ("startsAt" < "endsAt")
+);
+
+-- CreateIndex
+CREATE INDEX "Promotion_bookId_idx" ON "catalog"."Promotion"("bookId");
+
+-- CreateIndex
+CREATE INDEX "Promotion_categoryId_idx" ON "catalog"."Promotion"("categoryId");
+
+-- CreateIndex
+CREATE INDEX "Promotion_startsAt_idx" ON "catalog"."Promotion"("startsAt");
+
+-- CreateIndex
+CREATE INDEX "Promotion_endsAt_idx" ON "catalog"."Promotion"("endsAt");
+
+-- AddForeignKey
+ALTER TABLE "catalog"."Promotion" ADD CONSTRAINT "Promotion_bookId_fkey" FOREIGN KEY ("bookId") REFERENCES "catalog"."Book"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "catalog"."Promotion" ADD CONSTRAINT "Promotion_categoryId_fkey" FOREIGN KEY ("categoryId") REFERENCES "catalog"."Category"("id") ON DELETE CASCADE ON UPDATE CASCADE;
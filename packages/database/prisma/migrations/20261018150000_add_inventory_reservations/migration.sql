@@ -0,0 +1,84 @@
+-- CreateEnum
+CREATE TYPE "catalog"."ReservationStatus" AS ENUM ('ACTIVE', 'COMMITTED', 'RELEASED', 'EXPIRED');
+
+-- CreateEnum
+CREATE TYPE "catalog"."InventoryMovementType" AS ENUM ('ADJUST', 'RESERVE', 'RELEASE', 'EXPIRE', 'COMMIT');
+
+-- CreateEnum
+CREATE TYPE "catalog"."InventoryReason" AS ENUM ('INITIAL', 'RESTOCK', 'RETURN', 'DAMAGED', 'LOST', 'CORRECTION');
+
+-- AlterTable
+ALTER TABLE "catalog"."Book" ADD COLUMN "reservedQuantity" INTEGER NOT NULL DEFAULT 0;
+
+-- Backstop for inventoryService's conditional updates: never reserve or
+-- sell units that aren't on hand
+ALTER TABLE "catalog"."Book" ADD CONSTRAINT "Book_inventory_check"
+    CHECK ("reservedQuantity" >= 0 AND "stockQuantity" >= "reservedQuantity");
+
+-- CreateTable
+CREATE TABLE "catalog"."InventoryReservation" (
+    "id" TEXT NOT NULL,
+    "bookId" TEXT NOT NULL,
+    "referenceId" TEXT NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "status" "catalog"."ReservationStatus" NOT NULL DEFAULT 'ACTIVE',
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "InventoryReservation_pkey" PRIMARY KEY ("id"),
+    CONSTRAINT "InventoryReservation_quantity_check" CHECK ("quantity" > 0)
+);
+
+-- CreateTable
+CREATE TABLE "catalog"."InventoryMovement" (
+    "id" TEXT NOT NULL,
+    "bookId" TEXT NOT NULL,
+    "type" "catalog"."InventoryMovementType" NOT NULL,
+    "reason" "catalog"."InventoryReason",
+    "quantityChange" INTEGER NOT NULL DEFAULT 0,
+    "reservedChange" INTEGER NOT NULL DEFAULT 0,
+    "stockAfter" INTEGER NOT NULL,
+    "reservedAfter" INTEGER NOT NULL,
+    "reservationId" TEXT,
+    "referenceId" TEXT,
+    "note" TEXT,
+    "actorId" TEXT,
+    "actorEmail" TEXT,
+    "requestId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "InventoryMovement_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "InventoryReservation_referenceId_idx" ON "catalog"."InventoryReservation"("referenceId");
+
+-- CreateIndex
+CREATE INDEX "InventoryReservation_bookId_idx" ON "catalog"."InventoryReservation"("bookId");
+
+-- CreateIndex
+CREATE INDEX "InventoryReservation_status_expiresAt_idx" ON "catalog"."InventoryReservation"("status", "expiresAt");
+
+-- One active reservation per book and reference, so two concurrent
+-- reserve calls for the same cart can't both hold units
+CREATE UNIQUE INDEX "InventoryReservation_active_key" ON "catalog"."InventoryReservation"("referenceId", "bookId")
+    WHERE "status" = 'ACTIVE';
+
+-- CreateIndex
+CREATE INDEX "InventoryMovement_bookId_createdAt_idx" ON "catalog"."InventoryMovement"("bookId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "InventoryMovement_referenceId_idx" ON "catalog"."InventoryMovement"("referenceId");
+
+-- AddForeignKey
+ALTER TABLE "catalog"."InventoryReservation" ADD CONSTRAINT "InventoryReservation_bookId_fkey" FOREIGN KEY ("bookId") REFERENCES "catalog"."Book"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "catalog"."InventoryMovement" ADD CONSTRAINT "InventoryMovement_bookId_fkey" FOREIGN KEY ("bookId") REFERENCES "catalog"."Book"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Open the ledger with the stock each book has today
+INSERT INTO "catalog"."InventoryMovement" ("id", "bookId", "type", "reason", "quantityChange", "stockAfter", "reservedAfter")
+SELECT gen_random_uuid()::text, "id", 'ADJUST', 'INITIAL', "stockQuantity", "stockQuantity", 0
+FROM "catalog"."Book"
+WHERE "stockQuantity" > 0;
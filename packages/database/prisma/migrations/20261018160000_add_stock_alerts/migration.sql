@@ -0,0 +1,22 @@
+-- AlterTable
+ALTER TABLE "catalog"."Book" ADD COLUMN "reorderThreshold" INTEGER;
+
+ALTER TABLE "catalog"."Book" ADD CONSTRAINT "Book_reorderThreshold_check"
+    CHECK ("reorderThreshold" IS NULL OR "reorderThreshold" >= 0);
+
+-- CreateTable
+CREATE TABLE "catalog"."OutboxEvent" (
+    "id" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "payload" JSONB NOT NULL,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "lastError" TEXT,
+    "availableAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "publishedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "OutboxEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "OutboxEvent_publishedAt_availableAt_idx" ON "catalog"."OutboxEvent"("publishedAt", "availableAt");
@@ -0,0 +1,32 @@
+-- Store ISBNs without hyphens or spaces, as catalog-service now does on
+-- every write, so duplicate checks compare like with like. Where two books
+-- would end up with the same ISBN, only the first is rewritten; the other
+-- keeps its formatted value until the duplicate is resolved.
+
+UPDATE "catalog"."Book" AS b
+SET "isbn" = n."value"
+FROM (
+    SELECT DISTINCT ON ("value") "id", "value"
+    FROM (
+        SELECT "id", upper(regexp_replace("isbn", '[\s-]', '', 'g')) AS "value"
+        FROM "catalog"."Book"
+        WHERE "isbn" ~ '[\s-]|x'
+    ) AS candidates
+    ORDER BY "value", "id"
+) AS n
+WHERE b."id" = n."id"
+  AND NOT EXISTS (SELECT 1 FROM "catalog"."Book" AS o WHERE o."isbn" = n."value");
+
+UPDATE "catalog"."Book" AS b
+SET "isbn13" = n."value"
+FROM (
+    SELECT DISTINCT ON ("value") "id", "value"
+    FROM (
+        SELECT "id", regexp_replace("isbn13", '[\s-]', '', 'g') AS "value"
+        FROM "catalog"."Book"
+        WHERE "isbn13" ~ '[\s-]'
+    ) AS candidates
+    ORDER BY "value", "id"
+) AS n
+WHERE b."id" = n."id"
+  AND NOT EXISTS (SELECT 1 FROM "catalog"."Book" AS o WHERE o."isbn13" = n."value");
@@ -0,0 +1,61 @@
+-- AlterTable
+ALTER TABLE "catalog"."Book" ADD COLUMN "slug" TEXT;
+
+-- Backfill slugs from the title and first author, approximating slugify
+-- (accented letters are dropped rather than transliterated). Books sharing a
+-- slug keep it on the oldest one; the others get part of their id appended.
+WITH sources AS (
+    SELECT b."id", b."createdAt",
+           left(
+               trim(BOTH '-' FROM regexp_replace(
+                   lower(concat_ws(' ', b."title", a."name")), '[^a-z0-9]+', '-', 'g'
+               )),
+               80
+           ) AS "base"
+    FROM "catalog"."Book" AS b
+    LEFT JOIN LATERAL (
+        SELECT au."name"
+        FROM "catalog"."BookAuthor" AS ba
+        JOIN "catalog"."Author" AS au ON au."id" = ba."authorId"
+        WHERE ba."bookId" = b."id"
+        ORDER BY ba."authorOrder"
+        LIMIT 1
+    ) AS a ON TRUE
+),
+ranked AS (
+    SELECT "id",
+           coalesce(nullif(trim(TRAILING '-' FROM "base"), ''), 'book') AS "base",
+           row_number() OVER (
+               PARTITION BY coalesce(nullif(trim(TRAILING '-' FROM "base"), ''), 'book')
+               ORDER BY "createdAt", "id"
+           ) AS "rank"
+    FROM sources
+)
+UPDATE "catalog"."Book" AS b
+SET "slug" = CASE WHEN r."rank" = 1 THEN r."base" ELSE r."base" || '-' || left(b."id", 8) END
+FROM ranked AS r
+WHERE b."id" = r."id";
+
+ALTER TABLE "catalog"."Book" ALTER COLUMN "slug" SET NOT NULL;
+
+-- CreateTable
+CREATE TABLE "catalog"."BookSlug" (
+    "id" TEXT NOT NULL,
+    "slug" TEXT NOT NULL,
+    "bookId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "BookSlug_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Book_slug_key" ON "catalog"."Book"("slug");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "BookSlug_slug_key" ON "catalog"."BookSlug"("slug");
+
+-- CreateIndex
+CREATE INDEX "BookSlug_bookId_idx" ON "catalog"."BookSlug"("bookId");
+
+-- AddForeignKey
+ALTER TABLE "catalog"."BookSlug" ADD CONSTRAINT "BookSlug_bookId_fkey" FOREIGN KEY ("bookId") REFERENCES "catalog"."Book"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,31 @@
+-- CreateTable
+CREATE TABLE "catalog"."Work" (
+    "id" TEXT NOT NULL,
+    "title" VARCHAR(500) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Work_pkey" PRIMARY KEY ("id")
+);
+
+-- AlterTable
+ALTER TABLE "catalog"."Book" ADD COLUMN "workId" TEXT;
+
+-- Every existing book starts out as the only edition of its own work,
+-- reusing the book's id; editions are grouped afterwards by moving books
+INSERT INTO "catalog"."Work" ("id", "title", "createdAt", "updatedAt")
+SELECT "id", "title", "createdAt", CURRENT_TIMESTAMP
+FROM "catalog"."Book";
+
+UPDATE "catalog"."Book" SET "workId" = "id";
+
+ALTER TABLE "catalog"."Book" ALTER COLUMN "workId" SET NOT NULL;
+
+-- CreateIndex
+CREATE INDEX "Work_title_idx" ON "catalog"."Work"("title");
+
+-- CreateIndex
+CREATE INDEX "Book_workId_idx" ON "catalog"."Book"("workId");
+
+-- AddForeignKey
+ALTER TABLE "catalog"."Book" ADD CONSTRAINT "Book_workId_fkey" FOREIGN KEY ("workId") REFERENCES "catalog"."Work"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
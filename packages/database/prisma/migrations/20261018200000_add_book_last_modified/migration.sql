@@ -0,0 +1,24 @@
+-- AlterTable
+ALTER TABLE "catalog"."Book" ADD COLUMN "lastModifiedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+-- Backfill existing books
+UPDATE "catalog"."Book" SET "lastModifiedAt" = "updatedAt";
+
+-- CreateIndex
+CREATE INDEX "Book_lastModifiedAt_idx" ON "catalog"."Book"("lastModifiedAt");
+
+-- Stamp every change to a book, including the raw stock and price updates
+-- that leave updatedAt alone
+CREATE OR REPLACE FUNCTION "catalog"."book_last_modified_trigger"() RETURNS trigger AS $$
+BEGIN
+    IF NEW IS DISTINCT FROM OLD THEN
+        NEW."lastModifiedAt" := CURRENT_TIMESTAMP;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "Book_lastModifiedAt_update"
+    BEFORE UPDATE
+    ON "catalog"."Book"
+    FOR EACH ROW EXECUTE FUNCTION "catalog"."book_last_modified_trigger"();
@@ -0,0 +1,44 @@
+-- CreateEnum
+CREATE TYPE "catalog"."BookStatus" AS ENUM ('DRAFT', 'SCHEDULED', 'PUBLISHED', 'ARCHIVED');
+
+-- AlterTable
+ALTER TABLE "catalog"."Book" ADD COLUMN "status" "catalog"."BookStatus" NOT NULL DEFAULT 'DRAFT',
+ADD COLUMN "publishAt" TIMESTAMP(3),
+ALTER COLUMN "price" DROP NOT NULL,
+ALTER COLUMN "coverImageUrl" DROP NOT NULL,
+ALTER COLUMN "isActive" SET DEFAULT false;
+
+-- Backfill existing books: active ones that meet the publishing requirements
+-- (cover image, price, an author and a category) are live, active ones that
+-- don't go back to draft, and inactive ones were taken off sale
+UPDATE "catalog"."Book" b
+SET "status" = CASE
+        WHEN NOT b."isActive" THEN 'ARCHIVED'::"catalog"."BookStatus"
+        WHEN b."coverImageUrl" <> ''
+            AND b."price" IS NOT NULL
+            AND EXISTS (SELECT 1 FROM "catalog"."BookAuthor" ba WHERE ba."bookId" = b."id")
+            AND EXISTS (SELECT 1 FROM "catalog"."BookCategory" bc WHERE bc."bookId" = b."id")
+        THEN 'PUBLISHED'::"catalog"."BookStatus"
+        ELSE 'DRAFT'::"catalog"."BookStatus"
+    END;
+
+-- The trigger below keeps isActive in step from now on; this brings drafts in line
+UPDATE "catalog"."Book"
+SET "publishAt" = CASE WHEN "status" = 'PUBLISHED' THEN "createdAt" END,
+    "isActive" = "status" = 'PUBLISHED';
+
+-- CreateIndex
+CREATE INDEX "Book_status_publishAt_idx" ON "catalog"."Book"("status", "publishAt");
+
+-- isActive is kept for the readers that filter on it, and follows status
+CREATE OR REPLACE FUNCTION "catalog"."book_is_active_trigger"() RETURNS trigger AS $$
+BEGIN
+    NEW."isActive" := NEW."status" = 'PUBLISHED';
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "Book_isActive_status"
+    BEFORE INSERT OR UPDATE
+    ON "catalog"."Book"
+    FOR EACH ROW EXECUTE FUNCTION "catalog"."book_is_active_trigger"();
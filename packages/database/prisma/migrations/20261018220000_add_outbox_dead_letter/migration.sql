@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "catalog"."OutboxEvent" ADD COLUMN "deadLetteredAt" TIMESTAMP(3);
+
+-- DropIndex
+DROP INDEX "catalog"."OutboxEvent_publishedAt_availableAt_idx";
+
+-- CreateIndex
+CREATE INDEX "OutboxEvent_publishedAt_deadLetteredAt_availableAt_idx" ON "catalog"."OutboxEvent"("publishedAt", "deadLetteredAt", "availableAt");
@@ -14,6 +14,15 @@ export { default as ResponseHandler } from "./utils/responseHandler.js";
 export { logger, createLogger, createRequestLogger } from "./utils/logger.js";
 export { createHttpClient } from "./utils/httpClient.js";
 export { validate, rules, body, param, query } from "./utils/validate.js";
+export { encodeCursor, decodeCursor } from "./utils/cursor.js";
+export {
+  normalizeIsbn,
+  isValidIsbn,
+  isValidIsbn10,
+  isValidIsbn13,
+  toIsbn13,
+  toIsbn10,
+} from "./utils/isbn.js";
 
 // Error classes
 export {
@@ -21,6 +30,7 @@ export {
   ValidationError,
   NotFoundError,
   ConflictError,
+  PreconditionFailedError,
   UnauthorizedError,
   ForbiddenError,
   ServiceError,
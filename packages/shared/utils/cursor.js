@@ -0,0 +1,40 @@
+/**
+ * Opaque cursor helpers for keyset (cursor-based) pagination
+ *
+ * A cursor is a base64url-encoded JSON payload describing where the previous
+ * page ended. Clients must treat it as opaque and pass it back unchanged.
+ *
+ * @example
+ * const nextCursor = encodeCursor({ v: [lastRow.createdAt, lastRow.id] });
+ * const { v } = decodeCursor(req.query.cursor);
+ */
+
+/**
+ * Encode a cursor payload
+ * @param {Object} payload - JSON-serializable position data
+ * @returns {string} Opaque cursor string
+ */
+export const encodeCursor = (payload) =>
+  Buffer.from(JSON.stringify(payload), "utf8").toString("base64url");
+
+/**
+ * Decode a cursor string
+ * @param {string} cursor - Cursor produced by encodeCursor
+ * @returns {Object|null} Decoded payload, or null if the cursor is malformed
+ */
+export const decodeCursor = (cursor) => {
+  if (typeof cursor !== "string" || cursor === "") {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    return payload && typeof payload === "object" && !Array.isArray(payload)
+      ? payload
+      : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+export default { encodeCursor, decodeCursor };
@@ -63,6 +63,16 @@ export class ConflictError extends AppError {
   }
 }
 
+/**
+ * Precondition Failed error - 412
+ * Use when a conditional request (If-Match) targets a stale version
+ */
+export class PreconditionFailedError extends AppError {
+  constructor(message = "Resource has been modified by another request") {
+    super(message, 412, "PRECONDITION_FAILED");
+  }
+}
+
 /**
  * Unauthorized error - 401
  * Use when authentication is required but not provided
@@ -133,6 +143,7 @@ export default {
   ValidationError,
   NotFoundError,
   ConflictError,
+  PreconditionFailedError,
   UnauthorizedError,
   ForbiddenError,
   ServiceError,
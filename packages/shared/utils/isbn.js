@@ -0,0 +1,103 @@
+/**
+ * ISBN helpers
+ *
+ * ISBNs are stored normalized: digits only, plus an uppercase X as the
+ * check digit of an ISBN-10. Every ISBN-10 has an ISBN-13 (prefix 978);
+ * only 978-prefixed ISBN-13s have an ISBN-10.
+ *
+ * @example
+ * normalizeIsbn("0-7432-7356-7"); // "0743273567"
+ * toIsbn13("0743273567"); // "9780743273565"
+ */
+
+/**
+ * Strip hyphens and spaces from an ISBN
+ * @param {string} [value] - ISBN as entered
+ * @returns {string|null} Normalized ISBN, or null when there is none
+ */
+export const normalizeIsbn = (value) => {
+  if (value === null || value === undefined || value === "") {
+    return null;
+  }
+  return String(value).replace(/[\s-]/g, "").toUpperCase();
+};
+
+/**
+ * Check digit of an ISBN-10
+ * @param {string} digits - First 9 digits
+ * @returns {string} Check digit, "X" for 10
+ */
+const isbn10CheckDigit = (digits) => {
+  const sum = [...digits].reduce((total, digit, i) => total + Number(digit) * (10 - i), 0);
+  const check = (11 - (sum % 11)) % 11;
+  return check === 10 ? "X" : String(check);
+};
+
+/**
+ * Check digit of an ISBN-13
+ * @param {string} digits - First 12 digits
+ * @returns {string} Check digit
+ */
+const isbn13CheckDigit = (digits) => {
+  const sum = [...digits].reduce(
+    (total, digit, i) => total + Number(digit) * (i % 2 === 0 ? 1 : 3),
+    0
+  );
+  return String((10 - (sum % 10)) % 10);
+};
+
+/**
+ * Check a normalized ISBN-10, including its check digit
+ * @param {string} isbn - Normalized ISBN
+ * @returns {boolean} Whether it is a valid ISBN-10
+ */
+export const isValidIsbn10 = (isbn) =>
+  /^\d{9}[\dX]$/.test(isbn) && isbn10CheckDigit(isbn.slice(0, 9)) === isbn[9];
+
+/**
+ * Check a normalized ISBN-13, including its check digit
+ * @param {string} isbn - Normalized ISBN
+ * @returns {boolean} Whether it is a valid ISBN-13
+ */
+export const isValidIsbn13 = (isbn) =>
+  /^97[89]\d{10}$/.test(isbn) && isbn13CheckDigit(isbn.slice(0, 12)) === isbn[12];
+
+/**
+ * Check an ISBN as entered (hyphens and spaces allowed)
+ * @param {*} value - Value to check
+ * @param {number} [length] - 10 or 13 to accept only that form; either by default
+ * @returns {boolean} Whether it is a valid ISBN
+ */
+export const isValidIsbn = (value, length) => {
+  if (typeof value !== "string" || !/^[\dXx\s-]+$/.test(value)) {
+    return false;
+  }
+
+  const isbn = normalizeIsbn(value);
+  return (
+    (length !== 13 && isValidIsbn10(isbn)) || (length !== 10 && isValidIsbn13(isbn))
+  );
+};
+
+/**
+ * Convert a normalized ISBN-10 to its ISBN-13
+ * @param {string} isbn10 - Valid normalized ISBN-10
+ * @returns {string} ISBN-13
+ */
+export const toIsbn13 = (isbn10) => {
+  const digits = `978${isbn10.slice(0, 9)}`;
+  return digits + isbn13CheckDigit(digits);
+};
+
+/**
+ * Convert a normalized ISBN-13 to its ISBN-10
+ * @param {string} isbn13 - Valid normalized ISBN-13
+ * @returns {string|null} ISBN-10, or null for 979-prefixed ISBNs, which have none
+ */
+export const toIsbn10 = (isbn13) => {
+  if (!isbn13.startsWith("978")) {
+    return null;
+  }
+  const digits = isbn13.slice(3, 12);
+  return digits + isbn10CheckDigit(digits);
+};
@@ -1,5 +1,7 @@
 import { validationResult, body, param, query } from "express-validator";
 import { ValidationError } from "./errors.js";
+import { decodeCursor } from "./cursor.js";
+import { isValidIsbn } from "./isbn.js";
 
 /**
  * Validation middleware that checks express-validator results
@@ -45,13 +47,21 @@ export const rules = {
   },
 
   /**
-   * ISBN-10 or ISBN-13 validation
+   * ISBN validation, including the check digit
+   * Hyphens and spaces are allowed; normalize with normalizeIsbn before storing.
+   * @param {string} field - Field name
+   * @param {Object} [options] - length: 10 or 13 to accept only that form;
+   *   location: "body" (default) or "param"
    */
-  isbn: (field = "isbn") =>
-    body(field)
+  isbn: (field = "isbn", { length, location = "body" } = {}) =>
+    (location === "param" ? param(field) : body(field))
       .optional()
-      .matches(/^(?:\d{10}|\d{13}|[\d-]{13,17})$/)
-      .withMessage("Invalid ISBN format"),
+      .custom((value) => isValidIsbn(value, length))
+      .withMessage(
+        length
+          ? `${field} must be a valid ISBN-${length}`
+          : `${field} must be a valid ISBN-10 or ISBN-13`
+      ),
 
   /**
    * Price validation (positive decimal)
@@ -219,19 +229,50 @@ export const rules = {
 
   /**
    * Pagination query params
+   *
+   * With { cursor: true } the endpoint also accepts an opaque `cursor` for
+   * keyset pagination. An empty `cursor=` requests the first page in cursor
+   * mode; `page` cannot be combined with `cursor`.
+   *
+   * @param {Object} options - Pagination options
+   * @param {boolean} options.cursor - Accept a cursor param (default: false)
    */
-  pagination: () => [
-    query("page")
-      .optional()
-      .isInt({ min: 1 })
-      .withMessage("page must be a positive integer")
-      .toInt(),
-    query("limit")
-      .optional()
-      .isInt({ min: 1, max: 100 })
-      .withMessage("limit must be between 1 and 100")
-      .toInt(),
-  ],
+  pagination: ({ cursor = false } = {}) => {
+    const validators = [
+      query("page")
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage("page must be a positive integer")
+        .toInt(),
+      query("limit")
+        .optional()
+        .isInt({ min: 1, max: 100 })
+        .withMessage("limit must be between 1 and 100")
+        .toInt(),
+    ];
+
+    if (cursor) {
+      validators.push(
+        query("cursor")
+          .optional()
+          .isString()
+          .withMessage("cursor must be a string")
+          .isLength({ max: 2048 })
+          .withMessage("cursor must not exceed 2048 characters")
+          .custom((value, { req }) => {
+            if (req.query.page !== undefined) {
+              throw new Error("page and cursor cannot be used together");
+            }
+            if (value !== "" && !decodeCursor(value)) {
+              throw new Error("cursor is invalid");
+            }
+            return true;
+          })
+      );
+    }
+
+    return validators;
+  },
 };
 
 // Re-export express-validator functions for convenience